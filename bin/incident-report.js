@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+// bin/incident-report.js
+/*
+  Command-line entry point: input .xlsx/.xls/.ods/.csv file(s) -> processed workbook (Incident Intervals, SUI SLA, SLA Trend, Data Issues, Overrides, Pivot)
+  Runs the same pipeline as the web app (src/incidentPipeline.js, src/incidentWorkbook.js).
+
+  Usage:
+    node bin/incident-report.js <input file> [<input file> ...] [-o <output.xlsx>] [--sheet <name> ... | --all-sheets]
+                                [--policy <policy.json>] [--calendar <calendar.json>] [--map <Field>=<column> ...]
+                                [--date-order auto|dmy|mdy|iso] [--source-tz <zone>] [--display-tz <zone>]
+                                [--contract <contract.json>] [--trend day|week|month] [--overrides <overrides.json>]
+                                [--format xlsx|csv|json|html] [--group-by <key> ...]
+                                [--extra-column <column> ...] [--sla-by <column>]
+
+  Several inputs (or sheets) are merged by incident Number and a Source column is added.
+  --sheet       sheet to read from each workbook (repeatable; default: the first sheet)
+  --all-sheets  read every sheet that has a header row
+
+  --policy    SLA policy JSON ({ name, rules: [{ label, pattern, thresholdHours }], defaultHours, pauseStates })
+  --calendar  working calendar JSON ({ enabled, timeZone, hours, holidays })
+  --contract  contract terms JSON for the SUI SLA credit columns
+              ({ name, currency, baseAmount, creditCutoffPct, creditCapPct, priorities: [{ key, target, tiers }] })
+  --overrides manual SLA overrides JSON: a list of { number, interval, action, reason, comment, by, at }
+              or { overrides, log } as saved by the app (action: exclude | made | breached)
+  --trend     buckets of the SLA Trend sheet: opened day, week (from Monday) or month (default)
+  --format    xlsx workbook (default), csv of the Incident Intervals rows, json of the rows and
+              SLA summary, or html SLA report (see src/reportExport.js); sets the output extension
+  --group-by  add a Pivot sheet grouping the incidents by a column (e.g. State), "Opened day",
+              "Opened week", "Opened month" or "Updates" (repeatable: sub-groups; xlsx only)
+  --map       source column for Number, Priority, State, Opened or Updated (repeatable);
+              unmapped fields are detected from the headers
+  --extra-column  source column to carry through to the output, e.g. "Assignment group" (repeatable)
+  --sla-by    add a SUI SLA table per value of an output column, e.g. "Assignment group" (xlsx, json)
+
+  --date-order  how d/m/y-style dates are read (default: auto, detected from the file)
+  --source-tz   IANA time zone of the export's times (default: this computer's zone)
+  --display-tz  IANA time zone for dates in the output (default: this computer's zone)
+*/
+
+const fs = require('fs');
+const path = require('path');
+
+// src/ is ES modules + JSX; compile on the fly with the CRA preset
+process.env.BABEL_ENV = process.env.BABEL_ENV || 'test';
+process.env.NODE_ENV = process.env.NODE_ENV || 'test';
+require('@babel/register')({
+  babelrc: false,
+  configFile: false,
+  presets: [require.resolve('babel-preset-react-app')],
+  only: [path.resolve(__dirname, '../src')],
+  extensions: ['.js', '.jsx'],
+});
+
+const {
+  parseWorkbook,
+  listSheets,
+  mergeSources,
+  processRows,
+  isOutputHeader,
+} = require('../src/incidentPipeline');
+const { readInputFile } = require('../src/inputFormats');
+const { buildWorkbookExcelJS } = require('../src/incidentWorkbook');
+const { writeWorkbookBuffer } = require('../src/workbookCharts');
+const { DEFAULT_POLICY, validatePolicy } = require('../src/slaPolicy');
+const { DEFAULT_CALENDAR, validateCalendar, cloneCalendar } = require('../src/workingCalendar');
+const { MAPPED_FIELDS } = require('../src/columnMapping');
+const { summarizeIssues } = require('../src/dataIssues');
+const { DEFAULT_CONTRACT, cloneContract, validateContract } = require('../src/contractTerms');
+const { TREND_PERIODS } = require('../src/slaSummary');
+const { groupKeyOptions } = require('../src/pivotModel');
+const { applyOverrides, validateOverride } = require('../src/slaOverrides');
+const {
+  EXPORT_FORMATS,
+  exportFileName,
+  rowsToCsv,
+  buildJsonExport,
+  buildHtmlReport,
+} = require('../src/reportExport');
+const {
+  DEFAULT_DATE_PROFILE,
+  validateDateProfile,
+  describeDateProfile,
+} = require('../src/dateProfile');
+
+const USAGE =
+  'Usage: incident-report <input.xlsx|.xls|.ods|.csv> [<input> ...] [-o <output.xlsx>] [--sheet <name> ... | --all-sheets] [--policy <policy.json>] [--calendar <calendar.json>] [--map <Field>=<column> ...] [--date-order auto|dmy|mdy|iso] [--source-tz <zone>] [--display-tz <zone>] [--contract <contract.json>] [--trend day|week|month] [--overrides <overrides.json>] [--format xlsx|csv|json|html] [--group-by <key> ...] [--extra-column <column> ...] [--sla-by <column>]';
+
+function parseArgs(argv) {
+  const opts = {
+    inputs: [],
+    output: null,
+    sheets: [],
+    allSheets: false,
+    policy: null,
+    calendar: null,
+    contract: null,
+    trendPeriod: 'month',
+    overrides: null,
+    format: 'xlsx',
+    groupBy: [],
+    extraColumns: [],
+    slaDimension: '',
+    mapping: {},
+    dateProfile: { ...DEFAULT_DATE_PROFILE },
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '-h' || a === '--help') opts.help = true;
+    else if (a === '-o' || a === '--out') opts.output = argv[++i];
+    else if (a === '--sheet') opts.sheets.push(argv[++i]);
+    else if (a === '--all-sheets') opts.allSheets = true;
+    else if (a === '--policy') opts.policy = argv[++i];
+    else if (a === '--calendar') opts.calendar = argv[++i];
+    else if (a === '--contract') opts.contract = argv[++i];
+    else if (a === '--trend') opts.trendPeriod = argv[++i];
+    else if (a === '--overrides') opts.overrides = argv[++i];
+    else if (a === '--format') opts.format = argv[++i];
+    else if (a === '--group-by') opts.groupBy.push(argv[++i]);
+    else if (a === '--extra-column') opts.extraColumns.push(argv[++i]);
+    else if (a === '--sla-by') opts.slaDimension = argv[++i];
+    else if (a === '--date-order') opts.dateProfile.dateOrder = argv[++i];
+    else if (a === '--source-tz') opts.dateProfile.sourceTimeZone = argv[++i];
+    else if (a === '--display-tz') opts.dateProfile.displayTimeZone = argv[++i];
+    else if (a === '--map') {
+      const spec = argv[++i] || '';
+      const eq = spec.indexOf('=');
+      const field = MAPPED_FIELDS.find((f) => f.key.toLowerCase() === spec.slice(0, eq).trim().toLowerCase());
+      if (eq < 0 || !field) throw new Error(`Invalid --map "${spec}" (expected e.g. Opened="Opened at")`);
+      opts.mapping[field.key] = spec.slice(eq + 1).trim();
+    }
+    else if (a.startsWith('-')) throw new Error(`Unknown option: ${a}`);
+    else opts.inputs.push(a);
+  }
+  return opts;
+}
+
+function readJson(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read ${what} file ${file}: ${e.message}`);
+  }
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || opts.inputs.length === 0) {
+    console.log(USAGE);
+    return opts.help ? 0 : 1;
+  }
+
+  const policy = opts.policy ? readJson(opts.policy, 'policy') : DEFAULT_POLICY;
+  const policyErrors = validatePolicy(policy);
+  if (policyErrors.length > 0) throw new Error(`Invalid policy: ${policyErrors.join(' ')}`);
+
+  const calendar = opts.calendar
+    ? cloneCalendar({ ...DEFAULT_CALENDAR, ...readJson(opts.calendar, 'calendar') })
+    : DEFAULT_CALENDAR;
+  const calendarErrors = validateCalendar(calendar);
+  if (calendarErrors.length > 0) throw new Error(`Invalid calendar: ${calendarErrors.join(' ')}`);
+
+  const contract = opts.contract
+    ? cloneContract({ ...DEFAULT_CONTRACT, ...readJson(opts.contract, 'contract') })
+    : DEFAULT_CONTRACT;
+  const contractErrors = validateContract(contract);
+  if (contractErrors.length > 0) throw new Error(`Invalid contract: ${contractErrors.join(' ')}`);
+
+  if (!TREND_PERIODS[opts.trendPeriod])
+    throw new Error(`Invalid --trend "${opts.trendPeriod}" (expected day, week or month)`);
+  // PDF needs a browser's print dialog, so the CLI stops at HTML
+  if (!EXPORT_FORMATS[opts.format] || opts.format === 'pdf')
+    throw new Error(`Invalid --format "${opts.format}" (expected xlsx, csv, json or html)`);
+  if (opts.groupBy.length > 0 && opts.format !== 'xlsx')
+    throw new Error('--group-by only applies to the xlsx workbook');
+  if (opts.slaDimension && !['xlsx', 'json'].includes(opts.format))
+    throw new Error('--sla-by only applies to the xlsx workbook and json');
+
+  let overrides = [];
+  let overrideLog = [];
+  if (opts.overrides) {
+    const json = readJson(opts.overrides, 'overrides');
+    overrides = Array.isArray(json) ? json : json.overrides || [];
+    overrideLog = Array.isArray(json) ? [] : json.log || [];
+    const overrideErrors = overrides.flatMap(validateOverride);
+    if (overrideErrors.length > 0) throw new Error(`Invalid overrides: ${overrideErrors.join(' ')}`);
+  }
+
+  const { dateProfile } = opts;
+  const dateErrors = validateDateProfile(dateProfile);
+  if (dateErrors.length > 0) throw new Error(dateErrors.join(' '));
+
+  const output =
+    opts.output ||
+    path.join(
+      path.dirname(opts.inputs[0]),
+      exportFileName(opts.inputs.map((f) => path.basename(f)), opts.format)
+    );
+
+  const sources = [];
+  const dateColumns = new Set();
+  for (const input of opts.inputs) {
+    const name = path.basename(input);
+    const { workbook, format } = readInputFile(fs.readFileSync(input), name);
+    // CSV has a single sheet; --sheet / --all-sheets only apply to workbooks
+    let sheets = [workbook.SheetNames[0]];
+    if (format !== 'csv' && opts.allSheets) {
+      sheets = listSheets(workbook)
+        .filter((s) => s.headers.length > 0)
+        .map((s) => s.name);
+    } else if (format !== 'csv' && opts.sheets.length > 0) {
+      sheets = opts.sheets.filter((s) => workbook.SheetNames.includes(s));
+      if (sheets.length === 0)
+        throw new Error(`${name}: no sheet named ${opts.sheets.map((s) => `"${s}"`).join(' or ')}`);
+    }
+    for (const sheet of sheets) {
+      const { rows, dateColumns: dates } = parseWorkbook(workbook, sheet);
+      dates.forEach((c) => dateColumns.add(c));
+      sources.push({ label: format === 'csv' ? name : `${name} › ${sheet}`, rows });
+    }
+  }
+
+  const sourceColumns = new Set(
+    sources.flatMap((src) => (src.rows.length > 0 ? Object.keys(src.rows[0]) : []))
+  );
+  for (const [field, col] of Object.entries(opts.mapping)) {
+    if (!sourceColumns.has(col)) throw new Error(`--map ${field}: no column named "${col}"`);
+  }
+  for (const col of opts.extraColumns) {
+    if (!sourceColumns.has(col)) throw new Error(`--extra-column: no column named "${col}"`);
+    if (isOutputHeader(col))
+      throw new Error(`--extra-column: "${col}" is already an output column`);
+  }
+  const { rows, origins, rowNumbers, duplicates } = mergeSources(sources, opts.mapping);
+  const { headers, data, issues, dateOrder } = processRows(rows, {
+    policy,
+    calendar,
+    dateProfile,
+    mapping: opts.mapping,
+    extraColumns: opts.extraColumns,
+    dateColumns: [...dateColumns],
+    origins: sources.length > 1 ? origins : null,
+    rowNumbers,
+  });
+  if (headers.length === 0) {
+    throw new Error(
+      'Processed output is empty — check input file columns (Number/Priority/Opened/Updated).'
+    );
+  }
+  if (opts.slaDimension && !headers.includes(opts.slaDimension))
+    throw new Error(
+      `--sla-by: no output column named "${opts.slaDimension}" (add it with --extra-column)`
+    );
+  const groupKeys = groupKeyOptions(headers);
+  for (const key of opts.groupBy) {
+    if (!groupKeys.includes(key))
+      throw new Error(`Invalid --group-by "${key}" (expected one of: ${groupKeys.join(', ')})`);
+  }
+
+  if (opts.format === 'xlsx') {
+    const wb = await buildWorkbookExcelJS(headers, data, policy, calendar, {
+      issues,
+      dateProfile,
+      dateOrder,
+      contract,
+      trendPeriod: opts.trendPeriod,
+      overrides,
+      overrideLog,
+      pivotKeys: opts.groupBy,
+      slaDimension: opts.slaDimension,
+    });
+    fs.writeFileSync(output, await writeWorkbookBuffer(wb));
+  } else {
+    const options = {
+      headers,
+      rows: data,
+      overrides,
+      policy,
+      calendar,
+      contract,
+      dateProfile,
+      dateOrder,
+      trendPeriod: opts.trendPeriod,
+      slaDimension: opts.slaDimension,
+      fileNames: opts.inputs.map((f) => path.basename(f)),
+    };
+    const content =
+      opts.format === 'csv'
+        ? rowsToCsv(headers, data, overrides)
+        : opts.format === 'json'
+          ? JSON.stringify(buildJsonExport(options), null, 2)
+          : buildHtmlReport(options);
+    fs.writeFileSync(output, content, 'utf8');
+  }
+  if (sources.length > 1)
+    console.log(`Merged ${sources.length} sheets, ${duplicates} repeated row(s) dropped`);
+  console.log(
+    `${data.length} incidents written to ${output} (SLA policy: ${policy.name}, contract: ${contract.name})`
+  );
+  console.log(describeDateProfile(dateProfile, dateOrder));
+  if (overrides.length > 0) {
+    const { applied, unmatched } = applyOverrides(headers, data, overrides);
+    console.log(
+      `${applied.length} override(s) applied${unmatched.length ? `, ${unmatched.length} not found in the data` : ''}`
+    );
+  }
+  if (issues.length > 0) {
+    console.log(
+      `${issues.length} data issue(s)${opts.format === 'xlsx' ? ' — see the Data Issues sheet' : ''}:`
+    );
+    for (const s of summarizeIssues(issues)) console.log(`  ${s.count} × ${s.label}`);
+  }
+  return 0;
+}
+
+main().then(
+  (code) => process.exit(code),
+  (err) => {
+    console.error(`Error: ${err && err.message ? err.message : String(err)}`);
+    process.exit(1);
+  }
+);
@@ -1,33 +1,158 @@
 // src/App.js
-import React from 'react';
-import { BrowserRouter, Routes, Route, Navigate, useNavigate } from 'react-router-dom';
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  BrowserRouter,
+  Routes,
+  Route,
+  Navigate,
+  useLocation,
+  useNavigate,
+} from 'react-router-dom';
 import IncidentExcelProcessor from './IncidentExcelProcessor';
 import LoginPage from './LoginPage';
+import MockIdpLoginPage from './MockIdpLoginPage';
+import { loadSession, clearSession, isSessionExpired, getAuthClient } from './auth';
+import { can, deniedMessage } from './roles';
 
 /*
-  App.js - routing + simple client-side auth
-  - Login sets localStorage.setItem('erp_auth','1')
-  - Root is protected and receives onLogout prop to sign out
+  App.js - routing + sign-in (see auth.js)
+  - /login starts the OIDC sign-in; the provider sends the browser back to /auth/callback,
+    which stores the session; /mock-idp/authorize is the mock provider's sign-in page
+  - Protected routes need an unexpired session and the route's permission (see roles.js); the
+    provider is asked once per page load whether it still accepts the session's token, and the
+    session ends when the token expires
+  - The processor receives the signed-in user and onLogout, which revokes the session
 */
 
-function RequireAuth({ children }) {
-  // simple client-side auth flag
-  const isAuth = !!localStorage.getItem('erp_auth');
-  if (!isAuth) return <Navigate to="/login" replace />;
+// setTimeout delays above this overflow and fire at once
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+function RequireAuth({ permission, children }) {
+  const location = useLocation();
+  const session = loadSession();
+  // keep the query, so a shared view link (?view=) still opens after signing in
+  const from = location.pathname + location.search;
+  if (!session) return <Navigate to="/login" replace state={{ from }} />;
+  if (isSessionExpired(session))
+    return <Navigate to="/login" replace state={{ from, reason: 'expired' }} />;
+  if (permission && !can(session.user, permission))
+    return <AccessDenied message={deniedMessage(session.user, permission)} />;
   return children;
 }
 
-/* Wrapper component to inject onLogout into IncidentExcelProcessor */
+function AccessDenied({ message }) {
+  const navigate = useNavigate();
+
+  async function handleSignOut() {
+    await getAuthClient().logout(loadSession());
+    navigate('/login', { replace: true, state: { reason: 'signed-out' } });
+  }
+
+  return (
+    <div style={{ padding: 40, fontFamily: 'Inter, Roboto, sans-serif' }}>
+      <h2 style={{ margin: 0, fontSize: 20, color: '#0f172a' }}>Access denied</h2>
+      <div style={{ marginTop: 8, marginBottom: 16, color: '#475569' }}>{message}</div>
+      <button
+        onClick={handleSignOut}
+        style={{
+          padding: '8px 12px',
+          borderRadius: 8,
+          border: '1px solid #e6eef0',
+          background: 'white',
+          cursor: 'pointer',
+        }}
+      >
+        Sign in as someone else
+      </button>
+    </div>
+  );
+}
+
+/* Wrapper component to inject the user and onLogout into IncidentExcelProcessor */
 function IncidentExcelProcessorWithLogout() {
   const navigate = useNavigate();
+  const [session] = useState(loadSession);
 
-  function handleLogout() {
-    // remove auth flag and go to login
-    try { localStorage.removeItem('erp_auth'); } catch (e) { /* ignore */ }
-    navigate('/login', { replace: true });
+  useEffect(() => {
+    let active = true;
+    function signOut(reason) {
+      if (!active) return;
+      clearSession();
+      navigate('/login', { replace: true, state: { reason } });
+    }
+    const timer = setTimeout(
+      () => signOut('expired'),
+      Math.min(Math.max(0, session.expiresAt - Date.now()), MAX_TIMEOUT_MS)
+    );
+    // a forged or revoked session is rejected by the provider
+    let client = null;
+    try {
+      client = getAuthClient();
+    } catch (e) {
+      /* sign-in is not configured: no session can be valid */
+    }
+    if (!client) signOut('revoked');
+    else
+      client.checkSession(session).then((ok) => {
+        if (!ok) signOut('revoked');
+      });
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [session, navigate]);
+
+  async function handleLogout() {
+    const { endSessionUrl } = await getAuthClient().logout(
+      session,
+      `${window.location.origin}/login`
+    );
+    if (endSessionUrl) window.location.assign(endSessionUrl);
+    else navigate('/login', { replace: true, state: { reason: 'signed-out' } });
   }
 
-  return <IncidentExcelProcessor onLogout={handleLogout} />;
+  return <IncidentExcelProcessor onLogout={handleLogout} user={session.user} />;
+}
+
+/* Redirect target of the identity provider: exchanges the code and opens the app */
+function AuthCallback() {
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+  // the code can only be exchanged once (effects run twice in StrictMode)
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+    Promise.resolve()
+      .then(() => getAuthClient().completeLogin(window.location.href))
+      .then(({ returnTo }) => navigate(returnTo, { replace: true }))
+      .catch((e) => setError(e.message || String(e)));
+  }, [navigate]);
+
+  return (
+    <div style={{ padding: 40, fontFamily: 'Inter, Roboto, sans-serif' }}>
+      {error ? (
+        <>
+          <div style={{ color: '#b91c1c', marginBottom: 12 }}>{error}</div>
+          <button
+            onClick={() => navigate('/login', { replace: true })}
+            style={{
+              padding: '8px 12px',
+              borderRadius: 8,
+              border: '1px solid #e6eef0',
+              background: 'white',
+              cursor: 'pointer',
+            }}
+          >
+            Back to sign in
+          </button>
+        </>
+      ) : (
+        <div style={{ color: '#475569' }}>Signing in…</div>
+      )}
+    </div>
+  );
 }
 
 export default function App() {
@@ -36,12 +161,14 @@ export default function App() {
       <Routes>
         {/* Public login page */}
         <Route path="/login" element={<LoginPage />} />
+        <Route path="/auth/callback" element={<AuthCallback />} />
+        <Route path="/mock-idp/authorize" element={<MockIdpLoginPage />} />
 
         {/* Protected home route (root) */}
         <Route
           path="/"
           element={
-            <RequireAuth>
+            <RequireAuth permission="view-dashboard">
               <IncidentExcelProcessorWithLogout />
             </RequireAuth>
           }
@@ -51,7 +178,7 @@ export default function App() {
         <Route
           path="/home"
           element={
-            <RequireAuth>
+            <RequireAuth permission="view-dashboard">
               <IncidentExcelProcessorWithLogout />
             </RequireAuth>
           }
@@ -1,8 +1,138 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import App from './App';
+import { getAuthClient, getMockIdentityProvider } from './auth';
+import { buildRunRecord, listRuns, loadRun } from './runHistory';
+import { typedRows } from './columnModel';
+import { DEFAULT_POLICY } from './slaPolicy';
+import { DEFAULT_CALENDAR } from './workingCalendar';
+import { DEFAULT_DATE_PROFILE } from './dateProfile';
+import { DEFAULT_CONTRACT } from './contractTerms';
 
-test('renders learn react link', () => {
+// the processing worker is created with import.meta, which Jest cannot load
+jest.mock('./pipelineClient', () => ({ runPipelineJob: jest.fn(), PROGRESS_LABELS: {} }));
+// jsdom has no IndexedDB; runs are handed to the History panel directly
+jest.mock('./runHistory', () => ({
+  ...jest.requireActual('./runHistory'),
+  listRuns: jest.fn(),
+  loadRun: jest.fn(),
+}));
+
+beforeEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+  window.history.pushState({}, '', '/');
+});
+
+async function signIn(account = 'admin') {
+  const url = new URL(await getAuthClient().beginLogin('/'));
+  const callback = getMockIdentityProvider().authorize(url.searchParams, account, account);
+  return (await getAuthClient().completeLogin(callback)).session;
+}
+
+test('redirects to the login page when signed out', () => {
+  render(<App />);
+  expect(screen.getByText(/welcome back/i)).toBeInTheDocument();
+});
+
+test('shows the processor and the signed-in user', async () => {
+  await signIn();
+  render(<App />);
+  expect(screen.getByText(/incident excel processor/i, { selector: 'h1' })).toBeInTheDocument();
+  expect(screen.getByText('Admin (mock)')).toBeInTheDocument();
+  expect(screen.getByText(/Contract admin/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'SLA Policy' })).toBeInTheDocument();
+});
+
+test('analysts can load and download but not change SLA settings', async () => {
+  await signIn('analyst');
+  render(<App />);
+  expect(screen.getByText(/choose or drop files/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /download full file/i })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /export/i })).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'SLA Policy' })).toBeNull();
+  expect(screen.queryByRole('button', { name: 'Contract' })).toBeNull();
+});
+
+test('viewers only get the dashboard', async () => {
+  await signIn('viewer');
+  render(<App />);
+  expect(screen.getByText(/you can see SLA dashboards/i)).toBeInTheDocument();
+  expect(screen.queryByText(/choose or drop files/i)).toBeNull();
+  expect(screen.queryByRole('button', { name: /download full file/i })).toBeNull();
+  expect(screen.queryByRole('button', { name: /export/i })).toBeNull();
+  expect(screen.queryByRole('button', { name: /generate preview/i })).toBeNull();
+});
+
+async function openSavedRun() {
+  const headers = ['Number', 'Priority', 'Opened Date', 'Made SLA'];
+  const rows = typedRows([
+    {
+      Number: 'INC1',
+      Priority: 'P1 - Critical',
+      'Opened Date': '2025-05-02 09:00:00',
+      'Made SLA': 'Y',
+    },
+  ]);
+  const { meta, data } = buildRunRecord({
+    fileNames: ['may.xlsx'],
+    settings: {
+      policy: DEFAULT_POLICY,
+      calendar: DEFAULT_CALENDAR,
+      dateProfile: DEFAULT_DATE_PROFILE,
+      contract: DEFAULT_CONTRACT,
+    },
+    dateOrder: 'dmy',
+    headers,
+    rows,
+    issues: [],
+    overrideState: { key: 'may.xlsx', overrides: [], log: [] },
+  });
+  listRuns.mockResolvedValue([{ ...meta, id: 1 }]);
+  loadRun.mockResolvedValue({ ...meta, ...data, id: 1 });
+  fireEvent.click(screen.getByRole('button', { name: /history/i }));
+  fireEvent.click(await screen.findByRole('button', { name: 'Open' }));
+  await screen.findByText(/opened the run of/i);
+}
+
+test('only roles that see the rows get the filter builder, search and clear shortcut', async () => {
+  await signIn('viewer');
+  const { unmount } = render(<App />);
+  await openSavedRun();
+  expect(screen.queryByRole('button', { name: /^filters/i })).toBeNull();
+  expect(screen.queryByPlaceholderText(/global search/i)).toBeNull();
+  expect(screen.queryByRole('button', { name: /clear filters/i })).toBeNull();
+  fireEvent.keyDown(window, { key: 'k', ctrlKey: true, metaKey: true });
+  expect(screen.queryByText(/this will remove the preview/i)).toBeNull();
+  unmount();
+
+  await signIn('analyst');
+  render(<App />);
+  await openSavedRun();
+  expect(screen.getByPlaceholderText(/global search/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /clear filters/i })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: /^filters/i }));
+  expect(screen.getByLabelText('Saved views')).toBeInTheDocument();
+  fireEvent.keyDown(window, { key: 'k', ctrlKey: true, metaKey: true });
+  expect(screen.getByText(/this will remove the preview/i)).toBeInTheDocument();
+});
+
+test('a session set by hand is rejected by the provider', async () => {
+  localStorage.setItem(
+    'erp_session',
+    JSON.stringify({
+      user: { id: 'admin', name: 'Admin', email: '' },
+      accessToken: 'forged',
+      expiresAt: Date.now() + 3600 * 1000,
+    })
+  );
+  render(<App />);
+  expect(await screen.findByText(/no longer valid/i)).toBeInTheDocument();
+  expect(localStorage.getItem('erp_session')).toBeNull();
+});
+
+test('an expired session goes back to the login page', async () => {
+  const session = await signIn();
+  localStorage.setItem('erp_session', JSON.stringify({ ...session, expiresAt: Date.now() - 1000 }));
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText(/session has expired/i)).toBeInTheDocument();
 });
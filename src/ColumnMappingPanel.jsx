@@ -0,0 +1,131 @@
+// src/ColumnMappingPanel.jsx
+import React from 'react';
+import { MAPPED_FIELDS } from './columnMapping';
+import { isOutputHeader } from './incidentPipeline';
+
+/*
+  Column mapping step shown after a file is chosen
+  - One row per logical field: detected source column (dropdown to override) + confidence
+  - confidence: 'high' | 'medium' | 'low' from detection, 'saved' from memory, 'manual' after an override
+  - Extra columns: other source columns ticked here (e.g. Assignment group) are kept in the output,
+    where they can be filtered, grouped and reported SLA per value
+*/
+
+const BADGES = {
+  high: { label: 'High', bg: '#dcfce7', color: '#166534' },
+  medium: { label: 'Medium', bg: '#fef9c3', color: '#854d0e' },
+  low: { label: 'Low — please check', bg: '#fee2e2', color: '#991b1b' },
+  saved: { label: 'Remembered', bg: '#e0f2fe', color: '#075985' },
+  manual: { label: 'Chosen manually', bg: '#f1f5f9', color: '#334155' },
+  missing: { label: 'Not found', bg: '#fee2e2', color: '#991b1b' },
+};
+
+export default function ColumnMappingPanel({
+  headers,
+  columns,
+  confidence,
+  extraColumns,
+  disabled,
+  onChange,
+  onExtraColumnsChange,
+}) {
+  const mapped = new Set(Object.values(columns));
+  const available = headers.filter((h) => !mapped.has(h) && !isOutputHeader(h));
+
+  function toggleExtra(header) {
+    onExtraColumnsChange(
+      extraColumns.includes(header)
+        ? extraColumns.filter((h) => h !== header)
+        : available.filter((h) => h === header || extraColumns.includes(h))
+    );
+  }
+
+  return (
+    <div
+      style={{
+        marginTop: 16,
+        padding: 14,
+        border: '1px solid #e6eef0',
+        borderRadius: 8,
+        background: '#fbfdff',
+      }}
+    >
+      <div style={{ fontSize: 14, fontWeight: 600 }}>Column mapping</div>
+      <div style={{ fontSize: 12, color: '#64748b', marginTop: 2 }}>
+        Check which source column feeds each field. Your choice is remembered for files with the
+        same headers.
+      </div>
+
+      <table style={{ borderCollapse: 'collapse', marginTop: 10 }}>
+        <tbody>
+          {MAPPED_FIELDS.map((f) => {
+            const col = columns[f.key] || '';
+            const badge = BADGES[col ? confidence[f.key] || 'manual' : 'missing'];
+            return (
+              <tr key={f.key}>
+                <td style={{ padding: '4px 12px 4px 0', fontSize: 13, width: 110 }}>
+                  {f.key}
+                  {f.required && <span style={{ color: '#b91c1c' }}> *</span>}
+                </td>
+                <td style={{ padding: 4 }}>
+                  <select
+                    value={col}
+                    disabled={disabled}
+                    onChange={(e) => onChange(f.key, e.target.value || null)}
+                    style={{ padding: 6, borderRadius: 6, border: '1px solid #e2e8f0', minWidth: 240 }}
+                  >
+                    <option value="">— not mapped —</option>
+                    {headers.map((h) => (
+                      <option key={h} value={h}>
+                        {h}
+                      </option>
+                    ))}
+                  </select>
+                </td>
+                <td style={{ padding: 4 }}>
+                  <span
+                    style={{
+                      fontSize: 12,
+                      padding: '2px 8px',
+                      borderRadius: 999,
+                      background: badge.bg,
+                      color: badge.color,
+                    }}
+                  >
+                    {badge.label}
+                  </span>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {available.length > 0 && (
+        <div style={{ marginTop: 12 }}>
+          <div style={{ fontSize: 13, fontWeight: 600 }}>Extra columns</div>
+          <div style={{ fontSize: 12, color: '#64748b', marginTop: 2 }}>
+            Keep these source columns in the output, e.g. to report SLA per assignment group.
+            An incident takes the value of its latest update.
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 14px', marginTop: 6 }}>
+            {available.map((h) => (
+              <label
+                key={h}
+                style={{ fontSize: 13, display: 'flex', gap: 4, alignItems: 'center' }}
+              >
+                <input
+                  type="checkbox"
+                  checked={extraColumns.includes(h)}
+                  disabled={disabled}
+                  onChange={() => toggleExtra(h)}
+                />
+                {h}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,354 @@
+// src/ContractTermsEditor.jsx
+import React, { useState } from 'react';
+import {
+  cloneContract,
+  validateContract,
+  describeContract,
+  DEFAULT_CONTRACT,
+} from './contractTerms';
+
+/*
+  Contract terms editor (modal)
+  - Pick a preset, edit base amount, currency, compliance targets, credit tiers, cut-off and cap
+  - New / Duplicate / Delete presets; Save persists all presets and the active one
+*/
+
+const inputStyle = {
+  padding: '6px 8px',
+  borderRadius: 6,
+  border: '1px solid #e2e8f0',
+  fontSize: 13,
+  boxSizing: 'border-box',
+};
+
+const buttonStyle = {
+  padding: '6px 10px',
+  borderRadius: 8,
+  border: '1px solid #e6eef0',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: 13,
+};
+
+const labelStyle = { display: 'block', fontSize: 13, color: '#334155', marginTop: 14 };
+
+// empty input = null (no target / no cut-off / no cap)
+const optional = (v) => (v === '' ? null : v);
+
+export default function ContractTermsEditor({ contracts, activeName, onSave, onClose }) {
+  const [drafts, setDrafts] = useState(() => contracts.map(cloneContract));
+  const [selected, setSelected] = useState(() =>
+    Math.max(0, contracts.findIndex((c) => c.name === activeName))
+  );
+  const [errors, setErrors] = useState([]);
+
+  const current = drafts[selected];
+
+  function updateCurrent(patch) {
+    setDrafts((prev) => prev.map((c, i) => (i === selected ? { ...c, ...patch } : c)));
+  }
+
+  function updatePriority(key, patch) {
+    updateCurrent({
+      priorities: current.priorities.map((p) => (p.key === key ? { ...p, ...patch } : p)),
+    });
+  }
+
+  function updateTier(key, idx, patch) {
+    const p = current.priorities.find((x) => x.key === key);
+    updatePriority(key, { tiers: p.tiers.map((t, i) => (i === idx ? { ...t, ...patch } : t)) });
+  }
+
+  function uniqueName(base) {
+    const taken = new Set(drafts.map((c) => c.name));
+    let name = base;
+    let n = 2;
+    while (taken.has(name)) name = `${base} ${n++}`;
+    return name;
+  }
+
+  function addContract(from) {
+    const c = cloneContract(from || DEFAULT_CONTRACT);
+    c.name = uniqueName(from ? `${from.name} copy` : 'New contract');
+    setDrafts((prev) => [...prev, c]);
+    setSelected(drafts.length);
+    setErrors([]);
+  }
+
+  function deleteContract() {
+    if (drafts.length <= 1) return;
+    setDrafts((prev) => prev.filter((_, i) => i !== selected));
+    setSelected(0);
+    setErrors([]);
+  }
+
+  function handleSave() {
+    const problems = [];
+    drafts.forEach((c, i) => {
+      const others = drafts.filter((_, j) => j !== i);
+      validateContract(c, others).forEach((e) => problems.push(`${c.name || 'Untitled'}: ${e}`));
+    });
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    const num = (v) => (v == null ? null : Number(v));
+    const cleaned = drafts.map((c) => ({
+      name: c.name.trim(),
+      currency: (c.currency || '').trim(),
+      baseAmount: Number(c.baseAmount),
+      creditCutoffPct: num(c.creditCutoffPct),
+      creditCapPct: num(c.creditCapPct),
+      priorities: c.priorities.map((p) => ({
+        key: p.key,
+        target: num(p.target),
+        tiers: p.tiers
+          .map((t) => ({ below: Number(t.below), creditPct: Number(t.creditPct) }))
+          .sort((a, b) => b.below - a.below),
+      })),
+    }));
+    onSave(cleaned, cleaned[selected].name);
+  }
+
+  const cell = { padding: 4, verticalAlign: 'top' };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(2,6,23,0.5)',
+        zIndex: 60,
+      }}
+    >
+      <div
+        style={{
+          width: 680,
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          background: 'white',
+          borderRadius: 12,
+          padding: 20,
+          boxShadow: '0 10px 40px rgba(2,6,23,0.6)',
+        }}
+      >
+        <h3 style={{ margin: 0, fontSize: 18 }}>Contract terms</h3>
+        <p style={{ marginTop: 6, color: '#475569', fontSize: 13 }}>
+          Used for the Compliance and Credit columns of the SUI SLA sheet. A priority is compliant
+          when the share of its measured incidents within SLA reaches the target; a non-compliant
+          priority earns the credit of the lowest tier its score falls under.
+        </p>
+
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 12 }}>
+          <select
+            value={selected}
+            onChange={(e) => {
+              setSelected(Number(e.target.value));
+              setErrors([]);
+            }}
+            style={{ ...inputStyle, minWidth: 200 }}
+          >
+            {drafts.map((c, i) => (
+              <option key={i} value={i}>
+                {c.name || 'Untitled'}
+              </option>
+            ))}
+          </select>
+          <button onClick={() => addContract(null)} style={buttonStyle}>
+            New
+          </button>
+          <button onClick={() => addContract(current)} style={buttonStyle}>
+            Duplicate
+          </button>
+          <button
+            onClick={deleteContract}
+            disabled={drafts.length <= 1}
+            style={{ ...buttonStyle, color: drafts.length <= 1 ? '#94a3b8' : '#b91c1c' }}
+          >
+            Delete
+          </button>
+        </div>
+
+        <label style={labelStyle}>Contract name</label>
+        <input
+          value={current.name}
+          onChange={(e) => updateCurrent({ name: e.target.value })}
+          style={{ ...inputStyle, width: '100%', marginTop: 4 }}
+        />
+
+        <div style={{ display: 'flex', gap: 12 }}>
+          <div>
+            <label style={labelStyle}>Monthly base amount</label>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={current.baseAmount}
+              onChange={(e) => updateCurrent({ baseAmount: e.target.value })}
+              style={{ ...inputStyle, width: 150, marginTop: 4 }}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Currency</label>
+            <input
+              value={current.currency}
+              placeholder="$, €, GBP…"
+              onChange={(e) => updateCurrent({ currency: e.target.value })}
+              style={{ ...inputStyle, width: 90, marginTop: 4 }}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Pay credit while breach share &lt; (%)</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={current.creditCutoffPct ?? ''}
+              placeholder="always"
+              onChange={(e) => updateCurrent({ creditCutoffPct: optional(e.target.value) })}
+              style={{ ...inputStyle, width: 110, marginTop: 4 }}
+            />
+          </div>
+          <div>
+            <label style={labelStyle}>Total credit cap (% of base)</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="0.1"
+              value={current.creditCapPct ?? ''}
+              placeholder="no cap"
+              onChange={(e) => updateCurrent({ creditCapPct: optional(e.target.value) })}
+              style={{ ...inputStyle, width: 110, marginTop: 4 }}
+            />
+          </div>
+        </div>
+
+        <table style={{ borderCollapse: 'collapse', width: '100%', marginTop: 14 }}>
+          <thead>
+            <tr>
+              {['Priority', 'Target within SLA (%)', 'Credit tiers: score below → credit'].map((h) => (
+                <th
+                  key={h}
+                  style={{
+                    textAlign: 'left',
+                    fontSize: 12,
+                    color: '#475569',
+                    padding: '4px 6px',
+                    borderBottom: '1px solid #e6eef0',
+                  }}
+                >
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {current.priorities.map((p) => (
+              <tr key={p.key}>
+                <td style={{ ...cell, paddingTop: 10, fontSize: 13, fontWeight: 600 }}>{p.key}</td>
+                <td style={cell}>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    value={p.target ?? ''}
+                    placeholder="not measured"
+                    onChange={(e) => updatePriority(p.key, { target: optional(e.target.value) })}
+                    style={{ ...inputStyle, width: 130 }}
+                  />
+                </td>
+                <td style={cell}>
+                  {p.tiers.map((t, idx) => (
+                    <div key={idx} style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 4 }}>
+                      <span style={{ fontSize: 12, color: '#64748b' }}>below</span>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.1"
+                        value={t.below}
+                        onChange={(e) => updateTier(p.key, idx, { below: e.target.value })}
+                        style={{ ...inputStyle, width: 80 }}
+                      />
+                      <span style={{ fontSize: 12, color: '#64748b' }}>% →</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.05"
+                        value={t.creditPct}
+                        onChange={(e) => updateTier(p.key, idx, { creditPct: e.target.value })}
+                        style={{ ...inputStyle, width: 80 }}
+                      />
+                      <span style={{ fontSize: 12, color: '#64748b' }}>% credit</span>
+                      <button
+                        title="Remove tier"
+                        onClick={() => updatePriority(p.key, { tiers: p.tiers.filter((_, i) => i !== idx) })}
+                        style={{ ...buttonStyle, padding: '4px 8px', color: '#b91c1c' }}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    disabled={p.target == null}
+                    onClick={() =>
+                      updatePriority(p.key, {
+                        tiers: [...p.tiers, { below: p.target ?? 100, creditPct: 0 }],
+                      })
+                    }
+                    style={{ ...buttonStyle, padding: '4px 8px', color: p.target == null ? '#94a3b8' : '#0f172a' }}
+                  >
+                    + Add tier
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div style={{ marginTop: 10, fontSize: 12, color: '#64748b' }}>{describeContract(current)}</div>
+
+        {errors.length > 0 && (
+          <div
+            style={{
+              marginTop: 12,
+              padding: 10,
+              borderRadius: 8,
+              background: '#fef2f2',
+              color: '#b91c1c',
+              fontSize: 13,
+            }}
+          >
+            {errors.map((e, i) => (
+              <div key={i}>{e}</div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 16 }}>
+          <button onClick={onClose} style={{ ...buttonStyle, padding: '8px 12px' }}>
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            style={{
+              padding: '8px 12px',
+              borderRadius: 8,
+              border: 'none',
+              background: '#06b6d4',
+              color: 'white',
+              cursor: 'pointer',
+            }}
+          >
+            Save and use this contract
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
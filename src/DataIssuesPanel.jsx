@@ -0,0 +1,138 @@
+// src/DataIssuesPanel.jsx
+import React, { useState } from 'react';
+import { ISSUE_KINDS, summarizeIssues, issueValueText } from './dataIssues';
+
+/*
+  Data Issues panel shown with the preview
+  - One chip per kind of issue with its count; click a chip to list only that kind
+  - Lists source row numbers so the rows can be fixed in the export
+  - The same list is written to the Data Issues sheet of the download
+*/
+
+const PAGE = 100;
+
+export default function DataIssuesPanel({ issues }) {
+  const [open, setOpen] = useState(false);
+  const [kindFilter, setKindFilter] = useState(null);
+  const [shown, setShown] = useState(PAGE);
+
+  const summary = summarizeIssues(issues);
+  const withSource = issues.some((i) => i.source);
+  // a new preview may no longer have the chosen kind
+  const activeKind = summary.some((s) => s.kind === kindFilter) ? kindFilter : null;
+  const listed = activeKind ? issues.filter((i) => i.kind === activeKind) : issues;
+
+  function selectKind(kind) {
+    setKindFilter(activeKind === kind ? null : kind);
+    setShown(PAGE);
+    setOpen(true);
+  }
+
+  const cell = { padding: '4px 8px', fontSize: 12, borderBottom: '1px solid #f1f5f9' };
+
+  return (
+    <div
+      style={{
+        marginTop: 16,
+        padding: 14,
+        border: `1px solid ${issues.length ? '#fde68a' : '#e6eef0'}`,
+        borderRadius: 8,
+        background: issues.length ? '#fffbeb' : '#fbfdff',
+      }}
+    >
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+        <div style={{ fontSize: 14, fontWeight: 600 }}>
+          Data issues — {issues.length === 0 ? 'none found' : `${issues.length} found`}
+        </div>
+        {issues.length > 0 && (
+          <button
+            onClick={() => setOpen(!open)}
+            style={{
+              marginLeft: 'auto',
+              padding: '4px 10px',
+              borderRadius: 6,
+              border: '1px solid #e6eef0',
+              background: 'white',
+              cursor: 'pointer',
+            }}
+          >
+            {open ? 'Hide rows' : 'Show rows'}
+          </button>
+        )}
+      </div>
+      {issues.length > 0 && (
+        <div style={{ fontSize: 12, color: '#64748b', marginTop: 2 }}>
+          These rows or values were skipped or could not be read; they are also listed in the Data
+          Issues sheet of the download.
+        </div>
+      )}
+
+      {summary.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, marginTop: 10 }}>
+          {summary.map((s) => (
+            <button
+              key={s.kind}
+              title={ISSUE_KINDS[s.kind].effect}
+              onClick={() => selectKind(s.kind)}
+              style={{
+                fontSize: 12,
+                padding: '3px 10px',
+                borderRadius: 999,
+                border: activeKind === s.kind ? '1px solid #b45309' : '1px solid #fde68a',
+                background: activeKind === s.kind ? '#fef3c7' : 'white',
+                color: '#78350f',
+                cursor: 'pointer',
+              }}
+            >
+              {s.label}: <strong>{s.count}</strong>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {open && listed.length > 0 && (
+        <div style={{ marginTop: 10, maxHeight: 320, overflowY: 'auto', background: 'white' }}>
+          <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr style={{ background: '#f8fafc', textAlign: 'left' }}>
+                {withSource && <th style={cell}>Source</th>}
+                <th style={cell}>Row</th>
+                <th style={cell}>Number</th>
+                <th style={cell}>Problem</th>
+                <th style={cell}>Column</th>
+                <th style={cell}>Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {listed.slice(0, shown).map((issue, idx) => (
+                <tr key={idx}>
+                  {withSource && <td style={cell}>{issue.source}</td>}
+                  <td style={cell}>{issue.row}</td>
+                  <td style={cell}>{issue.number}</td>
+                  <td style={cell}>{ISSUE_KINDS[issue.kind].label}</td>
+                  <td style={cell}>{issue.column}</td>
+                  <td style={{ ...cell, fontFamily: 'monospace' }}>{issueValueText(issue.value)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {listed.length > shown && (
+            <button
+              onClick={() => setShown(shown + PAGE)}
+              style={{
+                margin: 8,
+                padding: '4px 10px',
+                borderRadius: 6,
+                border: '1px solid #e6eef0',
+                background: 'white',
+                cursor: 'pointer',
+              }}
+            >
+              Show {Math.min(PAGE, listed.length - shown)} more of {listed.length - shown}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+// src/DateProfileEditor.jsx
+import React, { useState } from 'react';
+import { DATE_ORDERS, cloneDateProfile, validateDateProfile } from './dateProfile';
+import { parseToDate, formatIso } from './dateHelpers';
+
+/*
+  Date format & time zone editor (modal)
+  - Date order for d/m/y-style text, or detect it from the file
+  - Source time zone (the export's times) and display time zone (output columns)
+  - Shows how a sample value is read with the current choices
+*/
+
+const inputStyle = {
+  padding: '6px 8px',
+  borderRadius: 6,
+  border: '1px solid #e2e8f0',
+  fontSize: 13,
+  boxSizing: 'border-box',
+};
+
+const timeZones =
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+const SAMPLE = '01/02/2025 09:30';
+
+export default function DateProfileEditor({ profile, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => cloneDateProfile(profile));
+  const [errors, setErrors] = useState([]);
+
+  function set(key, value) {
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  }
+
+  function handleSave() {
+    const clean = {
+      ...draft,
+      sourceTimeZone: draft.sourceTimeZone.trim(),
+      displayTimeZone: draft.displayTimeZone.trim(),
+    };
+    const problems = validateDateProfile(clean);
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    onSave(clean);
+  }
+
+  let example = '';
+  if (validateDateProfile(draft).length === 0) {
+    const d = parseToDate(SAMPLE, draft);
+    example = d ? formatIso(d, draft.displayTimeZone) : 'not a date in this format';
+  }
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(2,6,23,0.5)',
+        zIndex: 60,
+      }}
+    >
+      <div
+        style={{
+          width: 520,
+          background: 'white',
+          borderRadius: 12,
+          padding: 20,
+          boxShadow: '0 10px 40px rgba(2,6,23,0.6)',
+        }}
+      >
+        <h3 style={{ margin: 0, fontSize: 18 }}>Date format & time zones</h3>
+        <p style={{ marginTop: 6, color: '#475569', fontSize: 13 }}>
+          How Opened and Updated values are read, and which time zone the output dates are shown
+          in. Intervals are measured between the actual moments, including daylight-saving changes.
+        </p>
+
+        <label style={{ display: 'block', fontSize: 13, color: '#334155', marginTop: 14 }}>
+          Date order
+        </label>
+        <select
+          value={draft.dateOrder}
+          onChange={(e) => set('dateOrder', e.target.value)}
+          style={{ ...inputStyle, width: '100%', marginTop: 4 }}
+        >
+          {Object.entries(DATE_ORDERS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        <label style={{ display: 'block', fontSize: 13, color: '#334155', marginTop: 14 }}>
+          Source time zone — the zone the export's times are in (empty: this browser's local time)
+        </label>
+        <input
+          list="erp-date-time-zones"
+          value={draft.sourceTimeZone}
+          placeholder="e.g. America/New_York"
+          onChange={(e) => set('sourceTimeZone', e.target.value)}
+          style={{ ...inputStyle, width: '100%', marginTop: 4 }}
+        />
+
+        <label style={{ display: 'block', fontSize: 13, color: '#334155', marginTop: 14 }}>
+          Display time zone — for Opened Date and Nth Updated (empty: this browser's local time)
+        </label>
+        <input
+          list="erp-date-time-zones"
+          value={draft.displayTimeZone}
+          placeholder="e.g. Europe/London"
+          onChange={(e) => set('displayTimeZone', e.target.value)}
+          style={{ ...inputStyle, width: '100%', marginTop: 4 }}
+        />
+        <datalist id="erp-date-time-zones">
+          {timeZones.map((tz) => (
+            <option key={tz} value={tz} />
+          ))}
+        </datalist>
+
+        {example && (
+          <div style={{ marginTop: 12, fontSize: 13, color: '#334155' }}>
+            Example: <code>{SAMPLE}</code> → <code>{example}</code>
+            {draft.dateOrder === 'auto' && (
+              <span style={{ color: '#64748b' }}> (the order is decided from the whole file)</span>
+            )}
+          </div>
+        )}
+
+        {errors.length > 0 && (
+          <div
+            style={{
+              marginTop: 12,
+              padding: 10,
+              borderRadius: 8,
+              background: '#fef2f2',
+              color: '#b91c1c',
+              fontSize: 13,
+            }}
+          >
+            {errors.map((e, i) => (
+              <div key={i}>{e}</div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 16 }}>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '8px 12px',
+              borderRadius: 8,
+              border: '1px solid #e6eef0',
+              background: 'white',
+              cursor: 'pointer',
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            style={{
+              padding: '8px 12px',
+              borderRadius: 8,
+              border: 'none',
+              background: '#06b6d4',
+              color: 'white',
+              cursor: 'pointer',
+            }}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
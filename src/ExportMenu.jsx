@@ -0,0 +1,97 @@
+// src/ExportMenu.jsx
+import React, { useState } from 'react';
+import { EXPORT_FORMATS } from './reportExport';
+
+/*
+  Export menu next to the download button
+  - One entry per format in EXPORT_FORMATS (workbook, CSV, JSON, HTML and PDF report)
+  - "Only the filtered rows" exports what the preview's filters leave, in the table's order;
+    it is offered when the filters hide some rows
+*/
+
+const itemStyle = {
+  display: 'block',
+  width: '100%',
+  textAlign: 'left',
+  padding: '8px 12px',
+  border: 'none',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: 13,
+};
+
+export default function ExportMenu({ disabled, filteredCount, totalCount, onExport }) {
+  const [open, setOpen] = useState(false);
+  const [onlyFiltered, setOnlyFiltered] = useState(false);
+  const canFilter = filteredCount > 0 && filteredCount < totalCount;
+
+  function choose(format) {
+    setOpen(false);
+    onExport(format, canFilter && onlyFiltered);
+  }
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        aria-haspopup="menu"
+        aria-expanded={open}
+        style={{
+          padding: '10px 16px',
+          background: 'white',
+          color: disabled ? '#94a3b8' : '#0f172a',
+          borderRadius: 8,
+          border: '1px solid #cbd5e1',
+          cursor: disabled ? 'not-allowed' : 'pointer',
+        }}
+      >
+        Export ▾
+      </button>
+      {open && !disabled && (
+        <div
+          role="menu"
+          style={{
+            position: 'absolute',
+            top: '100%',
+            left: 0,
+            marginTop: 4,
+            minWidth: 260,
+            background: 'white',
+            border: '1px solid #e2e8f0',
+            borderRadius: 8,
+            boxShadow: '0 8px 24px rgba(2,6,23,0.15)',
+            zIndex: 20,
+            overflow: 'hidden',
+          }}
+        >
+          <label
+            style={{
+              display: 'flex',
+              gap: 6,
+              alignItems: 'center',
+              padding: '8px 12px',
+              borderBottom: '1px solid #f1f5f9',
+              fontSize: 12,
+              color: canFilter ? '#0f172a' : '#94a3b8',
+            }}
+            title={canFilter ? '' : 'The filters do not hide any rows'}
+          >
+            <input
+              type="checkbox"
+              checked={canFilter && onlyFiltered}
+              disabled={!canFilter}
+              onChange={(e) => setOnlyFiltered(e.target.checked)}
+            />
+            Export only the {canFilter ? filteredCount : ''} filtered rows
+          </label>
+          {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+            <button key={key} role="menuitem" onClick={() => choose(key)} style={itemStyle}>
+              {f.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
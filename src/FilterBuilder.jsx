@@ -0,0 +1,315 @@
+// src/FilterBuilder.jsx
+import React, { useMemo, useState } from 'react';
+import {
+  PERIODS,
+  SLA_VALUES,
+  newCondition,
+  newGroup,
+  isGroup,
+  operatorsFor,
+  needsValue,
+  suggestValues,
+} from './filterModel';
+import { columnType } from './columnModel';
+
+/*
+  Filter builder panel above the preview
+  - Conditions pick a column, an operator for its type (see filterModel.js) and a value:
+    a date, a period ("this month"), a duration ("4h", "1d 2h"), a verdict or text
+  - The top level matches all or any of its conditions, and can hold groups that match the
+    other way, e.g. Priority is P1 - Critical and (Made SLA is N or Interval 1 longer than 4h)
+  - Saved views keep the filter with the table's sort under a name; Copy link puts the view
+    in a URL to send to a teammate
+*/
+
+const inputStyle = { padding: 6, borderRadius: 6, border: '1px solid #cbd5e1', fontSize: 13 };
+const linkButton = {
+  padding: '4px 8px',
+  border: 'none',
+  background: 'transparent',
+  color: '#2563eb',
+  cursor: 'pointer',
+  fontSize: 13,
+};
+const removeButton = { ...linkButton, color: '#b91c1c' };
+
+function ValueEditor({ condition, suggestions, onChange }) {
+  const { column, op } = condition;
+  if (!needsValue(op)) return null;
+  const type = columnType(column);
+  const set = (key) => (e) => onChange({ ...condition, [key]: e.target.value });
+
+  if (type === 'date' && op === 'period') {
+    return (
+      <select value={condition.value} onChange={set('value')} style={inputStyle}>
+        <option value="">Choose a period…</option>
+        {Object.entries(PERIODS).map(([key, label]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+    );
+  }
+  if (type === 'sla' && op === 'equals') {
+    return (
+      <select value={condition.value} onChange={set('value')} style={inputStyle}>
+        <option value="">Choose…</option>
+        {SLA_VALUES.map((v) => (
+          <option key={v} value={v}>
+            {v}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  const props =
+    type === 'date'
+      ? { type: 'date' }
+      : type === 'duration'
+      ? { placeholder: 'e.g. 4h or 1d 2h', style: { ...inputStyle, width: 120 } }
+      : op === 'in'
+      ? { placeholder: type === 'sla' ? 'Y, Excluded' : 'comma-separated values' }
+      : { placeholder: 'value' };
+  const listId = type === 'text' && suggestions.length > 0 ? `filter-values-${column}` : undefined;
+  return (
+    <>
+      <input
+        value={condition.value}
+        onChange={set('value')}
+        list={op === 'in' ? undefined : listId}
+        aria-label={`${column} value`}
+        style={inputStyle}
+        {...props}
+      />
+      {op === 'between' && (
+        <>
+          <span style={{ fontSize: 13, color: '#475569' }}>and</span>
+          <input
+            value={condition.to}
+            onChange={set('to')}
+            aria-label={`${column} upper value`}
+            style={inputStyle}
+            {...props}
+          />
+        </>
+      )}
+      {listId && (
+        <datalist id={listId}>
+          {suggestions.map((v) => (
+            <option key={v} value={v} />
+          ))}
+        </datalist>
+      )}
+    </>
+  );
+}
+
+function ConditionRow({ condition, headers, suggestionsFor, onChange, onRemove }) {
+  const ops = condition.column ? operatorsFor(condition.column) : {};
+  return (
+    <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+      <select
+        value={condition.column}
+        onChange={(e) => onChange(newCondition(e.target.value))}
+        aria-label="Column"
+        style={inputStyle}
+      >
+        <option value="">Column…</option>
+        {headers.map((h) => (
+          <option key={h} value={h}>
+            {h}
+          </option>
+        ))}
+      </select>
+      {condition.column && (
+        <select
+          value={condition.op}
+          onChange={(e) => onChange({ ...condition, op: e.target.value, value: '', to: '' })}
+          aria-label="Operator"
+          style={inputStyle}
+        >
+          {Object.entries(ops).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+      )}
+      {condition.column && (
+        <ValueEditor
+          condition={condition}
+          suggestions={suggestionsFor(condition.column)}
+          onChange={onChange}
+        />
+      )}
+      <button onClick={onRemove} style={removeButton} title="Remove this condition">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+function GroupEditor({ group, headers, suggestionsFor, onChange, onRemove, nested }) {
+  const setItem = (i, item) =>
+    onChange({ ...group, items: group.items.map((x, j) => (j === i ? item : x)) });
+  const removeItem = (i) => onChange({ ...group, items: group.items.filter((_, j) => j !== i) });
+
+  return (
+    <div
+      style={{
+        display: 'grid',
+        gap: 6,
+        padding: nested ? 8 : 0,
+        border: nested ? '1px dashed #cbd5e1' : 'none',
+        borderRadius: 8,
+      }}
+    >
+      <div
+        style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 13, color: '#475569' }}
+      >
+        Match
+        <select
+          value={group.match}
+          onChange={(e) => onChange({ ...group, match: e.target.value })}
+          style={inputStyle}
+        >
+          <option value="all">all</option>
+          <option value="any">any</option>
+        </select>
+        of {nested ? 'these' : 'the following'}
+        {nested && (
+          <button onClick={onRemove} style={{ ...removeButton, marginLeft: 'auto' }}>
+            Remove group
+          </button>
+        )}
+      </div>
+      {group.items.map((item, i) =>
+        isGroup(item) ? (
+          <GroupEditor
+            key={i}
+            group={item}
+            headers={headers}
+            suggestionsFor={suggestionsFor}
+            onChange={(g) => setItem(i, g)}
+            onRemove={() => removeItem(i)}
+            nested
+          />
+        ) : (
+          <ConditionRow
+            key={i}
+            condition={item}
+            headers={headers}
+            suggestionsFor={suggestionsFor}
+            onChange={(c) => setItem(i, c)}
+            onRemove={() => removeItem(i)}
+          />
+        )
+      )}
+      <div style={{ display: 'flex', gap: 4 }}>
+        <button
+          onClick={() => onChange({ ...group, items: [...group.items, newCondition()] })}
+          style={linkButton}
+        >
+          + Condition
+        </button>
+        {!nested && (
+          <button
+            onClick={() => onChange({ ...group, items: [...group.items, newGroup()] })}
+            style={linkButton}
+          >
+            + Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function FilterBuilder({
+  headers,
+  rows,
+  filter,
+  onChange,
+  views,
+  activeView,
+  onApplyView,
+  onSaveView,
+  onDeleteView,
+  onCopyLink,
+  onClose,
+}) {
+  const [viewName, setViewName] = useState(activeView || '');
+
+  // value suggestions for the text columns, counted once per column while the rows stay
+  const suggestionsFor = useMemo(() => {
+    const cache = new Map();
+    return (column) => {
+      if (columnType(column) !== 'text') return [];
+      if (!cache.has(column)) cache.set(column, suggestValues(rows, column));
+      return cache.get(column);
+    };
+  }, [rows]);
+
+  return (
+    <div
+      style={{
+        marginBottom: 10,
+        padding: 12,
+        border: '1px solid #e2e8f0',
+        borderRadius: 8,
+        background: '#f8fafc',
+        display: 'grid',
+        gap: 10,
+      }}
+    >
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+        <strong style={{ fontSize: 14 }}>Filters</strong>
+        <select
+          value={activeView || ''}
+          onChange={(e) => {
+            setViewName(e.target.value);
+            if (e.target.value) onApplyView(e.target.value);
+          }}
+          aria-label="Saved views"
+          style={inputStyle}
+        >
+          <option value="">{views.length ? 'Saved views…' : 'No saved views'}</option>
+          {views.map((v) => (
+            <option key={v.name} value={v.name}>
+              {v.name}
+            </option>
+          ))}
+        </select>
+        <input
+          value={viewName}
+          onChange={(e) => setViewName(e.target.value)}
+          placeholder="View name, e.g. P1 breaches this month"
+          aria-label="View name"
+          style={{ ...inputStyle, minWidth: 240 }}
+        />
+        <button onClick={() => onSaveView(viewName)} style={linkButton}>
+          Save view
+        </button>
+        {activeView && (
+          <button onClick={() => onDeleteView(activeView)} style={removeButton}>
+            Delete view
+          </button>
+        )}
+        <button onClick={onCopyLink} style={linkButton} title="Copy a link to this filter and sort">
+          Copy link
+        </button>
+        <button onClick={onClose} style={{ ...linkButton, marginLeft: 'auto', color: '#475569' }}>
+          Close
+        </button>
+      </div>
+      <GroupEditor
+        group={filter}
+        headers={headers}
+        suggestionsFor={suggestionsFor}
+        onChange={onChange}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,385 @@
+// src/IncidentDrilldown.jsx
+import React, { useState } from 'react';
+import { buildTimeline } from './incidentTimeline';
+import { describeCalendar } from './workingCalendar';
+import {
+  OVERRIDE_ACTIONS,
+  REASON_CODES,
+  EXCLUDED,
+  validateOverride,
+  describeOverride,
+} from './slaOverrides';
+
+/*
+  Drill-down side panel for one incident (click a row in the preview table)
+  - Vertical timeline: opened time, then each update with the gap since the previous step
+    and its Made SLA verdict against the priority's threshold; the first breaching gap is marked
+  - With pause states, each update shows the State it set, and paused gaps show their gross time
+  - The raw input rows processRows grouped into the incident, with their source and row number;
+    sourceRows is null while they are read, and sourceRowsNote replaces them when they cannot be
+  - Override the whole incident or one measured gap (exclude / count as made / breached) with a
+    reason code and comment; the row shown already has its overrides applied. Without
+    onSetOverride (the user's role may not set overrides) existing overrides are shown read-only
+*/
+
+const GREEN = '#16a34a';
+const RED = '#dc2626';
+const GREY = '#94a3b8';
+
+function Dot({ color }) {
+  return (
+    <div
+      style={{
+        width: 12,
+        height: 12,
+        borderRadius: '50%',
+        background: color,
+        border: '2px solid white',
+        boxShadow: `0 0 0 1px ${color}`,
+        flexShrink: 0,
+        marginTop: 3,
+      }}
+    />
+  );
+}
+
+const smallButton = {
+  padding: '2px 8px',
+  borderRadius: 6,
+  border: '1px solid #e6eef0',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: 12,
+};
+
+const inputStyle = {
+  padding: '4px 6px',
+  borderRadius: 6,
+  border: '1px solid #e2e8f0',
+  fontSize: 12,
+  boxSizing: 'border-box',
+};
+
+function OverrideForm({ number, interval, onSave, onCancel }) {
+  const [action, setAction] = useState('exclude');
+  const [reason, setReason] = useState('customer-wait');
+  const [comment, setComment] = useState('');
+  const [errors, setErrors] = useState([]);
+
+  function handleSave() {
+    const o = { number, interval, action, reason, comment: comment.trim() };
+    const problems = validateOverride(o);
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    onSave(o);
+  }
+
+  return (
+    <div
+      style={{
+        marginTop: 6,
+        padding: 8,
+        borderRadius: 8,
+        background: '#f8fafc',
+        display: 'flex',
+        flexWrap: 'wrap',
+        gap: 6,
+      }}
+    >
+      <select value={action} onChange={(e) => setAction(e.target.value)} style={inputStyle}>
+        {Object.entries(OVERRIDE_ACTIONS).map(([key, label]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <select value={reason} onChange={(e) => setReason(e.target.value)} style={inputStyle}>
+        {Object.entries(REASON_CODES).map(([key, label]) => (
+          <option key={key} value={key}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <input
+        value={comment}
+        placeholder="Comment"
+        onChange={(e) => setComment(e.target.value)}
+        style={{ ...inputStyle, flex: 1, minWidth: 160 }}
+      />
+      <button onClick={handleSave} style={{ ...smallButton, background: '#06b6d4', color: 'white' }}>
+        Save
+      </button>
+      <button onClick={onCancel} style={smallButton}>
+        Cancel
+      </button>
+      {errors.map((e, i) => (
+        <div key={i} style={{ width: '100%', fontSize: 12, color: '#b91c1c' }}>
+          {e}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Existing override with a Remove button, or an Override button that opens the form
+function OverrideControl({ number, interval, override, editing, setEditing, onSet, onRemove }) {
+  const target = interval == null ? 'incident' : interval;
+  if (override) {
+    const remove = onRemove && (
+      <button onClick={() => onRemove(override)} style={{ ...smallButton, color: '#b91c1c' }}>
+        Remove
+      </button>
+    );
+    return (
+      <div style={{ marginTop: 4, fontSize: 12, color: '#92400e' }}>
+        {describeOverride(override)}
+        {override.comment ? ` — ${override.comment}` : ''}
+        <span style={{ color: '#64748b' }}>
+          {' '}
+          · {override.by}, {new Date(override.at).toLocaleString()}
+        </span>{' '}
+        {remove}
+      </div>
+    );
+  }
+  if (!onSet) return null;
+  if (editing === target) {
+    return (
+      <OverrideForm
+        number={number}
+        interval={interval}
+        onSave={(o) => {
+          onSet(o);
+          setEditing(null);
+        }}
+        onCancel={() => setEditing(null)}
+      />
+    );
+  }
+  return (
+    <button onClick={() => setEditing(target)} style={{ ...smallButton, marginTop: 4 }}>
+      Override…
+    </button>
+  );
+}
+
+function verdictText(made) {
+  if (made === 'Y') return 'within SLA';
+  if (made === 'N') return 'breached';
+  return made === EXCLUDED ? 'excluded by override' : 'no verdict';
+}
+
+function rawText(v) {
+  if (v === null || v === undefined) return '';
+  return String(v);
+}
+
+export default function IncidentDrilldown({
+  row,
+  headers,
+  sourceRows,
+  sourceRowsNote,
+  policy,
+  calendar,
+  overrides,
+  onSetOverride,
+  onRemoveOverride,
+  onClose,
+}) {
+  // 'incident' or the interval N whose override form is open
+  const [editing, setEditing] = useState(null);
+  const t = buildTimeline(row, headers, policy);
+  const overrideFor = (interval) => overrides.find((o) => (o.interval ?? null) === interval);
+  const controlProps = {
+    number: t.number,
+    editing,
+    setEditing,
+    onSet: onSetOverride,
+    onRemove: onRemoveOverride,
+  };
+  const businessTime = !!(calendar && calendar.enabled);
+  const rawColumns = [];
+  for (const s of sourceRows || [])
+    for (const k of Object.keys(s.values)) if (!rawColumns.includes(k)) rawColumns.push(k);
+  const withSource = (sourceRows || []).some((s) => s.source);
+
+  const cell = { padding: '4px 8px', fontSize: 12, borderBottom: '1px solid #f1f5f9' };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: 460,
+        maxWidth: '100vw',
+        background: 'white',
+        boxShadow: '-8px 0 30px rgba(2,6,23,0.25)',
+        zIndex: 50,
+        display: 'flex',
+        flexDirection: 'column',
+      }}
+    >
+      <div style={{ padding: 16, borderBottom: '1px solid #e6eef0', display: 'flex', gap: 8 }}>
+        <div>
+          <div style={{ fontSize: 18, fontWeight: 700 }}>{t.number}</div>
+          <div style={{ fontSize: 13, color: '#475569' }}>
+            {t.priority || 'No priority'} · {t.state || 'No state'} · Made SLA:{' '}
+            <strong style={{ color: t.madeSla === 'N' ? RED : t.madeSla === 'Y' ? GREEN : GREY }}>
+              {t.madeSla || 'not measured'}
+            </strong>
+          </div>
+          <OverrideControl {...controlProps} interval={null} override={overrideFor(null)} />
+        </div>
+        <button
+          onClick={onClose}
+          style={{
+            marginLeft: 'auto',
+            alignSelf: 'flex-start',
+            padding: '6px 10px',
+            borderRadius: 8,
+            border: '1px solid #e6eef0',
+            background: 'white',
+            cursor: 'pointer',
+          }}
+        >
+          Close
+        </button>
+      </div>
+
+      <div style={{ padding: 16, overflowY: 'auto', flex: 1 }}>
+        <div style={{ fontSize: 13, color: '#334155', marginBottom: 14 }}>
+          Each gap is judged against{' '}
+          <strong>
+            {t.threshold.hours}h ({t.threshold.rule ? `rule "${t.threshold.rule}"` : 'policy default'})
+          </strong>
+          {businessTime ? `, measured in ${describeCalendar(calendar)}` : ''}.
+        </div>
+
+        <div style={{ position: 'relative', paddingLeft: 4 }}>
+          <div
+            style={{
+              position: 'absolute',
+              left: 9,
+              top: 8,
+              bottom: 8,
+              width: 2,
+              background: '#e2e8f0',
+            }}
+          />
+          <div style={{ display: 'flex', gap: 12, marginBottom: 14, position: 'relative' }}>
+            <Dot color="#0f172a" />
+            <div>
+              <div style={{ fontSize: 13, fontWeight: 600 }}>Opened</div>
+              <div style={{ fontSize: 13 }}>{t.opened || 'No usable Opened date'}</div>
+            </div>
+          </div>
+
+          {t.steps.map((s) => {
+            const color = s.made === 'N' ? RED : s.made === 'Y' ? GREEN : GREY;
+            return (
+              <div
+                key={s.n}
+                style={{ display: 'flex', gap: 12, marginBottom: 14, position: 'relative' }}
+              >
+                <Dot color={color} />
+                <div>
+                  <div style={{ fontSize: 12, color }}>
+                    {s.interval
+                      ? `+${s.interval}${
+                          s.paused ? ` net (${s.gross} gross, clock paused)` : ''
+                        }${businessTime && s.elapsed ? ` (${s.elapsed} elapsed)` : ''} — ${verdictText(
+                          s.made
+                        )}`
+                      : 'gap not measured'}
+                  </div>
+                  <div style={{ fontSize: 13, fontWeight: 600 }}>
+                    Update {s.n}
+                    {s.state && (
+                      <span style={{ fontWeight: 400, color: '#475569' }}> → {s.state}</span>
+                    )}
+                  </div>
+                  <div style={{ fontSize: 13 }}>{s.updated}</div>
+                  {s.n === t.breachAt && (
+                    <div
+                      style={{
+                        marginTop: 4,
+                        padding: '2px 8px',
+                        display: 'inline-block',
+                        borderRadius: 6,
+                        background: '#fef2f2',
+                        color: RED,
+                        fontSize: 12,
+                        fontWeight: 600,
+                      }}
+                    >
+                      This gap caused the breach
+                    </div>
+                  )}
+                  {s.interval && (
+                    <OverrideControl {...controlProps} interval={s.n} override={overrideFor(s.n)} />
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          {t.steps.length === 0 && (
+            <div style={{ fontSize: 13, color: '#64748b', paddingLeft: 24 }}>No updates.</div>
+          )}
+        </div>
+
+        <div style={{ fontSize: 14, fontWeight: 600, marginTop: 18, marginBottom: 6 }}>
+          Source rows{sourceRows ? ` (${sourceRows.length})` : ''}
+        </div>
+        {sourceRowsNote || !sourceRows ? (
+          <div style={{ fontSize: 13, color: '#64748b' }}>
+            {sourceRowsNote || 'Reading the source rows…'}
+          </div>
+        ) : (
+          <>
+            <div style={{ overflowX: 'auto', border: '1px solid #e6eef0', borderRadius: 8 }}>
+              <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+                <thead>
+                  <tr>
+                    {[...(withSource ? ['Source'] : []), 'Row', ...rawColumns].map((h) => (
+                      <th
+                        key={h}
+                        style={{
+                          ...cell,
+                          textAlign: 'left',
+                          background: '#f8fafc',
+                          whiteSpace: 'nowrap',
+                        }}
+                      >
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {sourceRows.map((s, i) => (
+                    <tr key={i}>
+                      {withSource && <td style={cell}>{s.source}</td>}
+                      <td style={cell}>{s.row}</td>
+                      {rawColumns.map((c) => (
+                        <td key={c} style={{ ...cell, whiteSpace: 'nowrap' }}>
+                          {rawText(s.values[c])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div style={{ fontSize: 12, color: '#64748b', marginTop: 6 }}>
+              Values as read from the file (Excel date cells appear as serial numbers).
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,91 +1,287 @@
 // src/IncidentExcelProcessor.jsx
 import React, { useState, useMemo, useRef, useEffect } from 'react';
-import * as XLSX from 'xlsx'; // for parsing input and preview
-import ExcelJS from 'exceljs/dist/exceljs.min.js';
+import { useSearchParams } from 'react-router-dom';
 import { saveAs } from 'file-saver';
+import { runPipelineJob, PROGRESS_LABELS, PROGRESS_UNITS } from './pipelineClient';
+import { ACCEPTED_EXTENSIONS, validateInputFile } from './inputFormats';
+import SourcePicker from './SourcePicker';
+import ColumnMappingPanel from './ColumnMappingPanel';
+import DataIssuesPanel from './DataIssuesPanel';
+import SlaDashboard from './SlaDashboard';
+import IncidentDrilldown from './IncidentDrilldown';
+import RunHistoryPanel from './RunHistoryPanel';
+import VirtualGrid from './VirtualGrid';
+import PivotView from './PivotView';
+import { createSortKeyCache, createSearchTextCache, filterRows, sortRows } from './gridModel';
+import FilterBuilder from './FilterBuilder';
+import {
+  VIEW_PARAM,
+  EMPTY_FILTER,
+  compileFilter,
+  countConditions,
+  describeFilter,
+  encodeView,
+  decodeView,
+  loadSavedViews,
+  saveView,
+  deleteView,
+} from './filterModel';
+import { wallClockDate } from './dateHelpers';
+import RunComparisonPanel from './RunComparisonPanel';
+import ExportMenu from './ExportMenu';
+import {
+  EXPORT_FORMATS,
+  exportFileName,
+  filteredExport,
+  rowsToCsv,
+  buildJsonExport,
+  buildHtmlReport,
+  printHtmlReport,
+} from './reportExport';
+import { compareRuns } from './runComparison';
+import {
+  buildRunRecord,
+  runSummary,
+  saveRun,
+  listRuns,
+  loadRun,
+  updateRunOverrides,
+  deleteRun,
+  clearHistory,
+  runLabel,
+} from './runHistory';
+import { clearSession } from './auth';
+import { can, deniedMessage, roleLabel } from './roles';
+import {
+  applyOverrides,
+  sameTarget,
+  overrideSetKey,
+  loadOverrides,
+  saveOverrides,
+} from './slaOverrides';
+import { TREND_PERIODS } from './slaSummary';
+import {
+  detectColumnMapping,
+  mappingColumns,
+  missingRequiredFields,
+  loadSavedMapping,
+  loadSavedExtraColumns,
+  suggestExtraColumns,
+  saveMapping,
+} from './columnMapping';
+import { columnType } from './columnModel';
+import SlaPolicyEditor from './SlaPolicyEditor';
+import {
+  loadSlaPolicies,
+  saveSlaPolicies,
+  loadActivePolicyName,
+  saveActivePolicyName,
+  resolveActivePolicy,
+} from './slaPolicy';
+import WorkingCalendarEditor from './WorkingCalendarEditor';
+import {
+  loadWorkingCalendar,
+  saveWorkingCalendar,
+} from './workingCalendar';
+import ContractTermsEditor from './ContractTermsEditor';
+import {
+  loadContracts,
+  saveContracts,
+  loadActiveContractName,
+  saveActiveContractName,
+  resolveActiveContract,
+} from './contractTerms';
+import DateProfileEditor from './DateProfileEditor';
+import { loadDateProfile, saveDateProfile, describeDateProfile } from './dateProfile';
 
 /**
  * Incident Excel Processor
  *
- * Sheet 1: Incident Intervals
- *   Number, Priority, State, Opened Date
- *   1st Updated, 2nd Updated, ...
- *   Interval 1..N
- *   Made SLA 1..N, Made SLA
- *
- * Sheet 2: Compliance and Credit
- *   Title row: "Compliance and Credit - <Min Opened Date> to <Max Opened Date>"
- *   Priority/SLA, Total Incident, Within SLA, % for Within SLA,
- *   Exceeding SLA, Compliance and Credit
- *
- * % for Within SLA = Within SLA for that priority / TOTAL incidents.
+ * Loads incident exports, maps their columns, previews the processed rows (grid,
+ * Groups and Dashboard tabs, drill-down) and exports the workbook and reports.
+ * The work itself lives in the modules:
+ * - incidentWorker.js, incidentPipeline.js: parsing, merging and SLA intervals, in a Web Worker
+ * - incidentWorkbook.js: the output workbook and its sheets
+ * - slaPolicy.js, workingCalendar.js, contractTerms.js, dateProfile.js: the settings it edits
+ * - filterModel.js, pivotModel.js, slaOverrides.js, runHistory.js, reportExport.js: filters,
+ *   groups, overrides, history and exports
+ * What the signed-in user (props.user) sees and may do follows their role (roles.js).
  */
 
+const SELECT_FILE_MESSAGE = 'Select or drop .xlsx, .xls, .ods or .csv files';
+
+// Union of the headers of every included sheet, in first-seen order
+function includedHeaders(files) {
+  const seen = new Set();
+  for (const f of files)
+    for (const s of f.sheets) if (s.included) s.headers.forEach((h) => seen.add(h));
+  return [...seen];
+}
+
 export default function IncidentExcelProcessor(props) {
-  const [fileName, setFileName] = useState(null);
-  const [fileValid, setFileValid] = useState(false);
-  const [inputFile, setInputFile] = useState(null);
-  const [message, setMessage] = useState('Select a .xlsx file');
+  // view opened from a shared link (?view=, see filterModel.js)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [linkedView] = useState(() => decodeView(searchParams.get(VIEW_PARAM)));
+
+  // [{ file, name, format, csv, error, sheets: [{ name, headers, included }] }]
+  const [inputFiles, setInputFiles] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [message, setMessage] = useState(() =>
+    searchParams.get(VIEW_PARAM) && !linkedView
+      ? 'The view in this link could not be read, so no filter is applied.'
+      : SELECT_FILE_MESSAGE
+  );
   const [processing, setProcessing] = useState(false);
+  const [progress, setProgress] = useState(null); // { phase, done, total } while a job runs
+  const jobRef = useRef(null);
 
   // preview & data
   const [allHeaders, setAllHeaders] = useState([]);
   const [allRows, setAllRows] = useState([]); // processed rows (array of objects)
+  const [dataIssues, setDataIssues] = useState([]);
+  const [groupedRows, setGroupedRows] = useState({}); // Number -> source row indices (processRows)
+  // { sources, mapping } the preview was processed from, to read the drill-down's source rows again
+  const [previewSources, setPreviewSources] = useState(null);
+  const [drillNumber, setDrillNumber] = useState(null);
+  const [drillSource, setDrillSource] = useState(null); // { number, rows, error } of the drill-down
+  // manual overrides for the previewed files: { key, overrides, log } (see slaOverrides.js)
+  const [overrideState, setOverrideState] = useState({ key: null, overrides: [], log: [] });
   const [totalRowsCount, setTotalRowsCount] = useState(0);
+  const [previewSettings, setPreviewSettings] = useState(null); // policy, calendar, date profile used for the preview
+  const [previewDateOrder, setPreviewDateOrder] = useState(null); // date order the preview was read with
+  // history run the preview is saved as / was opened from: { id, fileNames, contract }
+  const [currentRun, setCurrentRun] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  // { before, after (loaded runs), result (compareRuns) } while the comparison panel is open
+  const [comparison, setComparison] = useState(null);
+  const [historyRuns, setHistoryRuns] = useState(null); // listed runs while the panel is open
+  const [historyError, setHistoryError] = useState(null);
+
+  const sourceHeaders = useMemo(() => includedHeaders(inputFiles), [inputFiles]);
+  const fileValid = sourceHeaders.length > 0;
+  const fileName =
+    inputFiles.length === 0
+      ? currentRun
+        ? `${currentRun.fileNames.join(', ')} (from history)`
+        : null
+      : inputFiles.length === 1
+      ? inputFiles[0].name
+      : `${inputFiles.length} files`;
+
+  // Column mapping (source headers -> logical fields)
+  const [columnMap, setColumnMap] = useState({});
+  const [mapConfidence, setMapConfidence] = useState({});
+  const [extraColumns, setExtraColumns] = useState([]); // source columns kept in the output
+  const missingFields = sourceHeaders.length > 0 ? missingRequiredFields(columnMap) : [];
 
   // Table UI states
   const [globalFilter, setGlobalFilter] = useState('');
+  const [globalDraft, setGlobalDraft] = useState(''); // the search box; globalFilter follows it
   const [columnFilters, setColumnFilters] = useState({});
-  const [sortKey, setSortKey] = useState(null);
-  const [sortDir, setSortDir] = useState('asc');
-
-  // Pagination
-  const [pageSize, setPageSize] = useState(25);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [sortKey, setSortKey] = useState(() => linkedView?.sortKey ?? null);
+  const [sortDir, setSortDir] = useState(() => linkedView?.sortDir ?? 'asc');
+  const [previewView, setPreviewView] = useState('table'); // 'table' | 'groups' | 'dashboard'
+  const [pivotKeys, setPivotKeys] = useState(['Priority']); // Groups tab keys, outermost first
+
+  // Filter builder: filterDraft is what the panel shows, advancedFilter follows it
+  const [advancedFilter, setAdvancedFilter] = useState(() => linkedView?.filter ?? EMPTY_FILTER);
+  const [filterDraft, setFilterDraft] = useState(advancedFilter);
+  const [activeViewName, setActiveViewName] = useState(() => linkedView?.name ?? '');
+  const [savedViews, setSavedViews] = useState(() => loadSavedViews());
+  const [showFilterBuilder, setShowFilterBuilder] = useState(() => !!linkedView);
+  const [trendPeriod, setTrendPeriod] = useState('month'); // SLA Trend sheet buckets
+  const [slaDimension, setSlaDimension] = useState(''); // SUI SLA per value of this column
 
   // UI extras
   const fileInputRef = useRef(null);
   const [showConfirmClear, setShowConfirmClear] = useState(false);
   const [isFadingOut, setIsFadingOut] = useState(false);
 
+  // SLA policies
+  const [slaPolicies, setSlaPolicies] = useState(() => loadSlaPolicies());
+  const [activePolicyName, setActivePolicyName] = useState(() => loadActivePolicyName());
+  const [showPolicyEditor, setShowPolicyEditor] = useState(false);
+  const activePolicy = resolveActivePolicy(slaPolicies, activePolicyName);
+
+  // Working calendar (business hours / holidays)
+  const [workingCalendar, setWorkingCalendar] = useState(() => loadWorkingCalendar());
+  const [showCalendarEditor, setShowCalendarEditor] = useState(false);
+
+  // Contract terms (SUI SLA compliance and credit)
+  const [contracts, setContracts] = useState(() => loadContracts());
+  const [activeContractName, setActiveContractName] = useState(() => loadActiveContractName());
+  const [showContractEditor, setShowContractEditor] = useState(false);
+  const activeContract = resolveActiveContract(contracts, activeContractName);
+
+  // Date format / time zones
+  const [dateProfile, setDateProfile] = useState(() => loadDateProfile());
+  const [showDateEditor, setShowDateEditor] = useState(false);
+
   // Debounce refs
   const globalFilterTimer = useRef(null);
   const columnFilterTimers = useRef({});
+  const advancedFilterTimer = useRef(null);
 
   useEffect(() => {
     const onKey = (e) => {
       const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0;
       const isClearShortcut = (isMac ? e.metaKey : e.ctrlKey) && e.key.toLowerCase() === 'k';
-      if (isClearShortcut) {
+      // only roles that see the Clear button get its shortcut
+      if (isClearShortcut && can(props.user, 'load-files')) {
         e.preventDefault();
         if (fileValid || allRows.length > 0) setShowConfirmClear(true);
       }
     };
     window.addEventListener('keydown', onKey);
     return () => window.removeEventListener('keydown', onKey);
-  }, [fileValid, allRows]);
+  }, [fileValid, allRows, props.user]);
 
-  function validateFile(file) {
-    if (!file) return false;
-    const fn = file.name || '';
-    return fn.toLowerCase().endsWith('.xlsx');
-  }
+  // stop a running worker job when the component goes away
+  useEffect(() => () => {
+    if (jobRef.current) jobRef.current.cancel();
+  }, []);
+
+  // keep the filter builder's view in the URL, so the address bar can be shared
+  useEffect(() => {
+    const code =
+      countConditions(advancedFilter) > 0 || activeViewName
+        ? encodeView({ name: activeViewName, filter: advancedFilter, sortKey, sortDir })
+        : null;
+    if ((searchParams.get(VIEW_PARAM) || null) === code) return;
+    const next = new URLSearchParams(searchParams);
+    if (code) next.set(VIEW_PARAM, code);
+    else next.delete(VIEW_PARAM);
+    setSearchParams(next, { replace: true });
+  }, [advancedFilter, activeViewName, sortKey, sortDir, searchParams, setSearchParams]);
 
   function _clearState() {
-    setFileName(null);
-    setFileValid(false);
-    setInputFile(null);
-    setMessage('Select a .xlsx file');
+    if (jobRef.current) {
+      jobRef.current.cancel();
+      jobRef.current = null;
+    }
+    setProgress(null);
+    setPreviewSettings(null);
+    setPreviewDateOrder(null);
+    setInputFiles([]);
+    setColumnMap({});
+    setMapConfidence({});
+    setExtraColumns([]);
+    setMessage(SELECT_FILE_MESSAGE);
     setProcessing(false);
     setAllHeaders([]);
     setAllRows([]);
+    setDataIssues([]);
+    setGroupedRows({});
+    setPreviewSources(null);
+    setDrillNumber(null);
+    setOverrideState({ key: null, overrides: [], log: [] });
+    setCurrentRun(null);
     setTotalRowsCount(0);
     setGlobalFilter('');
+    setGlobalDraft('');
     setColumnFilters({});
     setSortKey(null);
     setSortDir('asc');
-    setPageSize(25);
-    setCurrentPage(1);
     if (fileInputRef.current) fileInputRef.current.value = '';
   }
 
@@ -101,812 +297,858 @@ export default function IncidentExcelProcessor(props) {
     }
   }
 
+  // Role check for an action; a blocked action says why in the status message
+  function allowed(permission) {
+    if (can(props.user, permission)) return true;
+    setMessage(deniedMessage(props.user, permission));
+    return false;
+  }
+
   function handleFileChange(e) {
-    const file = e.target.files[0];
+    handleFiles(Array.from(e.target.files || []));
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDragActive(false);
+    if (processing) return;
+    handleFiles(Array.from(e.dataTransfer.files || []));
+  }
+
+  // Read the sheets/headers of every file in the worker, then propose a column mapping
+  async function handleFiles(files) {
+    if (!allowed('load-files')) return;
     _clearState();
-    if (!file) {
+    if (files.length === 0) {
       setMessage('No file selected');
       return;
     }
-    if (!validateFile(file)) {
-      setMessage('Only .xlsx files are accepted.');
+
+    const rejected = [];
+    const accepted = [];
+    for (const file of files) {
+      const check = validateInputFile(file);
+      if (check.ok) accepted.push(file);
+      else rejected.push({ file, name: file.name, format: null, csv: null, sheets: [], error: check.error });
+    }
+    if (accepted.length === 0) {
+      setInputFiles(rejected);
+      setMessage(rejected.length === 1 ? rejected[0].error : 'None of the files can be used.');
       return;
     }
-    setInputFile(file);
-    setFileName(file.name);
-    setFileValid(true);
-    setMessage(`${file.name} ready`);
-  }
-
-  // --- Date helpers ---
-
-  // Simple conversion from Excel serial to Date (local time)
-  function excelSerialToDate(serial) {
-    if (typeof serial !== 'number') return null;
-    const ms = (serial - 25569) * 86400 * 1000; // 25569 = days from 1899-12-30 to 1970-01-01
-    return new Date(ms);
-  }
 
-  // Parse dd-mm-yyyy / dd/mm/yyyy first, then fall back to Date.parse
-  function parseToDate(val) {
-    if (val == null || val === '') return null;
-
-    if (val instanceof Date && !isNaN(val)) return val;
-
-    if (typeof val === 'number') {
-      const d = excelSerialToDate(val);
-      if (d && !isNaN(d)) return d;
-      return null;
+    setProcessing(true);
+    setMessage('Reading sheets and column headers...');
+    const job = runPipelineJob('headers', { files: accepted }, setProgress);
+    jobRef.current = job;
+    try {
+      const results = await job.promise;
+      const loaded = results.map((res, i) => {
+        // include the sheets that look like incident exports; else the first sheet with headers
+        const sheets = res.sheets.map((sh) => ({
+          ...sh,
+          included:
+            sh.headers.length > 0 &&
+            missingRequiredFields(mappingColumns(detectColumnMapping(sh.headers))).length === 0,
+        }));
+        if (!sheets.some((sh) => sh.included)) {
+          const first = sheets.find((sh) => sh.headers.length > 0);
+          if (first) first.included = true;
+        }
+        const error =
+          res.error || (sheets.some((sh) => sh.included) ? null : 'No sheet with a header row.');
+        return { ...res, file: accepted[i], sheets, error };
+      });
+      const all = [...loaded, ...rejected];
+      setInputFiles(all);
+      const columns = applyColumnMapping(all, false);
+      reportReady(all, columns);
+    } catch (err) {
+      if (err.cancelled) return;
+      console.error(err);
+      setMessage(`Could not read the files: ${err && err.message ? err.message : String(err)}`);
+    } finally {
+      if (jobRef.current === job) {
+        jobRef.current = null;
+        setProcessing(false);
+        setProgress(null);
+      }
     }
+  }
 
-    const s = String(val).trim();
-
-    const re =
-      /^(\d{1,2})[\/\-](\d{1,2})[\/\-](\d{2,4})[ ,T](\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM|am|pm)?$/;
-    const m = s.match(re);
-    if (m) {
-      let day = parseInt(m[1], 10);
-      let month = parseInt(m[2], 10) - 1;
-      let year = parseInt(m[3], 10);
-      if (year < 100) year += 2000;
-      let hour = parseInt(m[4], 10);
-      const minute = parseInt(m[5], 10);
-      const second = m[6] ? parseInt(m[6], 10) : 0;
-      const ampm = m[7];
-      if (ampm) {
-        if (/pm/i.test(ampm) && hour < 12) hour += 12;
-        if (/am/i.test(ampm) && hour === 12) hour = 0;
+  // Saved or detected mapping for the included sheets; keepManual keeps overrides that still apply
+  function applyColumnMapping(files, keepManual) {
+    const headers = includedHeaders(files);
+    const detected = detectColumnMapping(headers);
+    const saved = headers.length > 0 ? loadSavedMapping(headers) : null;
+    const columns = saved || mappingColumns(detected);
+    const confidence = {};
+    for (const [field, info] of Object.entries(detected))
+      confidence[field] = saved ? 'saved' : info.confidence;
+    if (keepManual) {
+      for (const [field, conf] of Object.entries(mapConfidence)) {
+        if (conf === 'manual' && (!columnMap[field] || headers.includes(columnMap[field]))) {
+          columns[field] = columnMap[field];
+          confidence[field] = 'manual';
+        }
       }
-      return new Date(year, month, day, hour, minute, second);
     }
-
-    // Fallback: let JS try for ISO-like strings
-    const p = Date.parse(s.replace(' ', 'T'));
-    if (!isNaN(p)) return new Date(p);
-
-    return null;
+    const mapped = new Set(Object.values(columns));
+    const extras = keepManual
+      ? extraColumns
+      : loadSavedExtraColumns(headers) ?? suggestExtraColumns(headers, columns);
+    setColumnMap(columns);
+    setMapConfidence(confidence);
+    setExtraColumns(extras.filter((h) => headers.includes(h) && !mapped.has(h)));
+    return columns;
   }
 
-  function formatIso(dt) {
-    if (!dt || isNaN(dt)) return '';
-    const y = dt.getFullYear();
-    const mm = String(dt.getMonth() + 1).padStart(2, '0');
-    const dd = String(dt.getDate()).padStart(2, '0');
-    const hh = String(dt.getHours()).padStart(2, '0');
-    const min = String(dt.getMinutes()).padStart(2, '0');
-    const ss = String(dt.getSeconds()).padStart(2, '0');
-    return `${y}-${mm}-${dd} ${hh}:${min}:${ss}`;
+  function reportReady(files, columns) {
+    const usable = files.filter((f) => f.sheets.some((sh) => sh.included));
+    const missing = missingRequiredFields(columns);
+    if (usable.length === 0) {
+      const failed = files.find((f) => f.error);
+      setMessage(failed ? `${failed.name}: ${failed.error}` : SELECT_FILE_MESSAGE);
+    } else if (missing.length > 0) {
+      setMessage(`Choose a column for ${missing.join(', ')} before generating the preview.`);
+    } else {
+      const what = usable.length === 1 ? usable[0].name : `${usable.length} files`;
+      setMessage(`${what} ready — check the sheets and column mapping, then Generate Preview.`);
+    }
   }
 
-  function formatShortDate(dt) {
-    if (!dt || isNaN(dt)) return '';
-    const y = dt.getFullYear();
-    const mm = String(dt.getMonth() + 1).padStart(2, '0');
-    const dd = String(dt.getDate()).padStart(2, '0');
-    return `${dd}-${mm}-${y}`;
+  function updateSources(next) {
+    setInputFiles(next);
+    const columns = applyColumnMapping(next, true);
+    if (allRows.length > 0)
+      setMessage('Sources changed — generate the preview again to apply them.');
+    else reportReady(next, columns);
   }
 
-  function formatInterval(ms) {
-    if (ms == null || isNaN(ms)) return '';
-    if (ms < 0) ms = Math.abs(ms);
-    const totalSeconds = Math.floor(ms / 1000);
-    const days = Math.floor(totalSeconds / 86400);
-    let rem = totalSeconds % 86400;
-    const hours = Math.floor(rem / 3600);
-    rem = rem % 3600;
-    const minutes = Math.floor(rem / 60);
-    const seconds = rem % 60;
-    return `${days}d ${hours}h ${minutes}m ${seconds}s`;
+  function handleToggleSheet(fileIdx, sheetName) {
+    updateSources(
+      inputFiles.map((f, i) =>
+        i !== fileIdx
+          ? f
+          : {
+              ...f,
+              sheets: f.sheets.map((sh) =>
+                sh.name === sheetName ? { ...sh, included: !sh.included } : sh
+              ),
+            }
+      )
+    );
   }
 
-  function normalizeKey(keys, target) {
-    const lower = target.toLowerCase().replace(/\s+/g, '');
-    for (const k of keys)
-      if (k.toLowerCase().replace(/\s+/g, '') === lower) return k;
-    for (const k of keys)
-      if (k.toLowerCase().includes(target.toLowerCase())) return k;
-    return null;
+  function handleRemoveFile(fileIdx) {
+    const next = inputFiles.filter((_, i) => i !== fileIdx);
+    if (next.length === 0) {
+      resetAllState(false);
+      return;
+    }
+    updateSources(next);
   }
 
-  function getOrdinalSuffix(n) {
-    const j = n % 10;
-    const k = n % 100;
-    if (k >= 11 && k <= 13) return 'th';
-    if (j === 1) return 'st';
-    if (j === 2) return 'nd';
-    if (j === 3) return 'rd';
-    return 'th';
+  function handleMappingChange(field, column) {
+    setColumnMap((prev) => ({ ...prev, [field]: column }));
+    setMapConfidence((prev) => ({ ...prev, [field]: 'manual' }));
+    setExtraColumns((prev) => prev.filter((h) => h !== column));
+    if (allRows.length > 0)
+      setMessage('Column mapping changed — generate the preview again to apply it.');
   }
 
-  function parseWorkbook(workbook) {
-    const firstSheetName = workbook.SheetNames[0];
-    const ws = workbook.Sheets[firstSheetName];
-    const rows = XLSX.utils.sheet_to_json(ws, { defval: '', raw: true });
-    return { rows, sheet: ws };
+  function handleExtraColumnsChange(next) {
+    setExtraColumns(next);
+    if (allRows.length > 0)
+      setMessage('Extra columns changed — generate the preview again to apply them.');
   }
 
-  // SLA threshold map (ms)
-  function priorityThresholdMs(priorityString) {
-    if (!priorityString || typeof priorityString !== 'string') return 8 * 3600 * 1000;
-    const p = priorityString.trim().toUpperCase();
-    if (p.startsWith('P1')) return 1 * 3600 * 1000;
-    if (p.startsWith('P2')) return 3 * 3600 * 1000;
-    if (p.startsWith('P3')) return 4 * 3600 * 1000;
-    if (p.startsWith('P4')) return 8 * 3600 * 1000;
-    const m = p.match(/^P(\d)/);
-    if (m) {
-      const n = Number(m[1]);
-      if (n === 1) return 1 * 3600 * 1000;
-      if (n === 2) return 3 * 3600 * 1000;
-      if (n === 3) return 4 * 3600 * 1000;
-      if (n === 4) return 8 * 3600 * 1000;
-    }
-    return 8 * 3600 * 1000;
-  }
+  // GENERATE PREVIEW (parse + process in the worker)
+  async function handleGenerate() {
+    const sources = inputFiles
+      .filter((f) => !f.error)
+      .map((f) => ({ file: f.file, sheets: f.sheets.filter((sh) => sh.included).map((sh) => sh.name) }))
+      .filter((src) => src.sheets.length > 0);
+    if (sources.length === 0 || missingFields.length > 0) return;
+    if (!allowed('load-files')) return;
+    saveMapping(sourceHeaders, columnMap, extraColumns);
+    setProcessing(true);
+    setProgress({ phase: 'reading', done: 0, total: 0 });
+    setMessage('Processing and preparing preview...');
 
-  // MAIN: processRows builds headers + rows
-  function processRows(rows) {
-    if (!rows || rows.length === 0)
-      return { headers: [], data: [] };
-
-    const allKeys = Object.keys(rows[0]);
-    const keyNumber = normalizeKey(allKeys, 'Number') || 'Number';
-    const keyPriority = normalizeKey(allKeys, 'Priority') || 'Priority';
-    const keyState = normalizeKey(allKeys, 'State') || 'State';
-    const keyOpened = normalizeKey(allKeys, 'Opened') || 'Opened';
-    const keyUpdated = normalizeKey(allKeys, 'Updated') || 'Updated';
-
-    const groups = {};
-    for (const r of rows) {
-      const num = (r[keyNumber] || '').toString().trim();
-      if (!num) continue;
-      if (!groups[num])
-        groups[num] = {
-          priority: r[keyPriority] || '',
-          state: r[keyState] || '',
-          openedCandidates: [],
-          updatedCandidates: [],
-        };
-      const openedCell = r[keyOpened];
-      if (openedCell !== undefined && openedCell !== null && openedCell !== '')
-        groups[num].openedCandidates.push(openedCell);
-      const updCell = r[keyUpdated];
-      if (updCell !== undefined && updCell !== null && updCell !== '') {
-        if (typeof updCell === 'string') {
-          const parts = updCell
-            .split(/[;,\n]+/)
-            .map((s) => s.trim())
-            .filter(Boolean);
-          groups[num].updatedCandidates.push(...parts);
-        } else {
-          groups[num].updatedCandidates.push(updCell);
-        }
+    const settings = { policy: activePolicy, calendar: workingCalendar, dateProfile };
+    const job = runPipelineJob(
+      'process',
+      { sources, mapping: columnMap, extraColumns, ...settings },
+      setProgress
+    );
+    jobRef.current = job;
+    try {
+      const { headers, data: outData, issues, dateOrder, groupedRows: grouped, merge } =
+        await job.promise;
+      setAllHeaders(headers);
+      setAllRows(outData);
+      setDataIssues(issues);
+      setGroupedRows(grouped);
+      setPreviewSources({ sources, mapping: columnMap });
+      setDrillNumber(null);
+      const fileNames = inputFiles.filter((f) => !f.error).map((f) => f.name);
+      const key = overrideSetKey(fileNames);
+      const saved = loadOverrides(key);
+      setOverrideState({ key, ...saved });
+      const record = buildRunRecord({
+        fileNames,
+        by: props.user?.id,
+        settings: { ...settings, contract: activeContract, trendPeriod, slaDimension },
+        dateOrder,
+        headers,
+        rows: outData,
+        issues,
+        overrideState: { key, ...saved },
+      });
+      saveRun(record)
+        .then((id) => setCurrentRun({ id, fileNames, contract: activeContract }))
+        .catch((e) => console.warn('Run not saved to history:', e));
+      setTotalRowsCount(outData.length);
+      setPreviewSettings(settings);
+      setPreviewDateOrder(dateOrder);
+      const mergeNote =
+        merge.sources > 1
+          ? ` from ${merge.sources} sheets${merge.duplicates ? `, ${merge.duplicates} repeated rows dropped` : ''}`
+          : '';
+      const issueNote = issues.length > 0 ? ` ${issues.length} data issues — see below.` : '';
+      const overrideNote =
+        saved.overrides.length > 0 ? ` ${saved.overrides.length} saved overrides re-applied.` : '';
+      setMessage(
+        `Preview ready (SLA policy: ${activePolicy.name}) — total ${outData.length} rows${mergeNote}.${issueNote}${overrideNote} Use sorting, filtering and the column picker to inspect.`
+      );
+    } catch (err) {
+      if (err.cancelled) return;
+      console.error(err);
+      setMessage('Error processing file');
+      setAllHeaders([]);
+      setAllRows([]);
+      setDataIssues([]);
+      setGroupedRows({});
+      setPreviewSources(null);
+      setDrillNumber(null);
+      setTotalRowsCount(0);
+    } finally {
+      if (jobRef.current === job) {
+        jobRef.current = null;
+        setProcessing(false);
+        setProgress(null);
       }
     }
+  }
 
-    const outRows = [];
-    let maxUpdates = 0;
-
-    for (const [num, info] of Object.entries(groups)) {
-      let openedDate = null;
-      for (const cand of info.openedCandidates) {
-        const d = parseToDate(cand);
-        if (d && (!openedDate || d < openedDate)) openedDate = d;
-      }
+  // DOWNLOAD (reuses the preview result; only the workbook is built in the worker)
+  function handleDownload() {
+    return handleExport('xlsx', false);
+  }
 
-      const parsedUpdates = info.updatedCandidates
-        .map((u) => ({ raw: u, d: parseToDate(u) }))
-        .sort((a, b) => {
-          if (a.d && b.d) return a.d - b.d;
-          if (a.d) return -1;
-          if (b.d) return 1;
-          return String(a.raw).localeCompare(String(b.raw));
-        });
-
-      const updatesRaw = parsedUpdates.map((p) => ({ raw: p.raw, date: p.d }));
-      if (updatesRaw.length > maxUpdates) maxUpdates = updatesRaw.length;
-
-      outRows.push({
-        number: num,
-        priority: info.priority,
-        state: info.state,
-        openedDate,
-        updates: updatesRaw,
-      });
-    }
+  // Export the preview as a workbook, CSV, JSON, HTML or PDF report (see reportExport.js)
+  async function handleExport(format, onlyFiltered) {
+    if (!previewSettings || allRows.length === 0) return;
+    if (!allowed('export')) return;
+    const fileNames =
+      inputFiles.length > 0 ? inputFiles.map((f) => f.name) : currentRun ? currentRun.fileNames : [];
+    const { rows, overrides } = onlyFiltered
+      ? filteredExport(allRows, filteredAndSortedRows, overrideState.overrides)
+      : { rows: allRows, overrides: overrideState.overrides };
+    const settings = {
+      ...previewSettings,
+      dateOrder: previewDateOrder,
+      contract: activeContract,
+      trendPeriod,
+      slaDimension,
+    };
 
-    // Build headers (no "TimeStamp")
-    const headers = ['Number', 'Priority', 'State', 'Opened Date'];
-    for (let i = 0; i < maxUpdates; i++) {
-      const updCol = `${i + 1}${getOrdinalSuffix(i + 1)} Updated`;
-      const intervalCol = `Interval ${i + 1}`;
-      const slaCol = `Made SLA ${i + 1}`;
-      headers.push(updCol, intervalCol, slaCol);
+    if (format === 'xlsx') {
+      const numbers = new Set(rows.map((r) => r.Number));
+      await buildAndSave(
+        {
+          headers: allHeaders,
+          data: rows,
+          issues: onlyFiltered ? dataIssues.filter((i) => numbers.has(i.number)) : dataIssues,
+          overrides,
+          overrideLog: overrideState.log.filter((e) => numbers.has(e.number)),
+          pivotKeys: view === 'groups' ? pivotKeys : [],
+          ...settings,
+        },
+        fileNames,
+        onlyFiltered ? 'processed-filtered' : 'processed'
+      );
+      return;
     }
-    headers.push('Made SLA');
-
-    const data = outRows.map((r) => {
-      const row = {
-        Number: r.number,
-        Priority: r.priority,
-        State: r.state,
-        'Opened Date': r.openedDate ? formatIso(r.openedDate) : '',
-      };
-
-      const thrMs = priorityThresholdMs(r.priority);
-      const slaValues = [];
-
-      for (let i = 0; i < maxUpdates; i++) {
-        const upd = r.updates[i];
-        const updDate = upd && upd.date ? upd.date : null;
-        const updText = upd && upd.date ? formatIso(upd.date) : upd ? String(upd.raw) : '';
-        const updCol = `${i + 1}${getOrdinalSuffix(i + 1)} Updated`;
-        const intervalCol = `Interval ${i + 1}`;
-        const slaCol = `Made SLA ${i + 1}`;
-
-        row[updCol] = updText;
-
-        const prevDate = i === 0 ? r.openedDate : (r.updates[i - 1] ? r.updates[i - 1].date : null);
-        const currDate = updDate;
-
-        if (prevDate && currDate) {
-          const diffMs = currDate - prevDate;
-          row[intervalCol] = formatInterval(diffMs);
-          const slaVal = diffMs <= thrMs ? 'Y' : 'N';
-          row[slaCol] = slaVal;
-          slaValues.push(slaVal);
-        } else {
-          row[intervalCol] = '';
-          row[slaCol] = '';
-        }
-      }
 
-      if (slaValues.length === 0) {
-        row['Made SLA'] = '';
-      } else if (slaValues.every((v) => v === 'Y')) {
-        row['Made SLA'] = 'Y';
-      } else if (slaValues.some((v) => v === 'N')) {
-        row['Made SLA'] = 'N';
-      } else {
-        row['Made SLA'] = '';
+    const options = { headers: allHeaders, rows, overrides, fileNames, filtered: onlyFiltered, ...settings };
+    const what = onlyFiltered ? `${rows.length} filtered rows` : `${rows.length} rows`;
+    try {
+      if (format === 'pdf') {
+        printHtmlReport(buildHtmlReport(options));
+        setMessage(`SLA report (${what}) sent to the print dialog — choose "Save as PDF" there.`);
+        return;
       }
-
-      return row;
-    });
-
-    return { headers, data };
+      const content =
+        format === 'csv'
+          ? rowsToCsv(allHeaders, rows, overrides)
+          : format === 'json'
+            ? JSON.stringify(buildJsonExport(options), null, 2)
+            : buildHtmlReport(options);
+      const outFileName = exportFileName(fileNames, format, onlyFiltered);
+      saveAs(new Blob([content], { type: EXPORT_FORMATS[format].type }), outFileName);
+      setMessage(`Downloaded: ${outFileName} (${what})`);
+    } catch (err) {
+      console.error('Error exporting:', err);
+      setMessage(`Error exporting: ${err && err.message ? err.message : String(err)}`);
+    }
   }
 
-  // GENERATE PREVIEW
-  async function handleGenerate() {
-    if (!fileValid || !inputFile) return;
+  // Build the workbook in the worker and save it as <first file>-<suffix>.xlsx
+  async function buildAndSave(payload, fileNames, suffix = 'processed') {
     setProcessing(true);
-    setMessage('Processing and preparing preview...');
+    setProgress({ phase: 'writing', done: 0, total: 0 });
+    setMessage('Preparing download...');
 
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      try {
-        const data = ev.target.result;
-        const workbook = XLSX.read(data, { type: 'array', cellDates: true });
-        const { rows } = parseWorkbook(workbook);
-        const { headers, data: outData } = processRows(rows);
-        setAllHeaders(headers);
-        setAllRows(outData);
-        setTotalRowsCount(outData.length);
-        setCurrentPage(1);
-        setMessage(
-          `Preview ready — total ${outData.length} rows. Use sorting, filtering and pagination to inspect.`
-        );
-      } catch (err) {
-        console.error(err);
-        setMessage('Error processing file');
-        setAllHeaders([]);
-        setAllRows([]);
-        setTotalRowsCount(0);
-      } finally {
+    const job = runPipelineJob('build', payload, setProgress);
+    jobRef.current = job;
+    try {
+      const buf = await job.promise;
+      const blob = new Blob([buf], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      });
+      const baseName = fileNames.length === 1 ? fileNames[0] : 'merged-incidents.xlsx';
+      const outFileName = baseName.replace(/\.(xlsx|xlsm|xls|ods|csv)$/i, '') + `-${suffix}.xlsx`;
+      saveAs(blob, outFileName);
+
+      setMessage(`Downloaded: ${outFileName}`);
+    } catch (err) {
+      if (err.cancelled) return;
+      console.error('Error preparing download:', err);
+      setMessage(
+        `Error preparing download: ${err && err.message ? err.message : String(err)}`
+      );
+    } finally {
+      if (jobRef.current === job) {
+        jobRef.current = null;
         setProcessing(false);
+        setProgress(null);
       }
-    };
-    reader.onerror = () => {
-      setProcessing(false);
-      setMessage('Failed to read file');
-    };
-    reader.readAsArrayBuffer(inputFile);
+    }
   }
 
-  // Build workbook for download
-// Build workbook for download
-async function buildWorkbookExcelJS(headers, rows, rawRows) {
-  const CREDIT_BASE_AMOUNT = 118490;
-  const wb = new ExcelJS.Workbook();
-  wb.creator = 'ERPA';
-  wb.created = new Date();
-
-  /* =========================
-     SHEET 1 – Incident Intervals (UNCHANGED)
-  ========================== */
-  const sheet1 = wb.addWorksheet('Incident Intervals');
-  sheet1.addRow(headers);
-
-  for (const r of rows) {
-    sheet1.addRow(headers.map(h => r[h] ?? null));
+  function handleCancel() {
+    const job = jobRef.current;
+    if (!job) return;
+    jobRef.current = null;
+    job.cancel();
+    setProcessing(false);
+    setProgress(null);
+    setMessage('Processing cancelled');
   }
 
-  sheet1.getRow(1).font = { bold: true };
-  sheet1.views = [{ state: 'frozen', ySplit: 1 }];
-
-  /* =========================
-     SHEET 2 – SUI SLA
-  ========================== */
-  const sheet2 = wb.addWorksheet('SUI SLA');
-
-  /* ---- TITLE ---- */
-  sheet2.addRow(['SUI SLA']);
-  sheet2.mergeCells(1, 1, 1, 9);
-  sheet2.getRow(1).font = { bold: true };
-  sheet2.getRow(1).alignment = { horizontal: 'center' };
-
-  /* ---- HEADERS ---- */
-  const headerRow = sheet2.addRow([
-  'Priority/SLA',
-  'Total Incident',
-  'Within SLA',
-  '% for Within SLA',
-  'Breach',
-  'Breach %',
-  'Compliance',
-  'Credit',
-  'Credit $',
-]);
-
-headerRow.font = { bold: true };
-
-// Header alignment FIX
-[2,3, 4, 5, 6, 8, 9].forEach(c => {
-  headerRow.getCell(c).alignment = { horizontal: 'left', vertical: 'middle' };
-});
-headerRow.getCell(8).alignment = { horizontal: 'left', vertical: 'middle' };
-headerRow.getCell(7).alignment = { horizontal: 'center', vertical: 'middle' };
-
-  sheet2.views = [{ state: 'frozen', ySplit: 2 }];
-
-  /* ---- COUNT DATA ---- */
-  const priorities = ['P1 - Critical', 'P2 - High', 'P3 - Medium', 'P4 - Low'];
-  const stats = {};
-  priorities.forEach(p => (stats[p] = { total: 0, Y: 0, N: 0 }));
-
-  rows.forEach(r => {
-    const pr = r.Priority || '';
-    const key = priorities.find(p => pr.startsWith(p.split(' ')[0]));
-    if (!key) return;
-    stats[key].total++;
-    if (r['Made SLA'] === 'Y') stats[key].Y++;
-    if (r['Made SLA'] === 'N') stats[key].N++;
-  });
-
-  const grandTotal = Object.values(stats).reduce((s, x) => s + x.total, 0);
-
-  /* ---- DATA ROWS ---- */
-  priorities.forEach(p => {
-    const { total, Y, N } = stats[p];
-
-    if (total === 0) {
-  const row = sheet2.addRow([
-    p,
-    'N/A',
-    'N/A',
-    'N/A',
-    'N/A',
-    'N/A',
-    'Y',
-    '0.0%',
-    'N/A'
+  // Processed rows with the manual overrides applied; the table, dashboard and panel show these
+  const overridden = useMemo(
+    () => applyOverrides(allHeaders, allRows, overrideState.overrides),
+    [allHeaders, allRows, overrideState.overrides]
+  );
+  const viewHeaders = overridden.headers;
+
+  // Sort keys and search text are computed once per row; keyed by row object, so new rows get
+  // new entries (see gridModel.js)
+  const [sortKeys] = useState(createSortKeyCache);
+  const [searchText] = useState(createSearchTextCache);
+
+  // what the user's role allows (see roles.js)
+  const canLoad = can(props.user, 'load-files');
+  const canViewData = can(props.user, 'view-data');
+  const canExport = can(props.user, 'export');
+  const canOverride = can(props.user, 'override');
+  const canEditSla = can(props.user, 'edit-sla-settings');
+  const view = canViewData ? previewView : 'dashboard';
+
+  // Filter builder test; periods such as "this month" count from now in the display time zone.
+  // The builder reads row values, so it is only for roles that may see them
+  const displayZone = previewSettings?.dateProfile?.displayTimeZone || '';
+  const advancedTest = useMemo(
+    () =>
+      canViewData
+        ? compileFilter(advancedFilter, { now: wallClockDate(new Date(), displayZone) })
+        : () => true,
+    [advancedFilter, displayZone, canViewData]
+  );
+
+  // Filtering & sorting memo - on the typed values (see columnModel.js)
+  const filteredAndSortedRows = useMemo(() => {
+    if (!overridden.rows || overridden.rows.length === 0) return [];
+    // viewers get no search box or column filters, so none apply to their dashboard
+    let rows = canViewData
+      ? filterRows(overridden.rows, viewHeaders, globalFilter, columnFilters, searchText)
+      : overridden.rows;
+    rows = rows.filter(advancedTest);
+    if (sortKey) rows = sortRows(rows, sortKey, sortDir, sortKeys);
+    return rows;
+  }, [
+    overridden.rows,
+    viewHeaders,
+    globalFilter,
+    columnFilters,
+    advancedTest,
+    sortKey,
+    sortDir,
+    sortKeys,
+    searchText,
+    canViewData,
   ]);
-      styleRow(row, true);
-      return;
+
+  const canGenerate = fileValid && !processing && sourceHeaders.length > 0 && missingFields.length === 0;
+  // the preview may come from history, without input files
+  const canDownload = !processing && totalRowsCount > 0 && !!previewSettings;
+
+  // Columns the download can break the SUI SLA table down by: State, Source and extra columns
+  const dimensionOptions = allHeaders.filter(
+    (h) => !['Number', 'Priority'].includes(h) && columnType(h) === 'text' && !/^State \d+$/.test(h)
+  );
+
+  const drillRow =
+    drillNumber != null && previewSettings && canViewData
+      ? overridden.rows.find((r) => r.Number === drillNumber)
+      : null;
+
+  // the drill-down's source rows are read from the files again when it opens
+  const drillIndices = drillRow && previewSources ? groupedRows[drillNumber] : null;
+  useEffect(() => {
+    if (!drillIndices) return undefined;
+    const number = drillNumber;
+    setDrillSource({ number, rows: null, error: null });
+    const job = runPipelineJob('source-rows', { ...previewSources, indices: drillIndices });
+    job.promise
+      .then((rows) => setDrillSource({ number, rows, error: null }))
+      .catch((err) => {
+        if (!err.cancelled) setDrillSource({ number, rows: [], error: err.message });
+      });
+    return job.cancel;
+  }, [drillIndices, drillNumber, previewSources]);
+  const drillSourceRows =
+    drillRow && drillSource && drillSource.number === drillNumber ? drillSource.rows : null;
+  const drillSourceNote = !previewSources
+    ? 'Source rows are not kept in the history; process the files again to see them.'
+    : drillSource && drillSource.number === drillNumber && drillSource.error
+      ? `The source rows could not be read: ${drillSource.error}`
+      : null;
+
+  function toggleSort(key) {
+    if (sortKey === key) setSortDir(sortDir === 'asc' ? 'desc' : 'asc');
+    else {
+      setSortKey(key);
+      setSortDir('asc');
     }
+  }
 
-    const withinPct = ((Y / total) * 100).toFixed(1) + '%';
-    const breachPct = grandTotal > 0
-      ? ((N / grandTotal) * 100).toFixed(1) + '%'
-      : '0.0%';
+  function onGlobalFilterChange(v) {
+    if (!allowed('view-data')) return;
+    setGlobalDraft(v);
+    if (globalFilterTimer.current) clearTimeout(globalFilterTimer.current);
+    globalFilterTimer.current = setTimeout(() => setGlobalFilter(v), 350);
+  }
 
-    let compliance = 'Y';
-    if ((p.startsWith('P1') || p.startsWith('P2')) && N > 0) compliance = 'N';
+  function onAdvancedFilterChange(filter) {
+    setFilterDraft(filter);
+    if (advancedFilterTimer.current) clearTimeout(advancedFilterTimer.current);
+    advancedFilterTimer.current = setTimeout(() => setAdvancedFilter(filter), 350);
+  }
 
-    let credit = '0.0%';
-    if (p.startsWith('P1') && compliance === 'N') credit = '1.0%';
-    if (p.startsWith('P2') && compliance === 'N') credit = '0.50%';
+  function setBuilderFilter(filter) {
+    clearTimeout(advancedFilterTimer.current);
+    setFilterDraft(filter);
+    setAdvancedFilter(filter);
+  }
 
-  // ---- Credit $ calculation ----
-const breachPctNum = parseFloat(breachPct.replace('%', '')); // numeric %
-const creditPctNum = parseFloat(credit.replace('%', ''));   // numeric %
+  // Applies a saved view: its filter and sort replace the current ones and the quick filters
+  function handleApplyView(name) {
+    const v = savedViews.find((x) => x.name === name);
+    if (!v) return;
+    clearFilters();
+    setBuilderFilter(v.filter);
+    setActiveViewName(v.name);
+    setSortKey(v.sortKey);
+    setSortDir(v.sortDir);
+    setShowFilterBuilder(true);
+  }
 
-let creditDollar = 0;
-if (breachPctNum < 95) {
-  creditDollar = (creditPctNum / 100) * CREDIT_BASE_AMOUNT;
-}
+  function handleSaveView(name) {
+    try {
+      const views = saveView({ name, filter: filterDraft, sortKey, sortDir });
+      setBuilderFilter(filterDraft);
+      setSavedViews(views);
+      setActiveViewName(name.trim());
+      setMessage(`View "${name.trim()}" saved.`);
+    } catch (e) {
+      setMessage(e.message || String(e));
+    }
+  }
 
-const row = sheet2.addRow([
-  p,
-  total,
-  Y,
-  withinPct,
-  N,
-  breachPct,
-  compliance,
-  credit,
-  creditDollar > 0 ? `$ ${creditDollar.toFixed(2)}` : '$ 0.00',
-]);
-
-
-    styleRow(row, credit === '0.0%');
-  });
-
-  /* ---- TOTAL ROW ---- */
-  const totalY = Object.values(stats).reduce((s, x) => s + x.Y, 0);
-  const totalN = Object.values(stats).reduce((s, x) => s + x.N, 0);
-
-  const totalRow = sheet2.addRow([
-    'Total',
-    grandTotal,
-    totalY,
-    ((totalY / grandTotal) * 100).toFixed(1) + '%',
-    totalN,
-    '100%',
-    '',
-    '',
-    '',
-  ]);
-  styleRow(totalRow, true);
-
-  /* ---- COLUMN WIDTHS ---- */
-  sheet2.columns.forEach(col => (col.width = 18));
-
-  return wb;
-
-  /* =========================
-     CELL STYLING HELPERS
-  ========================== */
-  function styleRow(row, greenCredit) {
-  // RIGHT aligned numeric / percentage columns
-  [2,3, 4, 5, 6, 8].forEach(c => {
-    row.getCell(c).alignment = { horizontal: 'right', vertical: 'middle' };
-  });
-
-  row.getCell(9).alignment = { horizontal: 'left', vertical: 'middle' };
-
-  // CENTER aligned Compliance column (Y / N)
-  
-  row.getCell(7).alignment = { horizontal: 'center', vertical: 'middle' };
-  row.getCell(8).alignment = { horizontal: 'left', vertical: 'middle' };
-
-  // Credit color
-  row.getCell(8).fill = {
-    type: 'pattern',
-    pattern: 'solid',
-    fgColor: { argb: greenCredit ? 'FF92D050' : 'FFFF0000' },
-  };
-}
+  function handleDeleteView(name) {
+    setSavedViews(deleteView(name));
+    setActiveViewName('');
+    setMessage(`View "${name}" deleted.`);
+  }
 
-}
+  async function handleCopyViewLink() {
+    const code = encodeView({ name: activeViewName, filter: filterDraft, sortKey, sortDir });
+    const url = `${window.location.origin}${window.location.pathname}?${VIEW_PARAM}=${code}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage('Link copied. It opens this filter and sort; teammates load their own files.');
+    } catch (e) {
+      setMessage(`Copy this link to share the view: ${url}`);
+    }
+  }
 
+  function onColumnFilterChange(col, v) {
+    if (columnFilterTimers.current[col]) clearTimeout(columnFilterTimers.current[col]);
+    columnFilterTimers.current[col] = setTimeout(() => {
+      setColumnFilters((prev) => ({ ...prev, [col]: v }));
+    }, 350);
+  }
 
+  function handlePolicySave(policies, activeName) {
+    if (!allowed('edit-sla-settings')) return;
+    setSlaPolicies(policies);
+    setActivePolicyName(activeName);
+    saveSlaPolicies(policies);
+    saveActivePolicyName(activeName);
+    setShowPolicyEditor(false);
+    if (allRows.length > 0)
+      setMessage(`SLA policy "${activeName}" selected — generate the preview again to apply it.`);
+  }
 
+  function handleCalendarSave(cal) {
+    if (!allowed('edit-sla-settings')) return;
+    setWorkingCalendar(cal);
+    saveWorkingCalendar(cal);
+    setShowCalendarEditor(false);
+    if (allRows.length > 0)
+      setMessage('Working calendar updated — generate the preview again to apply it.');
+  }
 
-  // DOWNLOAD
-  async function handleDownload() {
-    if (!fileValid || !inputFile) return;
-    setProcessing(true);
-    setMessage('Preparing download...');
-    const reader = new FileReader();
-    reader.onload = async (ev) => {
-      try {
-        const data = ev.target.result;
-        const workbook = XLSX.read(data, { type: 'array', cellDates: true });
-        const { rows } = parseWorkbook(workbook);
-        const { headers, data: outData } = processRows(rows);
-
-        if (!headers || headers.length === 0 || !Array.isArray(outData)) {
-          throw new Error(
-            'Processed output is empty or invalid — check input file columns (Number/Priority/Opened/Updated).'
-          );
-        }
+  function handleContractSave(list, activeName) {
+    if (!allowed('edit-sla-settings')) return;
+    setContracts(list);
+    setActiveContractName(activeName);
+    saveContracts(list);
+    saveActiveContractName(activeName);
+    setShowContractEditor(false);
+    if (allRows.length > 0)
+      setMessage(`Contract "${activeName}" selected — it applies to the next download.`);
+  }
 
-        const wbExcel = await buildWorkbookExcelJS(headers, outData, rows);
-
-        const buf = await wbExcel.xlsx.writeBuffer();
-        const blob = new Blob([buf], {
-          type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        });
-        const outFileName = (fileName || 'output.xlsx')
-          .replace(/\.xlsx$/i, '') + '-processed.xlsx';
-        saveAs(blob, outFileName);
-
-        setMessage(`Downloaded: ${outFileName}`);
-      } catch (err) {
-        console.error('Error preparing download:', err);
-        setMessage(
-          `Error preparing download: ${err && err.message ? err.message : String(err)}`
-        );
-      } finally {
-        setProcessing(false);
-      }
+  function handleDateProfileSave(profile) {
+    if (!allowed('load-files')) return;
+    setDateProfile(profile);
+    saveDateProfile(profile);
+    setShowDateEditor(false);
+    if (allRows.length > 0)
+      setMessage('Date settings updated — generate the preview again to apply them.');
+  }
+
+  // Set (or replace) the override for an incident / interval and log the change
+  function handleSetOverride(fields) {
+    if (!allowed('override')) return;
+    const entry = { ...fields, by: props.user?.id || 'unknown', at: new Date().toISOString() };
+    const next = {
+      key: overrideState.key,
+      overrides: [...overrideState.overrides.filter((o) => !sameTarget(o, entry)), entry],
+      log: [...overrideState.log, { ...entry, change: 'set' }],
     };
-    reader.onerror = () => {
-      setProcessing(false);
-      setMessage('Failed to read file');
+    setOverrideState(next);
+    saveOverrides(next.key, next);
+    syncRunOverrides(next);
+  }
+
+  function handleRemoveOverride(override) {
+    if (!allowed('override')) return;
+    const entry = { ...override, by: props.user?.id || 'unknown', at: new Date().toISOString() };
+    const next = {
+      key: overrideState.key,
+      overrides: overrideState.overrides.filter((o) => !sameTarget(o, override)),
+      log: [...overrideState.log, { ...entry, change: 'removed' }],
     };
-    reader.readAsArrayBuffer(inputFile);
+    setOverrideState(next);
+    saveOverrides(next.key, next);
+    syncRunOverrides(next);
   }
 
-  // Filtering & sorting memo (unchanged UI logic)
-  const filteredAndSortedRows = useMemo(() => {
-    if (!allRows || allRows.length === 0) return [];
-    let rows = allRows;
-    const gf = (globalFilter || '').trim().toLowerCase();
-    if (gf)
-      rows = rows.filter((r) =>
-        allHeaders.some((h) => String(r[h] ?? '').toLowerCase().includes(gf))
-      );
+  // Keep the history run's overrides and summary in step with the preview
+  function syncRunOverrides(next) {
+    if (!currentRun || currentRun.id == null) return;
+    const summary = runSummary(allHeaders, allRows, next.overrides, currentRun.contract);
+    updateRunOverrides(currentRun.id, next, summary).catch((e) =>
+      console.warn('History not updated:', e)
+    );
+  }
 
-    for (const [col, val] of Object.entries(columnFilters)) {
-      if (!val) continue;
-      const raw = String(val).trim();
-      if (raw.includes('..')) {
-        const [a, b] = raw.split('..').map((s) => s.trim());
-        const da = Date.parse(a);
-        const db = Date.parse(b);
-        if (!isNaN(da) && !isNaN(db)) {
-          rows = rows.filter((r) => {
-            const v = parseToDate(r[col]);
-            if (!v) return false;
-            return v >= new Date(da) && v <= new Date(db);
-          });
-          continue;
-        }
-        const na = parseFloat(a);
-        const nb = parseFloat(b);
-        if (!isNaN(na) && !isNaN(nb)) {
-          rows = rows.filter((r) => {
-            const v = parseFloat(String(r[col] || '').replace(/[dhs\s:]/g, ''));
-            if (isNaN(v)) return false;
-            return v >= na && v <= nb;
-          });
-          continue;
-        }
-      }
-      const v = raw.toLowerCase();
-      rows = rows.filter((r) => String(r[col] ?? '').toLowerCase().includes(v));
+  function openHistory() {
+    setShowHistory(true);
+    setHistoryRuns(null);
+    setHistoryError(null);
+    listRuns()
+      .then(setHistoryRuns)
+      .catch((e) => setHistoryError(e.message || String(e)));
+  }
+
+  // Load a history run into the preview as if its files had just been processed
+  async function handleOpenRun(id) {
+    try {
+      const run = await loadRun(id);
+      _clearState();
+      const { policy, calendar, dateProfile } = run.settings;
+      setAllHeaders(run.headers);
+      setAllRows(run.rows);
+      setDataIssues(run.issues);
+      setOverrideState(run.overrides);
+      setTotalRowsCount(run.rows.length);
+      setPreviewSettings({ policy, calendar, dateProfile });
+      setPreviewDateOrder(run.dateOrder);
+      setTrendPeriod(run.settings.trendPeriod || 'month');
+      setSlaDimension(run.settings.slaDimension || '');
+      setCurrentRun({ id: run.id, fileNames: run.fileNames, contract: run.settings.contract });
+      setShowHistory(false);
+      setMessage(
+        `Opened the run of ${new Date(run.at).toLocaleString()} (SLA policy: ${policy.name}) — total ${run.rows.length} rows. Settings changed since then apply when the files are processed again.`
+      );
+    } catch (e) {
+      setHistoryError(e.message || String(e));
     }
+  }
 
-    if (sortKey) {
-      const key = sortKey;
-      rows = [...rows].sort((a, b) => {
-        const A = (a[key] ?? '').toString();
-        const B = (b[key] ?? '').toString();
-        const dateA = Date.parse(A);
-        const dateB = Date.parse(B);
-        if (!isNaN(dateA) && !isNaN(dateB))
-          return sortDir === 'asc' ? dateA - dateB : dateB - dateA;
-        const nA = parseFloat(A.replace(/[dhs\s:]/g, ''));
-        const nB = parseFloat(B.replace(/[dhs\s:]/g, ''));
-        if (!isNaN(nA) && !isNaN(nB)) return sortDir === 'asc' ? nA - nB : nB - nA;
-        return sortDir === 'asc' ? A.localeCompare(B) : B.localeCompare(A);
-      });
+  // Worker payload rebuilding a run's workbook with the settings and contract it was processed with
+  function runBuildPayload(run) {
+    return {
+      headers: run.headers,
+      data: run.rows,
+      issues: run.issues,
+      overrides: run.overrides.overrides,
+      overrideLog: run.overrides.log,
+      dateOrder: run.dateOrder,
+      ...run.settings,
+    };
+  }
+
+  async function handleDownloadRun(id) {
+    if (!allowed('export')) return;
+    try {
+      const run = await loadRun(id);
+      setShowHistory(false);
+      await buildAndSave(runBuildPayload(run), run.fileNames);
+    } catch (e) {
+      setHistoryError(e.message || String(e));
     }
-    return rows;
-  }, [allRows, allHeaders, globalFilter, columnFilters, sortKey, sortDir]);
+  }
 
-  const totalPages = Math.max(1, Math.ceil(filteredAndSortedRows.length / pageSize));
-  const pageRows = filteredAndSortedRows.slice(
-    (currentPage - 1) * pageSize,
-    currentPage * pageSize
-  );
+  function compareLoadedRuns(before, after) {
+    const side = (run) => ({
+      label: runLabel(run),
+      headers: run.headers,
+      rows: run.rows,
+      overrides: run.overrides.overrides,
+      contract: run.settings.contract,
+    });
+    setComparison({ before, after, result: compareRuns(side(before), side(after)) });
+  }
 
-  function toggleSort(key) {
-    if (sortKey === key) setSortDir(sortDir === 'asc' ? 'desc' : 'asc');
-    else {
-      setSortKey(key);
-      setSortDir('asc');
+  // Compare two history runs, the one with the earlier incidents first
+  async function handleCompareRuns(idA, idB) {
+    try {
+      const runs = await Promise.all([loadRun(idA), loadRun(idB)]);
+      const start = (run) => (run.openedRange ? run.openedRange.from : run.at);
+      runs.sort((a, b) => start(a).localeCompare(start(b)) || a.at.localeCompare(b.at));
+      compareLoadedRuns(runs[0], runs[1]);
+      setShowHistory(false);
+    } catch (e) {
+      setHistoryError(e.message || String(e));
     }
-    setCurrentPage(1);
   }
 
-  function onGlobalFilterChange(v) {
-    if (globalFilterTimer.current) clearTimeout(globalFilterTimer.current);
-    globalFilterTimer.current = setTimeout(() => {
-      setGlobalFilter(v);
-      setCurrentPage(1);
-    }, 350);
+  // The After run's workbook with the Comparison sheet added
+  async function handleDownloadComparison() {
+    if (!allowed('export') || !comparison) return;
+    const { after, result } = comparison;
+    setComparison(null);
+    await buildAndSave({ ...runBuildPayload(after), comparison: result }, after.fileNames, 'comparison');
   }
 
-  function onColumnFilterChange(col, v) {
-    if (columnFilterTimers.current[col]) clearTimeout(columnFilterTimers.current[col]);
-    columnFilterTimers.current[col] = setTimeout(() => {
-      setColumnFilters((prev) => ({ ...prev, [col]: v }));
-      setCurrentPage(1);
-    }, 350);
+  async function handleDeleteRun(id) {
+    if (!allowed('load-files')) return;
+    try {
+      await deleteRun(id);
+      // the preview stays; it is just no longer saved
+      if (currentRun && currentRun.id === id) setCurrentRun({ ...currentRun, id: null });
+      setHistoryRuns(await listRuns());
+    } catch (e) {
+      setHistoryError(e.message || String(e));
+    }
+  }
+
+  async function handleClearHistory() {
+    if (!allowed('load-files')) return;
+    try {
+      await clearHistory();
+      if (currentRun) setCurrentRun({ ...currentRun, id: null });
+      setHistoryRuns([]);
+    } catch (e) {
+      setHistoryError(e.message || String(e));
+    }
   }
 
   function clearFilters() {
+    // drop typing that has not been applied yet
+    clearTimeout(globalFilterTimer.current);
+    Object.values(columnFilterTimers.current).forEach(clearTimeout);
     setGlobalFilter('');
+    setGlobalDraft('');
     setColumnFilters({});
-    setCurrentPage(1);
   }
 
-  function PreviewTable() {
-    if (!allHeaders || allHeaders.length === 0) return null;
+  // Quick filters, the filter builder and the active view
+  function clearAllFilters() {
+    if (!allowed('view-data')) return;
+    clearFilters();
+    setBuilderFilter(EMPTY_FILTER);
+    setActiveViewName('');
+  }
+
+  // Table / dashboard below the toolbar (a render helper, not a component, so the grid keeps
+  // its scroll position and the inputs their focus across renders)
+  function renderPreview() {
+    if (!viewHeaders || viewHeaders.length === 0) return null;
     return (
       <div style={{ marginTop: 16, opacity: isFadingOut ? 0.35 : 1, transition: 'opacity .28s ease' }}>
         <div style={{ display: 'flex', gap: 10, alignItems: 'center', marginBottom: 8 }}>
-          <input
-            placeholder="Global search (debounced)..."
-            defaultValue={globalFilter}
-            onChange={(e) => onGlobalFilterChange(e.target.value)}
-            style={{ padding: 8, borderRadius: 8, border: '1px solid #e2e8f0', minWidth: 240 }}
-          />
-          <button
-            onClick={clearFilters}
-            style={{ padding: '8px 10px', borderRadius: 8, border: 'none', background: '#e6eef0' }}
-          >
-            Clear filters
-          </button>
-          <div style={{ marginLeft: 'auto', display: 'flex', gap: 8, alignItems: 'center' }}>
-            <div style={{ fontSize: 13, color: '#475569' }}>Rows per page</div>
-            <select
-              value={pageSize}
-              onChange={(e) => {
-                setPageSize(Number(e.target.value));
-                setCurrentPage(1);
-              }}
-              style={{ padding: 8, borderRadius: 8 }}
-            >
-              <option value={10}>10</option>
-              <option value={25}>25</option>
-              <option value={50}>50</option>
-              <option value={100}>100</option>
-            </select>
-          </div>
-        </div>
-
-        <div style={{ overflowX: 'auto', border: '1px solid #e6eef0', borderRadius: 8 }}>
-          <table style={{ borderCollapse: 'collapse', width: '100%' }}>
-            <thead>
-              <tr>
-                {allHeaders.map((h) => (
-                  <th
-                    key={h}
-                    style={{
-                      padding: 8,
-                      textAlign: 'left',
-                      background: '#f8fafc',
-                      borderBottom: '1px solid #e6eef0',
-                      cursor: 'pointer',
-                    }}
-                    onClick={() => toggleSort(h)}
-                  >
-                    <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-                      <span style={{ fontWeight: 600 }}>{h}</span>
-                      {sortKey === h ? (
-                        <small style={{ color: '#0f172a' }}>{sortDir === 'asc' ? '▲' : '▼'}</small>
-                      ) : (
-                        <small style={{ color: '#94a3b8' }}>⇅</small>
-                      )}
-                    </div>
-                  </th>
-                ))}
-              </tr>
-              <tr>
-                {allHeaders.map((h) => (
-                  <th key={h + '-filter'} style={{ padding: '6px 8px', background: '#fff' }}>
-                    <input
-                      placeholder={`Filter ${h} (use '..' for range)`}
-                      defaultValue={columnFilters[h] || ''}
-                      onChange={(e) => onColumnFilterChange(h, e.target.value)}
-                      style={{
-                        width: '100%',
-                        padding: 6,
-                        borderRadius: 6,
-                        border: '1px solid #eef2f7',
-                      }}
-                    />
-                  </th>
-                ))}
-              </tr>
-            </thead>
-            <tbody>
-              {pageRows.length === 0 ? (
-                <tr>
-                  <td
-                    colSpan={allHeaders.length}
-                    style={{ padding: 20, textAlign: 'center', color: '#64748b' }}
-                  >
-                    No rows to display
-                  </td>
-                </tr>
-              ) : (
-                pageRows.map((r, idx) => (
-                  <tr key={idx} style={{ borderBottom: '1px solid #f1f5f9' }}>
-                    {allHeaders.map((h) => (
-                      <td key={h} style={{ padding: 8, fontSize: 13 }}>
-                        {r[h] ?? ''}
-                      </td>
-                    ))}
-                  </tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
-
-        <div
-          style={{
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'space-between',
-            marginTop: 10,
-          }}
-        >
-          <div style={{ color: '#475569' }}>
-            Showing{' '}
-            {filteredAndSortedRows.length === 0
-              ? 0
-              : (currentPage - 1) * pageSize + 1}{' '}
-            - {Math.min(currentPage * pageSize, filteredAndSortedRows.length)} of{' '}
-            {filteredAndSortedRows.length} rows (filtered from {totalRowsCount})
+          <div style={{ display: 'flex', border: '1px solid #e2e8f0', borderRadius: 8, overflow: 'hidden' }}>
+            {[
+              ['table', 'Table'],
+              ['groups', 'Groups'],
+              ['dashboard', 'Dashboard'],
+            ]
+              .filter(([key]) => key === 'dashboard' || canViewData)
+              .map(([key, label]) => (
+                <button
+                  key={key}
+                  onClick={() => setPreviewView(key)}
+                  style={{
+                    padding: '8px 12px',
+                    border: 'none',
+                    background: view === key ? '#0f172a' : 'white',
+                    color: view === key ? 'white' : '#0f172a',
+                    cursor: 'pointer',
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
           </div>
-
-          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
-            <button
-              onClick={() => {
-                setCurrentPage(1);
-              }}
-              disabled={currentPage === 1}
-              style={{
-                padding: '6px 8px',
-                borderRadius: 6,
-                border: '1px solid #e6eef0',
-                background: currentPage === 1 ? '#f8fafc' : 'white',
-              }}
-            >
-              First
-            </button>
-            <button
-              onClick={() => setCurrentPage((p) => Math.max(1, p - 1))}
-              disabled={currentPage === 1}
-              style={{ padding: '6px 8px', borderRadius: 6, border: '1px solid #e6eef0' }}
-            >
-              Prev
-            </button>
-            <span style={{ padding: '6px 8px' }}>Page</span>
+          {canViewData && (
             <input
-              value={currentPage}
-              onChange={(e) => {
-                const v = Number(e.target.value || 1);
-                if (!isNaN(v) && v >= 1 && v <= totalPages) setCurrentPage(v);
-              }}
-              style={{ width: 60, padding: 6, borderRadius: 6, border: '1px solid #e2e8f0' }}
+              placeholder="Global search (debounced)..."
+              value={globalDraft}
+              onChange={(e) => onGlobalFilterChange(e.target.value)}
+              style={{ padding: 8, borderRadius: 8, border: '1px solid #e2e8f0', minWidth: 240 }}
             />
-            <span>/ {totalPages}</span>
+          )}
+          {canViewData && (
             <button
-              onClick={() => setCurrentPage((p) => Math.min(totalPages, p + 1))}
-              disabled={currentPage === totalPages}
-              style={{ padding: '6px 8px', borderRadius: 6, border: '1px solid #e6eef0' }}
+              onClick={() => setShowFilterBuilder(!showFilterBuilder)}
+              aria-expanded={showFilterBuilder}
+              title={describeFilter(advancedFilter) || 'Build a filter with conditions and groups'}
+              style={{
+                padding: '8px 10px',
+                borderRadius: 8,
+                border: '1px solid #cbd5e1',
+                background: showFilterBuilder ? '#0f172a' : 'white',
+                color: showFilterBuilder ? 'white' : '#0f172a',
+                cursor: 'pointer',
+              }}
             >
-              Next
+              Filters
+              {countConditions(advancedFilter) > 0 ? ` (${countConditions(advancedFilter)})` : ''}
             </button>
+          )}
+          {canViewData && (
             <button
-              onClick={() => {
-                setCurrentPage(totalPages);
+              onClick={clearAllFilters}
+              style={{
+                padding: '8px 10px',
+                borderRadius: 8,
+                border: 'none',
+                background: '#e6eef0',
               }}
-              disabled={currentPage === totalPages}
-              style={{ padding: '6px 8px', borderRadius: 6, border: '1px solid #e6eef0' }}
             >
-              Last
+              Clear filters
             </button>
-          </div>
+          )}
+          {view !== 'dashboard' && (
+            <div style={{ marginLeft: 'auto', fontSize: 13, color: '#475569' }}>
+              {filteredAndSortedRows.length} rows (filtered from {totalRowsCount})
+            </div>
+          )}
         </div>
+
+        {canViewData && showFilterBuilder && (
+          <FilterBuilder
+            headers={viewHeaders}
+            rows={overridden.rows}
+            filter={filterDraft}
+            onChange={onAdvancedFilterChange}
+            views={savedViews}
+            activeView={activeViewName}
+            onApplyView={handleApplyView}
+            onSaveView={handleSaveView}
+            onDeleteView={handleDeleteView}
+            onCopyLink={handleCopyViewLink}
+            onClose={() => setShowFilterBuilder(false)}
+          />
+        )}
+        {canViewData && !showFilterBuilder && countConditions(advancedFilter) > 0 && (
+          <div style={{ marginBottom: 8, fontSize: 13, color: '#475569' }}>
+            {activeViewName ? `${activeViewName}: ` : 'Filter: '}
+            {describeFilter(advancedFilter)}
+          </div>
+        )}
+
+        {view === 'dashboard' ? (
+          <SlaDashboard
+            rows={filteredAndSortedRows}
+            headers={viewHeaders}
+            contract={activeContract}
+            totalRows={totalRowsCount}
+          />
+        ) : view === 'groups' ? (
+          <PivotView
+            headers={viewHeaders}
+            rows={filteredAndSortedRows}
+            keys={pivotKeys}
+            onKeysChange={setPivotKeys}
+            selectedNumber={drillNumber}
+            onRowClick={(r) => setDrillNumber(r.Number)}
+          />
+        ) : (
+          <VirtualGrid
+            headers={viewHeaders}
+            rows={filteredAndSortedRows}
+            sortKey={sortKey}
+            sortDir={sortDir}
+            onSort={toggleSort}
+            filters={columnFilters}
+            onFilterChange={onColumnFilterChange}
+            selectedNumber={drillNumber}
+            onRowClick={(r) => setDrillNumber(r.Number)}
+            resetKey={`${globalFilter}|${JSON.stringify(columnFilters)}|${JSON.stringify(
+              advancedFilter
+            )}|${sortKey}|${sortDir}`}
+          />
+        )}
       </div>
     );
   }
@@ -940,17 +1182,21 @@ const row = sheet2.addRow([
               * Upload the Excel File and this give the Incident Intervals TimeStamps *
             </p>
           </div>
+          {props.user && (
+            <div style={{ textAlign: 'right', fontSize: 13 }} title={`Signed in as ${props.user.id}`}>
+              <div style={{ fontWeight: 600 }}>{props.user.name}</div>
+              <div style={{ opacity: 0.85 }}>
+                {props.user.email || props.user.id} · {roleLabel(props.user)}
+              </div>
+            </div>
+          )}
           <div>
             <button
               onClick={() => {
                 if (typeof props?.onLogout === 'function') props.onLogout();
                 else {
-                  try {
-                    localStorage.removeItem('erp_auth');
-                    window.location.href = '/login';
-                  } catch (e) {
-                    window.location.href = '/login';
-                  }
+                  clearSession();
+                  window.location.href = '/login';
                 }
               }}
               style={{
@@ -969,26 +1215,35 @@ const row = sheet2.addRow([
 
         <div style={{ background: 'white', padding: 20 }}>
           <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap' }}>
-            <label
-              htmlFor="file"
-              style={{
-                padding: '8px 12px',
-                borderRadius: 8,
-                border: '1px dashed #cbd5e1',
-                cursor: 'pointer',
-                background: '#fbfbff',
-              }}
-            >
-              Choose File
-              <input
-                ref={fileInputRef}
-                id="file"
-                type="file"
-                accept=".xlsx"
-                onChange={handleFileChange}
-                style={{ display: 'none' }}
-              />
-            </label>
+            {canLoad && (
+              <label
+                htmlFor="file"
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragActive(true);
+                }}
+                onDragLeave={() => setDragActive(false)}
+                onDrop={handleDrop}
+                style={{
+                  padding: '8px 12px',
+                  borderRadius: 8,
+                  border: dragActive ? '1px dashed #06b6d4' : '1px dashed #cbd5e1',
+                  cursor: 'pointer',
+                  background: dragActive ? '#ecfeff' : '#fbfbff',
+                }}
+              >
+                Choose or drop files
+                <input
+                  ref={fileInputRef}
+                  id="file"
+                  type="file"
+                  multiple
+                  accept={ACCEPTED_EXTENSIONS}
+                  onChange={handleFileChange}
+                  style={{ display: 'none' }}
+                />
+              </label>
+            )}
 
             <div style={{ minWidth: 260 }}>
               <div style={{ fontSize: 14, fontWeight: 600 }}>
@@ -997,77 +1252,306 @@ const row = sheet2.addRow([
               <div style={{ fontSize: 12, color: '#6b7280' }}>{message}</div>
             </div>
 
+            {canLoad && (
+              <button
+                onClick={handleGenerate}
+                disabled={!canGenerate}
+                style={{
+                  padding: '10px 16px',
+                  background: !canGenerate ? '#e2e8f0' : '#06b6d4',
+                  color: !canGenerate ? '#64748b' : 'white',
+                  borderRadius: 8,
+                  border: 'none',
+                  cursor: !canGenerate ? 'not-allowed' : 'pointer',
+                }}
+              >
+                {processing ? 'Working...' : 'Generate Preview'}
+              </button>
+            )}
+
+            {canExport && (
+              <>
+                <button
+                  onClick={handleDownload}
+                  disabled={!canDownload}
+                  style={{
+                    padding: '10px 16px',
+                    background: !canDownload ? '#f1f5f9' : '#0891b2',
+                    color: !canDownload ? '#94a3b8' : 'white',
+                    borderRadius: 8,
+                    border: 'none',
+                    cursor: !canDownload ? 'not-allowed' : 'pointer',
+                  }}
+                >
+                  Download Full File
+                </button>
+
+                <ExportMenu
+                  disabled={!canDownload}
+                  filteredCount={filteredAndSortedRows.length}
+                  totalCount={overridden.rows.length}
+                  onExport={handleExport}
+                />
+
+                <select
+                  value={trendPeriod}
+                  onChange={(e) => setTrendPeriod(e.target.value)}
+                  title="Buckets of the SLA Trend sheet in the download"
+                  style={{ padding: 9, borderRadius: 8, border: '1px solid #cbd5e1' }}
+                >
+                  {Object.entries(TREND_PERIODS).map(([key, label]) => (
+                    <option key={key} value={key}>
+                      Trend by {label.toLowerCase()}
+                    </option>
+                  ))}
+                </select>
+
+                {dimensionOptions.length > 0 && (
+                  <select
+                    value={dimensionOptions.includes(slaDimension) ? slaDimension : ''}
+                    onChange={(e) => setSlaDimension(e.target.value)}
+                    title="Adds a SUI SLA table per value of this column to the download"
+                    style={{ padding: 9, borderRadius: 8, border: '1px solid #cbd5e1' }}
+                  >
+                    <option value="">No SUI SLA breakdown</option>
+                    {dimensionOptions.map((h) => (
+                      <option key={h} value={h}>
+                        SUI SLA by {h}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </>
+            )}
+
+            {canEditSla && (
+              <>
+                <button
+                  onClick={() => setShowPolicyEditor(true)}
+                  disabled={processing}
+                  style={{
+                    padding: '10px 16px',
+                    background: 'white',
+                    color: '#0f172a',
+                    borderRadius: 8,
+                    border: '1px solid #cbd5e1',
+                    cursor: processing ? 'not-allowed' : 'pointer',
+                  }}
+                >
+                  SLA Policy
+                </button>
+
+                <button
+                  onClick={() => setShowCalendarEditor(true)}
+                  disabled={processing}
+                  style={{
+                    padding: '10px 16px',
+                    background: 'white',
+                    color: '#0f172a',
+                    borderRadius: 8,
+                    border: '1px solid #cbd5e1',
+                    cursor: processing ? 'not-allowed' : 'pointer',
+                  }}
+                >
+                  Business Hours
+                </button>
+              </>
+            )}
+
+            {canLoad && (
+              <button
+                onClick={() => setShowDateEditor(true)}
+                disabled={processing}
+                style={{
+                  padding: '10px 16px',
+                  background: 'white',
+                  color: '#0f172a',
+                  borderRadius: 8,
+                  border: '1px solid #cbd5e1',
+                  cursor: processing ? 'not-allowed' : 'pointer',
+                }}
+              >
+                Date Format
+              </button>
+            )}
+
+            {canEditSla && (
+              <button
+                onClick={() => setShowContractEditor(true)}
+                disabled={processing}
+                style={{
+                  padding: '10px 16px',
+                  background: 'white',
+                  color: '#0f172a',
+                  borderRadius: 8,
+                  border: '1px solid #cbd5e1',
+                  cursor: processing ? 'not-allowed' : 'pointer',
+                }}
+              >
+                Contract
+              </button>
+            )}
+
             <button
-              onClick={handleGenerate}
-              disabled={!fileValid || processing}
+              onClick={openHistory}
               style={{
                 padding: '10px 16px',
-                background: !fileValid || processing ? '#e2e8f0' : '#06b6d4',
-                color: !fileValid || processing ? '#64748b' : 'white',
+                background: 'white',
+                color: '#0f172a',
                 borderRadius: 8,
-                border: 'none',
-                cursor: !fileValid || processing ? 'not-allowed' : 'pointer',
+                border: '1px solid #cbd5e1',
+                cursor: 'pointer',
               }}
             >
-              {processing ? 'Working...' : 'Generate Preview'}
+              History
             </button>
 
-            <button
-              onClick={handleDownload}
-              disabled={!fileValid || processing || totalRowsCount === 0}
+            {canLoad && (
+              <button
+                onClick={() => setShowConfirmClear(true)}
+                disabled={!(fileValid || allRows.length > 0)}
+                style={{
+                  padding: '10px 16px',
+                  background: fileValid || allRows.length > 0 ? '#ef4444' : '#f8fafc',
+                  color: fileValid || allRows.length > 0 ? 'white' : '#94a3b8',
+                  borderRadius: 8,
+                  border: 'none',
+                  cursor: fileValid || allRows.length > 0 ? 'pointer' : 'not-allowed',
+                }}
+              >
+                Clear / Delete
+              </button>
+            )}
+
+            <div style={{ marginLeft: 'auto', textAlign: 'right' }}>
+              <div style={{ fontSize: 12, color: '#334155' }}>File type</div>
+              <div style={{ fontSize: 12, color: '#0f172a', fontWeight: 600 }}>
+                .xlsx, .xls, .ods, .csv  —  Shortcut: Ctrl/Cmd+K
+              </div>
+              <div style={{ fontSize: 12, color: '#334155', marginTop: 4 }}>
+                SLA policy: <strong>{activePolicy.name}</strong>
+              </div>
+              <div style={{ fontSize: 12, color: '#334155' }}>
+                Contract: <strong>{activeContract.name}</strong>
+              </div>
+              <div style={{ fontSize: 12, color: '#334155' }}>
+                Intervals: {workingCalendar.enabled ? 'business hours' : 'elapsed (24x7)'}
+              </div>
+              <div style={{ fontSize: 12, color: '#334155', maxWidth: 260 }}>
+                {describeDateProfile(
+                  previewSettings ? previewSettings.dateProfile : dateProfile,
+                  previewSettings ? previewDateOrder : dateProfile.dateOrder
+                )}
+              </div>
+            </div>
+          </div>
+
+          {!canLoad && (
+            <div
               style={{
-                padding: '10px 16px',
-                background:
-                  !fileValid || processing || totalRowsCount === 0 ? '#f1f5f9' : '#0891b2',
-                color:
-                  !fileValid || processing || totalRowsCount === 0 ? '#94a3b8' : 'white',
+                marginTop: 14,
+                padding: '10px 12px',
                 borderRadius: 8,
-                border: 'none',
-                cursor:
-                  !fileValid || processing || totalRowsCount === 0
-                    ? 'not-allowed'
-                    : 'pointer',
+                background: '#f1f5f9',
+                fontSize: 13,
+                color: '#334155',
               }}
             >
-              Download Full File
-            </button>
+              Signed in as {roleLabel(props.user)}: you can see SLA dashboards — open a processed
+              run from History. Loading incident files, the incident table and downloads need the
+              Analyst role.
+            </div>
+          )}
+
+          {canLoad && inputFiles.length > 0 && (
+            <SourcePicker
+              files={inputFiles}
+              disabled={processing}
+              onToggleSheet={handleToggleSheet}
+              onRemoveFile={handleRemoveFile}
+            />
+          )}
+
+          {canLoad && sourceHeaders.length > 0 && (
+            <ColumnMappingPanel
+              headers={sourceHeaders}
+              columns={columnMap}
+              confidence={mapConfidence}
+              extraColumns={extraColumns}
+              disabled={processing}
+              onChange={handleMappingChange}
+              onExtraColumnsChange={handleExtraColumnsChange}
+            />
+          )}
 
-            <button
-              onClick={() => setShowConfirmClear(true)}
-              disabled={!(fileValid || allRows.length > 0)}
+          {progress && (
+            <div
               style={{
-                padding: '10px 16px',
-                background: fileValid || allRows.length > 0 ? '#ef4444' : '#f8fafc',
-                color: fileValid || allRows.length > 0 ? 'white' : '#94a3b8',
-                borderRadius: 8,
-                border: 'none',
-                cursor: fileValid || allRows.length > 0 ? 'pointer' : 'not-allowed',
+                marginTop: 14,
+                display: 'flex',
+                gap: 12,
+                alignItems: 'center',
+                fontSize: 13,
+                color: '#334155',
               }}
             >
-              Clear / Delete
-            </button>
-
-            <div style={{ marginLeft: 'auto', textAlign: 'right' }}>
-              <div style={{ fontSize: 12, color: '#334155' }}>File type</div>
-              <div style={{ fontSize: 12, color: '#0f172a', fontWeight: 600 }}>
-                Only .xlsx  —  Shortcut: Ctrl/Cmd+K
+              <div style={{ minWidth: 260 }}>
+                {PROGRESS_LABELS[progress.phase] || 'Working'}
+                {progress.total > 0
+                  ? ` — ${progress.done.toLocaleString()} / ${progress.total.toLocaleString()} ${
+                      PROGRESS_UNITS[progress.phase] || 'rows'
+                    }`
+                  : '...'}
+              </div>
+              <div
+                style={{
+                  flex: 1,
+                  height: 8,
+                  borderRadius: 4,
+                  background: '#e2e8f0',
+                  overflow: 'hidden',
+                }}
+              >
+                <div
+                  style={{
+                    height: '100%',
+                    width: progress.total > 0 ? `${(progress.done / progress.total) * 100}%` : '15%',
+                    background: '#06b6d4',
+                    transition: 'width .2s ease',
+                  }}
+                />
               </div>
+              <button
+                onClick={handleCancel}
+                style={{
+                  padding: '6px 12px',
+                  borderRadius: 8,
+                  border: '1px solid #fecaca',
+                  background: 'white',
+                  color: '#b91c1c',
+                  cursor: 'pointer',
+                }}
+              >
+                Cancel
+              </button>
             </div>
-          </div>
+          )}
 
           <div style={{ marginTop: 18, fontSize: 13, color: '#475569' }}>
             {totalRowsCount > 0 ? (
               <div>
                 Preview available — total {totalRowsCount} rows. Use sorting, filtering and
-                pagination to inspect before downloading.
+                the column picker to inspect before downloading.
               </div>
             ) : (
-              <div>Use Generate Preview to inspect output before downloading.</div>
+              canLoad && <div>Use Generate Preview to inspect output before downloading.</div>
             )}
           </div>
 
+          {totalRowsCount > 0 && canViewData && <DataIssuesPanel issues={dataIssues} />}
+
           <div>
-            <PreviewTable />
+            {renderPreview()}
           </div>
         </div>
 
@@ -1088,6 +1572,84 @@ const row = sheet2.addRow([
         </div>
       </div>
 
+      {showPolicyEditor && (
+        <SlaPolicyEditor
+          policies={slaPolicies}
+          activeName={activePolicy.name}
+          onSave={handlePolicySave}
+          onClose={() => setShowPolicyEditor(false)}
+        />
+      )}
+
+      {showCalendarEditor && (
+        <WorkingCalendarEditor
+          calendar={workingCalendar}
+          onSave={handleCalendarSave}
+          onClose={() => setShowCalendarEditor(false)}
+        />
+      )}
+
+      {drillRow && (
+        <IncidentDrilldown
+          row={drillRow}
+          headers={viewHeaders}
+          overrides={overrideState.overrides.filter((o) => o.number === drillRow.Number)}
+          onSetOverride={canOverride ? handleSetOverride : null}
+          onRemoveOverride={canOverride ? handleRemoveOverride : null}
+          sourceRows={drillSourceRows}
+          sourceRowsNote={drillSourceNote}
+          policy={previewSettings.policy}
+          calendar={previewSettings.calendar}
+          onClose={() => setDrillNumber(null)}
+        />
+      )}
+
+      {showHistory && (
+        <RunHistoryPanel
+          runs={historyRuns}
+          error={historyError}
+          currentRunId={currentRun ? currentRun.id : null}
+          busy={processing}
+          canDownload={canExport}
+          canDelete={canLoad}
+          onOpen={handleOpenRun}
+          onDownload={handleDownloadRun}
+          onDelete={handleDeleteRun}
+          onClear={handleClearHistory}
+          onCompare={handleCompareRuns}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {comparison && (
+        <RunComparisonPanel
+          comparison={comparison.result}
+          busy={processing}
+          canDownload={canExport}
+          canViewIncidents={canViewData}
+          onSwap={() => compareLoadedRuns(comparison.after, comparison.before)}
+          onDownload={handleDownloadComparison}
+          onClose={() => setComparison(null)}
+        />
+      )}
+
+      {showContractEditor && (
+        <ContractTermsEditor
+          contracts={contracts}
+          activeName={activeContract.name}
+          onSave={handleContractSave}
+          onClose={() => setShowContractEditor(false)}
+        />
+      )}
+
+      {showDateEditor && (
+        <DateProfileEditor
+          profile={dateProfile}
+          onSave={handleDateProfileSave}
+          onClose={() => setShowDateEditor(false)}
+        />
+      )}
+
       {showConfirmClear && (
         <div
           style={{
@@ -1111,7 +1673,7 @@ const row = sheet2.addRow([
           >
             <h3 style={{ margin: 0, fontSize: 18 }}>Clear loaded data?</h3>
             <p style={{ marginTop: 8, color: '#475569' }}>
-              This will remove the preview and selected file. You can re-upload a new .xlsx
+              This will remove the preview and selected file. You can re-upload a new file
               afterwards.
             </p>
             <div
@@ -1136,7 +1698,7 @@ const row = sheet2.addRow([
               <button
                 onClick={() => {
                   setShowConfirmClear(false);
-                  resetAllState(true);
+                  if (allowed('load-files')) resetAllState(true);
                 }}
                 style={{
                   padding: '8px 12px',
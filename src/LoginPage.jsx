@@ -1,34 +1,44 @@
 // src/LoginPage.jsx
 import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { AUTH_PROVIDERS, authConfigFromEnv, getAuthClient } from './auth';
+
+/*
+  Sign-in page
+  - "Sign in" starts the OIDC PKCE flow (auth.js) and sends the browser to the identity provider;
+    it comes back on /auth/callback
+  - Shows why the user landed here when a session expired, was revoked or was signed out
+*/
+
+const REASONS = {
+  expired: 'Your session has expired. Please sign in again.',
+  revoked: 'Your session is no longer valid. Please sign in again.',
+  'signed-out': 'You have been signed out.',
+};
 
 export default function LoginPage() {
-  const [user, setUser] = useState('');
-  const [pass, setPass] = useState('');
-  const [showError, setShowError] = useState(false);
+  const [error, setError] = useState(null);
   const [processing, setProcessing] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
+  const reason = REASONS[location.state?.reason];
+  const provider = AUTH_PROVIDERS[authConfigFromEnv().provider];
 
-  function showInvalid() {
-    setShowError(true);
-    // auto-hide after a while (optional)
-    // setTimeout(() => setShowError(false), 4000);
-  }
-
-  function handleSubmit(e) {
-    e.preventDefault();
+  async function handleSignIn() {
     setProcessing(true);
-
-    // small timeout to simulate "checking" and let animation appear
-    setTimeout(() => {
-      setProcessing(false);
-      if (user === 'admin' && pass === 'admin') {
-        try { localStorage.setItem('erp_auth', '1'); } catch (_) {}
-        navigate('/', { replace: true });
+    try {
+      const url = await getAuthClient().beginLogin(location.state?.from || '/');
+      // the mock provider's page is part of this app, so stay in the router
+      if (new URL(url).origin === window.location.origin) {
+        const target = new URL(url);
+        navigate(target.pathname + target.search);
       } else {
-        showInvalid();
+        window.location.assign(url);
       }
-    }, 350);
+    } catch (e) {
+      setProcessing(false);
+      setError(e.message || String(e));
+    }
   }
 
   return (
@@ -55,65 +65,48 @@ export default function LoginPage() {
           <div style={{ color: '#64748b', fontSize: 13, marginTop: 6 }}>Sign in to ERPA — Incident Excel Processor</div>
         </div>
 
-        <form onSubmit={handleSubmit} style={{ marginTop: 18 }}>
-          <label style={{ fontSize: 13, color: '#334155', display: 'block', marginBottom: 6 }}>User ID</label>
-          <input
-            value={user}
-            onChange={e => setUser(e.target.value)}
-            placeholder="Enter user id"
+        {reason && (
+          <div
             style={{
-              width: '100%',
-              padding: '10px 12px',
-              marginBottom: 12,
+              marginTop: 14,
+              padding: '8px 12px',
               borderRadius: 8,
-              border: '1px solid #e6eef0',
-              fontSize: 14,
-              boxSizing: 'border-box'
-            }}
-            autoFocus
-          />
-
-          <label style={{ fontSize: 13, color: '#334155', display: 'block', marginBottom: 6 }}>Password</label>
-          <input
-            type="password"
-            value={pass}
-            onChange={e => setPass(e.target.value)}
-            placeholder="Enter your password"
-            style={{
-              width: '100%',
-              padding: '10px 12px',
-              marginBottom: 18,
-              borderRadius: 8,
-              border: '1px solid #e6eef0',
-              fontSize: 14,
-              boxSizing: 'border-box'
-            }}
-          />
-
-          <button
-            type="submit"
-            disabled={processing}
-            style={{
-              width: '100%',
-              padding: 12,
-              borderRadius: 8,
-              border: 'none',
-              background: processing ? '#7dd3fc' : '#06b6d4',
-              color: 'white',
-              fontWeight: 700,
-              fontSize: 15,
-              cursor: processing ? 'wait' : 'pointer',
-              boxShadow: '0 6px 18px rgba(6,182,212,0.16)'
+              background: '#f1f5f9',
+              color: '#334155',
+              fontSize: 13
             }}
           >
-            {processing ? 'Signing in...' : 'Sign in'}
-          </button>
-        </form>
+            {reason}
+          </div>
+        )}
+
+        <button
+          onClick={handleSignIn}
+          disabled={processing}
+          style={{
+            width: '100%',
+            marginTop: 18,
+            padding: 12,
+            borderRadius: 8,
+            border: 'none',
+            background: processing ? '#7dd3fc' : '#06b6d4',
+            color: 'white',
+            fontWeight: 700,
+            fontSize: 15,
+            cursor: processing ? 'wait' : 'pointer',
+            boxShadow: '0 6px 18px rgba(6,182,212,0.16)'
+          }}
+        >
+          {processing ? 'Redirecting...' : 'Sign in'}
+        </button>
+        <div style={{ color: '#64748b', fontSize: 12, marginTop: 10, textAlign: 'center' }}>
+          {provider ? `You will sign in with ${provider}.` : 'Sign-in is not configured for this build.'}
+        </div>
 
         {/* Small footer text removed as requested (no demo button, no tips) */}
 
         {/* Error modal */}
-        {showError && (
+        {error && (
           <div style={{
             position: 'fixed',
             inset: 0,
@@ -148,15 +141,13 @@ export default function LoginPage() {
                 </div>
 
                 <div style={{ flex: 1 }}>
-                  <div style={{ fontSize: 18, fontWeight: 700, color: '#0f172a' }}>Invalid credentials</div>
-                  <div style={{ marginTop: 6, color: '#475569', fontSize: 14 }}>
-                    The user ID or password you entered is incorrect. Please check and try again.
-                  </div>
+                  <div style={{ fontSize: 18, fontWeight: 700, color: '#0f172a' }}>Could not sign in</div>
+                  <div style={{ marginTop: 6, color: '#475569', fontSize: 14 }}>{error}</div>
                 </div>
               </div>
 
               <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: 18, gap: 8 }}>
-                <button onClick={() => setShowError(false)} style={{
+                <button onClick={() => setError(null)} style={{
                   padding: '8px 12px',
                   borderRadius: 8,
                   border: '1px solid #e6eef0',
@@ -165,7 +156,7 @@ export default function LoginPage() {
                   cursor: 'pointer'
                 }}>Cancel</button>
 
-                <button onClick={() => { setShowError(false); setPass(''); setUser(''); }} style={{
+                <button onClick={() => { setError(null); handleSignIn(); }} style={{
                   padding: '8px 12px',
                   borderRadius: 8,
                   border: 'none',
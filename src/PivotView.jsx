@@ -0,0 +1,229 @@
+// src/PivotView.jsx
+import React, { useMemo, useState } from 'react';
+import { buildPivot, pivotLines, allGroupIds, groupKeyOptions } from './pivotModel';
+import { formatCell } from './columnModel';
+import { formatInterval } from './dateHelpers';
+
+/*
+  Groups tab of the preview: the rows the filters leave, grouped by one or more keys
+  - Pick keys under "Group by" (e.g. State, then Opened week); each key nests under the one before
+  - Every group shows incidents, within SLA, breaches and average / longest interval
+    (see pivotModel.js); click a group to expand it, down to its incidents, and an incident to
+    open its drill-down
+  - The workbook download includes the same grouping as a Pivot sheet
+*/
+
+const MAX_KEYS = 3;
+const COLUMNS = [
+  'Group',
+  'Incidents',
+  'Within SLA',
+  '% Within SLA',
+  'Breached',
+  'Avg interval',
+  'Max interval',
+];
+// incidents listed under an expanded group; the table view has the rest
+const ROW_LIMIT = 100;
+
+const cell = { padding: '6px 10px', borderBottom: '1px solid #f1f5f9', fontSize: 13 };
+const num = { ...cell, textAlign: 'right', fontVariantNumeric: 'tabular-nums' };
+const smallButton = {
+  padding: '4px 8px',
+  borderRadius: 6,
+  border: '1px solid #cbd5e1',
+  background: 'white',
+};
+const chip = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: 4,
+  padding: '4px 8px',
+  borderRadius: 999,
+  background: '#e2e8f0',
+  fontSize: 13,
+};
+
+function pct(v) {
+  return v == null ? '—' : `${v.toFixed(1)}%`;
+}
+
+function StatCells({ stats }) {
+  return (
+    <>
+      <td style={num}>{stats.count}</td>
+      <td style={num}>{stats.Y}</td>
+      <td style={num}>{pct(stats.withinPct)}</td>
+      <td style={{ ...num, color: stats.N > 0 ? '#b91c1c' : undefined }}>{stats.N}</td>
+      <td style={num}>{stats.avgInterval == null ? '—' : formatInterval(stats.avgInterval)}</td>
+      <td style={num}>{stats.maxInterval == null ? '—' : formatInterval(stats.maxInterval)}</td>
+    </>
+  );
+}
+
+export default function PivotView({
+  headers,
+  rows,
+  keys,
+  onKeysChange,
+  selectedNumber,
+  onRowClick,
+}) {
+  const [expanded, setExpanded] = useState(() => new Set());
+  const options = groupKeyOptions(headers).filter((k) => !keys.includes(k));
+  const pivot = useMemo(() => buildPivot(rows, headers, keys), [rows, headers, keys]);
+  const lines = pivotLines(pivot, expanded, ROW_LIMIT);
+
+  function toggle(id) {
+    const next = new Set(expanded);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    setExpanded(next);
+  }
+
+  return (
+    <div style={{ border: '1px solid #e2e8f0', borderRadius: 8, overflow: 'hidden' }}>
+      <div
+        style={{
+          display: 'flex',
+          gap: 8,
+          alignItems: 'center',
+          flexWrap: 'wrap',
+          padding: 10,
+          borderBottom: '1px solid #e2e8f0',
+          background: '#f8fafc',
+        }}
+      >
+        <span style={{ fontSize: 13, color: '#475569' }}>Group by</span>
+        {keys.map((k, i) => (
+          <span key={k} style={chip}>
+            {i > 0 && <span style={{ color: '#64748b' }}>›</span>}
+            {k}
+            <button
+              onClick={() => onKeysChange(keys.filter((x) => x !== k))}
+              aria-label={`Stop grouping by ${k}`}
+              style={{ border: 'none', background: 'transparent', cursor: 'pointer', padding: 0 }}
+            >
+              ✕
+            </button>
+          </span>
+        ))}
+        {keys.length < MAX_KEYS && options.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && onKeysChange([...keys, e.target.value])}
+            aria-label="Add a group key"
+            style={{ padding: 6, borderRadius: 6, border: '1px solid #cbd5e1', fontSize: 13 }}
+          >
+            <option value="">{keys.length ? '+ then by…' : 'Choose a column…'}</option>
+            {options.map((k) => (
+              <option key={k} value={k}>
+                {k}
+              </option>
+            ))}
+          </select>
+        )}
+        {keys.length > 0 && (
+          <span style={{ marginLeft: 'auto', display: 'flex', gap: 6 }}>
+            <button onClick={() => setExpanded(new Set(allGroupIds(pivot)))} style={smallButton}>
+              Expand all
+            </button>
+            <button onClick={() => setExpanded(new Set())} style={smallButton}>
+              Collapse all
+            </button>
+          </span>
+        )}
+      </div>
+
+      {keys.length === 0 ? (
+        <div style={{ padding: 20, fontSize: 13, color: '#64748b' }}>
+          Choose a column to group the incidents by, e.g. State or Opened week.
+        </div>
+      ) : (
+        <div style={{ maxHeight: 560, overflow: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead style={{ position: 'sticky', top: 0, background: 'white' }}>
+              <tr>
+                {COLUMNS.map((h, i) => (
+                  <th
+                    key={h}
+                    style={{
+                      ...(i === 0 ? cell : num),
+                      fontWeight: 600,
+                      borderBottom: '1px solid #e2e8f0',
+                    }}
+                  >
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map((line, i) => {
+                if (line.type === 'group') {
+                  const { group } = line;
+                  const open = expanded.has(group.id);
+                  return (
+                    <tr
+                      key={`g${group.id}`}
+                      onClick={() => toggle(group.id)}
+                      style={{
+                        cursor: 'pointer',
+                        background: group.depth === 0 ? '#f8fafc' : 'white',
+                      }}
+                    >
+                      <td style={{ ...cell, paddingLeft: 10 + group.depth * 18 }}>
+                        <span style={{ display: 'inline-block', width: 14, color: '#64748b' }}>
+                          {open ? '▾' : '▸'}
+                        </span>
+                        <span style={{ color: '#64748b', fontSize: 12 }}>{group.key}: </span>
+                        <strong style={{ fontWeight: group.children.length ? 600 : 500 }}>
+                          {group.label}
+                        </strong>
+                      </td>
+                      <StatCells stats={group.stats} />
+                    </tr>
+                  );
+                }
+                const indent = { ...cell, paddingLeft: 24 + line.depth * 18 };
+                if (line.type === 'more') {
+                  return (
+                    <tr key={`m${i}`}>
+                      <td colSpan={7} style={{ ...indent, color: '#64748b', fontStyle: 'italic' }}>
+                        {line.count} more — filter the table to see them
+                      </td>
+                    </tr>
+                  );
+                }
+                const { row } = line;
+                return (
+                  <tr
+                    key={`r${i}`}
+                    onClick={() => onRowClick(row)}
+                    style={{
+                      cursor: 'pointer',
+                      background: row.Number === selectedNumber ? '#eff6ff' : 'white',
+                    }}
+                  >
+                    <td style={{ ...indent, color: '#2563eb' }}>{row.Number}</td>
+                    <td colSpan={6} style={{ ...cell, color: '#475569' }}>
+                      {[row.Priority, row.State, formatCell('Opened Date', row['Opened Date'])]
+                        .filter(Boolean)
+                        .join(' · ')}
+                      {' · Made SLA '}
+                      {formatCell('Made SLA', row['Made SLA']) || '—'}
+                    </td>
+                  </tr>
+                );
+              })}
+              <tr style={{ background: '#f1f5f9', fontWeight: 600 }}>
+                <td style={cell}>Total</td>
+                <StatCells stats={pivot.total} />
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
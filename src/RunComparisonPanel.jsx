@@ -0,0 +1,242 @@
+// src/RunComparisonPanel.jsx
+import React from 'react';
+import { formatMoney } from './contractTerms';
+import { outcomeLabel, formatPointChange, formatCountChange } from './runComparison';
+
+/*
+  Comparison of two processed runs (modal), from compareRuns (runComparison.js)
+  - SUI SLA figures per priority for the earlier and the later run, with the change
+  - Incidents whose SLA outcome changed, new incidents and gone incidents; roles that may not
+    see incident rows (see roles.js) get the counts only
+  - Swap turns the comparison around; Download adds a Comparison sheet to the After run's workbook
+*/
+
+const buttonStyle = {
+  padding: '8px 12px',
+  borderRadius: 6,
+  border: '1px solid #e6eef0',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: 12,
+};
+
+const cell = { padding: '6px 8px', fontSize: 12, borderBottom: '1px solid #f1f5f9' };
+const headCell = { ...cell, textAlign: 'left', background: '#f8fafc', whiteSpace: 'nowrap' };
+
+const pctText = (v) => (v == null ? '—' : `${v.toFixed(1)}%`);
+
+// green when the change is an improvement, red when it is worse
+function changeColor(value, higherIsBetter = true) {
+  if (value == null || value === 0) return '#475569';
+  return (value > 0) === higherIsBetter ? '#166534' : '#b91c1c';
+}
+
+function IncidentList({ title, items, columns, cells, showRows }) {
+  return (
+    <div style={{ marginTop: 16 }}>
+      <h4 style={{ margin: '0 0 6px', fontSize: 14 }}>
+        {title} ({items.length})
+      </h4>
+      {items.length === 0 && <div style={{ fontSize: 12, color: '#64748b' }}>None</div>}
+      {items.length > 0 && showRows && (
+        <div style={{ maxHeight: 220, overflowY: 'auto', border: '1px solid #e6eef0', borderRadius: 8 }}>
+          <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr>
+                {columns.map((c) => (
+                  <th key={c} style={headCell}>
+                    {c}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item) => (
+                <tr key={item.number}>
+                  {cells(item).map((v, i) => (
+                    <td key={i} style={cell}>
+                      {v}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function RunComparisonPanel({
+  comparison,
+  busy,
+  canDownload,
+  canViewIncidents,
+  onSwap,
+  onDownload,
+  onClose,
+}) {
+  const { before, after, priorities, total, changed, added, removed } = comparison;
+
+  const figures = (p) => ({ total: p.total, within: p.withinPct, N: p.N, credit: p.creditAmount });
+  const totals = (run) => ({
+    total: run.summary.total,
+    within: run.withinPct,
+    N: run.summary.N,
+    credit: run.summary.credit.total,
+  });
+  const rows = [
+    ...priorities.map((p) => ({
+      label: p.label,
+      before: figures(p.before),
+      after: figures(p.after),
+      change: p,
+    })),
+    { label: 'Total', before: totals(before), after: totals(after), change: total },
+  ];
+
+  const creditChangeText = (v) =>
+    v == null ? '—' : `${v > 0 ? '+' : ''}${formatMoney(after.contract, v)}`;
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(2,6,23,0.5)',
+        zIndex: 60,
+      }}
+    >
+      <div
+        style={{
+          width: 980,
+          maxWidth: '95vw',
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          background: 'white',
+          borderRadius: 12,
+          padding: 20,
+          boxShadow: '0 10px 40px rgba(2,6,23,0.6)',
+        }}
+      >
+        <h3 style={{ margin: 0, fontSize: 18 }}>Run comparison</h3>
+        <p style={{ marginTop: 6, color: '#475569', fontSize: 13 }}>
+          <strong>Before:</strong> {before.label} — {before.incidents} incidents, contract {before.contract.name}
+          <br />
+          <strong>After:</strong> {after.label} — {after.incidents} incidents, contract {after.contract.name}
+        </p>
+
+        <div style={{ overflowX: 'auto', border: '1px solid #e6eef0', borderRadius: 8, marginTop: 10 }}>
+          <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr>
+                {[
+                  'Priority/SLA',
+                  'Incidents before',
+                  'after',
+                  'change',
+                  'Within SLA before',
+                  'after',
+                  'change',
+                  'Breach before',
+                  'after',
+                  'Credit before',
+                  'after',
+                  'change',
+                ].map((h, i) => (
+                  <th key={i} style={headCell}>
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r) => (
+                <tr key={r.label} style={{ fontWeight: r.label === 'Total' ? 600 : undefined }}>
+                  <td style={{ ...cell, whiteSpace: 'nowrap' }}>{r.label}</td>
+                  <td style={cell}>{r.before.total}</td>
+                  <td style={cell}>{r.after.total}</td>
+                  <td style={cell}>{formatCountChange(r.change.totalChange)}</td>
+                  <td style={cell}>{pctText(r.before.within)}</td>
+                  <td style={cell}>{pctText(r.after.within)}</td>
+                  <td style={{ ...cell, color: changeColor(r.change.withinChange) }}>
+                    {formatPointChange(r.change.withinChange)}
+                  </td>
+                  <td style={cell}>{r.before.N}</td>
+                  <td style={cell}>{r.after.N}</td>
+                  <td style={{ ...cell, whiteSpace: 'nowrap' }}>{formatMoney(before.contract, r.before.credit)}</td>
+                  <td style={{ ...cell, whiteSpace: 'nowrap' }}>{formatMoney(after.contract, r.after.credit)}</td>
+                  <td style={{ ...cell, whiteSpace: 'nowrap', color: changeColor(r.change.creditChange, false) }}>
+                    {creditChangeText(r.change.creditChange)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div style={{ fontSize: 12, color: '#64748b', marginTop: 6 }}>
+          Within SLA is the share of the priority's incidents (Total: of all incidents); changes are in
+          percentage points. Excluded incidents are not counted.
+          {total.creditChange == null && ' The contracts use different currencies, so credit changes are not shown.'}
+        </div>
+
+        {!canViewIncidents && (
+          <div style={{ fontSize: 12, color: '#92400e', marginTop: 12 }}>
+            Your role sees how many incidents changed, but not which ones.
+          </div>
+        )}
+        <IncidentList
+          title="Changed SLA outcome"
+          items={changed}
+          showRows={canViewIncidents}
+          columns={['Number', 'Priority', 'Before', 'After']}
+          cells={(c) => [
+            c.number,
+            c.beforePriority !== c.priority ? `${c.beforePriority} → ${c.priority}` : c.priority,
+            outcomeLabel(c.before),
+            <span style={{ color: c.after === false ? '#b91c1c' : c.after === true ? '#166534' : undefined }}>
+              {outcomeLabel(c.after)}
+            </span>,
+          ]}
+        />
+        <IncidentList
+          title="New incidents"
+          items={added}
+          showRows={canViewIncidents}
+          columns={['Number', 'Priority', 'Opened', 'Made SLA']}
+          cells={(i) => [i.number, i.priority, i.opened, outcomeLabel(i.outcome)]}
+        />
+        <IncidentList
+          title="Gone incidents"
+          items={removed}
+          showRows={canViewIncidents}
+          columns={['Number', 'Priority', 'Opened', 'Made SLA']}
+          cells={(i) => [i.number, i.priority, i.opened, outcomeLabel(i.outcome)]}
+        />
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 16 }}>
+          <button onClick={onSwap} disabled={busy} style={{ ...buttonStyle, marginRight: 'auto' }}>
+            Swap before / after
+          </button>
+          {canDownload && (
+            <button
+              onClick={onDownload}
+              disabled={busy}
+              title="The After run's workbook with a Comparison sheet"
+              style={{ ...buttonStyle, background: '#0ea5a4', color: 'white', border: 'none' }}
+            >
+              Download with comparison
+            </button>
+          )}
+          <button onClick={onClose} style={buttonStyle}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
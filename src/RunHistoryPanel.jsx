@@ -0,0 +1,195 @@
+// src/RunHistoryPanel.jsx
+import React, { useState } from 'react';
+import { formatMoney } from './contractTerms';
+
+/*
+  Processing history (modal) - the runs saved by runHistory.js, newest first
+  - Per run: when and by whom, files, policy and contract, incidents and within-SLA % overall and
+    per priority, so runs can be compared at a glance, and the credit they produced
+  - Open loads the run into the preview; Download rebuilds its workbook with the settings it
+    was processed with; Delete / Clear history remove runs (each only when the role allows)
+  - Ticking two runs and Compare opens them side by side (see RunComparisonPanel.jsx)
+*/
+
+const buttonStyle = {
+  padding: '4px 8px',
+  borderRadius: 6,
+  border: '1px solid #e6eef0',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: 12,
+};
+
+const cell = { padding: '6px 8px', fontSize: 12, borderBottom: '1px solid #f1f5f9' };
+
+function withinText(p) {
+  const measured = p.Y + p.N;
+  return measured > 0 ? `${((p.Y / measured) * 100).toFixed(1)}%` : '—';
+}
+
+export default function RunHistoryPanel({
+  runs,
+  error,
+  currentRunId,
+  busy,
+  canDownload,
+  canDelete,
+  onOpen,
+  onDownload,
+  onDelete,
+  onClear,
+  onCompare,
+  onClose,
+}) {
+  const [ticked, setTicked] = useState([]);
+  // deleted runs drop out of the selection
+  const selected = ticked.filter((id) => runs && runs.some((r) => r.id === id));
+  const priorityLabels = runs && runs.length > 0 ? runs[0].summary.priorities.map((p) => p.label) : [];
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(2,6,23,0.5)',
+        zIndex: 60,
+      }}
+    >
+      <div
+        style={{
+          width: 980,
+          maxWidth: '95vw',
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          background: 'white',
+          borderRadius: 12,
+          padding: 20,
+          boxShadow: '0 10px 40px rgba(2,6,23,0.6)',
+        }}
+      >
+        <h3 style={{ margin: 0, fontSize: 18 }}>Processing history</h3>
+        <p style={{ marginTop: 6, color: '#475569', fontSize: 13 }}>
+          Every preview is kept in this browser with its settings and processed rows, so it can be
+          opened or downloaded again without the original files. Within SLA is the share of
+          measured incidents.
+        </p>
+
+        {error && <div style={{ color: '#b91c1c', fontSize: 13, marginTop: 10 }}>{error}</div>}
+        {!error && !runs && <div style={{ fontSize: 13, color: '#64748b' }}>Loading…</div>}
+        {!error && runs && runs.length === 0 && (
+          <div style={{ fontSize: 13, color: '#64748b' }}>No runs yet — generate a preview first.</div>
+        )}
+
+        {runs && runs.length > 0 && (
+          <div style={{ overflowX: 'auto', border: '1px solid #e6eef0', borderRadius: 8, marginTop: 10 }}>
+            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+              <thead>
+                <tr>
+                  {[
+                    'Compare',
+                    'When',
+                    'Files',
+                    'By',
+                    'Policy / contract',
+                    'Incidents',
+                    'Within SLA',
+                    ...priorityLabels.map((l) => l.split(' ')[0]),
+                    'Credit',
+                    '',
+                  ].map((h, i) => (
+                    <th
+                      key={i}
+                      style={{ ...cell, textAlign: 'left', background: '#f8fafc', whiteSpace: 'nowrap' }}
+                    >
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map((run) => (
+                  <tr key={run.id} style={{ background: run.id === currentRunId ? '#ecfeff' : undefined }}>
+                    <td style={cell}>
+                      <input
+                        type="checkbox"
+                        aria-label={`Compare the run of ${new Date(run.at).toLocaleString()}`}
+                        checked={selected.includes(run.id)}
+                        // the two latest ticks are kept
+                        onChange={(e) =>
+                          setTicked(
+                            e.target.checked
+                              ? [...selected, run.id].slice(-2)
+                              : selected.filter((id) => id !== run.id)
+                          )
+                        }
+                      />
+                    </td>
+                    <td style={{ ...cell, whiteSpace: 'nowrap' }}>{new Date(run.at).toLocaleString()}</td>
+                    <td style={{ ...cell, maxWidth: 220 }}>{run.fileNames.join(', ')}</td>
+                    <td style={cell}>{run.by}</td>
+                    <td style={cell}>
+                      {run.settings.policy.name} / {run.settings.contract.name}
+                    </td>
+                    <td style={cell}>{run.rowCount}</td>
+                    <td style={{ ...cell, fontWeight: 600 }}>{withinText(run.summary)}</td>
+                    {run.summary.priorities.map((p) => (
+                      <td key={p.label} style={{ ...cell, color: p.compliant ? '#166534' : '#b91c1c' }}>
+                        {withinText(p)}
+                      </td>
+                    ))}
+                    <td style={{ ...cell, whiteSpace: 'nowrap' }}>
+                      {formatMoney(run.settings.contract, run.summary.credit.total)}
+                    </td>
+                    <td style={{ ...cell, whiteSpace: 'nowrap' }}>
+                      <button onClick={() => onOpen(run.id)} disabled={busy} style={buttonStyle}>
+                        Open
+                      </button>{' '}
+                      {canDownload && (
+                        <button onClick={() => onDownload(run.id)} disabled={busy} style={buttonStyle}>
+                          Download
+                        </button>
+                      )}{' '}
+                      {canDelete && (
+                        <button
+                          onClick={() => onDelete(run.id)}
+                          disabled={busy}
+                          style={{ ...buttonStyle, color: '#b91c1c' }}
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 16 }}>
+          {runs && runs.length > 1 && (
+            <button
+              onClick={() => onCompare(selected[0], selected[1])}
+              disabled={busy || selected.length !== 2}
+              title="Tick two runs to compare their SLA figures and incidents"
+              style={{ ...buttonStyle, padding: '8px 12px', marginRight: 'auto' }}
+            >
+              Compare selected ({selected.length}/2)
+            </button>
+          )}
+          {canDelete && runs && runs.length > 0 && (
+            <button onClick={onClear} disabled={busy} style={{ ...buttonStyle, padding: '8px 12px', color: '#b91c1c' }}>
+              Clear history
+            </button>
+          )}
+          <button onClick={onClose} style={{ ...buttonStyle, padding: '8px 12px' }}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,260 @@
+// src/SlaDashboard.jsx
+import React, { useMemo, useState } from 'react';
+import { summarizeSla, breachTrend, intervalDistribution, TREND_PERIODS } from './slaSummary';
+import { formatCreditPct, formatMoney } from './contractTerms';
+
+/*
+  SLA dashboard tab (next to the preview table)
+  - Per-priority compliance against the contract target, breach trend by opened day/week/month,
+    distribution of interval durations, and current credit exposure
+  - Computed from the rows the table shows, so it follows the global and column filters
+  - Charts are plain SVG; hover a bar for its numbers
+*/
+
+const GREEN = '#22c55e';
+const RED = '#ef4444';
+const GREY = '#cbd5e1';
+
+const card = {
+  border: '1px solid #e6eef0',
+  borderRadius: 8,
+  padding: 14,
+  background: 'white',
+};
+
+const cardTitle = { fontSize: 14, fontWeight: 600, marginBottom: 8 };
+
+/**
+ * Vertical (optionally stacked) bar chart.
+ * bars: [{ label, segments: [{ value, color }], title }]
+ */
+function BarChart({ bars, height = 180, formatAxis = (v) => v, maxValue }) {
+  const width = 520;
+  const pad = { top: 10, right: 8, bottom: 38, left: 40 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const max =
+    maxValue ||
+    Math.max(1, ...bars.map((b) => b.segments.reduce((s, x) => s + x.value, 0)));
+  const slot = plotW / Math.max(1, bars.length);
+  const barW = Math.max(2, Math.min(48, slot * 0.7));
+  // label every bar when there is room, otherwise about 12 of them
+  const labelEvery = Math.max(1, Math.ceil(bars.length / 12));
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      style={{ width: '100%', height: 'auto', display: 'block' }}
+      role="img"
+    >
+      {[0, 0.5, 1].map((f) => {
+        const y = pad.top + plotH * (1 - f);
+        return (
+          <g key={f}>
+            <line x1={pad.left} x2={width - pad.right} y1={y} y2={y} stroke="#eef2f7" />
+            <text x={pad.left - 6} y={y + 4} fontSize="10" textAnchor="end" fill="#64748b">
+              {formatAxis(max * f)}
+            </text>
+          </g>
+        );
+      })}
+      {bars.map((b, i) => {
+        const x = pad.left + slot * i + (slot - barW) / 2;
+        let y = pad.top + plotH;
+        return (
+          <g key={b.label + i}>
+            <title>{b.title}</title>
+            {b.segments.map((seg, j) => {
+              const h = (seg.value / max) * plotH;
+              y -= h;
+              return <rect key={j} x={x} y={y} width={barW} height={h} fill={seg.color} />;
+            })}
+            {i % labelEvery === 0 && (
+              <text
+                x={x + barW / 2}
+                y={height - pad.bottom + 14}
+                fontSize="10"
+                textAnchor="middle"
+                fill="#475569"
+              >
+                {b.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+function Legend({ items }) {
+  return (
+    <div style={{ display: 'flex', gap: 12, fontSize: 12, color: '#475569', marginTop: 4 }}>
+      {items.map(([label, color]) => (
+        <span key={label} style={{ display: 'flex', gap: 4, alignItems: 'center' }}>
+          <span style={{ width: 10, height: 10, background: color, borderRadius: 2 }} />
+          {label}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Within-SLA bar for one priority with the contract target marked
+function ComplianceRow({ p, target }) {
+  const measured = p.Y + p.N;
+  const within = measured > 0 ? (p.Y / measured) * 100 : null;
+  return (
+    <div style={{ display: 'flex', gap: 10, alignItems: 'center', marginBottom: 8, fontSize: 13 }}>
+      <div style={{ width: 110 }}>{p.label}</div>
+      <svg viewBox="0 0 200 16" style={{ flex: 1, height: 16 }} preserveAspectRatio="none">
+        <title>
+          {measured > 0
+            ? `${p.Y} of ${measured} measured incidents within SLA (${within.toFixed(1)}%)`
+            : 'No measured incidents'}
+        </title>
+        <rect x="0" y="2" width="200" height="12" fill={measured > 0 ? RED : GREY} rx="2" />
+        {measured > 0 && <rect x="0" y="2" width={within * 2} height="12" fill={GREEN} rx="2" />}
+        {target != null && (
+          <line x1={target * 2} x2={target * 2} y1="0" y2="16" stroke="#0f172a" strokeWidth="2" />
+        )}
+      </svg>
+      <div style={{ width: 70, textAlign: 'right' }}>
+        {within == null ? 'N/A' : `${within.toFixed(1)}%`}
+      </div>
+      <div
+        style={{
+          width: 28,
+          textAlign: 'center',
+          fontWeight: 600,
+          color: p.compliant ? '#166534' : '#b91c1c',
+        }}
+        title={p.compliant ? 'Compliant' : 'Not compliant'}
+      >
+        {p.compliant ? 'Y' : 'N'}
+      </div>
+    </div>
+  );
+}
+
+export default function SlaDashboard({ rows, headers, contract, totalRows }) {
+  const [period, setPeriod] = useState('week');
+
+  const summary = useMemo(() => summarizeSla(rows, contract), [rows, contract]);
+  const trend = useMemo(() => breachTrend(rows, period), [rows, period]);
+  const distribution = useMemo(() => intervalDistribution(rows, headers), [rows, headers]);
+
+  const targets = Object.fromEntries(contract.priorities.map((p) => [p.key, p.target]));
+  const measured = summary.Y + summary.N;
+
+  if (rows.length === 0) {
+    return (
+      <div style={{ padding: 20, textAlign: 'center', color: '#64748b' }}>
+        No rows match the current filters.
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ fontSize: 12, color: '#64748b', marginBottom: 10 }}>
+        {rows.length === totalRows
+          ? `All ${totalRows} incidents`
+          : `${rows.length} of ${totalRows} incidents (search and column filters applied)`}{' '}
+        — contract <strong>{contract.name}</strong>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
+        <div style={card}>
+          <div style={cardTitle}>Compliance by priority</div>
+          {summary.priorities.map((p) => (
+            <ComplianceRow key={p.label} p={p} target={targets[p.label.split(' ')[0]]} />
+          ))}
+          <div style={{ fontSize: 12, color: '#64748b' }}>
+            Share of measured incidents within SLA; the black mark is the contract target.
+          </div>
+        </div>
+
+        <div style={card}>
+          <div style={cardTitle}>Credit exposure</div>
+          <div style={{ fontSize: 28, fontWeight: 700, color: summary.credit.total ? '#b91c1c' : '#166534' }}>
+            {formatMoney(contract, summary.credit.total)}
+          </div>
+          <div style={{ fontSize: 12, color: '#64748b', marginBottom: 10 }}>
+            {summary.credit.capped ? 'Capped by the contract' : 'Total credit for these incidents'}
+            {' · '}
+            {measured > 0
+              ? `${((summary.Y / measured) * 100).toFixed(1)}% of ${measured} measured incidents within SLA`
+              : 'no measured incidents'}
+          </div>
+          <table style={{ borderCollapse: 'collapse', width: '100%', fontSize: 13 }}>
+            <tbody>
+              {summary.priorities.map((p) => (
+                <tr key={p.label} style={{ borderTop: '1px solid #f1f5f9' }}>
+                  <td style={{ padding: '4px 0' }}>{p.label}</td>
+                  <td style={{ padding: 4, textAlign: 'right', color: '#64748b' }}>
+                    {p.N} breach{p.N === 1 ? '' : 'es'}
+                  </td>
+                  <td style={{ padding: 4, textAlign: 'right' }}>{formatCreditPct(p.creditPct)}</td>
+                  <td style={{ padding: '4px 0', textAlign: 'right', fontWeight: 600 }}>
+                    {formatMoney(contract, p.creditAmount)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={card}>
+          <div style={{ display: 'flex', alignItems: 'center' }}>
+            <div style={cardTitle}>Breach rate by opened {period}</div>
+            <select
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              style={{ marginLeft: 'auto', padding: 4, borderRadius: 6, fontSize: 12 }}
+            >
+              {Object.entries(TREND_PERIODS).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {trend.length === 0 ? (
+            <div style={{ fontSize: 13, color: '#64748b' }}>No Opened dates to chart.</div>
+          ) : (
+            <BarChart
+              maxValue={100}
+              formatAxis={(v) => `${Math.round(v)}%`}
+              bars={trend.map((t) => ({
+                label: period === 'month' ? t.period : t.period.slice(5),
+                segments: [{ value: t.breachPct || 0, color: RED }],
+                title:
+                  t.breachPct == null
+                    ? `${t.period}: ${t.total} incidents, none measured`
+                    : `${t.period}: ${t.N} of ${t.Y + t.N} measured incidents breached (${t.breachPct.toFixed(1)}%)`,
+              }))}
+            />
+          )}
+        </div>
+
+        <div style={card}>
+          <div style={cardTitle}>Interval durations</div>
+          <BarChart
+            formatAxis={(v) => Math.round(v)}
+            bars={distribution.map((b) => ({
+              label: b.label,
+              segments: [
+                { value: b.Y, color: GREEN },
+                { value: b.N, color: RED },
+                { value: b.count - b.Y - b.N, color: GREY },
+              ],
+              title: `${b.label}: ${b.count} intervals (${b.Y} within SLA, ${b.N} breached)`,
+            }))}
+          />
+          <Legend items={[['Within SLA', GREEN], ['Breached', RED]]} />
+        </div>
+      </div>
+    </div>
+  );
+}
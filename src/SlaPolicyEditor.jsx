@@ -0,0 +1,311 @@
+// src/SlaPolicyEditor.jsx
+import React, { useState } from 'react';
+import { clonePolicy, validatePolicy, parsePauseStates, DEFAULT_POLICY } from './slaPolicy';
+
+/*
+  SLA policy editor (modal)
+  - Pick a policy, edit its name, priority rules, default threshold and the states that pause the clock
+  - New / Duplicate / Delete policies; Save persists all policies and the active one
+*/
+
+const inputStyle = {
+  padding: '6px 8px',
+  borderRadius: 6,
+  border: '1px solid #e2e8f0',
+  fontSize: 13,
+  boxSizing: 'border-box',
+};
+
+const buttonStyle = {
+  padding: '6px 10px',
+  borderRadius: 8,
+  border: '1px solid #e6eef0',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: 13,
+};
+
+export default function SlaPolicyEditor({ policies, activeName, onSave, onClose }) {
+  const [drafts, setDrafts] = useState(() => policies.map(clonePolicy));
+  const [selected, setSelected] = useState(() =>
+    Math.max(0, policies.findIndex((p) => p.name === activeName))
+  );
+  const [errors, setErrors] = useState([]);
+
+  const current = drafts[selected];
+
+  function updateCurrent(patch) {
+    setDrafts((prev) => prev.map((p, i) => (i === selected ? { ...p, ...patch } : p)));
+  }
+
+  function updateRule(idx, patch) {
+    updateCurrent({
+      rules: current.rules.map((r, i) => (i === idx ? { ...r, ...patch } : r)),
+    });
+  }
+
+  function uniqueName(base) {
+    const taken = new Set(drafts.map((p) => p.name));
+    let name = base;
+    let n = 2;
+    while (taken.has(name)) name = `${base} ${n++}`;
+    return name;
+  }
+
+  function addPolicy(from) {
+    const p = clonePolicy(from || DEFAULT_POLICY);
+    p.name = uniqueName(from ? `${from.name} copy` : 'New policy');
+    setDrafts((prev) => [...prev, p]);
+    setSelected(drafts.length);
+    setErrors([]);
+  }
+
+  function deletePolicy() {
+    if (drafts.length <= 1) return;
+    setDrafts((prev) => prev.filter((_, i) => i !== selected));
+    setSelected(0);
+    setErrors([]);
+  }
+
+  function handleSave() {
+    const problems = [];
+    drafts.forEach((p, i) => {
+      const others = drafts.filter((_, j) => j !== i);
+      validatePolicy(p, others).forEach((e) => problems.push(`${p.name || 'Untitled'}: ${e}`));
+    });
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    const cleaned = drafts.map((p) => ({
+      name: p.name.trim(),
+      rules: p.rules.map((r) => ({
+        label: (r.label || '').trim() || r.pattern,
+        pattern: r.pattern,
+        thresholdHours: Number(r.thresholdHours),
+      })),
+      defaultHours: Number(p.defaultHours),
+      // edited as comma-separated text
+      pauseStates: Array.isArray(p.pauseStates) ? p.pauseStates : parsePauseStates(p.pauseStates),
+    }));
+    onSave(cleaned, cleaned[selected].name);
+  }
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(2,6,23,0.5)',
+        zIndex: 60,
+      }}
+    >
+      <div
+        style={{
+          width: 620,
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          background: 'white',
+          borderRadius: 12,
+          padding: 20,
+          boxShadow: '0 10px 40px rgba(2,6,23,0.6)',
+        }}
+      >
+        <h3 style={{ margin: 0, fontSize: 18 }}>SLA policies</h3>
+        <p style={{ marginTop: 6, color: '#475569', fontSize: 13 }}>
+          Rules are checked top to bottom; the first pattern that matches the Priority value sets
+          the threshold. Patterns are case-insensitive regular expressions (e.g. <code>^P1</code>).
+        </p>
+
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginTop: 12 }}>
+          <select
+            value={selected}
+            onChange={(e) => {
+              setSelected(Number(e.target.value));
+              setErrors([]);
+            }}
+            style={{ ...inputStyle, minWidth: 200 }}
+          >
+            {drafts.map((p, i) => (
+              <option key={i} value={i}>
+                {p.name || 'Untitled'}
+              </option>
+            ))}
+          </select>
+          <button onClick={() => addPolicy(null)} style={buttonStyle}>
+            New
+          </button>
+          <button onClick={() => addPolicy(current)} style={buttonStyle}>
+            Duplicate
+          </button>
+          <button
+            onClick={deletePolicy}
+            disabled={drafts.length <= 1}
+            style={{ ...buttonStyle, color: drafts.length <= 1 ? '#94a3b8' : '#b91c1c' }}
+          >
+            Delete
+          </button>
+        </div>
+
+        <label style={{ display: 'block', fontSize: 13, color: '#334155', marginTop: 14 }}>
+          Policy name
+        </label>
+        <input
+          value={current.name}
+          onChange={(e) => updateCurrent({ name: e.target.value })}
+          style={{ ...inputStyle, width: '100%', marginTop: 4 }}
+        />
+
+        <table style={{ borderCollapse: 'collapse', width: '100%', marginTop: 14 }}>
+          <thead>
+            <tr>
+              {['Label', 'Priority pattern', 'Threshold (hours)', ''].map((h) => (
+                <th
+                  key={h}
+                  style={{
+                    textAlign: 'left',
+                    fontSize: 12,
+                    color: '#475569',
+                    padding: '4px 6px',
+                    borderBottom: '1px solid #e6eef0',
+                  }}
+                >
+                  {h}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {current.rules.map((r, idx) => (
+              <tr key={idx}>
+                <td style={{ padding: 4 }}>
+                  <input
+                    value={r.label}
+                    onChange={(e) => updateRule(idx, { label: e.target.value })}
+                    style={{ ...inputStyle, width: 90 }}
+                  />
+                </td>
+                <td style={{ padding: 4 }}>
+                  <input
+                    value={r.pattern}
+                    onChange={(e) => updateRule(idx, { pattern: e.target.value })}
+                    style={{ ...inputStyle, width: '100%' }}
+                  />
+                </td>
+                <td style={{ padding: 4 }}>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.25"
+                    value={r.thresholdHours}
+                    onChange={(e) => updateRule(idx, { thresholdHours: e.target.value })}
+                    style={{ ...inputStyle, width: 110 }}
+                  />
+                </td>
+                <td style={{ padding: 4, whiteSpace: 'nowrap' }}>
+                  <button
+                    title="Move up"
+                    disabled={idx === 0}
+                    onClick={() => {
+                      const rules = [...current.rules];
+                      [rules[idx - 1], rules[idx]] = [rules[idx], rules[idx - 1]];
+                      updateCurrent({ rules });
+                    }}
+                    style={{ ...buttonStyle, padding: '4px 8px' }}
+                  >
+                    ▲
+                  </button>{' '}
+                  <button
+                    title="Remove rule"
+                    onClick={() =>
+                      updateCurrent({ rules: current.rules.filter((_, i) => i !== idx) })
+                    }
+                    style={{ ...buttonStyle, padding: '4px 8px', color: '#b91c1c' }}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginTop: 10 }}>
+          <button
+            onClick={() =>
+              updateCurrent({
+                rules: [...current.rules, { label: '', pattern: '', thresholdHours: 8 }],
+              })
+            }
+            style={buttonStyle}
+          >
+            + Add rule
+          </button>
+          <div style={{ marginLeft: 'auto', fontSize: 13, color: '#334155' }}>
+            Default threshold (hours)
+          </div>
+          <input
+            type="number"
+            min="0"
+            step="0.25"
+            value={current.defaultHours}
+            onChange={(e) => updateCurrent({ defaultHours: e.target.value })}
+            style={{ ...inputStyle, width: 110 }}
+          />
+        </div>
+
+        <label style={{ display: 'block', fontSize: 13, color: '#334155', marginTop: 14 }}>
+          Pause the clock while the State is (comma-separated; time in these states is left out of
+          the net interval)
+        </label>
+        <input
+          value={
+            Array.isArray(current.pauseStates) ? current.pauseStates.join(', ') : current.pauseStates
+          }
+          placeholder="e.g. On Hold, Awaiting Caller"
+          onChange={(e) => updateCurrent({ pauseStates: e.target.value })}
+          style={{ ...inputStyle, width: '100%', marginTop: 4 }}
+        />
+
+        {errors.length > 0 && (
+          <div
+            style={{
+              marginTop: 12,
+              padding: 10,
+              borderRadius: 8,
+              background: '#fef2f2',
+              color: '#b91c1c',
+              fontSize: 13,
+            }}
+          >
+            {errors.map((e, i) => (
+              <div key={i}>{e}</div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 16 }}>
+          <button onClick={onClose} style={{ ...buttonStyle, padding: '8px 12px' }}>
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            style={{
+              padding: '8px 12px',
+              borderRadius: 8,
+              border: 'none',
+              background: '#06b6d4',
+              color: 'white',
+              cursor: 'pointer',
+            }}
+          >
+            Save and use this policy
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
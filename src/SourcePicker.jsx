@@ -0,0 +1,95 @@
+// src/SourcePicker.jsx
+import React from 'react';
+import { INPUT_FORMATS, describeDelimiter } from './inputFormats';
+
+/*
+  Loaded files and their sheets
+  - Tick the sheets to include; rows from all ticked sheets are merged by incident Number
+  - Files that could not be read are listed with the reason
+*/
+
+export default function SourcePicker({ files, disabled, onToggleSheet, onRemoveFile }) {
+  const included = files.reduce((n, f) => n + f.sheets.filter((s) => s.included).length, 0);
+
+  return (
+    <div
+      style={{
+        marginTop: 16,
+        padding: 14,
+        border: '1px solid #e6eef0',
+        borderRadius: 8,
+        background: '#fbfdff',
+      }}
+    >
+      <div style={{ fontSize: 14, fontWeight: 600 }}>
+        Sources — {files.length} file{files.length === 1 ? '' : 's'}, {included} sheet
+        {included === 1 ? '' : 's'} included
+      </div>
+      <div style={{ fontSize: 12, color: '#64748b', marginTop: 2 }}>
+        Rows from the ticked sheets are merged; repeated rows for the same incident are dropped.
+      </div>
+
+      {files.map((f, fi) => (
+        <div
+          key={f.name + fi}
+          style={{ marginTop: 10, paddingTop: 8, borderTop: fi > 0 ? '1px solid #eef2f7' : 'none' }}
+        >
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <span style={{ fontSize: 13, fontWeight: 600 }}>{f.name}</span>
+            {f.format && (
+              <span style={{ fontSize: 12, color: '#64748b' }}>
+                {INPUT_FORMATS[f.format].label}
+                {f.csv && ` · ${f.csv.encoding} · ${describeDelimiter(f.csv.delimiter)}-delimited`}
+              </span>
+            )}
+            <button
+              title="Remove this file"
+              disabled={disabled}
+              onClick={() => onRemoveFile(fi)}
+              style={{
+                marginLeft: 'auto',
+                padding: '2px 8px',
+                borderRadius: 6,
+                border: '1px solid #e6eef0',
+                background: 'white',
+                color: '#b91c1c',
+                cursor: disabled ? 'not-allowed' : 'pointer',
+              }}
+            >
+              ✕
+            </button>
+          </div>
+
+          {f.error ? (
+            <div style={{ fontSize: 12, color: '#b91c1c', marginTop: 4 }}>{f.error}</div>
+          ) : (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, marginTop: 6 }}>
+              {f.sheets.map((s) => (
+                <label
+                  key={s.name}
+                  title={s.headers.length ? s.headers.join(', ') : 'No header row'}
+                  style={{
+                    display: 'flex',
+                    gap: 6,
+                    alignItems: 'center',
+                    fontSize: 13,
+                    color: s.headers.length ? '#0f172a' : '#94a3b8',
+                  }}
+                >
+                  <input
+                    type="checkbox"
+                    checked={s.included}
+                    disabled={disabled || s.headers.length === 0}
+                    onChange={() => onToggleSheet(fi, s.name)}
+                  />
+                  {f.format === 'csv' ? 'CSV rows' : s.name}
+                  <span style={{ fontSize: 11, color: '#94a3b8' }}>({s.headers.length} columns)</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,411 @@
+// src/VirtualGrid.jsx
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  ROW_HEIGHT,
+  MIN_COLUMN_WIDTH,
+  STICKY_COLUMNS,
+  rowWindow,
+  columnLayout,
+  columnWindow,
+  loadGridLayout,
+  saveGridLayout,
+  filterHint,
+} from './gridModel';
+import { COLUMN_TYPES, columnType, formatCell } from './columnModel';
+
+/*
+  Virtualized preview grid
+  - Only the rows and columns in view (plus a few either side) are rendered, so 100k rows and
+    wide Updated / Interval / Made SLA column sets scroll smoothly
+  - Number and Priority stay at the left edge; the header and filter row stay at the top
+  - Drag a header's right edge to resize a column (double-click it to reset); Columns hides and
+    shows columns. Widths and hidden columns are remembered (see gridModel.js)
+  - Sorting and filtering happen in the parent; this component only shows rows, formatting the
+    typed cells (dates, intervals, SLA verdicts) with columnModel.js
+*/
+
+const HEADER_HEIGHT = 36;
+const FILTER_HEIGHT = 40;
+const DEFAULT_VIEWPORT_WIDTH = 1060;
+
+const headBackground = '#f8fafc';
+
+export default function VirtualGrid({
+  headers,
+  rows,
+  sortKey,
+  sortDir,
+  onSort,
+  filters,
+  onFilterChange,
+  selectedNumber,
+  onRowClick,
+  resetKey,
+  maxHeight = 560,
+}) {
+  const scrollRef = useRef(null);
+  const frameRef = useRef(null);
+  const [scroll, setScroll] = useState({ top: 0, left: 0 });
+  const [viewport, setViewport] = useState({ width: DEFAULT_VIEWPORT_WIDTH, height: maxHeight });
+  const [layout, setLayout] = useState(() => loadGridLayout());
+  const layoutRef = useRef(layout);
+  layoutRef.current = layout;
+  const [drafts, setDrafts] = useState(filters);
+  const [showColumns, setShowColumns] = useState(false);
+
+  // the parent debounces filters; follow it when it changes them (e.g. Clear filters)
+  useEffect(() => setDrafts(filters), [filters]);
+
+  useEffect(() => {
+    const el = scrollRef.current;
+    if (!el) return undefined;
+    const measure = () =>
+      setViewport({
+        width: el.clientWidth || DEFAULT_VIEWPORT_WIDTH,
+        height: el.clientHeight || maxHeight,
+      });
+    measure();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(measure);
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [maxHeight]);
+
+  // a new filter or sort starts at the top
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScroll((s) => ({ ...s, top: 0 }));
+  }, [resetKey]);
+
+  useEffect(() => () => cancelAnimationFrame(frameRef.current), []);
+
+  function handleScroll(e) {
+    const el = e.currentTarget;
+    if (frameRef.current) return;
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      setScroll({ top: el.scrollTop, left: el.scrollLeft });
+    });
+  }
+
+  const cols = useMemo(
+    () => columnLayout(headers, layout.widths, layout.hidden),
+    [headers, layout.widths, layout.hidden]
+  );
+  const hiddenCount = headers.filter(
+    (h) => !STICKY_COLUMNS.includes(h) && layout.hidden.includes(h)
+  ).length;
+
+  const bodyHeight = viewport.height - HEADER_HEIGHT - FILTER_HEIGHT;
+  const { start, end } = rowWindow(scroll.top, bodyHeight, rows.length);
+  const win = columnWindow(cols.scrolling, scroll.left, viewport.width, cols.stickyWidth);
+  const shown = cols.scrolling.slice(win.start, win.end);
+  const leftPad = shown.length > 0 ? shown[0].left - cols.stickyWidth : 0;
+  const rightPad =
+    shown.length > 0 ? cols.totalWidth - (shown[shown.length - 1].left + shown[shown.length - 1].width) : 0;
+
+  function setWidth(header, width) {
+    setLayout((l) => ({ ...l, widths: { ...l.widths, [header]: width } }));
+  }
+
+  function startResize(e, col) {
+    e.preventDefault();
+    e.stopPropagation();
+    const startX = e.clientX;
+    const move = (ev) => setWidth(col.header, Math.max(MIN_COLUMN_WIDTH, col.width + ev.clientX - startX));
+    const up = () => {
+      window.removeEventListener('mousemove', move);
+      window.removeEventListener('mouseup', up);
+      saveGridLayout(layoutRef.current);
+    };
+    window.addEventListener('mousemove', move);
+    window.addEventListener('mouseup', up);
+  }
+
+  function resetWidth(e, header) {
+    e.stopPropagation();
+    const { [header]: _, ...widths } = layoutRef.current.widths;
+    const next = { ...layoutRef.current, widths };
+    setLayout(next);
+    saveGridLayout(next);
+  }
+
+  function toggleHidden(header) {
+    const { hidden } = layoutRef.current;
+    const next = {
+      ...layoutRef.current,
+      hidden: hidden.includes(header) ? hidden.filter((h) => h !== header) : [...hidden, header],
+    };
+    setLayout(next);
+    saveGridLayout(next);
+  }
+
+  function showAll() {
+    const next = { ...layoutRef.current, hidden: [] };
+    setLayout(next);
+    saveGridLayout(next);
+  }
+
+  // One grid line: sticky cells, spacer, the columns in view, spacer
+  function line(renderCell, { height, background, stickyZ }) {
+    const cellStyle = (c) => ({ flex: '0 0 auto', width: c.width, height, boxSizing: 'border-box' });
+    return (
+      <>
+        {cols.sticky.map((c, i) =>
+          renderCell(c, {
+            ...cellStyle(c),
+            position: 'sticky',
+            left: c.left,
+            zIndex: stickyZ,
+            background,
+            borderRight: i === cols.sticky.length - 1 ? '1px solid #e2e8f0' : undefined,
+          })
+        )}
+        <div style={{ flex: '0 0 auto', width: leftPad }} />
+        {shown.map((c) => renderCell(c, cellStyle(c)))}
+        <div style={{ flex: '0 0 auto', width: rightPad }} />
+      </>
+    );
+  }
+
+  const gridHeight = Math.min(
+    maxHeight,
+    HEADER_HEIGHT + FILTER_HEIGHT + Math.max(1, rows.length) * ROW_HEIGHT + 18
+  );
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: 6, position: 'relative' }}>
+        <button
+          onClick={() => setShowColumns(!showColumns)}
+          aria-expanded={showColumns}
+          style={{
+            padding: '6px 10px',
+            borderRadius: 6,
+            border: '1px solid #e2e8f0',
+            background: 'white',
+            cursor: 'pointer',
+            fontSize: 13,
+          }}
+        >
+          Columns{hiddenCount > 0 ? ` (${hiddenCount} hidden)` : ''}
+        </button>
+        {showColumns && (
+          <div
+            style={{
+              position: 'absolute',
+              top: '100%',
+              right: 0,
+              marginTop: 4,
+              width: 260,
+              maxHeight: 360,
+              overflowY: 'auto',
+              background: 'white',
+              border: '1px solid #e2e8f0',
+              borderRadius: 8,
+              boxShadow: '0 8px 24px rgba(2,6,23,0.15)',
+              padding: 8,
+              zIndex: 20,
+              fontSize: 13,
+            }}
+          >
+            {headers.map((h) => (
+              <label key={h} style={{ display: 'flex', gap: 6, alignItems: 'center', padding: '3px 0' }}>
+                <input
+                  type="checkbox"
+                  checked={STICKY_COLUMNS.includes(h) || !layout.hidden.includes(h)}
+                  disabled={STICKY_COLUMNS.includes(h)}
+                  onChange={() => toggleHidden(h)}
+                />
+                {h}
+              </label>
+            ))}
+            <button
+              onClick={showAll}
+              disabled={hiddenCount === 0}
+              style={{ marginTop: 6, padding: '4px 8px', borderRadius: 6, border: '1px solid #e2e8f0', background: 'white' }}
+            >
+              Show all
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div
+        ref={scrollRef}
+        onScroll={handleScroll}
+        role="grid"
+        aria-rowcount={rows.length + 2}
+        aria-colcount={cols.sticky.length + cols.scrolling.length}
+        style={{
+          height: gridHeight,
+          overflow: 'auto',
+          border: '1px solid #e6eef0',
+          borderRadius: 8,
+          position: 'relative',
+        }}
+      >
+        <div style={{ position: 'sticky', top: 0, zIndex: 2, width: cols.totalWidth }}>
+          <div role="row" aria-rowindex={1} style={{ display: 'flex', background: headBackground }}>
+            {line(
+              (c, style) => (
+                <div
+                  key={c.header}
+                  role="columnheader"
+                  aria-sort={
+                    sortKey === c.header ? (sortDir === 'asc' ? 'ascending' : 'descending') : 'none'
+                  }
+                  onClick={() => onSort(c.header)}
+                  title={`${c.header} (${COLUMN_TYPES[columnType(c.header)]})`}
+                  style={{
+                    ...style,
+                    position: style.position || 'relative',
+                    display: 'flex',
+                    gap: 6,
+                    alignItems: 'center',
+                    padding: '0 8px',
+                    background: headBackground,
+                    borderBottom: '1px solid #e6eef0',
+                    cursor: 'pointer',
+                    userSelect: 'none',
+                  }}
+                >
+                  <span
+                    style={{
+                      fontWeight: 600,
+                      fontSize: 13,
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap',
+                    }}
+                  >
+                    {c.header}
+                  </span>
+                  {sortKey === c.header ? (
+                    <small style={{ color: '#0f172a' }}>{sortDir === 'asc' ? '▲' : '▼'}</small>
+                  ) : (
+                    <small style={{ color: '#94a3b8' }}>⇅</small>
+                  )}
+                  <span
+                    role="separator"
+                    aria-label={`Resize ${c.header}`}
+                    title="Drag to resize, double-click to reset"
+                    onMouseDown={(e) => startResize(e, c)}
+                    onClick={(e) => e.stopPropagation()}
+                    onDoubleClick={(e) => resetWidth(e, c.header)}
+                    style={{
+                      position: 'absolute',
+                      top: 0,
+                      right: 0,
+                      width: 6,
+                      height: '100%',
+                      cursor: 'col-resize',
+                      borderRight: '1px solid #e2e8f0',
+                    }}
+                  />
+                </div>
+              ),
+              { height: HEADER_HEIGHT, background: headBackground, stickyZ: 3 }
+            )}
+          </div>
+          <div role="row" aria-rowindex={2} style={{ display: 'flex', background: 'white' }}>
+            {line(
+              (c, style) => (
+                <div
+                  key={c.header}
+                  role="columnheader"
+                  style={{ ...style, padding: '5px 6px', background: 'white', borderBottom: '1px solid #e6eef0' }}
+                >
+                  <input
+                    placeholder={filterHint(c.header)}
+                    aria-label={`Filter ${c.header}`}
+                    value={drafts[c.header] || ''}
+                    onChange={(e) => {
+                      const v = e.target.value;
+                      setDrafts((d) => ({ ...d, [c.header]: v }));
+                      onFilterChange(c.header, v);
+                    }}
+                    style={{
+                      width: '100%',
+                      boxSizing: 'border-box',
+                      padding: 5,
+                      borderRadius: 6,
+                      border: '1px solid #eef2f7',
+                    }}
+                  />
+                </div>
+              ),
+              { height: FILTER_HEIGHT, background: 'white', stickyZ: 3 }
+            )}
+          </div>
+        </div>
+
+        {rows.length === 0 ? (
+          <div
+            style={{
+              position: 'sticky',
+              left: 0,
+              width: viewport.width,
+              padding: 20,
+              boxSizing: 'border-box',
+              textAlign: 'center',
+              color: '#64748b',
+            }}
+          >
+            No rows to display
+          </div>
+        ) : (
+          <div style={{ width: cols.totalWidth }}>
+            <div style={{ height: start * ROW_HEIGHT }} />
+            {rows.slice(start, end).map((r, i) => {
+              const selected = r.Number === selectedNumber;
+              const background = selected ? '#ecfeff' : 'white';
+              return (
+                <div
+                  key={start + i}
+                  role="row"
+                  aria-rowindex={start + i + 3}
+                  aria-selected={selected}
+                  tabIndex={0}
+                  onClick={() => onRowClick(r)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') onRowClick(r);
+                  }}
+                  title="Show the timeline and source rows"
+                  style={{ display: 'flex', cursor: 'pointer', borderBottom: '1px solid #f1f5f9' }}
+                >
+                  {line(
+                    (c, style) => {
+                      const text = formatCell(c.header, r[c.header]);
+                      return (
+                        <div
+                          key={c.header}
+                          role="gridcell"
+                          title={text}
+                          style={{
+                            ...style,
+                            background: style.background || background,
+                            padding: '0 8px',
+                            fontSize: 13,
+                            lineHeight: `${ROW_HEIGHT - 1}px`,
+                            whiteSpace: 'nowrap',
+                            overflow: 'hidden',
+                            textOverflow: 'ellipsis',
+                          }}
+                        >
+                          {text}
+                        </div>
+                      );
+                    },
+                    { height: ROW_HEIGHT - 1, background, stickyZ: 1 }
+                  )}
+                </div>
+              );
+            })}
+            <div style={{ height: (rows.length - end) * ROW_HEIGHT }} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
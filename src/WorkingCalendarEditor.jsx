@@ -0,0 +1,318 @@
+// src/WorkingCalendarEditor.jsx
+import React, { useRef, useState } from 'react';
+import * as XLSX from 'xlsx';
+import {
+  WEEKDAY_NAMES,
+  cloneCalendar,
+  validateCalendar,
+  parseHolidayRows,
+} from './workingCalendar';
+
+/*
+  Working calendar editor (modal)
+  - Toggle business-hours mode, time zone, hours per weekday
+  - Holidays: add by hand or import a .csv/.xlsx (date in column A, name in column B)
+*/
+
+const inputStyle = {
+  padding: '6px 8px',
+  borderRadius: 6,
+  border: '1px solid #e2e8f0',
+  fontSize: 13,
+  boxSizing: 'border-box',
+};
+
+const buttonStyle = {
+  padding: '6px 10px',
+  borderRadius: 8,
+  border: '1px solid #e6eef0',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: 13,
+};
+
+const timeZones =
+  typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+export default function WorkingCalendarEditor({ calendar, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => cloneCalendar(calendar));
+  const [errors, setErrors] = useState([]);
+  const [importNote, setImportNote] = useState('');
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '' });
+  const importRef = useRef(null);
+
+  function setDay(idx, value) {
+    setDraft((prev) => ({ ...prev, hours: prev.hours.map((h, i) => (i === idx ? value : h)) }));
+  }
+
+  function mergeHolidays(list) {
+    setDraft((prev) => {
+      const byDate = new Map(prev.holidays.map((h) => [h.date, h]));
+      list.forEach((h) => byDate.set(h.date, h));
+      return {
+        ...prev,
+        holidays: [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date)),
+      };
+    });
+  }
+
+  function handleImport(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      try {
+        const wb = XLSX.read(ev.target.result, { type: 'array', cellDates: true });
+        const ws = wb.Sheets[wb.SheetNames[0]];
+        const rows = XLSX.utils.sheet_to_json(ws, { header: 1, defval: '', raw: true });
+        const { holidays, skipped } = parseHolidayRows(rows);
+        mergeHolidays(holidays);
+        setImportNote(
+          `Imported ${holidays.length} holiday(s) from ${file.name}` +
+            (skipped ? `; skipped ${skipped} row(s) without a date.` : '.')
+        );
+      } catch (err) {
+        console.error(err);
+        setImportNote(`Could not read ${file.name}.`);
+      }
+      if (importRef.current) importRef.current.value = '';
+    };
+    reader.onerror = () => setImportNote(`Could not read ${file.name}.`);
+    reader.readAsArrayBuffer(file);
+  }
+
+  function handleSave() {
+    const problems = validateCalendar(draft);
+    if (problems.length > 0) {
+      setErrors(problems);
+      return;
+    }
+    onSave({ ...draft, timeZone: draft.timeZone.trim() });
+  }
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        inset: 0,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(2,6,23,0.5)',
+        zIndex: 60,
+      }}
+    >
+      <div
+        style={{
+          width: 620,
+          maxHeight: '90vh',
+          overflowY: 'auto',
+          background: 'white',
+          borderRadius: 12,
+          padding: 20,
+          boxShadow: '0 10px 40px rgba(2,6,23,0.6)',
+        }}
+      >
+        <h3 style={{ margin: 0, fontSize: 18 }}>Business hours & holidays</h3>
+        <p style={{ marginTop: 6, color: '#475569', fontSize: 13 }}>
+          When enabled, Interval and Made SLA columns count only working time. Elapsed (24x7)
+          time is still shown next to each interval.
+        </p>
+
+        <label style={{ display: 'flex', gap: 8, alignItems: 'center', fontSize: 14, marginTop: 10 }}>
+          <input
+            type="checkbox"
+            checked={draft.enabled}
+            onChange={(e) => setDraft((prev) => ({ ...prev, enabled: e.target.checked }))}
+          />
+          Use business hours for SLA intervals
+        </label>
+
+        <label style={{ display: 'block', fontSize: 13, color: '#334155', marginTop: 14 }}>
+          Time zone (leave empty for this browser's local time)
+        </label>
+        <input
+          list="erp-time-zones"
+          value={draft.timeZone}
+          placeholder="e.g. Europe/London"
+          onChange={(e) => setDraft((prev) => ({ ...prev, timeZone: e.target.value }))}
+          style={{ ...inputStyle, width: '100%', marginTop: 4 }}
+        />
+        <datalist id="erp-time-zones">
+          {timeZones.map((tz) => (
+            <option key={tz} value={tz} />
+          ))}
+        </datalist>
+
+        <table style={{ borderCollapse: 'collapse', marginTop: 14 }}>
+          <tbody>
+            {WEEKDAY_NAMES.map((name, idx) => {
+              const h = draft.hours[idx];
+              return (
+                <tr key={name}>
+                  <td style={{ padding: 4, width: 120 }}>
+                    <label style={{ display: 'flex', gap: 6, alignItems: 'center', fontSize: 13 }}>
+                      <input
+                        type="checkbox"
+                        checked={!!h}
+                        onChange={(e) =>
+                          setDay(idx, e.target.checked ? { start: '09:00', end: '17:00' } : null)
+                        }
+                      />
+                      {name}
+                    </label>
+                  </td>
+                  <td style={{ padding: 4 }}>
+                    <input
+                      type="time"
+                      disabled={!h}
+                      value={h ? h.start : ''}
+                      onChange={(e) => setDay(idx, { ...h, start: e.target.value })}
+                      style={inputStyle}
+                    />
+                  </td>
+                  <td style={{ padding: 4, fontSize: 13, color: '#64748b' }}>to</td>
+                  <td style={{ padding: 4 }}>
+                    <input
+                      type="time"
+                      disabled={!h}
+                      value={h ? h.end : ''}
+                      onChange={(e) => setDay(idx, { ...h, end: e.target.value })}
+                      style={inputStyle}
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 16 }}>
+          <div style={{ fontSize: 14, fontWeight: 600 }}>Holidays ({draft.holidays.length})</div>
+          <label style={{ ...buttonStyle, marginLeft: 'auto' }}>
+            Import .csv / .xlsx
+            <input
+              ref={importRef}
+              type="file"
+              accept=".csv,.xlsx"
+              onChange={handleImport}
+              style={{ display: 'none' }}
+            />
+          </label>
+          <button
+            onClick={() => setDraft((prev) => ({ ...prev, holidays: [] }))}
+            disabled={draft.holidays.length === 0}
+            style={buttonStyle}
+          >
+            Clear all
+          </button>
+        </div>
+        {importNote && <div style={{ fontSize: 12, color: '#475569', marginTop: 6 }}>{importNote}</div>}
+
+        <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+          <input
+            type="date"
+            value={newHoliday.date}
+            onChange={(e) => setNewHoliday((prev) => ({ ...prev, date: e.target.value }))}
+            style={inputStyle}
+          />
+          <input
+            placeholder="Name (optional)"
+            value={newHoliday.name}
+            onChange={(e) => setNewHoliday((prev) => ({ ...prev, name: e.target.value }))}
+            style={{ ...inputStyle, flex: 1 }}
+          />
+          <button
+            disabled={!newHoliday.date}
+            onClick={() => {
+              mergeHolidays([{ date: newHoliday.date, name: newHoliday.name.trim() }]);
+              setNewHoliday({ date: '', name: '' });
+            }}
+            style={buttonStyle}
+          >
+            Add
+          </button>
+        </div>
+
+        <div
+          style={{
+            maxHeight: 160,
+            overflowY: 'auto',
+            marginTop: 8,
+            border: '1px solid #e6eef0',
+            borderRadius: 8,
+          }}
+        >
+          {draft.holidays.length === 0 ? (
+            <div style={{ padding: 10, fontSize: 13, color: '#64748b' }}>No holidays</div>
+          ) : (
+            draft.holidays.map((h) => (
+              <div
+                key={h.date}
+                style={{
+                  display: 'flex',
+                  gap: 10,
+                  alignItems: 'center',
+                  padding: '4px 10px',
+                  fontSize: 13,
+                  borderBottom: '1px solid #f1f5f9',
+                }}
+              >
+                <span style={{ width: 100 }}>{h.date}</span>
+                <span style={{ flex: 1, color: '#475569' }}>{h.name}</span>
+                <button
+                  title="Remove holiday"
+                  onClick={() =>
+                    setDraft((prev) => ({
+                      ...prev,
+                      holidays: prev.holidays.filter((x) => x.date !== h.date),
+                    }))
+                  }
+                  style={{ ...buttonStyle, padding: '2px 8px', color: '#b91c1c' }}
+                >
+                  ✕
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+
+        {errors.length > 0 && (
+          <div
+            style={{
+              marginTop: 12,
+              padding: 10,
+              borderRadius: 8,
+              background: '#fef2f2',
+              color: '#b91c1c',
+              fontSize: 13,
+            }}
+          >
+            {errors.map((e, i) => (
+              <div key={i}>{e}</div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 16 }}>
+          <button onClick={onClose} style={{ ...buttonStyle, padding: '8px 12px' }}>
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            style={{
+              padding: '8px 12px',
+              borderRadius: 8,
+              border: 'none',
+              background: '#06b6d4',
+              color: 'white',
+              cursor: 'pointer',
+            }}
+          >
+            Save calendar
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+// src/__fixtures__/incidents.js
+/*
+  Small ServiceNow-style export used by the pipeline tests.
+  INC001 (P1) makes SLA, INC002 (P2) breaches on its second update,
+  INC003 (P3) spans a weekend, INC004 has no updates, the blank-number row is skipped.
+*/
+
+export const INCIDENT_SHEET = [
+  ['Number', 'Priority', 'State', 'Opened', 'Updated'],
+  ['INC001', 'P1 - Critical', 'Resolved', '01/07/2025 09:00', '01/07/2025 09:30'],
+  ['INC001', 'P1 - Critical', 'Resolved', '01/07/2025 09:00', '01/07/2025 10:00'],
+  ['INC002', 'P2 - High', 'In Progress', '02/07/2025 08:00', '02/07/2025 10:00; 02/07/2025 14:00'],
+  ['INC003', 'P3 - Medium', 'On Hold', '04/07/2025 16:00', '07/07/2025 10:00'],
+  ['INC004', 'P4 - Low', 'New', '05/07/2025 12:00', ''],
+  ['', 'P4 - Low', 'New', '05/07/2025 12:00', '05/07/2025 13:00'],
+];
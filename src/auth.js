@@ -0,0 +1,292 @@
+// src/auth.js
+import { decodeJwt, pkceChallenge, randomToken } from './pkce';
+import { createMockIdentityProvider } from './mockIdentityProvider';
+import { rolesFromClaim } from './roles';
+
+/*
+  Sign-in through a pluggable OpenID Connect provider (authorization code flow with PKCE)
+  - REACT_APP_AUTH_PROVIDER picks the provider: 'oidc' for a real one, configured by
+    REACT_APP_OIDC_ISSUER, REACT_APP_OIDC_CLIENT_ID and REACT_APP_OIDC_SCOPE, or 'mock' for the
+    local mock provider (mockIdentityProvider.js), which is the default outside production builds
+  - beginLogin keeps the PKCE verifier, state and nonce in sessionStorage and returns the
+    provider's authorization URL; completeLogin checks the callback, exchanges the code for
+    tokens and stores the session
+  - A session is { user: { id, name, email, roles }, accessToken, idToken, expiresAt }; it ends
+    when the token expires, checkSession asks the provider whether the token (and the user's
+    roles) are still valid, and logout revokes the token at the provider before clearing it
+  - Roles (see roles.js) are read from the ID token's roles claim; REACT_APP_OIDC_ROLES_CLAIM
+    names a different claim
+  - Endpoints come from the provider's discovery document; every request goes through the
+    client's fetch, which for the mock provider is answered in the browser
+*/
+
+const SESSION_KEY = 'erp_session';
+const PENDING_KEY = 'erp_auth_pending';
+
+export const AUTH_PROVIDERS = {
+  oidc: 'single sign-on',
+  mock: 'the mock identity provider (development)',
+};
+
+// The signed-in session, or null; an expired session is still returned (see isSessionExpired)
+export function loadSession() {
+  try {
+    const raw = localStorage.getItem(SESSION_KEY);
+    const s = raw ? JSON.parse(raw) : null;
+    if (s && s.user && s.accessToken && Number.isFinite(s.expiresAt)) return s;
+  } catch (e) {
+    /* ignore corrupt storage */
+  }
+  return null;
+}
+
+function saveSession(session) {
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  } catch (e) {
+    /* ignore */
+  }
+}
+
+export function clearSession() {
+  try {
+    localStorage.removeItem(SESSION_KEY);
+  } catch (e) {
+    /* ignore */
+  }
+}
+
+export function isSessionExpired(session, now = Date.now()) {
+  return session.expiresAt <= now;
+}
+
+function userFromClaims(claims, rolesClaim) {
+  return {
+    id: claims.preferred_username || claims.email || claims.sub,
+    name: claims.name || claims.preferred_username || claims.sub,
+    email: claims.email || '',
+    roles: rolesFromClaim(claims[rolesClaim]),
+  };
+}
+
+/**
+ * OIDC client for one provider. config: { issuer, clientId, redirectUri, scope, rolesClaim };
+ * fetch defaults to window.fetch. Returns { beginLogin, completeLogin, checkSession, logout }.
+ */
+export function createOidcClient({
+  issuer,
+  clientId,
+  redirectUri,
+  scope = 'openid profile email',
+  rolesClaim = 'roles',
+  fetch: fetchFn = (...args) => window.fetch(...args),
+}) {
+  let discovery = null;
+
+  async function request(url, init) {
+    let res;
+    try {
+      res = await fetchFn(url, init);
+    } catch (e) {
+      throw new Error(`Could not reach the sign-in provider (${e.message}).`);
+    }
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(
+        body.error_description || body.error || `The sign-in provider answered ${res.status}.`
+      );
+      err.status = res.status;
+      throw err;
+    }
+    return body;
+  }
+
+  function postForm(params) {
+    return {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString(),
+    };
+  }
+
+  async function metadata() {
+    if (!discovery)
+      discovery = await request(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    return discovery;
+  }
+
+  // Starts a sign-in; returns the URL to send the browser to
+  async function beginLogin(returnTo = '/') {
+    const meta = await metadata();
+    const pending = { verifier: randomToken(), state: randomToken(16), nonce: randomToken(16), returnTo };
+    sessionStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+    const url = new URL(meta.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope,
+      state: pending.state,
+      nonce: pending.nonce,
+      code_challenge: await pkceChallenge(pending.verifier),
+      code_challenge_method: 'S256',
+    }).toString();
+    return url.toString();
+  }
+
+  // Finishes a sign-in from the callback URL; returns { session, returnTo }
+  async function completeLogin(callbackUrl) {
+    const params = new URL(callbackUrl).searchParams;
+    let pending = null;
+    try {
+      pending = JSON.parse(sessionStorage.getItem(PENDING_KEY));
+    } catch (e) {
+      /* ignore */
+    }
+    sessionStorage.removeItem(PENDING_KEY);
+
+    if (params.get('error'))
+      throw new Error(params.get('error_description') || `Sign-in failed (${params.get('error')}).`);
+    if (!pending || params.get('state') !== pending.state)
+      throw new Error('This sign-in response does not match a sign-in started here. Please sign in again.');
+    if (!params.get('code')) throw new Error('The sign-in response has no authorization code.');
+
+    const meta = await metadata();
+    const tokens = await request(
+      meta.token_endpoint,
+      postForm({
+        grant_type: 'authorization_code',
+        code: params.get('code'),
+        redirect_uri: redirectUri,
+        client_id: clientId,
+        code_verifier: pending.verifier,
+      })
+    );
+    if (!tokens.access_token) throw new Error('The sign-in provider did not return an access token.');
+
+    const claims = decodeJwt(tokens.id_token);
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== meta.issuer || !audience.includes(clientId))
+      throw new Error('The ID token was not issued to this app.');
+    if (claims.nonce !== pending.nonce) throw new Error('The ID token does not match this sign-in.');
+
+    const now = Date.now();
+    const expiries = [];
+    if (tokens.expires_in) expiries.push(now + Number(tokens.expires_in) * 1000);
+    if (claims.exp) expiries.push(claims.exp * 1000);
+    const session = {
+      user: userFromClaims(claims, rolesClaim),
+      accessToken: tokens.access_token,
+      idToken: tokens.id_token,
+      expiresAt: expiries.length > 0 ? Math.min(...expiries) : now + 3600 * 1000,
+    };
+    if (isSessionExpired(session, now)) throw new Error('The sign-in provider returned an expired token.');
+    saveSession(session);
+    return { session, returnTo: pending.returnTo || '/' };
+  }
+
+  /**
+   * false when the provider rejects the session's token, or reports other roles than the session
+   * has (roles edited in storage); true when it accepts it or cannot be asked
+   */
+  async function checkSession(session) {
+    try {
+      const meta = await metadata();
+      if (!meta.userinfo_endpoint) return true;
+      const info = await request(meta.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${session.accessToken}` },
+      });
+      if (rolesClaim in info) {
+        const roles = rolesFromClaim(info[rolesClaim]);
+        const held = session.user.roles || [];
+        if (roles.length !== held.length || roles.some((r) => !held.includes(r))) return false;
+      }
+      return true;
+    } catch (e) {
+      return !(e.status === 401 || e.status === 403);
+    }
+  }
+
+  /**
+   * Revokes the session's token and clears the session (also when revoking fails).
+   * Returns { revoked, endSessionUrl } - endSessionUrl is set when the provider has an
+   * end-session endpoint the browser should visit to sign out there too.
+   */
+  async function logout(session, postLogoutRedirectUri) {
+    let revoked = false;
+    let endSessionUrl = null;
+    try {
+      const meta = await metadata();
+      if (meta.revocation_endpoint && session) {
+        await request(
+          meta.revocation_endpoint,
+          postForm({ token: session.accessToken, token_type_hint: 'access_token', client_id: clientId })
+        );
+        revoked = true;
+      }
+      if (meta.end_session_endpoint && session) {
+        const url = new URL(meta.end_session_endpoint);
+        url.search = new URLSearchParams({
+          id_token_hint: session.idToken,
+          client_id: clientId,
+          ...(postLogoutRedirectUri ? { post_logout_redirect_uri: postLogoutRedirectUri } : {}),
+        }).toString();
+        endSessionUrl = url.toString();
+      }
+    } catch (e) {
+      /* the local session is cleared anyway */
+    } finally {
+      clearSession();
+    }
+    return { revoked, endSessionUrl };
+  }
+
+  return { beginLogin, completeLogin, checkSession, logout };
+}
+
+/**
+ * Auth settings from the build's environment variables.
+ * Returns { provider, issuer, clientId, scope, rolesClaim, redirectUri }; provider is null when
+ * sign-in is not configured (production builds without REACT_APP_AUTH_PROVIDER).
+ */
+export function authConfigFromEnv(env = process.env, origin = window.location.origin) {
+  const provider = env.REACT_APP_AUTH_PROVIDER || (env.NODE_ENV === 'production' ? null : 'mock');
+  const redirectUri = `${origin}/auth/callback`;
+  if (provider === 'mock')
+    return { provider, issuer: `${origin}/mock-idp`, clientId: 'erpa-dev', redirectUri };
+  if (provider === 'oidc')
+    return {
+      provider,
+      issuer: env.REACT_APP_OIDC_ISSUER || '',
+      clientId: env.REACT_APP_OIDC_CLIENT_ID || '',
+      scope: env.REACT_APP_OIDC_SCOPE || undefined,
+      rolesClaim: env.REACT_APP_OIDC_ROLES_CLAIM || undefined,
+      redirectUri: env.REACT_APP_OIDC_REDIRECT_URI || redirectUri,
+    };
+  return { provider: null };
+}
+
+let mockProvider = null;
+let client = null;
+
+// The mock identity provider, when it is the configured provider
+export function getMockIdentityProvider() {
+  const config = authConfigFromEnv();
+  if (config.provider !== 'mock') return null;
+  if (!mockProvider) mockProvider = createMockIdentityProvider(config);
+  return mockProvider;
+}
+
+// The configured OIDC client; throws when sign-in is not configured
+export function getAuthClient() {
+  if (client) return client;
+  const config = authConfigFromEnv();
+  if (config.provider === 'mock')
+    client = createOidcClient({ ...config, fetch: getMockIdentityProvider().fetch });
+  else if (config.provider === 'oidc' && config.issuer && config.clientId) client = createOidcClient(config);
+  else
+    throw new Error(
+      'Sign-in is not configured. Set REACT_APP_AUTH_PROVIDER (and the REACT_APP_OIDC_* settings) and rebuild.'
+    );
+  return client;
+}
@@ -0,0 +1,117 @@
+import {
+  createOidcClient,
+  authConfigFromEnv,
+  loadSession,
+  isSessionExpired,
+} from './auth';
+import { createMockIdentityProvider } from './mockIdentityProvider';
+import { pkceChallenge, decodeJwt } from './pkce';
+
+const config = authConfigFromEnv({ NODE_ENV: 'test' }, 'http://localhost');
+
+function setup(options = {}) {
+  const idp = createMockIdentityProvider({ ...config, ...options });
+  const client = createOidcClient({ ...config, fetch: idp.fetch });
+  return { idp, client };
+}
+
+// Runs the redirect round trip: authorization URL -> mock sign-in page -> callback URL
+async function signIn({ idp, client }, password = 'admin') {
+  const url = new URL(await client.beginLogin('/home'));
+  return idp.authorize(url.searchParams, 'admin', password);
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+});
+
+test('authConfigFromEnv uses the mock provider outside production only', () => {
+  expect(config).toMatchObject({
+    provider: 'mock',
+    issuer: 'http://localhost/mock-idp',
+    redirectUri: 'http://localhost/auth/callback',
+  });
+  expect(authConfigFromEnv({ NODE_ENV: 'production' }, 'https://erpa.example').provider).toBeNull();
+  expect(
+    authConfigFromEnv(
+      { NODE_ENV: 'production', REACT_APP_AUTH_PROVIDER: 'oidc', REACT_APP_OIDC_ISSUER: 'https://idp', REACT_APP_OIDC_CLIENT_ID: 'erpa' },
+      'https://erpa.example'
+    )
+  ).toMatchObject({ provider: 'oidc', issuer: 'https://idp', clientId: 'erpa', redirectUri: 'https://erpa.example/auth/callback' });
+});
+
+test('signs in with PKCE against the mock provider and revokes on logout', async () => {
+  const env = setup();
+  const url = new URL(await env.client.beginLogin('/home'));
+  expect(url.pathname).toBe('/mock-idp/authorize');
+  expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+  const pending = JSON.parse(sessionStorage.getItem('erp_auth_pending'));
+  expect(await pkceChallenge(pending.verifier)).toBe(url.searchParams.get('code_challenge'));
+
+  const callback = env.idp.authorize(url.searchParams, 'admin', 'admin');
+  const { session, returnTo } = await env.client.completeLogin(callback);
+  expect(returnTo).toBe('/home');
+  expect(session.user).toEqual({
+    id: 'admin',
+    name: 'Admin (mock)',
+    email: 'admin@example.com',
+    roles: ['contract-admin'],
+  });
+  expect(decodeJwt(session.idToken).nonce).toBe(pending.nonce);
+  expect(loadSession()).toEqual(session);
+  expect(isSessionExpired(session)).toBe(false);
+  expect(await env.client.checkSession(session)).toBe(true);
+
+  // the code cannot be exchanged twice
+  sessionStorage.setItem('erp_auth_pending', JSON.stringify(pending));
+  await expect(env.client.completeLogin(callback)).rejects.toThrow(/invalid or expired/);
+
+  expect(await env.client.logout(session)).toEqual({ revoked: true, endSessionUrl: null });
+  expect(loadSession()).toBeNull();
+  expect(env.idp.isTokenActive(session.accessToken)).toBe(false);
+  expect(await env.client.checkSession(session)).toBe(false);
+});
+
+test('rejects wrong passwords, foreign responses and a wrong code verifier', async () => {
+  const env = setup();
+  await expect(signIn(env, 'wrong')).rejects.toMatchObject({ code: 'invalid_credentials' });
+
+  const callback = await signIn(env);
+  const forged = callback.replace(/state=[^&]+/, 'state=forged');
+  await expect(env.client.completeLogin(forged)).rejects.toThrow(/does not match a sign-in/);
+
+  const next = await signIn(env);
+  const pending = JSON.parse(sessionStorage.getItem('erp_auth_pending'));
+  sessionStorage.setItem('erp_auth_pending', JSON.stringify({ ...pending, verifier: 'x'.repeat(43) }));
+  await expect(env.client.completeLogin(next)).rejects.toThrow(/PKCE verification failed/);
+  expect(loadSession()).toBeNull();
+
+  const url = new URL(await env.client.beginLogin());
+  url.searchParams.set('redirect_uri', 'https://evil.example/cb');
+  expect(() => env.idp.authorize(url.searchParams, 'admin', 'admin')).toThrow(/not registered/);
+});
+
+test('a session whose roles were edited is rejected', async () => {
+  const env = setup();
+  const url = new URL(await env.client.beginLogin());
+  const { session } = await env.client.completeLogin(
+    env.idp.authorize(url.searchParams, 'viewer', 'viewer')
+  );
+  expect(session.user.roles).toEqual(['viewer']);
+  expect(await env.client.checkSession(session)).toBe(true);
+  const edited = { ...session, user: { ...session.user, roles: ['contract-admin'] } };
+  expect(await env.client.checkSession(edited)).toBe(false);
+});
+
+test('the provider stops accepting a session once its token expires', async () => {
+  let now = Date.now();
+  const env = setup({ tokenLifetime: 60, now: () => now });
+  const { session } = await env.client.completeLogin(await signIn(env));
+  expect(session.expiresAt - Date.now()).toBeLessThanOrEqual(60 * 1000);
+  expect(await env.client.checkSession(session)).toBe(true);
+
+  now += 61 * 1000;
+  expect(isSessionExpired(session, now)).toBe(true);
+  expect(await env.client.checkSession(session)).toBe(false);
+});
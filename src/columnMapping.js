@@ -0,0 +1,184 @@
+// src/columnMapping.js
+/*
+  Column mapping - which source column feeds each logical field
+  - detectColumnMapping scores every header against the field's aliases and picks the best
+    unused column per field, with a confidence of 'high' / 'medium' / 'low' (or null when missing)
+  - Extra columns (Assignment group, Assigned to, Category, Service, ...) are carried through to
+    the output as dimensions; suggestExtraColumns picks the usual ones
+  - Confirmed mappings and extra columns are remembered in localStorage per header signature
+*/
+
+const MAPPINGS_KEY = 'erp_column_mappings';
+
+export const MAPPED_FIELDS = [
+  {
+    key: 'Number',
+    required: true,
+    aliases: ['number', 'incident number', 'incident', 'ticket', 'ticket number', 'id'],
+    avoid: ['count', 'phone', 'of'],
+  },
+  {
+    key: 'Priority',
+    required: false,
+    aliases: ['priority'],
+    avoid: ['changed', 'previous'],
+  },
+  {
+    key: 'State',
+    required: false,
+    aliases: ['state', 'status', 'incident state'],
+    avoid: ['reason', 'changed', 'previous'],
+  },
+  {
+    key: 'Opened',
+    required: true,
+    aliases: ['opened', 'opened at', 'opened on', 'opened date', 'created', 'created on'],
+    avoid: ['by', 'reopened', 'reopen', 'count'],
+  },
+  {
+    key: 'Updated',
+    required: true,
+    aliases: ['updated', 'updated at', 'updated on', 'sys updated on', 'last updated'],
+    avoid: ['by', 'count', 'updates'],
+  },
+];
+
+// Source columns that are usually worth keeping as reporting dimensions
+const DIMENSION_NAMES = [
+  'assignment group',
+  'assigned to',
+  'category',
+  'subcategory',
+  'service',
+  'business service',
+  'configuration item',
+  'company',
+  'location',
+];
+
+function norm(s) {
+  return String(s || '')
+    .toLowerCase()
+    .replace(/[_\-.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function words(s) {
+  return norm(s).split(' ').filter(Boolean);
+}
+
+// 0..1 score of a header for a field
+function scoreHeader(header, field) {
+  const h = norm(header);
+  if (!h) return 0;
+  const hWords = words(header);
+  let best = 0;
+  for (const alias of field.aliases) {
+    const a = norm(alias);
+    let s = 0;
+    if (h === a || h.replace(/ /g, '') === a.replace(/ /g, '')) s = 1;
+    else if (h.startsWith(a + ' ')) s = 0.8;
+    else if (` ${h} `.includes(` ${a} `)) s = 0.65;
+    else if (h.includes(a)) s = 0.4;
+    if (s > best) best = s;
+  }
+  if (best > 0 && best < 1 && field.avoid.some((w) => hWords.includes(w) || h.startsWith(w)))
+    best -= 0.6;
+  return Math.max(0, best);
+}
+
+export function confidenceLabel(score) {
+  if (score >= 0.9) return 'high';
+  if (score >= 0.6) return 'medium';
+  if (score > 0.3) return 'low';
+  return null;
+}
+
+/**
+ * Best column per field; each column is used at most once.
+ * Returns { [field]: { column, confidence } } with column null when nothing fits.
+ */
+export function detectColumnMapping(headers) {
+  const candidates = [];
+  for (const field of MAPPED_FIELDS) {
+    for (const h of headers) {
+      const score = scoreHeader(h, field);
+      if (score > 0.3) candidates.push({ field: field.key, column: h, score });
+    }
+  }
+  // greedy, strongest match first
+  candidates.sort((a, b) => b.score - a.score);
+
+  const out = {};
+  const used = new Set();
+  for (const c of candidates) {
+    if (out[c.field] || used.has(c.column)) continue;
+    out[c.field] = { column: c.column, confidence: confidenceLabel(c.score) };
+    used.add(c.column);
+  }
+  for (const field of MAPPED_FIELDS)
+    if (!out[field.key]) out[field.key] = { column: null, confidence: null };
+  return out;
+}
+
+// Plain { field: column } from a detected mapping
+export function mappingColumns(detected) {
+  const out = {};
+  for (const field of MAPPED_FIELDS) out[field.key] = detected[field.key] ? detected[field.key].column : null;
+  return out;
+}
+
+export function missingRequiredFields(columns) {
+  return MAPPED_FIELDS.filter((f) => f.required && !columns[f.key]).map((f) => f.key);
+}
+
+// Headers that look like reporting dimensions and are not mapped to a field
+export function suggestExtraColumns(headers, columns) {
+  const mapped = new Set(Object.values(columns));
+  return headers.filter((h) => !mapped.has(h) && DIMENSION_NAMES.includes(norm(h)));
+}
+
+export function headerSignature(headers) {
+  return headers.map(norm).join('|');
+}
+
+function loadAll() {
+  try {
+    const raw = localStorage.getItem(MAPPINGS_KEY);
+    const all = raw ? JSON.parse(raw) : null;
+    return all && typeof all === 'object' ? all : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Remembered { field: column } for these headers, or null
+export function loadSavedMapping(headers) {
+  const saved = loadAll()[headerSignature(headers)];
+  if (!saved) return null;
+  // the signature ignores case/spacing, so map back to the headers as they are now
+  const byNorm = new Map(headers.map((h) => [norm(h), h]));
+  const out = {};
+  for (const field of MAPPED_FIELDS)
+    out[field.key] = saved[field.key] ? byNorm.get(norm(saved[field.key])) || null : null;
+  return out;
+}
+
+// Remembered extra columns for these headers, or null when none were saved
+export function loadSavedExtraColumns(headers) {
+  const saved = loadAll()[headerSignature(headers)];
+  if (!saved || !Array.isArray(saved.extraColumns)) return null;
+  const byNorm = new Map(headers.map((h) => [norm(h), h]));
+  return saved.extraColumns.map((c) => byNorm.get(norm(c))).filter(Boolean);
+}
+
+export function saveMapping(headers, columns, extraColumns = []) {
+  try {
+    const all = loadAll();
+    all[headerSignature(headers)] = { ...columns, extraColumns };
+    localStorage.setItem(MAPPINGS_KEY, JSON.stringify(all));
+  } catch (e) {
+    /* ignore */
+  }
+}
@@ -0,0 +1,70 @@
+import {
+  detectColumnMapping,
+  mappingColumns,
+  missingRequiredFields,
+  loadSavedMapping,
+  loadSavedExtraColumns,
+  suggestExtraColumns,
+  saveMapping,
+} from './columnMapping';
+
+beforeEach(() => localStorage.clear());
+
+test('exact header names are detected with high confidence', () => {
+  const detected = detectColumnMapping(['Number', 'Priority', 'State', 'Opened', 'Updated']);
+  expect(mappingColumns(detected)).toEqual({
+    Number: 'Number',
+    Priority: 'Priority',
+    State: 'State',
+    Opened: 'Opened',
+    Updated: 'Updated',
+  });
+  expect(detected.Opened.confidence).toBe('high');
+});
+
+test('look-alike columns do not win over the real ones', () => {
+  const cols = mappingColumns(
+    detectColumnMapping(['Reopened', 'Updated by', 'Number', 'Opened', 'Updated', 'Priority'])
+  );
+  expect(cols.Opened).toBe('Opened');
+  expect(cols.Updated).toBe('Updated');
+  expect(cols.State).toBeNull();
+});
+
+test('look-alike columns alone are not picked', () => {
+  const detected = detectColumnMapping(['Incident ID', 'Reopened', 'Updated by']);
+  expect(detected.Opened.column).toBeNull();
+  expect(detected.Updated.column).toBeNull();
+  expect(missingRequiredFields(mappingColumns(detected))).toEqual(['Opened', 'Updated']);
+});
+
+test('mappings are remembered per header signature', () => {
+  const headers = ['Ticket', 'Sev', 'Opened at', 'Modified'];
+  expect(loadSavedMapping(headers)).toBeNull();
+  saveMapping(headers, { Number: 'Ticket', Priority: 'Sev', Opened: 'Opened at', Updated: 'Modified' });
+  expect(loadSavedMapping(['Ticket', 'Sev', 'Opened at'])).toBeNull();
+  expect(loadSavedMapping(['ticket', 'SEV', 'opened_at', 'Modified'])).toEqual({
+    Number: 'ticket',
+    Priority: 'SEV',
+    State: null,
+    Opened: 'opened_at',
+    Updated: 'Modified',
+  });
+  expect(loadSavedMapping(headers)).toEqual({
+    Number: 'Ticket',
+    Priority: 'Sev',
+    State: null,
+    Opened: 'Opened at',
+    Updated: 'Modified',
+  });
+});
+
+test('extra columns are suggested and remembered with the mapping', () => {
+  const headers = ['Number', 'Priority', 'Opened', 'Updated', 'Assignment Group', 'Caller'];
+  const columns = mappingColumns(detectColumnMapping(headers));
+  expect(suggestExtraColumns(headers, columns)).toEqual(['Assignment Group']);
+  expect(loadSavedExtraColumns(headers)).toBeNull();
+  saveMapping(headers, columns, ['Caller']);
+  expect(loadSavedExtraColumns(headers.map((h) => h.toUpperCase()))).toEqual(['CALLER']);
+  expect(loadSavedMapping(headers).Number).toBe('Number');
+});
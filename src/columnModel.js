@@ -0,0 +1,88 @@
+// src/columnModel.js
+import { formatInterval, formatWallClock, parseIntervalText, parseWallClock } from './dateHelpers';
+
+/*
+  Typed columns of the processed rows (Incident Intervals)
+  - processRows stores Opened Date / Nth Updated as wall-clock Dates (see dateHelpers.js),
+    Interval / Elapsed / Gross N as milliseconds and Made SLA (N) as booleans; null where nothing
+    was measured. An update that could not be read keeps its source text, and an override can
+    set Made SLA to "Excluded" (see slaOverrides.js)
+  - formatCell gives the text the grid, CSV, JSON and drill-down show: "YYYY-MM-DD HH:mm:ss",
+    "1d 2h 3m 4s", "Y" / "N"
+  - typedRows reads text rows back, for runs saved to the history before rows were typed
+*/
+
+export const COLUMN_TYPES = {
+  text: 'Text',
+  date: 'Date',
+  duration: 'Duration',
+  sla: 'SLA verdict',
+};
+
+const UPDATED_RE = /^\d+(st|nd|rd|th) Updated$/;
+const DURATION_RE = /^(Interval|Elapsed|Gross) \d+$/;
+const SLA_RE = /^Made SLA( \d+)?$/;
+
+const types = new Map();
+
+// 'date' | 'duration' | 'sla' | 'text', from the header processRows gave the column
+export function columnType(header) {
+  let type = types.get(header);
+  if (!type) {
+    if (header === 'Opened Date' || UPDATED_RE.test(header)) type = 'date';
+    else if (DURATION_RE.test(header)) type = 'duration';
+    else if (SLA_RE.test(header)) type = 'sla';
+    else type = 'text';
+    types.set(header, type);
+  }
+  return type;
+}
+
+// 'Y', 'N', '' when not measured, or the text an override set ("Excluded")
+export function slaText(value) {
+  if (value === true) return 'Y';
+  if (value === false) return 'N';
+  return value == null ? '' : String(value);
+}
+
+export function formatCell(header, value) {
+  if (value == null) return '';
+  if (value instanceof Date) return formatWallClock(value);
+  if (typeof value === 'boolean') return slaText(value);
+  if (typeof value === 'number' && columnType(header) === 'duration') return formatInterval(value);
+  return String(value);
+}
+
+// The row as text, keyed by header
+export function displayRow(headers, row) {
+  const out = {};
+  for (const h of headers) out[h] = formatCell(h, row[h]);
+  return out;
+}
+
+// A text cell as the typed value processRows stores; other values are returned as they are
+export function typedValue(header, value) {
+  if (typeof value !== 'string') return value;
+  const type = columnType(header);
+  if (type === 'text') return value;
+  if (value.trim() === '') return null;
+  if (type === 'date') return parseWallClock(value) || value;
+  if (type === 'duration') return parseIntervalText(value) ?? value;
+  if (value === 'Y') return true;
+  if (value === 'N') return false;
+  return value;
+}
+
+// Rows with their text cells typed; rows that are typed already come back unchanged
+export function typedRows(rows) {
+  return rows.map((row) => {
+    let out = row;
+    for (const [h, v] of Object.entries(row)) {
+      const t = typedValue(h, v);
+      if (t === v) continue;
+      if (out === row) out = { ...row };
+      out[h] = t;
+    }
+    return out;
+  });
+}
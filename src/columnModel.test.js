@@ -0,0 +1,37 @@
+import { columnType, formatCell, displayRow, typedRows } from './columnModel';
+
+test('columnType follows the processRows headers', () => {
+  const headers = ['Opened Date', '12th Updated', 'Interval 3', 'Gross 1', 'Made SLA 2', 'Made SLA', 'State 1'];
+  expect(headers.map(columnType)).toEqual(['date', 'date', 'duration', 'duration', 'sla', 'sla', 'text']);
+});
+
+test('formatCell shows typed values as the text output', () => {
+  expect(formatCell('Opened Date', new Date(Date.UTC(2025, 6, 1, 9, 5, 3)))).toBe('2025-07-01 09:05:03');
+  expect(formatCell('Interval 1', ((26 * 60 + 3) * 60 + 4) * 1000)).toBe('1d 2h 3m 4s');
+  expect(formatCell('Made SLA', false)).toBe('N');
+  expect(formatCell('Made SLA', 'Excluded')).toBe('Excluded');
+  expect(formatCell('1st Updated', 'soon')).toBe('soon');
+  expect(formatCell('Interval 1', null)).toBe('');
+});
+
+test('typedRows reads text rows back and leaves typed rows alone', () => {
+  const text = {
+    Number: '42',
+    'Opened Date': '2025-07-01 09:00:00',
+    '1st Updated': 'soon',
+    'Interval 1': '0d 0h 30m 0s',
+    'Made SLA 1': 'Y',
+    'Made SLA': '',
+  };
+  const [row] = typedRows([text]);
+  expect(row).toEqual({
+    Number: '42',
+    'Opened Date': new Date(Date.UTC(2025, 6, 1, 9)),
+    '1st Updated': 'soon',
+    'Interval 1': 30 * 60 * 1000,
+    'Made SLA 1': true,
+    'Made SLA': null,
+  });
+  expect(typedRows([row])[0]).toBe(row);
+  expect(displayRow(Object.keys(text), row)).toEqual(text);
+});
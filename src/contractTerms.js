@@ -0,0 +1,190 @@
+// src/contractTerms.js
+/*
+  Contract terms - named presets that drive the SUI SLA compliance and credit columns
+  - baseAmount / currency: the monthly fee credits are taken from, e.g. 118490 and '$'
+  - priorities[]: per SUI SLA priority row (key 'P1'..'P4')
+      target - minimum % of measured incidents within SLA; null = the priority never affects
+               compliance
+      tiers  - [{ below, creditPct }]: when a non-compliant priority scored under `below` %, it
+               earns creditPct % of the base amount; the lowest matching band wins
+  - creditCutoffPct: credit is only paid while the priority's share of breaches is under this %
+  - creditCapPct: cap on the total credit as % of the base amount; null = no cap
+  Presets and the active preset name are kept in localStorage.
+*/
+
+const CONTRACTS_KEY = 'erp_contract_terms';
+const ACTIVE_CONTRACT_KEY = 'erp_contract_active';
+
+export const CONTRACT_PRIORITY_KEYS = ['P1', 'P2', 'P3', 'P4'];
+
+export const DEFAULT_CONTRACT = {
+  name: 'Standard',
+  currency: '$',
+  baseAmount: 118490,
+  creditCutoffPct: 95,
+  creditCapPct: null,
+  priorities: [
+    { key: 'P1', target: 100, tiers: [{ below: 100, creditPct: 1 }] },
+    { key: 'P2', target: 100, tiers: [{ below: 100, creditPct: 0.5 }] },
+    { key: 'P3', target: null, tiers: [] },
+    { key: 'P4', target: null, tiers: [] },
+  ],
+};
+
+export function cloneContract(contract) {
+  const byKey = new Map((contract.priorities || []).map((p) => [p.key, p]));
+  return {
+    name: contract.name,
+    currency: contract.currency == null ? DEFAULT_CONTRACT.currency : contract.currency,
+    baseAmount: contract.baseAmount,
+    creditCutoffPct: contract.creditCutoffPct == null ? null : contract.creditCutoffPct,
+    creditCapPct: contract.creditCapPct == null ? null : contract.creditCapPct,
+    priorities: CONTRACT_PRIORITY_KEYS.map((key) => {
+      const p = byKey.get(key) || { target: null, tiers: [] };
+      return {
+        key,
+        target: p.target == null ? null : p.target,
+        tiers: (p.tiers || []).map((t) => ({ ...t })),
+      };
+    }),
+  };
+}
+
+function isPct(v) {
+  const n = Number(v);
+  return v !== '' && v != null && !isNaN(n) && n >= 0 && n <= 100;
+}
+
+// Returns a list of problems; empty when the contract can be saved
+export function validateContract(contract, others = []) {
+  const errors = [];
+  const name = (contract.name || '').trim();
+  if (!name) errors.push('Contract name is required.');
+  else if (others.some((o) => o.name.trim().toLowerCase() === name.toLowerCase()))
+    errors.push(`A contract named "${name}" already exists.`);
+
+  if (!(Number(contract.baseAmount) >= 0) || contract.baseAmount === '')
+    errors.push('Base amount must be a number of 0 or more.');
+  if (contract.creditCutoffPct != null && !isPct(contract.creditCutoffPct))
+    errors.push('Credit cut-off must be between 0 and 100%.');
+  if (contract.creditCapPct != null && !isPct(contract.creditCapPct))
+    errors.push('Credit cap must be between 0 and 100%.');
+
+  for (const p of contract.priorities || []) {
+    if (p.target != null && !isPct(p.target)) errors.push(`${p.key}: target must be between 0 and 100%.`);
+    p.tiers.forEach((t, i) => {
+      if (!isPct(t.below)) errors.push(`${p.key} tier ${i + 1}: "below" must be between 0 and 100%.`);
+      if (!(Number(t.creditPct) >= 0) || t.creditPct === '')
+        errors.push(`${p.key} tier ${i + 1}: credit must be 0% or more.`);
+    });
+  }
+  return errors;
+}
+
+function termsFor(contract, priorityKey) {
+  return (contract.priorities || []).find((p) => p.key === priorityKey) || null;
+}
+
+/**
+ * Compliance and credit for one SUI SLA priority row.
+ * counts: { Y, N } incidents that made / missed SLA; breachSharePct: N as % of all incidents.
+ * Returns { compliant, achievedPct, creditPct, creditAmount }.
+ */
+export function evaluatePriority(contract, priorityKey, counts, breachSharePct) {
+  const terms = termsFor(contract, priorityKey);
+  const measured = counts.Y + counts.N;
+  const achievedPct = measured > 0 ? (counts.Y / measured) * 100 : 100;
+  const compliant = !terms || terms.target == null || achievedPct >= Number(terms.target);
+
+  let creditPct = 0;
+  if (!compliant) {
+    const bands = terms.tiers
+      .filter((t) => achievedPct < Number(t.below))
+      .sort((a, b) => Number(a.below) - Number(b.below));
+    if (bands.length > 0) creditPct = Number(bands[0].creditPct);
+  }
+
+  const cutoff = contract.creditCutoffPct;
+  const paid = cutoff == null || breachSharePct < Number(cutoff);
+  const creditAmount = paid ? (creditPct / 100) * Number(contract.baseAmount) : 0;
+  return { compliant, achievedPct, creditPct, creditAmount };
+}
+
+// Total credit after the contract's cap: { total, capped }
+export function totalCredit(contract, amounts) {
+  const sum = amounts.reduce((s, a) => s + a, 0);
+  if (contract.creditCapPct == null) return { total: sum, capped: false };
+  const cap = (Number(contract.creditCapPct) / 100) * Number(contract.baseAmount);
+  return sum > cap ? { total: cap, capped: true } : { total: sum, capped: false };
+}
+
+// '1.0%', '0.50%', '0.0%' - the way the SUI SLA sheet has always shown credit
+export function formatCreditPct(pct) {
+  if (!pct) return '0.0%';
+  return pct >= 1 ? `${pct.toFixed(1)}%` : `${pct.toFixed(2)}%`;
+}
+
+// '$ 1184.90' (no currency symbol: just the number)
+export function formatMoney(contract, amount) {
+  const value = amount.toFixed(2);
+  return contract.currency ? `${contract.currency} ${value}` : value;
+}
+
+// 'Credit $' - header of the credit amount column (no currency symbol: 'Credit amount')
+export function creditAmountHeader(contract) {
+  return `Credit ${contract.currency || 'amount'}`;
+}
+
+// One-line summary for the workbook footer
+export function describeContract(contract) {
+  const parts = [`base ${formatMoney(contract, Number(contract.baseAmount))}`];
+  for (const p of contract.priorities) {
+    if (p.target == null) continue;
+    const tiers = p.tiers.map((t) => `<${t.below}% → ${formatCreditPct(Number(t.creditPct))}`);
+    parts.push(`${p.key} target ${p.target}%${tiers.length ? ` (${tiers.join(', ')})` : ''}`);
+  }
+  if (contract.creditCutoffPct != null)
+    parts.push(`credit paid while breach share < ${contract.creditCutoffPct}%`);
+  if (contract.creditCapPct != null) parts.push(`cap ${contract.creditCapPct}% of base`);
+  return parts.join('; ');
+}
+
+export function loadContracts() {
+  try {
+    const raw = localStorage.getItem(CONTRACTS_KEY);
+    const list = raw ? JSON.parse(raw) : null;
+    if (Array.isArray(list) && list.length > 0) return list.map(cloneContract);
+  } catch (e) {
+    /* ignore corrupt storage */
+  }
+  return [cloneContract(DEFAULT_CONTRACT)];
+}
+
+export function saveContracts(contracts) {
+  try {
+    localStorage.setItem(CONTRACTS_KEY, JSON.stringify(contracts));
+  } catch (e) {
+    /* ignore */
+  }
+}
+
+export function loadActiveContractName() {
+  try {
+    return localStorage.getItem(ACTIVE_CONTRACT_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function saveActiveContractName(name) {
+  try {
+    localStorage.setItem(ACTIVE_CONTRACT_KEY, name);
+  } catch (e) {
+    /* ignore */
+  }
+}
+
+// Active contract from a list, falling back to the first entry
+export function resolveActiveContract(contracts, name) {
+  return contracts.find((c) => c.name === name) || contracts[0] || DEFAULT_CONTRACT;
+}
@@ -0,0 +1,78 @@
+import {
+  DEFAULT_CONTRACT,
+  cloneContract,
+  evaluatePriority,
+  totalCredit,
+  formatCreditPct,
+  formatMoney,
+  creditAmountHeader,
+  validateContract,
+  describeContract,
+} from './contractTerms';
+
+test('default contract keeps the original P1/P2 credit rules', () => {
+  // any breach makes P1/P2 non-compliant; P3/P4 never do
+  expect(evaluatePriority(DEFAULT_CONTRACT, 'P1', { Y: 9, N: 1 }, 10)).toMatchObject({
+    compliant: false,
+    creditPct: 1,
+    creditAmount: 1184.9,
+  });
+  expect(evaluatePriority(DEFAULT_CONTRACT, 'P2', { Y: 3, N: 1 }, 25).creditPct).toBe(0.5);
+  expect(evaluatePriority(DEFAULT_CONTRACT, 'P2', { Y: 3, N: 0 }, 0).compliant).toBe(true);
+  expect(evaluatePriority(DEFAULT_CONTRACT, 'P3', { Y: 0, N: 5 }, 50)).toMatchObject({
+    compliant: true,
+    creditAmount: 0,
+  });
+  // no credit paid once the breach share reaches the 95% cut-off
+  expect(evaluatePriority(DEFAULT_CONTRACT, 'P1', { Y: 0, N: 20 }, 95).creditAmount).toBe(0);
+});
+
+test('tiers pick the lowest band the score falls under', () => {
+  const contract = cloneContract({
+    ...DEFAULT_CONTRACT,
+    name: 'Gold',
+    creditCutoffPct: null,
+    creditCapPct: 2,
+    priorities: [
+      {
+        key: 'P1',
+        target: 95,
+        tiers: [
+          { below: 95, creditPct: 1 },
+          { below: 90, creditPct: 2.5 },
+        ],
+      },
+    ],
+  });
+  expect(evaluatePriority(contract, 'P1', { Y: 96, N: 4 }, 4).compliant).toBe(true);
+  expect(evaluatePriority(contract, 'P1', { Y: 93, N: 7 }, 7).creditPct).toBe(1);
+  expect(evaluatePriority(contract, 'P1', { Y: 80, N: 20 }, 20).creditPct).toBe(2.5);
+  // P2 has no terms in this contract
+  expect(evaluatePriority(contract, 'P2', { Y: 0, N: 10 }, 10).compliant).toBe(true);
+
+  expect(totalCredit(contract, [1000, 2000])).toEqual({ total: 2369.8, capped: true });
+  expect(totalCredit(contract, [1000])).toEqual({ total: 1000, capped: false });
+});
+
+test('formatting matches the SUI SLA sheet', () => {
+  expect([0, 0.5, 1, 2.5].map(formatCreditPct)).toEqual(['0.0%', '0.50%', '1.0%', '2.5%']);
+  expect(formatMoney(DEFAULT_CONTRACT, 1184.9)).toBe('$ 1184.90');
+  expect(formatMoney({ ...DEFAULT_CONTRACT, currency: '' }, 0)).toBe('0.00');
+  expect(creditAmountHeader({ ...DEFAULT_CONTRACT, currency: '€' })).toBe('Credit €');
+  expect(creditAmountHeader({ ...DEFAULT_CONTRACT, currency: '' })).toBe('Credit amount');
+  expect(describeContract(DEFAULT_CONTRACT)).toBe(
+    'base $ 118490.00; P1 target 100% (<100% → 1.0%); P2 target 100% (<100% → 0.50%); credit paid while breach share < 95%'
+  );
+});
+
+test('validateContract reports bad input', () => {
+  expect(validateContract(DEFAULT_CONTRACT)).toEqual([]);
+  const bad = cloneContract({
+    ...DEFAULT_CONTRACT,
+    name: 'standard',
+    baseAmount: -1,
+    creditCapPct: 150,
+    priorities: [{ key: 'P1', target: 101, tiers: [{ below: 'x', creditPct: -1 }] }],
+  });
+  expect(validateContract(bad, [DEFAULT_CONTRACT])).toHaveLength(6);
+});
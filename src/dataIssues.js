@@ -0,0 +1,50 @@
+// src/dataIssues.js
+/*
+  Data-quality issues found while processing (see processRows)
+  - Each issue is { kind, source, row, number, column, value }: row is the 1-based row in the
+    source sheet, source the file/sheet label when several sheets were merged (else null)
+  - ISSUE_KINDS gives the wording shown in the Data Issues panel and sheet
+*/
+
+export const ISSUE_KINDS = {
+  'missing-number': {
+    label: 'Row skipped — Number is blank',
+    effect: 'The row is not part of any incident.',
+  },
+  'bad-opened': {
+    label: 'Opened date not recognised',
+    effect: 'The value is ignored when finding the open time.',
+  },
+  'no-opened': {
+    label: 'No usable Opened date',
+    effect: 'No intervals or SLA verdict for this incident.',
+  },
+  'bad-updated': {
+    label: 'Updated date not recognised',
+    effect: 'The update is listed as text with no interval and does not count towards SLA.',
+  },
+  'update-before-open': {
+    label: 'Update dated before the open time',
+    effect: 'The interval from Opened is negative and counts as made.',
+  },
+  'unknown-priority': {
+    label: 'Priority not covered by the SLA policy',
+    effect: 'The policy default threshold is used.',
+  },
+};
+
+// [{ kind, label, count }] in ISSUE_KINDS order, kinds with no issues left out
+export function summarizeIssues(issues) {
+  const counts = {};
+  for (const issue of issues || []) counts[issue.kind] = (counts[issue.kind] || 0) + 1;
+  return Object.keys(ISSUE_KINDS)
+    .filter((kind) => counts[kind])
+    .map((kind) => ({ kind, label: ISSUE_KINDS[kind].label, count: counts[kind] }));
+}
+
+// Cell value as text for the panel / sheet
+export function issueValueText(value) {
+  if (value == null) return '';
+  if (value instanceof Date) return isNaN(value) ? 'Invalid date' : value.toISOString();
+  return String(value);
+}
@@ -0,0 +1,221 @@
+// src/dateHelpers.js
+import { zonedParts, zonedToDate } from './workingCalendar';
+
+/*
+  Date parsing and display helpers shared by the pipeline and the preview UI
+  - Source values are wall-clock times; they become instants in the profile's sourceTimeZone
+    (see dateProfile.js; empty = this computer's zone)
+  - formatIso shows an instant as wall-clock time in the given zone
+  - Processed rows keep dates as wall-clock Dates: the display zone's wall-clock time in the UTC
+    fields (wallClockDate), which is also how ExcelJS writes Date cells (see columnModel.js)
+*/
+
+// d/m/y or m/d/y with '/', '-' or '.', optional time and AM/PM
+const NUMERIC_DATE_RE =
+  /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:[ ,T]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i;
+
+// yyyy-mm-dd with optional time, fraction and UTC offset
+const ISO_DATE_RE =
+  /^(\d{4})[/-](\d{1,2})[/-](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// Trailing zone in a free-form date string (kept as given rather than read in sourceTimeZone)
+const EXPLICIT_ZONE_RE = /(Z|[+-]\d{2}:?\d{2}|\b(GMT|UTC)([+-]\d{1,4})?)$/i;
+
+function validParts(year, month, day, hour, minute, second) {
+  return (
+    month >= 0 && month <= 11 && day >= 1 && day <= 31 && hour <= 23 && minute <= 59 && second <= 59
+  );
+}
+
+// Excel serial (days since 1899-12-30, no time zone) -> instant, read in timeZone
+export function excelSerialToDate(serial, timeZone = '') {
+  if (typeof serial !== 'number' || !isFinite(serial)) return null;
+  // UTC getters give the serial's wall-clock time; round away float noise to the second
+  const d = new Date(Math.round((serial - 25569) * 86400) * 1000);
+  return zonedToDate(
+    d.getUTCFullYear(),
+    d.getUTCMonth(),
+    d.getUTCDate(),
+    d.getUTCHours(),
+    d.getUTCMinutes(),
+    d.getUTCSeconds(),
+    timeZone
+  );
+}
+
+/**
+ * Parse a source cell to a Date.
+ * profile: { dateOrder, sourceTimeZone } (see dateProfile.js). With dateOrder 'auto' a single
+ * value is read day-first unless only month-first makes sense; processRows detects the order
+ * for the whole file first (detectDateOrder). 'iso' accepts year-first dates only.
+ */
+export function parseToDate(val, profile = {}) {
+  const { dateOrder = 'auto', sourceTimeZone = '' } = profile;
+  if (val == null || val === '') return null;
+
+  if (val instanceof Date) {
+    if (isNaN(val)) return null;
+    // a Date from the reader carries the wall-clock time in local getters
+    const t = new Date(Math.round(val.getTime() / 1000) * 1000);
+    if (!sourceTimeZone) return t;
+    return zonedToDate(
+      t.getFullYear(),
+      t.getMonth(),
+      t.getDate(),
+      t.getHours(),
+      t.getMinutes(),
+      t.getSeconds(),
+      sourceTimeZone
+    );
+  }
+
+  if (typeof val === 'number') return excelSerialToDate(val, sourceTimeZone);
+
+  const s = String(val).trim();
+
+  let m = s.match(ISO_DATE_RE);
+  if (m) {
+    const [year, month, day] = [Number(m[1]), Number(m[2]) - 1, Number(m[3])];
+    const [hour, minute, second] = [Number(m[4] || 0), Number(m[5] || 0), Number(m[6] || 0)];
+    if (!validParts(year, month, day, hour, minute, second)) return null;
+    if (!m[7]) return zonedToDate(year, month, day, hour, minute, second, sourceTimeZone);
+    // explicit offset: the instant is fixed
+    let offset = 0;
+    if (m[7].toUpperCase() !== 'Z') {
+      const sign = m[7][0] === '-' ? -1 : 1;
+      const digits = m[7].slice(1).replace(':', '');
+      offset = sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2)));
+    }
+    return new Date(Date.UTC(year, month, day, hour, minute, second) - offset * 60000);
+  }
+  if (dateOrder === 'iso') return null;
+
+  m = s.match(NUMERIC_DATE_RE);
+  if (m) {
+    const a = parseInt(m[1], 10);
+    const b = parseInt(m[2], 10);
+    const monthFirst = dateOrder === 'mdy' || (dateOrder === 'auto' && a <= 12 && b > 12);
+    const day = monthFirst ? b : a;
+    const month = (monthFirst ? a : b) - 1;
+    let year = parseInt(m[3], 10);
+    if (year < 100) year += 2000;
+    let hour = m[4] ? parseInt(m[4], 10) : 0;
+    const minute = m[5] ? parseInt(m[5], 10) : 0;
+    const second = m[6] ? parseInt(m[6], 10) : 0;
+    const ampm = m[7];
+    if (ampm) {
+      if (/pm/i.test(ampm) && hour < 12) hour += 12;
+      if (/am/i.test(ampm) && hour === 12) hour = 0;
+    }
+    if (!validParts(year, month, day, hour, minute, second)) return null;
+    return zonedToDate(year, month, day, hour, minute, second, sourceTimeZone);
+  }
+
+  // Fallback: let JS try other textual forms (e.g. "1 Jul 2025 09:00")
+  const p = Date.parse(s);
+  if (isNaN(p)) return null;
+  const d = new Date(p);
+  if (EXPLICIT_ZONE_RE.test(s)) return d;
+  return zonedToDate(
+    d.getFullYear(),
+    d.getMonth(),
+    d.getDate(),
+    d.getHours(),
+    d.getMinutes(),
+    d.getSeconds(),
+    sourceTimeZone
+  );
+}
+
+/**
+ * Date order used by a set of sample text values: 'dmy', 'mdy' or 'iso'.
+ * A first part above 12 proves day-first, a second part above 12 month-first.
+ * Returns { dateOrder, ambiguous } - ambiguous when nothing decides it (day-first is kept, as
+ * before profiles existed) or when the values disagree.
+ */
+export function detectDateOrder(values) {
+  let dayFirst = 0;
+  let monthFirst = 0;
+  let numeric = 0;
+  let iso = 0;
+  for (const v of values) {
+    if (typeof v !== 'string') continue;
+    const s = v.trim();
+    if (ISO_DATE_RE.test(s)) {
+      iso++;
+      continue;
+    }
+    const m = s.match(NUMERIC_DATE_RE);
+    if (!m) continue;
+    numeric++;
+    const a = parseInt(m[1], 10);
+    const b = parseInt(m[2], 10);
+    if (a > 12 && b <= 12) dayFirst++;
+    else if (b > 12 && a <= 12) monthFirst++;
+  }
+  if (numeric === 0) return { dateOrder: iso > 0 ? 'iso' : 'dmy', ambiguous: iso === 0 };
+  return {
+    dateOrder: monthFirst > dayFirst ? 'mdy' : 'dmy',
+    ambiguous: (dayFirst > 0) === (monthFirst > 0),
+  };
+}
+
+// "YYYY-MM-DD HH:MM:SS" wall-clock time in timeZone (empty = this computer's zone)
+export function formatIso(dt, timeZone = '') {
+  if (!dt || isNaN(dt)) return '';
+  const p = zonedParts(dt, timeZone);
+  const mm = String(p.month + 1).padStart(2, '0');
+  const dd = String(p.day).padStart(2, '0');
+  const hh = String(p.hour).padStart(2, '0');
+  const min = String(p.minute).padStart(2, '0');
+  const ss = String(p.second).padStart(2, '0');
+  return `${p.year}-${mm}-${dd} ${hh}:${min}:${ss}`;
+}
+
+export function formatInterval(ms) {
+  if (ms == null || isNaN(ms)) return '';
+  if (ms < 0) ms = Math.abs(ms);
+  const totalSeconds = Math.floor(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  let rem = totalSeconds % 86400;
+  const hours = Math.floor(rem / 3600);
+  rem = rem % 3600;
+  const minutes = Math.floor(rem / 60);
+  const seconds = rem % 60;
+  return `${days}d ${hours}h ${minutes}m ${seconds}s`;
+}
+
+// "1d 2h 3m 4s" (formatInterval) -> ms, or null
+export function parseIntervalText(text) {
+  const m = /^(\d+)d (\d+)h (\d+)m (\d+)s$/.exec(String(text || '').trim());
+  if (!m) return null;
+  return (((Number(m[1]) * 24 + Number(m[2])) * 60 + Number(m[3])) * 60 + Number(m[4])) * 1000;
+}
+
+// Instant -> Date whose UTC fields hold its wall-clock time in timeZone (empty = local zone)
+export function wallClockDate(dt, timeZone = '') {
+  if (!dt || isNaN(dt)) return null;
+  const p = zonedParts(dt, timeZone);
+  return new Date(Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second));
+}
+
+// "YYYY-MM-DD HH:MM:SS" of a wall-clock Date (formatIso without the time zone lookup)
+export function formatWallClock(d) {
+  if (!d || isNaN(d)) return '';
+  const two = (n) => String(n).padStart(2, '0');
+  return (
+    `${d.getUTCFullYear()}-${two(d.getUTCMonth() + 1)}-${two(d.getUTCDate())} ` +
+    `${two(d.getUTCHours())}:${two(d.getUTCMinutes())}:${two(d.getUTCSeconds())}`
+  );
+}
+
+const WALL_CLOCK_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// "YYYY-MM-DD[ HH:MM[:SS]]" -> wall-clock Date, or null
+export function parseWallClock(text) {
+  const m = WALL_CLOCK_RE.exec(String(text || '').trim());
+  if (!m) return null;
+  const [year, month, day, hour, minute, second] = m.slice(1).map((x) => Number(x || 0));
+  if (!validParts(year, month - 1, day, hour, minute, second)) return null;
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+}
@@ -0,0 +1,74 @@
+// src/dateProfile.js
+import { isValidTimeZone } from './workingCalendar';
+
+/*
+  Date parsing profile - how source dates are read and how output dates are shown
+  - dateOrder: 'auto' (detected from the file's values), 'dmy' (31/12/2025), 'mdy' (12/31/2025)
+    or 'iso' (2025-12-31 only)
+  - sourceTimeZone: IANA zone the export's wall-clock times are in; empty = this computer's zone
+  - displayTimeZone: zone for Opened Date / Nth Updated in the output; empty = this computer's zone
+  Intervals are measured between real instants, so a DST change inside an interval is counted.
+*/
+
+const PROFILE_KEY = 'erp_date_profile';
+
+export const DATE_ORDERS = {
+  auto: 'Detect from the file',
+  dmy: 'Day first (31/12/2025)',
+  mdy: 'Month first (12/31/2025)',
+  iso: 'ISO (2025-12-31)',
+};
+
+export const DEFAULT_DATE_PROFILE = {
+  dateOrder: 'auto',
+  sourceTimeZone: '',
+  displayTimeZone: '',
+};
+
+export function cloneDateProfile(profile) {
+  return {
+    dateOrder: DATE_ORDERS[profile.dateOrder] ? profile.dateOrder : 'auto',
+    sourceTimeZone: profile.sourceTimeZone || '',
+    displayTimeZone: profile.displayTimeZone || '',
+  };
+}
+
+export function validateDateProfile(profile) {
+  const errors = [];
+  if (!DATE_ORDERS[profile.dateOrder]) errors.push(`Unknown date order "${profile.dateOrder}".`);
+  if (!isValidTimeZone(profile.sourceTimeZone))
+    errors.push(`Unknown source time zone "${profile.sourceTimeZone}".`);
+  if (!isValidTimeZone(profile.displayTimeZone))
+    errors.push(`Unknown display time zone "${profile.displayTimeZone}".`);
+  return errors;
+}
+
+const ORDER_PHRASES = { dmy: 'day-first', mdy: 'month-first', iso: 'ISO (year-first)' };
+
+// One-line summary, e.g. "Dates: month-first (detected); times in Europe/London, shown in local time"
+// dateOrder is the order actually used when the profile says 'auto'
+export function describeDateProfile(profile, dateOrder = profile.dateOrder) {
+  const order = ORDER_PHRASES[dateOrder] || 'detected from the file';
+  const detected = profile.dateOrder === 'auto' && ORDER_PHRASES[dateOrder] ? ' (detected)' : '';
+  const source = profile.sourceTimeZone || 'local time';
+  const display = profile.displayTimeZone || 'local time';
+  return `Dates: ${order}${detected}; times in ${source}, shown in ${display}`;
+}
+
+export function loadDateProfile() {
+  try {
+    const raw = localStorage.getItem(PROFILE_KEY);
+    if (raw) return cloneDateProfile({ ...DEFAULT_DATE_PROFILE, ...JSON.parse(raw) });
+  } catch (e) {
+    /* ignore corrupt storage */
+  }
+  return cloneDateProfile(DEFAULT_DATE_PROFILE);
+}
+
+export function saveDateProfile(profile) {
+  try {
+    localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+  } catch (e) {
+    /* ignore */
+  }
+}
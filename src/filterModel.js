@@ -0,0 +1,359 @@
+// src/filterModel.js
+import { columnType, formatCell, slaText } from './columnModel';
+import { parseWallClock } from './dateHelpers';
+import { parseDuration } from './gridModel';
+
+/*
+  Filter builder model: conditions on the preview columns in AND / OR groups, and saved views
+  - A filter is a group { match: 'all' | 'any', items: [condition | group] }; a condition is
+    { column, op, value, to } with an operator FILTER_OPERATORS offers for the column's type
+    (see columnModel.js). Conditions that are not filled in yet are skipped
+  - compileFilter turns a filter into a test on the typed row values; relative periods
+    ("this month") count from now in the display time zone
+  - A view is { name, filter, sortKey, sortDir }: views are kept in localStorage
+    ('erp_saved_views') and encoded into the page URL (?view=) so a link shares them
+*/
+
+const VIEWS_KEY = 'erp_saved_views';
+
+export const VIEW_PARAM = 'view';
+
+export const FILTER_OPERATORS = {
+  text: {
+    equals: 'is',
+    'not-equals': 'is not',
+    contains: 'contains',
+    in: 'is one of',
+    empty: 'is empty',
+    'not-empty': 'is not empty',
+  },
+  date: {
+    before: 'before',
+    after: 'after',
+    between: 'between',
+    period: 'in',
+    empty: 'is empty',
+    'not-empty': 'is not empty',
+  },
+  duration: {
+    greater: 'longer than',
+    less: 'shorter than',
+    between: 'between',
+    empty: 'is empty',
+    'not-empty': 'is not empty',
+  },
+  sla: {
+    equals: 'is',
+    in: 'is one of',
+    empty: 'is not measured',
+  },
+};
+
+// Operators without a value
+const NO_VALUE = ['empty', 'not-empty'];
+
+export const PERIODS = {
+  today: 'today',
+  'this-week': 'this week',
+  'last-week': 'last week',
+  'last-7-days': 'the last 7 days',
+  'this-month': 'this month',
+  'last-month': 'last month',
+  'last-30-days': 'the last 30 days',
+  'this-year': 'this year',
+};
+
+export const SLA_VALUES = ['Y', 'N', 'Excluded'];
+
+export const EMPTY_FILTER = { match: 'all', items: [] };
+
+const DAY_MS = 24 * 3600 * 1000;
+
+export function newCondition(column = '') {
+  return { column, op: column ? Object.keys(operatorsFor(column))[0] : '', value: '', to: '' };
+}
+
+export function newGroup() {
+  return { match: 'any', items: [newCondition()] };
+}
+
+export function isGroup(item) {
+  return !!item && Array.isArray(item.items);
+}
+
+export function operatorsFor(column) {
+  return FILTER_OPERATORS[columnType(column)];
+}
+
+export function needsValue(op) {
+  return !NO_VALUE.includes(op);
+}
+
+// Conditions (in all groups) that are filled in and so take part in the filter
+export function countConditions(filter) {
+  return filter.items.reduce(
+    (n, item) => n + (isGroup(item) ? countConditions(item) : conditionTest(item, {}) ? 1 : 0),
+    0
+  );
+}
+
+// [start, end) in ms of a relative period around now (a wall-clock Date)
+export function periodRange(period, now) {
+  const day = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const monday = day - ((now.getUTCDay() + 6) % 7) * DAY_MS;
+  const month = (offset) => Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + offset, 1);
+  switch (period) {
+    case 'today':
+      return [day, day + DAY_MS];
+    case 'this-week':
+      return [monday, monday + 7 * DAY_MS];
+    case 'last-week':
+      return [monday - 7 * DAY_MS, monday];
+    case 'last-7-days':
+      return [day - 6 * DAY_MS, day + DAY_MS];
+    case 'this-month':
+      return [month(0), month(1)];
+    case 'last-month':
+      return [month(-1), month(0)];
+    case 'last-30-days':
+      return [day - 29 * DAY_MS, day + DAY_MS];
+    case 'this-year':
+      return [Date.UTC(now.getUTCFullYear(), 0, 1), Date.UTC(now.getUTCFullYear() + 1, 0, 1)];
+    default:
+      return null;
+  }
+}
+
+// [start, end) in ms of a date bound; a date without a time stands for its whole day
+function dateBound(text) {
+  const d = parseWallClock(text);
+  if (!d) return null;
+  const wholeDay = /^\d{4}-\d{2}-\d{2}$/.test(String(text).trim());
+  return [d.getTime(), d.getTime() + (wholeDay ? DAY_MS : 1000)];
+}
+
+function listOf(text) {
+  return String(text || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isBlank(value) {
+  return value == null || value === '';
+}
+
+function timeOf(value) {
+  return value instanceof Date && !isNaN(value) ? value.getTime() : null;
+}
+
+// Test for one condition, or null while it is not filled in
+function conditionTest(c, { now = new Date() }) {
+  const { column, op } = c;
+  if (!column || !op) return null;
+  const type = columnType(column);
+  if (!FILTER_OPERATORS[type][op]) return null;
+  if (op === 'empty') return (row) => isBlank(row[column]);
+  if (op === 'not-empty') return (row) => !isBlank(row[column]);
+  const value = String(c.value ?? '').trim();
+  const to = String(c.to ?? '').trim();
+  if (!value) return null;
+
+  if (type === 'date') {
+    let range = null;
+    if (op === 'period') range = periodRange(value, now);
+    else if (op === 'between') {
+      const [a, b] = [dateBound(value), dateBound(to)];
+      if (a && b) range = [a[0], b[1]];
+    } else {
+      const bound = dateBound(value);
+      if (bound) range = op === 'before' ? [-Infinity, bound[0]] : [bound[1], Infinity];
+    }
+    if (!range) return null;
+    const [from, until] = range;
+    return (row) => {
+      const t = timeOf(row[column]);
+      return t != null && t >= from && t < until;
+    };
+  }
+
+  if (type === 'duration') {
+    const a = parseDuration(value);
+    const b = op === 'between' ? parseDuration(to) : null;
+    if (a == null || (op === 'between' && b == null)) return null;
+    return (row) => {
+      const ms = row[column];
+      if (typeof ms !== 'number') return false;
+      if (op === 'greater') return ms > a;
+      if (op === 'less') return ms < a;
+      return ms >= a && ms <= b;
+    };
+  }
+
+  if (type === 'sla') {
+    const wanted = op === 'in' ? listOf(value) : [value.toLowerCase()];
+    return (row) => wanted.includes(slaText(row[column]).toLowerCase());
+  }
+
+  const needle = value.toLowerCase();
+  const list = listOf(value);
+  return (row) => {
+    const text = formatCell(column, row[column]).toLowerCase();
+    if (op === 'equals') return text === needle;
+    if (op === 'not-equals') return text !== needle;
+    if (op === 'in') return list.includes(text);
+    return text.includes(needle);
+  };
+}
+
+/**
+ * Row test for a filter. options.now is the current wall-clock time in the display time zone
+ * (see dateHelpers.js wallClockDate), used by relative periods. Conditions that are not filled
+ * in are skipped, and a group without any passes every row.
+ */
+export function compileFilter(filter, options = {}) {
+  const tests = filter.items
+    .map((item) => (isGroup(item) ? compileGroup(item, options) : conditionTest(item, options)))
+    .filter(Boolean);
+  if (tests.length === 0) return () => true;
+  return filter.match === 'any'
+    ? (row) => tests.some((t) => t(row))
+    : (row) => tests.every((t) => t(row));
+}
+
+function compileGroup(group, options) {
+  return countConditions(group) > 0 ? compileFilter(group, options) : null;
+}
+
+function describeCondition(c) {
+  const label = operatorsFor(c.column)[c.op];
+  if (!needsValue(c.op)) return `${c.column} ${label}`;
+  if (c.op === 'period') return `${c.column} in ${PERIODS[c.value] || c.value}`;
+  if (c.op === 'between') return `${c.column} between ${c.value} and ${c.to}`;
+  return `${c.column} ${label} ${c.value}`;
+}
+
+// "Priority is P1 - Critical and (Made SLA is N or Interval 1 longer than 4h)"
+export function describeFilter(filter) {
+  const parts = filter.items
+    .filter((item) => (isGroup(item) ? countConditions(item) > 0 : conditionTest(item, {})))
+    .map((item) => {
+      if (!isGroup(item)) return describeCondition(item);
+      const text = describeFilter(item);
+      return countConditions(item) > 1 ? `(${text})` : text;
+    });
+  return parts.join(filter.match === 'any' ? ' or ' : ' and ');
+}
+
+// A filter read from storage or a link, with anything malformed dropped; null when unusable
+function normalizeFilter(raw, depth = 0) {
+  if (!isGroup(raw) || depth > 2) return null;
+  const items = [];
+  for (const item of raw.items) {
+    if (isGroup(item)) {
+      const group = normalizeFilter(item, depth + 1);
+      if (group) items.push(group);
+    } else if (item && typeof item.column === 'string' && typeof item.op === 'string') {
+      items.push({
+        column: item.column,
+        op: item.op,
+        value: String(item.value ?? ''),
+        to: String(item.to ?? ''),
+      });
+    }
+  }
+  return { match: raw.match === 'any' ? 'any' : 'all', items };
+}
+
+function normalizeView(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const filter = normalizeFilter(raw.filter);
+  if (!filter) return null;
+  return {
+    name: typeof raw.name === 'string' ? raw.name : '',
+    filter,
+    sortKey: typeof raw.sortKey === 'string' ? raw.sortKey : null,
+    sortDir: raw.sortDir === 'desc' ? 'desc' : 'asc',
+  };
+}
+
+// URL-safe base64 of UTF-8 text
+function toBase64Url(text) {
+  const bytes = encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) =>
+    String.fromCharCode(parseInt(hex, 16))
+  );
+  return btoa(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(code) {
+  const bytes = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+  return decodeURIComponent(
+    Array.from(bytes, (ch) => `%${ch.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+  );
+}
+
+// The ?view= value of a view
+export function encodeView(view) {
+  const { name = '', filter, sortKey = null, sortDir = 'asc' } = view;
+  return toBase64Url(JSON.stringify({ name, filter, sortKey, sortDir }));
+}
+
+// A view from a ?view= value, or null when the value cannot be read
+export function decodeView(code) {
+  if (!code) return null;
+  try {
+    return normalizeView(JSON.parse(fromBase64Url(code)));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Saved views, oldest first
+export function loadSavedViews() {
+  try {
+    const raw = localStorage.getItem(VIEWS_KEY);
+    const list = raw ? JSON.parse(raw) : null;
+    if (Array.isArray(list)) return list.map(normalizeView).filter((v) => v && v.name);
+  } catch (e) {
+    /* ignore corrupt storage */
+  }
+  return [];
+}
+
+function storeViews(views) {
+  try {
+    localStorage.setItem(VIEWS_KEY, JSON.stringify(views));
+  } catch (e) {
+    /* ignore */
+  }
+}
+
+// Saves a named view, replacing one of the same name; returns the new list
+export function saveView(view) {
+  const name = String(view.name || '').trim();
+  if (!name) throw new Error('Give the view a name.');
+  const saved = normalizeView({ ...view, name });
+  const views = loadSavedViews().filter((v) => v.name !== name);
+  views.push(saved);
+  storeViews(views);
+  return views;
+}
+
+export function deleteView(name) {
+  const views = loadSavedViews().filter((v) => v.name !== name);
+  storeViews(views);
+  return views;
+}
+
+// Distinct shown values of a text column, most frequent first, for the value suggestions
+export function suggestValues(rows, column, limit = 50) {
+  const counts = new Map();
+  for (const row of rows) {
+    const text = formatCell(column, row[column]);
+    if (text) counts.set(text, (counts.get(text) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([text]) => text);
+}
@@ -0,0 +1,124 @@
+import {
+  EMPTY_FILTER,
+  compileFilter,
+  countConditions,
+  describeFilter,
+  encodeView,
+  decodeView,
+  periodRange,
+  loadSavedViews,
+  saveView,
+  deleteView,
+  suggestValues,
+} from './filterModel';
+import { typedRows } from './columnModel';
+
+const rows = typedRows([
+  {
+    Number: 'INC1',
+    Priority: 'P1 - Critical',
+    'Opened Date': '2025-07-01 09:00:00',
+    'Interval 1': '0d 0h 30m 0s',
+    'Made SLA': 'Y',
+  },
+  {
+    Number: 'INC2',
+    Priority: 'P1 - Critical',
+    'Opened Date': '2025-07-20 08:00:00',
+    'Interval 1': '0d 6h 0m 0s',
+    'Made SLA': 'N',
+  },
+  {
+    Number: 'INC3',
+    Priority: 'P3 - Medium',
+    'Opened Date': '2025-06-30 23:00:00',
+    'Interval 1': '',
+    'Made SLA': '',
+  },
+]);
+const now = new Date(Date.UTC(2025, 6, 22, 12, 0, 0)); // Tuesday 2025-07-22, wall clock
+
+const numbers = (filter) => rows.filter(compileFilter(filter, { now })).map((r) => r.Number);
+const cond = (column, op, value = '', to = '') => ({ column, op, value, to });
+
+test('conditions use the operators of the column type', () => {
+  const all = (...items) => ({ match: 'all', items });
+  expect(numbers(all(cond('Priority', 'equals', 'p1 - critical')))).toEqual(['INC1', 'INC2']);
+  expect(numbers(all(cond('Priority', 'in', 'P3 - Medium, P4 - Low')))).toEqual(['INC3']);
+  expect(numbers(all(cond('Opened Date', 'before', '2025-07-01')))).toEqual(['INC3']);
+  expect(numbers(all(cond('Opened Date', 'after', '2025-07-01')))).toEqual(['INC2']);
+  expect(numbers(all(cond('Opened Date', 'between', '2025-07-01', '2025-07-20')))).toEqual([
+    'INC1',
+    'INC2',
+  ]);
+  expect(numbers(all(cond('Opened Date', 'period', 'this-month')))).toEqual(['INC1', 'INC2']);
+  expect(numbers(all(cond('Opened Date', 'period', 'last-month')))).toEqual(['INC3']);
+  expect(numbers(all(cond('Interval 1', 'greater', '4h')))).toEqual(['INC2']);
+  expect(numbers(all(cond('Interval 1', 'between', '0', '1h')))).toEqual(['INC1']);
+  expect(numbers(all(cond('Interval 1', 'empty')))).toEqual(['INC3']);
+  expect(numbers(all(cond('Made SLA', 'equals', 'N')))).toEqual(['INC2']);
+  expect(numbers(all(cond('Made SLA', 'empty')))).toEqual(['INC3']);
+});
+
+test('groups combine with AND / OR and unfinished conditions are skipped', () => {
+  const filter = {
+    match: 'all',
+    items: [
+      cond('Priority', 'equals', 'P1 - Critical'),
+      { match: 'any', items: [cond('Made SLA', 'equals', 'N'), cond('Interval 1', 'less', '10m')] },
+      cond('Opened Date', 'before', ''),
+      cond('', ''),
+    ],
+  };
+  expect(numbers(filter)).toEqual(['INC2']);
+  expect(countConditions(filter)).toBe(3);
+  expect(describeFilter(filter)).toBe(
+    'Priority is P1 - Critical and (Made SLA is N or Interval 1 shorter than 10m)'
+  );
+  expect(numbers({ ...filter, match: 'any' })).toEqual(['INC1', 'INC2']);
+  expect(numbers(EMPTY_FILTER)).toEqual(['INC1', 'INC2', 'INC3']);
+});
+
+test('periodRange counts weeks from Monday', () => {
+  const day = 24 * 3600 * 1000;
+  const monday = Date.UTC(2025, 6, 21);
+  expect(periodRange('this-week', now)).toEqual([monday, monday + 7 * day]);
+  expect(periodRange('last-week', now)).toEqual([monday - 7 * day, monday]);
+  expect(periodRange('today', now)).toEqual([Date.UTC(2025, 6, 22), Date.UTC(2025, 6, 23)]);
+  expect(periodRange('nope', now)).toBeNull();
+});
+
+test('views round-trip through the URL code; unreadable codes give null', () => {
+  const view = {
+    name: 'P1 breaches – this month',
+    filter: {
+      match: 'all',
+      items: [cond('Priority', 'equals', 'P1 - Critical'), cond('Made SLA', 'equals', 'N')],
+    },
+    sortKey: 'Opened Date',
+    sortDir: 'desc',
+  };
+  const code = encodeView(view);
+  expect(code).toMatch(/^[A-Za-z0-9_-]+$/);
+  expect(decodeView(code)).toEqual(view);
+  expect(decodeView('not a view')).toBeNull();
+  expect(decodeView(encodeView({ ...view, filter: { items: 'x' } }))).toBeNull();
+});
+
+test('saved views are kept by name in localStorage', () => {
+  localStorage.clear();
+  expect(loadSavedViews()).toEqual([]);
+  expect(() => saveView({ name: '  ', filter: EMPTY_FILTER })).toThrow('Give the view a name.');
+  saveView({ name: 'P1', filter: EMPTY_FILTER, sortKey: null, sortDir: 'asc' });
+  saveView({ name: 'Breaches', filter: EMPTY_FILTER, sortKey: 'Number', sortDir: 'desc' });
+  const views = saveView({ name: 'P1 ', filter: EMPTY_FILTER, sortKey: 'Priority' });
+  expect(views.map((v) => v.name)).toEqual(['Breaches', 'P1']);
+  expect(loadSavedViews()[1].sortKey).toBe('Priority');
+  expect(deleteView('Breaches').map((v) => v.name)).toEqual(['P1']);
+  localStorage.setItem('erp_saved_views', '{broken');
+  expect(loadSavedViews()).toEqual([]);
+});
+
+test('suggestValues lists the most frequent values first', () => {
+  expect(suggestValues(rows, 'Priority')).toEqual(['P1 - Critical', 'P3 - Medium']);
+});
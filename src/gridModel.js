@@ -0,0 +1,254 @@
+// src/gridModel.js
+import { columnType, formatCell } from './columnModel';
+import { parseWallClock } from './dateHelpers';
+
+/*
+  Model behind the virtualized preview grid (VirtualGrid.jsx)
+  - Rows hold typed values (columnModel.js): dates, interval milliseconds and SLA booleans sort
+    and filter by value, and are shown through formatCell
+  - Sort keys and search text are computed once per row and cached, so re-sorting or searching
+    after a filter change does not format every cell again
+  - rowWindow / columnWindow pick the rows and columns to render for a scroll position
+  - Column widths and hidden columns are kept in localStorage ('erp_grid_columns')
+*/
+
+const LAYOUT_KEY = 'erp_grid_columns';
+
+export const ROW_HEIGHT = 34;
+export const MIN_COLUMN_WIDTH = 60;
+// always shown and kept at the left edge while scrolling sideways
+export const STICKY_COLUMNS = ['Number', 'Priority'];
+
+const NUMBER_RE = /^-?\d+(\.\d+)?$/;
+
+// rank 0: numbers (dates, intervals, numbers), 1: text, 2: blank
+const NUMERIC = 0;
+const TEXT = 1;
+const BLANK = 2;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Sort key of a cell value: { rank, value }. Dates sort by time, interval milliseconds and numeric
+ * text by value, SLA verdicts N before Y, anything else as text (an update that could not be read
+ * after the dates); blanks come last whichever way the column is sorted.
+ */
+export function sortKeyOf(value) {
+  if (value == null || value === '') return { rank: BLANK, value: 0 };
+  if (value instanceof Date)
+    return isNaN(value) ? { rank: BLANK, value: 0 } : { rank: NUMERIC, value: value.getTime() };
+  if (typeof value === 'number' || typeof value === 'boolean')
+    return { rank: NUMERIC, value: Number(value) };
+  const s = String(value).trim();
+  if (NUMBER_RE.test(s)) return { rank: NUMERIC, value: Number(s) };
+  return { rank: TEXT, value: s };
+}
+
+/**
+ * Cache of sort keys per column and row object. Rows are held weakly, so one cache can outlive
+ * the rows it has seen; filtered subsets of the same rows reuse their keys.
+ */
+export function createSortKeyCache() {
+  const columns = new Map();
+  return function keyOf(row, column) {
+    let keys = columns.get(column);
+    if (!keys) columns.set(column, (keys = new WeakMap()));
+    let key = keys.get(row);
+    if (!key) keys.set(row, (key = sortKeyOf(row[column])));
+    return key;
+  };
+}
+
+function compareKeys(a, b) {
+  if (a.rank !== b.rank) return a.rank - b.rank;
+  if (a.rank === NUMERIC) return a.value - b.value;
+  if (a.rank === TEXT) return collator.compare(a.value, b.value);
+  return 0;
+}
+
+// Rows sorted by a column ('asc' | 'desc'), blanks last; stable, so equal keys keep their order
+export function sortRows(rows, column, dir, keyOf = createSortKeyCache()) {
+  const sign = dir === 'desc' ? -1 : 1;
+  const decorated = rows.map((row) => ({ row, key: keyOf(row, column) }));
+  decorated.sort((a, b) => {
+    // blanks stay at the end in both directions
+    if (a.key.rank === BLANK || b.key.rank === BLANK) return a.key.rank - b.key.rank;
+    return sign * compareKeys(a.key, b.key);
+  });
+  return decorated.map((d) => d.row);
+}
+
+/**
+ * Cache of each row's searchable text: its cells as the grid shows them, lower-cased. Like the
+ * sort key cache it holds rows weakly and can outlive them.
+ */
+export function createSearchTextCache() {
+  const texts = new WeakMap();
+  return function textOf(row, headers) {
+    let text = texts.get(row);
+    if (text === undefined) {
+      text = headers.map((h) => formatCell(h, row[h]).toLowerCase()).join('\u0000');
+      texts.set(row, text);
+    }
+    return text;
+  };
+}
+
+// "1d 4h", "90m", "0d 2h 0m 0s" or plain hours ("2.5") -> ms, or null
+export function parseDuration(text) {
+  const s = String(text || '').trim().toLowerCase();
+  if (NUMBER_RE.test(s)) return Number(s) * 3600 * 1000;
+  if (!/^(\d+(\.\d+)?\s*[dhms]\s*)+$/.test(s)) return null;
+  const unit = { d: 86400, h: 3600, m: 60, s: 1 };
+  let seconds = 0;
+  for (const [, n, , u] of s.matchAll(/(\d+(\.\d+)?)\s*([dhms])/g)) seconds += Number(n) * unit[u];
+  return seconds * 1000;
+}
+
+// Inclusive [from, to] in ms for a date range; a date without a time covers its whole day
+function dateRange(a, b) {
+  const from = parseWallClock(a);
+  const to = parseWallClock(b);
+  if (!from || !to) return null;
+  const wholeDay = /^\d{4}-\d{2}-\d{2}$/.test(b.trim());
+  return [from.getTime(), to.getTime() + (wholeDay ? 24 * 3600 * 1000 - 1 : 0)];
+}
+
+/**
+ * Test for one column filter. "a..b" is an inclusive range on the column's values: dates as
+ * "YYYY-MM-DD[ HH:mm]", durations as "1d 4h" / "90m" / hours, numbers otherwise; anything else
+ * matches the text the grid shows, ignoring case.
+ */
+export function columnFilter(header, filterText) {
+  const raw = String(filterText || '').trim();
+  const type = columnType(header);
+  if (raw.includes('..')) {
+    const [a, b] = raw.split('..').map((x) => x.trim());
+    let range = null;
+    if (type === 'date') range = dateRange(a, b);
+    else if (type === 'duration') {
+      const [from, to] = [parseDuration(a), parseDuration(b)];
+      if (from != null && to != null) range = [from, to];
+    } else if (NUMBER_RE.test(a) && NUMBER_RE.test(b)) range = [Number(a), Number(b)];
+    if (range) {
+      const [from, to] = range;
+      return (row) => {
+        const key = sortKeyOf(row[header]);
+        return key.rank === NUMERIC && key.value >= from && key.value <= to;
+      };
+    }
+  }
+  const needle = raw.toLowerCase();
+  return (row) => formatCell(header, row[header]).toLowerCase().includes(needle);
+}
+
+/**
+ * Rows matching the search box (any cell, as shown) and every column filter ({ header: text }).
+ * textOf is a createSearchTextCache() kept while the rows stay the same.
+ */
+export function filterRows(
+  rows,
+  headers,
+  globalFilter,
+  columnFilters,
+  textOf = createSearchTextCache()
+) {
+  let out = rows;
+  const needle = String(globalFilter || '').trim().toLowerCase();
+  if (needle) out = out.filter((r) => textOf(r, headers).includes(needle));
+  for (const [header, text] of Object.entries(columnFilters)) {
+    if (!String(text || '').trim()) continue;
+    const test = columnFilter(header, text);
+    out = out.filter(test);
+  }
+  return out;
+}
+
+// Placeholder of a column's filter input
+export function filterHint(header) {
+  const type = columnType(header);
+  if (type === 'date') return 'e.g. 2025-07-01..2025-07-31';
+  if (type === 'duration') return 'e.g. 2h..1d';
+  if (type === 'sla') return 'Y or N';
+  return `Filter ${header} (use '..' for range)`;
+}
+
+// Rows [start, end) to render for a scroll position, with overscan rows either side
+export function rowWindow(scrollTop, viewportHeight, count, rowHeight = ROW_HEIGHT, overscan = 8) {
+  const first = Math.floor(Math.max(0, scrollTop) / rowHeight);
+  const visible = Math.ceil(viewportHeight / rowHeight) + 1;
+  return {
+    start: Math.max(0, first - overscan),
+    end: Math.min(count, first + visible + overscan),
+  };
+}
+
+export function defaultColumnWidth(header) {
+  if (header === 'Number') return 120;
+  if (header === 'Priority') return 130;
+  if (/Updated$|^Opened Date$/.test(header)) return 165;
+  if (/^Made SLA/.test(header)) return 100;
+  if (header === 'Override' || header === 'Source') return 220;
+  return 130;
+}
+
+/**
+ * Column positions: { sticky: [{ header, left, width }], scrolling: [...], stickyWidth,
+ * totalWidth }. Sticky columns come first, in STICKY_COLUMNS order; hidden ones are left out.
+ */
+export function columnLayout(headers, widths = {}, hidden = []) {
+  const shown = headers.filter((h) => STICKY_COLUMNS.includes(h) || !hidden.includes(h));
+  const ordered = [
+    ...STICKY_COLUMNS.filter((h) => shown.includes(h)),
+    ...shown.filter((h) => !STICKY_COLUMNS.includes(h)),
+  ];
+  const sticky = [];
+  const scrolling = [];
+  let left = 0;
+  for (const header of ordered) {
+    const width = Math.max(MIN_COLUMN_WIDTH, widths[header] || defaultColumnWidth(header));
+    (STICKY_COLUMNS.includes(header) ? sticky : scrolling).push({ header, left, width });
+    left += width;
+  }
+  const stickyWidth = sticky.reduce((s, c) => s + c.width, 0);
+  return { sticky, scrolling, stickyWidth, totalWidth: left };
+}
+
+// Scrolling columns [start, end) in view for a horizontal scroll position, plus overscan
+export function columnWindow(columns, scrollLeft, viewportWidth, stickyWidth = 0, overscan = 2) {
+  const from = scrollLeft + stickyWidth;
+  const to = scrollLeft + viewportWidth;
+  let start = 0;
+  while (start < columns.length && columns[start].left + columns[start].width <= from) start++;
+  let end = start;
+  while (end < columns.length && columns[end].left < to) end++;
+  return {
+    start: Math.max(0, start - overscan),
+    end: Math.min(columns.length, Math.max(end, start + 1) + overscan),
+  };
+}
+
+// { widths: { header: px }, hidden: [header] }
+export function loadGridLayout() {
+  try {
+    const raw = localStorage.getItem(LAYOUT_KEY);
+    const layout = raw ? JSON.parse(raw) : null;
+    if (layout && typeof layout === 'object') {
+      return {
+        widths: layout.widths && typeof layout.widths === 'object' ? layout.widths : {},
+        hidden: Array.isArray(layout.hidden) ? layout.hidden : [],
+      };
+    }
+  } catch (e) {
+    /* ignore corrupt storage */
+  }
+  return { widths: {}, hidden: [] };
+}
+
+export function saveGridLayout(layout) {
+  try {
+    localStorage.setItem(LAYOUT_KEY, JSON.stringify(layout));
+  } catch (e) {
+    /* ignore */
+  }
+}
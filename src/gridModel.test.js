@@ -0,0 +1,108 @@
+import {
+  sortKeyOf,
+  sortRows,
+  createSortKeyCache,
+  filterRows,
+  parseDuration,
+  rowWindow,
+  columnLayout,
+  columnWindow,
+  loadGridLayout,
+  saveGridLayout,
+} from './gridModel';
+
+const at = (text) => new Date(Date.UTC(...text.split(/\D/).map((n, i) => Number(n) - (i === 1 ? 1 : 0))));
+const HOUR = 3600 * 1000;
+
+test('sortKeyOf orders dates, intervals and verdicts by value', () => {
+  expect(sortKeyOf(at('2025-07-01 09:00:00'))).toEqual({ rank: 0, value: Date.UTC(2025, 6, 1, 9) });
+  expect(sortKeyOf(3630 * 1000)).toEqual({ rank: 0, value: 3630 * 1000 });
+  expect(sortKeyOf(true)).toEqual({ rank: 0, value: 1 });
+  expect(sortKeyOf('42')).toEqual({ rank: 0, value: 42 });
+  expect(sortKeyOf('P1 - Critical')).toEqual({ rank: 1, value: 'P1 - Critical' });
+  expect(sortKeyOf('').rank).toBe(2);
+  expect(sortKeyOf(null).rank).toBe(2);
+});
+
+test('sortRows orders by time and number, keeps blanks last, and is stable', () => {
+  const rows = [
+    { Number: 'INC10', Interval: 2 * HOUR },
+    { Number: 'INC9', Interval: null },
+    { Number: 'INC2', Interval: HOUR / 2 },
+    // a day sorts above 23h 59m, which the old text sort got wrong
+    { Number: 'INC1', Interval: 24 * HOUR },
+    { Number: 'INC4', Interval: 24 * HOUR - 1000 },
+    { Number: 'INC3', Interval: 2 * HOUR },
+  ];
+  const numbers = (list) => list.map((r) => r.Number);
+  expect(numbers(sortRows(rows, 'Interval', 'asc'))).toEqual(['INC2', 'INC10', 'INC3', 'INC4', 'INC1', 'INC9']);
+  expect(numbers(sortRows(rows, 'Interval', 'desc'))).toEqual(['INC1', 'INC4', 'INC10', 'INC3', 'INC2', 'INC9']);
+  // text compares numerically within: INC2 before INC10
+  expect(numbers(sortRows(rows, 'Number', 'asc'))).toEqual(['INC1', 'INC2', 'INC3', 'INC4', 'INC9', 'INC10']);
+});
+
+test('filterRows searches the shown text and ranges over typed values', () => {
+  const headers = ['Number', 'Opened Date', 'Interval 1', 'Made SLA'];
+  const rows = [
+    { Number: 'INC1', 'Opened Date': at('2025-07-01 09:00:00'), 'Interval 1': 30 * 60 * 1000, 'Made SLA': true },
+    { Number: 'INC2', 'Opened Date': at('2025-07-31 18:00:00'), 'Interval 1': 26 * HOUR, 'Made SLA': false },
+    { Number: 'INC3', 'Opened Date': at('2025-08-01 00:00:00'), 'Interval 1': null, 'Made SLA': null },
+  ];
+  const numbers = (global, filters = {}) => filterRows(rows, headers, global, filters).map((r) => r.Number);
+  expect(numbers('2025-07-31 18')).toEqual(['INC2']);
+  expect(numbers('1d 2h')).toEqual(['INC2']);
+  // a date without a time covers the whole day
+  expect(numbers('', { 'Opened Date': '2025-07-01..2025-07-31' })).toEqual(['INC1', 'INC2']);
+  expect(numbers('', { 'Interval 1': '1h..2d' })).toEqual(['INC2']);
+  expect(numbers('', { 'Interval 1': '0.25..1' })).toEqual(['INC1']);
+  expect(numbers('', { 'Made SLA': 'n' })).toEqual(['INC2']);
+  expect(parseDuration('1d 4h')).toBe(28 * HOUR);
+  expect(parseDuration('0d 0h 30m 0s')).toBe(HOUR / 2);
+  expect(parseDuration('soon')).toBeNull();
+});
+
+test('the sort key cache computes each cell once', () => {
+  const row = { Opened: at('2025-07-01 09:00:00') };
+  const keyOf = createSortKeyCache();
+  const first = keyOf(row, 'Opened');
+  expect(keyOf(row, 'Opened')).toBe(first);
+  expect(keyOf({ ...row }, 'Opened')).not.toBe(first);
+});
+
+test('rowWindow renders the rows in view plus overscan', () => {
+  expect(rowWindow(0, 340, 100000, 34, 8)).toEqual({ start: 0, end: 19 });
+  expect(rowWindow(34 * 5000, 340, 100000, 34, 8)).toEqual({ start: 4992, end: 5019 });
+  expect(rowWindow(34 * 99995, 340, 100000, 34, 8)).toEqual({ start: 99987, end: 100000 });
+});
+
+test('columnLayout puts Number and Priority first and leaves hidden columns out', () => {
+  const headers = ['State', 'Number', 'Priority', 'Interval 1', 'Made SLA'];
+  const layout = columnLayout(headers, { State: 200, 'Interval 1': 10 }, ['Made SLA', 'Number']);
+  expect(layout.sticky.map((c) => c.header)).toEqual(['Number', 'Priority']);
+  expect(layout.scrolling).toEqual([
+    { header: 'State', left: 250, width: 200 },
+    // widths have a minimum
+    { header: 'Interval 1', left: 450, width: 60 },
+  ]);
+  expect(layout.stickyWidth).toBe(250);
+  expect(layout.totalWidth).toBe(510);
+});
+
+test('columnWindow picks the scrolling columns in view', () => {
+  const headers = ['Number', 'Priority', ...Array.from({ length: 60 }, (_, i) => `Interval ${i + 1}`)];
+  const { scrolling, stickyWidth } = columnLayout(headers);
+  // 130px columns after the 250px sticky ones; a 1000px view scrolled by 1300px shows 750px of them
+  const win = columnWindow(scrolling, 1300, 1000, stickyWidth, 0);
+  expect(scrolling[win.start].header).toBe('Interval 11');
+  expect(scrolling[win.end - 1].header).toBe('Interval 16');
+  expect(columnWindow(scrolling, 1300, 1000, stickyWidth, 2)).toEqual({ start: win.start - 2, end: win.end + 2 });
+});
+
+test('grid layout survives a reload and ignores corrupt storage', () => {
+  localStorage.clear();
+  expect(loadGridLayout()).toEqual({ widths: {}, hidden: [] });
+  saveGridLayout({ widths: { State: 180 }, hidden: ['Gross 1'] });
+  expect(loadGridLayout()).toEqual({ widths: { State: 180 }, hidden: ['Gross 1'] });
+  localStorage.setItem('erp_grid_columns', '{oops');
+  expect(loadGridLayout()).toEqual({ widths: {}, hidden: [] });
+});
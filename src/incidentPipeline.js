@@ -0,0 +1,482 @@
+// src/incidentPipeline.js
+import * as XLSX from 'xlsx';
+import { priorityThresholdMs, matchPriorityRule, isPauseState, DEFAULT_POLICY } from './slaPolicy';
+import { businessMs, DEFAULT_CALENDAR } from './workingCalendar';
+import {
+  parseToDate,
+  detectDateOrder,
+  excelSerialToDate,
+  formatIso,
+  wallClockDate,
+} from './dateHelpers';
+import { DEFAULT_DATE_PROFILE } from './dateProfile';
+import { detectColumnMapping, mappingColumns } from './columnMapping';
+
+/*
+  Incident processing pipeline - plain functions, no React or DOM
+  - readWorkbook / parseWorkbook: workbook bytes -> source rows (readHeaders: header row only);
+    other input formats are read by inputFormats.js
+  - mergeSources: rows from several files/sheets -> one list, exact repeats dropped
+  - processRows: source rows -> { headers, data } for the Incident Intervals sheet, plus the
+    data-quality issues found on the way (see dataIssues.js); data holds typed values - dates,
+    interval milliseconds and Made SLA booleans (see columnModel.js)
+  - sourceRowsAt: the source rows behind an incident, from the row indices processRows keeps
+  Used by the Web Worker (incidentWorker.js), the CLI (bin/incident-report.js) and tests.
+  The output workbook is built by incidentWorkbook.js.
+*/
+
+// How often (in rows) processRows reports progress
+const PROGRESS_EVERY = 2000;
+
+// Rows sampled when the date order is detected from the file
+const DATE_SAMPLE_ROWS = 2000;
+
+// Headers processRows writes itself (and the Override column of applyOverrides)
+const OUTPUT_HEADERS = [
+  'Number',
+  'Priority',
+  'State',
+  'Opened Date',
+  'Made SLA',
+  'Source',
+  'Override',
+];
+const NUMBERED_HEADER_RE = /^(\d+(st|nd|rd|th) Updated|(State|Elapsed|Gross|Interval|Made SLA) \d+)$/;
+
+// True when a source column of this name would clash with an output column
+export function isOutputHeader(name) {
+  return OUTPUT_HEADERS.includes(name) || NUMBERED_HEADER_RE.test(name);
+}
+
+// The update times in a text Updated cell ("a; b", "a, b" or one per line)
+function splitUpdatedCell(text) {
+  return text
+    .split(/[;,\n]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function getOrdinalSuffix(n) {
+  const j = n % 10;
+  const k = n % 100;
+  if (k >= 11 && k <= 13) return 'th';
+  if (j === 1) return 'st';
+  if (j === 2) return 'nd';
+  if (j === 3) return 'rd';
+  return 'th';
+}
+
+// --- Input ---
+
+// data is an ArrayBuffer in the browser; pass type 'buffer' for a Node Buffer.
+// sheetRows limits how many rows are parsed (e.g. 2 when only the headers are needed).
+// Date cells stay Excel serials so parseToDate reads them in the profile's source time zone;
+// their number formats are kept so parseWorkbook can tell which columns hold dates.
+export function readWorkbook(data, { type = 'array', sheetRows } = {}) {
+  const opts = { type, cellNF: true };
+  if (sheetRows) opts.sheetRows = sheetRows;
+  return XLSX.read(data, opts);
+}
+
+// Column names of a sheet (default: the first), as they appear as keys in parseWorkbook rows
+export function readHeaders(workbook, sheetName = workbook.SheetNames[0]) {
+  const ws = workbook.Sheets[sheetName];
+  if (!ws || !ws['!ref']) return [];
+  const range = XLSX.utils.decode_range(ws['!ref']);
+  range.e.r = Math.min(range.e.r, range.s.r + 1);
+  const [first] = XLSX.utils.sheet_to_json(ws, { defval: '', range });
+  if (first) return Object.keys(first);
+  const [headerRow] = XLSX.utils.sheet_to_json(ws, { header: 1, range });
+  return (headerRow || []).filter((h) => h != null && h !== '').map(String);
+}
+
+// [{ name, headers }] for every sheet in the workbook
+export function listSheets(workbook) {
+  return workbook.SheetNames.map((name) => ({ name, headers: readHeaders(workbook, name) }));
+}
+
+// dateColumns lists the columns whose first numeric cell has a date format (Excel serials)
+export function parseWorkbook(workbook, sheetName = workbook.SheetNames[0]) {
+  const ws = workbook.Sheets[sheetName];
+  const rows = XLSX.utils.sheet_to_json(ws, { defval: '', raw: true });
+  return { rows, sheet: ws, dateColumns: rows.length > 0 ? dateFormattedColumns(ws, rows[0]) : [] };
+}
+
+// sheet_to_json keys every row by the header cells in column order, so keys line up with columns
+function dateFormattedColumns(ws, firstRow) {
+  const range = XLSX.utils.decode_range(ws['!ref']);
+  const dense = Array.isArray(ws);
+  const columns = [];
+  Object.keys(firstRow).forEach((name, i) => {
+    const c = range.s.c + i;
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+      const cell = dense ? (ws[r] || [])[c] : ws[XLSX.utils.encode_cell({ r, c })];
+      if (!cell || cell.t !== 'n') continue;
+      if (cell.z && XLSX.SSF.is_date(cell.z)) columns.push(name);
+      break;
+    }
+  });
+  return columns;
+}
+
+// 1-based row in the source sheet; sheet_to_json records it as a non-enumerable __rowNum__
+function sheetRowNumber(r, idx) {
+  return r && r.__rowNum__ != null ? r.__rowNum__ + 1 : idx + 2;
+}
+
+function rowSource(rows, idx, origins, rowNumbers) {
+  return {
+    source: origins ? origins[idx] : null,
+    row: rowNumbers ? rowNumbers[idx] : sheetRowNumber(rows[idx], idx),
+  };
+}
+
+// [{ source, row, values }] for indices from processRows' groupedRows; rows, origins and rowNumbers
+// are what processRows was given
+export function sourceRowsAt(rows, indices, { origins = null, rowNumbers = null } = {}) {
+  return indices.map((idx) => ({
+    ...rowSource(rows, idx, origins, rowNumbers),
+    values: rows[idx],
+  }));
+}
+
+// Source column per logical field: explicit mapping first, detection for the rest
+export function resolveColumns(keys, mapping = {}) {
+  const columns = { ...mappingColumns(detectColumnMapping(keys)) };
+  for (const [field, col] of Object.entries(mapping)) if (col && keys.includes(col)) columns[field] = col;
+  return columns;
+}
+
+// Text of an extra column's cell
+function cellText(v, timeZone) {
+  if (v instanceof Date) return isNaN(v) ? '' : formatIso(v, timeZone);
+  return String(v ?? '').trim();
+}
+
+function cellKey(v) {
+  if (v instanceof Date) return isNaN(v) ? '' : String(v.getTime());
+  return String(v ?? '').trim();
+}
+
+/**
+ * Merge rows from several sheets/files ahead of processRows.
+ * sources: [{ label, rows }] where label names the file/sheet (e.g. "week1.xlsx › Sheet1").
+ * Rows whose Number, Opened and Updated all repeat an earlier row are dropped, and columns are
+ * renamed to the first source's names when sheets label the same field differently.
+ * Returns { rows, origins, rowNumbers, duplicates } - origins[i] is the label of rows[i] and
+ * rowNumbers[i] its row in that sheet.
+ */
+export function mergeSources(sources, mapping = {}) {
+  const rows = [];
+  const origins = [];
+  const rowNumbers = [];
+  const seen = new Set();
+  let duplicates = 0;
+
+  const first = sources.find((src) => src.rows && src.rows.length > 0);
+  const target = first ? resolveColumns(Object.keys(first.rows[0]), mapping) : {};
+
+  for (const src of sources) {
+    if (!src.rows || src.rows.length === 0) continue;
+    const cols = resolveColumns(Object.keys(src.rows[0]), mapping);
+    const renames = Object.keys(target).filter(
+      (f) => cols[f] && target[f] && cols[f] !== target[f]
+    );
+
+    for (const [idx, r] of src.rows.entries()) {
+      const num = cellKey(r[cols.Number]);
+      if (num) {
+        const key = [num, cellKey(r[cols.Opened]), cellKey(r[cols.Updated])].join('');
+        if (seen.has(key)) {
+          duplicates++;
+          continue;
+        }
+        seen.add(key);
+      }
+      let row = r;
+      if (renames.length > 0) {
+        row = { ...r };
+        for (const f of renames) row[target[f]] = r[cols[f]];
+      }
+      rows.push(row);
+      origins.push(src.label);
+      rowNumbers.push(sheetRowNumber(r, idx));
+    }
+  }
+  return { rows, origins, rowNumbers, duplicates };
+}
+
+// --- Processing ---
+
+/**
+ * MAIN: processRows builds headers + rows.
+ * options:
+ *   policy     - SLA policy for thresholds (default DEFAULT_POLICY); with pauseStates, each
+ *                update's State is kept (State N) and a gap that starts in a pause state counts
+ *                as 0 - Gross N keeps the full gap, Interval N is the net time judged for SLA
+ *   calendar   - working calendar; business time is used when enabled
+ *   dateProfile - date order and source/display time zones (see dateProfile.js);
+ *                with dateOrder 'auto' the order is detected from the Opened/Updated values
+ *   mapping    - { Number, Priority, State, Opened, Updated } -> source column;
+ *                fields left out are detected from the headers
+ *   extraColumns - other source columns to carry through (e.g. Assignment group), after
+ *                Opened Date under their own names; an incident takes the value on the row of its
+ *                latest update that has one. Mapped columns and names the output already uses
+ *                (see isOutputHeader) are left out
+ *   dateColumns - source columns holding Excel date serials (from parseWorkbook); extra columns
+ *                among them are read in the source time zone and shown in the display zone
+ *   origins    - label per row (from mergeSources); adds a Source column listing
+ *                every file/sheet an incident came from
+ *   rowNumbers - source sheet row per row (from mergeSources), used in issues;
+ *                defaults to the row numbers recorded by parseWorkbook
+ *   onProgress - called with { phase, done, total } every PROGRESS_EVERY rows
+ * Returns { headers, data, issues, dateOrder, groupedRows } - data rows are keyed by header with
+ * the typed values of columnModel.js (dates in the display time zone); issues lists skipped rows and values
+ * that could not be used (see dataIssues.js), in source row order; dateOrder is the order dates
+ * were read in; groupedRows maps each Number to the indices of the input rows grouped into it
+ * (sourceRowsAt turns them into rows for the drill-down panel).
+ */
+export function processRows(rows, options = {}) {
+  const {
+    policy = DEFAULT_POLICY,
+    calendar = DEFAULT_CALENDAR,
+    dateProfile = DEFAULT_DATE_PROFILE,
+    mapping = {},
+    extraColumns = [],
+    dateColumns = [],
+    origins = null,
+    rowNumbers = null,
+    onProgress,
+  } = options;
+  if (!rows || rows.length === 0)
+    return { headers: [], data: [], issues: [], dateOrder: dateProfile.dateOrder, groupedRows: {} };
+
+  const useBusinessTime = !!(calendar && calendar.enabled);
+  const report = (phase, done, total) => {
+    if (onProgress && (done % PROGRESS_EVERY === 0 || done === total))
+      onProgress({ phase, done, total });
+  };
+
+  const columns = resolveColumns(Object.keys(rows[0]), mapping);
+  const keyNumber = columns.Number || 'Number';
+  const keyPriority = columns.Priority || 'Priority';
+  const keyState = columns.State || 'State';
+  const keyOpened = columns.Opened || 'Opened';
+  const keyUpdated = columns.Updated || 'Updated';
+  const mapped = new Set(Object.values(columns).filter(Boolean));
+  const extras = extraColumns.filter(
+    (c, i) =>
+      extraColumns.indexOf(c) === i &&
+      !mapped.has(c) &&
+      !isOutputHeader(c) &&
+      rows.some((r) => c in r)
+  );
+
+  let dateOrder = dateProfile.dateOrder;
+  if (dateOrder === 'auto') {
+    const sample = [];
+    for (const r of rows.slice(0, DATE_SAMPLE_ROWS)) {
+      sample.push(r[keyOpened]);
+      if (typeof r[keyUpdated] === 'string') sample.push(...splitUpdatedCell(r[keyUpdated]));
+    }
+    dateOrder = detectDateOrder(sample).dateOrder;
+  }
+  const parseOpts = { dateOrder, sourceTimeZone: dateProfile.sourceTimeZone };
+  const displayZone = dateProfile.displayTimeZone;
+  const dateExtras = new Set(extras.filter((c) => dateColumns.includes(c)));
+  const extraText = (col, v) =>
+    dateExtras.has(col) && typeof v === 'number'
+      ? formatIso(excelSerialToDate(v, dateProfile.sourceTimeZone), displayZone)
+      : cellText(v, displayZone);
+
+  // [{ idx, issue }] - sorted back into source row order at the end
+  const found = [];
+  const sourceOf = (idx) => rowSource(rows, idx, origins, rowNumbers);
+  const addIssue = (kind, idx, number, column, value) =>
+    found.push({
+      idx,
+      issue: {
+        kind,
+        ...sourceOf(idx),
+        number,
+        column,
+        value: value === undefined ? '' : value,
+      },
+    });
+
+  const groups = {};
+  rows.forEach((r, idx) => {
+    report('grouping', idx + 1, rows.length);
+    const num = (r[keyNumber] || '').toString().trim();
+    if (!num) {
+      // blank lines inside the export are not worth reporting
+      if (Object.values(r).some((v) => v !== '' && v != null))
+        addIssue('missing-number', idx, '', keyNumber, r[keyNumber]);
+      return;
+    }
+    if (!groups[num])
+      groups[num] = {
+        priority: r[keyPriority] || '',
+        state: r[keyState] || '',
+        firstIdx: idx,
+        openedCandidates: [],
+        updatedCandidates: [],
+        sources: new Set(),
+        members: [],
+      };
+    groups[num].members.push(idx);
+    if (origins) groups[num].sources.add(origins[idx]);
+    const stateCell = r[keyState];
+    const openedCell = r[keyOpened];
+    if (openedCell !== undefined && openedCell !== null && openedCell !== '')
+      groups[num].openedCandidates.push({ value: openedCell, idx });
+    const updCell = r[keyUpdated];
+    if (updCell !== undefined && updCell !== null && updCell !== '') {
+      if (typeof updCell === 'string') {
+        const parts = splitUpdatedCell(updCell);
+        groups[num].updatedCandidates.push(...parts.map((value) => ({ value, idx, state: stateCell })));
+      } else {
+        groups[num].updatedCandidates.push({ value: updCell, idx, state: stateCell });
+      }
+    }
+  });
+
+  const outRows = [];
+  const groupedRows = {};
+  let maxUpdates = 0;
+
+  for (const [num, info] of Object.entries(groups)) {
+    let openedDate = null;
+    for (const cand of info.openedCandidates) {
+      const d = parseToDate(cand.value, parseOpts);
+      if (!d) addIssue('bad-opened', cand.idx, num, keyOpened, cand.value);
+      else if (!openedDate || d < openedDate) openedDate = d;
+    }
+    if (!openedDate && info.openedCandidates.length === 0)
+      addIssue('no-opened', info.firstIdx, num, keyOpened, '');
+    if (!matchPriorityRule(info.priority, policy))
+      addIssue('unknown-priority', info.firstIdx, num, keyPriority, info.priority);
+
+    const parsedUpdates = info.updatedCandidates
+      .map((u) => {
+        const d = parseToDate(u.value, parseOpts);
+        if (!d) addIssue('bad-updated', u.idx, num, keyUpdated, u.value);
+        else if (openedDate && d < openedDate)
+          addIssue('update-before-open', u.idx, num, keyUpdated, formatIso(d, displayZone));
+        return { raw: u.value, d, state: u.state, idx: u.idx };
+      })
+      .sort((a, b) => {
+        if (a.d && b.d) return a.d - b.d;
+        if (a.d) return -1;
+        if (b.d) return 1;
+        return String(a.raw).localeCompare(String(b.raw));
+      });
+
+    groupedRows[num] = info.members;
+
+    const updatesRaw = parsedUpdates.map((p) => ({
+      raw: p.raw,
+      date: p.d,
+      state: p.state == null ? '' : String(p.state).trim(),
+    }));
+    if (updatesRaw.length > maxUpdates) maxUpdates = updatesRaw.length;
+    // the State column shows where the incident ended up: the state of its latest update
+    const latest = updatesRaw.filter((u) => u.date && u.state).pop();
+
+    // extra columns likewise: the latest update's row with a value, else the first row with one
+    const extraValues = {};
+    const rowOrder = [
+      ...parsedUpdates.filter((p) => p.d).map((p) => p.idx).reverse(),
+      ...info.members,
+    ];
+    for (const col of extras) {
+      const idx = rowOrder.find((i) => extraText(col, rows[i][col]) !== '');
+      extraValues[col] = idx === undefined ? '' : extraText(col, rows[idx][col]);
+    }
+
+    outRows.push({
+      number: num,
+      priority: info.priority,
+      state: latest ? latest.state : info.state,
+      openedDate,
+      updates: updatesRaw,
+      sources: info.sources,
+      extras: extraValues,
+    });
+  }
+
+  // Pause states need the State of every update
+  const usePauses = (policy.pauseStates || []).length > 0 && keyState in rows[0];
+
+  // Build headers (no "TimeStamp")
+  const headers = ['Number', 'Priority', 'State', 'Opened Date', ...extras];
+  for (let i = 0; i < maxUpdates; i++) {
+    headers.push(`${i + 1}${getOrdinalSuffix(i + 1)} Updated`);
+    if (usePauses) headers.push(`State ${i + 1}`);
+    if (useBusinessTime) headers.push(`Elapsed ${i + 1}`);
+    if (usePauses) headers.push(`Gross ${i + 1}`);
+    headers.push(`Interval ${i + 1}`, `Made SLA ${i + 1}`);
+  }
+  headers.push('Made SLA');
+  if (origins) headers.push('Source');
+
+  const data = outRows.map((r, idx) => {
+    report('building', idx + 1, outRows.length);
+    const row = {
+      Number: r.number,
+      Priority: r.priority,
+      State: r.state,
+      'Opened Date': wallClockDate(r.openedDate, displayZone),
+      ...r.extras,
+    };
+
+    const thrMs = priorityThresholdMs(r.priority, policy);
+    const slaValues = [];
+
+    for (let i = 0; i < maxUpdates; i++) {
+      const upd = r.updates[i];
+      const updDate = upd && upd.date ? upd.date : null;
+      const updCol = `${i + 1}${getOrdinalSuffix(i + 1)} Updated`;
+      const intervalCol = `Interval ${i + 1}`;
+      const elapsedCol = `Elapsed ${i + 1}`;
+      const grossCol = `Gross ${i + 1}`;
+      const slaCol = `Made SLA ${i + 1}`;
+
+      // an update that could not be read keeps its text
+      row[updCol] = updDate ? wallClockDate(updDate, displayZone) : upd ? String(upd.raw) : null;
+      if (usePauses) row[`State ${i + 1}`] = upd ? upd.state : '';
+
+      const prevDate = i === 0 ? r.openedDate : (r.updates[i - 1] ? r.updates[i - 1].date : null);
+      const currDate = updDate;
+
+      if (prevDate && currDate) {
+        const elapsedMs = currDate - prevDate;
+        const grossMs = useBusinessTime ? businessMs(prevDate, currDate, calendar) : elapsedMs;
+        // the gap is spent in the state set by the previous update; the open state never pauses
+        const paused = usePauses && i > 0 && isPauseState(r.updates[i - 1].state, policy);
+        const diffMs = paused ? 0 : grossMs;
+        if (useBusinessTime) row[elapsedCol] = elapsedMs;
+        if (usePauses) row[grossCol] = grossMs;
+        row[intervalCol] = diffMs;
+        const slaVal = diffMs <= thrMs;
+        row[slaCol] = slaVal;
+        slaValues.push(slaVal);
+      } else {
+        if (useBusinessTime) row[elapsedCol] = null;
+        if (usePauses) row[grossCol] = null;
+        row[intervalCol] = null;
+        row[slaCol] = null;
+      }
+    }
+
+    // met only when every measured gap was; null when none was measured
+    row['Made SLA'] = slaValues.length === 0 ? null : slaValues.every(Boolean);
+
+    if (origins) row.Source = [...r.sources].join('; ');
+
+    return row;
+  });
+
+  const issues = found.sort((a, b) => a.idx - b.idx).map((f) => f.issue);
+  return { headers, data, issues, dateOrder, groupedRows };
+}
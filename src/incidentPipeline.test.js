@@ -0,0 +1,705 @@
+/**
+ * @jest-environment node
+ */
+import * as XLSX from 'xlsx';
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import {
+  readWorkbook,
+  readHeaders,
+  listSheets,
+  parseWorkbook,
+  mergeSources,
+  processRows,
+  sourceRowsAt,
+  getOrdinalSuffix,
+} from './incidentPipeline';
+import { buildWorkbookExcelJS } from './incidentWorkbook';
+import { writeWorkbookBuffer } from './workbookCharts';
+import {
+  parseToDate,
+  detectDateOrder,
+  excelSerialToDate,
+  formatIso,
+  formatInterval,
+} from './dateHelpers';
+import { describeDateProfile, DEFAULT_DATE_PROFILE } from './dateProfile';
+import { DEFAULT_POLICY } from './slaPolicy';
+import { DEFAULT_CALENDAR } from './workingCalendar';
+import { summarizeIssues } from './dataIssues';
+import { compareRuns } from './runComparison';
+import { DEFAULT_CONTRACT } from './contractTerms';
+import { displayRow } from './columnModel';
+import { INCIDENT_SHEET } from './__fixtures__/incidents';
+
+function fixtureWorkbook() {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(INCIDENT_SHEET), 'Export');
+  return readWorkbook(XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }), { type: 'buffer' });
+}
+
+function processFixture(policy = DEFAULT_POLICY, calendar = DEFAULT_CALENDAR) {
+  const { rows } = parseWorkbook(fixtureWorkbook());
+  return processRows(rows, { policy, calendar });
+}
+
+// rows as the preview shows them
+const textRow = (r) => displayRow(Object.keys(r), r);
+const byNumber = (data) => Object.fromEntries(data.map((r) => [r.Number, textRow(r)]));
+
+describe('date helpers', () => {
+  test('parseToDate reads day-first dates with optional AM/PM', () => {
+    expect(parseToDate('02/07/2025 14:05')).toEqual(new Date(2025, 6, 2, 14, 5, 0));
+    expect(parseToDate('2-7-25 2:05:09 PM')).toEqual(new Date(2025, 6, 2, 14, 5, 9));
+    expect(parseToDate('2025-07-02 14:05:00')).toEqual(new Date(2025, 6, 2, 14, 5, 0));
+    expect(parseToDate('')).toBeNull();
+    expect(parseToDate('not a date')).toBeNull();
+  });
+
+  test('parseToDate honours the date order and source time zone', () => {
+    expect(parseToDate('02/07/2025 14:05', { dateOrder: 'mdy' })).toEqual(
+      new Date(2025, 1, 7, 14, 5, 0)
+    );
+    // auto reads day-first unless only month-first fits
+    expect(parseToDate('07/25/2025 14:05')).toEqual(new Date(2025, 6, 25, 14, 5, 0));
+    expect(parseToDate('25/07/2025', { dateOrder: 'mdy' })).toBeNull();
+    expect(parseToDate('02/07/2025 14:05', { dateOrder: 'iso' })).toBeNull();
+
+    const ny = { dateOrder: 'dmy', sourceTimeZone: 'America/New_York' };
+    expect(parseToDate('02/07/2025 14:05', ny).toISOString()).toBe('2025-07-02T18:05:00.000Z');
+    expect(parseToDate('2025-01-02 09:00', ny).toISOString()).toBe('2025-01-02T14:00:00.000Z');
+    // an explicit offset wins over the source zone
+    expect(parseToDate('2025-01-02T09:00:00+01:00', ny).toISOString()).toBe(
+      '2025-01-02T08:00:00.000Z'
+    );
+  });
+
+  test('Excel serials are wall-clock times in the source zone', () => {
+    // 45839.375 = 2025-07-01 09:00
+    expect(excelSerialToDate(45839.375, 'Asia/Kolkata').toISOString()).toBe(
+      '2025-07-01T03:30:00.000Z'
+    );
+    expect(formatIso(excelSerialToDate(45839.375, 'UTC'), 'America/New_York')).toBe(
+      '2025-07-01 05:00:00'
+    );
+    expect(formatIso(excelSerialToDate(45839.375))).toBe('2025-07-01 09:00:00');
+  });
+
+  test('detectDateOrder decides from values above 12', () => {
+    expect(detectDateOrder(['01/02/2025 10:00', '13/02/2025 10:00'])).toEqual({
+      dateOrder: 'dmy',
+      ambiguous: false,
+    });
+    expect(detectDateOrder(['01/02/2025', '02/13/2025', 45839.5])).toEqual({
+      dateOrder: 'mdy',
+      ambiguous: false,
+    });
+    expect(detectDateOrder(['2025-02-13 10:00'])).toEqual({ dateOrder: 'iso', ambiguous: false });
+    expect(detectDateOrder(['01/02/2025'])).toEqual({ dateOrder: 'dmy', ambiguous: true });
+  });
+
+  test('formatInterval renders d/h/m/s', () => {
+    expect(formatInterval(((26 * 60 + 3) * 60 + 4) * 1000)).toBe('1d 2h 3m 4s');
+    expect(formatInterval(null)).toBe('');
+  });
+
+  test('getOrdinalSuffix', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22].map(getOrdinalSuffix)).toEqual([
+      'st', 'nd', 'rd', 'th', 'th', 'th', 'th', 'st', 'nd',
+    ]);
+  });
+});
+
+test('readHeaders returns the first-sheet columns', () => {
+  expect(readHeaders(fixtureWorkbook())).toEqual(INCIDENT_SHEET[0]);
+});
+
+describe('processRows', () => {
+  test('groups updates by incident and skips rows without a Number', () => {
+    const { headers, data } = processFixture();
+    expect(data.map((r) => r.Number)).toEqual(['INC001', 'INC002', 'INC003', 'INC004']);
+    expect(headers).toEqual([
+      'Number', 'Priority', 'State', 'Opened Date',
+      '1st Updated', 'Interval 1', 'Made SLA 1',
+      '2nd Updated', 'Interval 2', 'Made SLA 2',
+      'Made SLA',
+    ]);
+  });
+
+  test('pauses the clock while an update left the incident in a pause state', () => {
+    const wb = XLSX.utils.book_new();
+    const sheet = XLSX.utils.aoa_to_sheet([
+      ['Number', 'Priority', 'State', 'Opened', 'Updated'],
+      ['INC020', 'P1 - Critical', 'On Hold', '01/07/2025 09:00', '01/07/2025 09:30'],
+      ['INC020', 'P1 - Critical', 'In Progress', '01/07/2025 09:00', '01/07/2025 13:30'],
+      ['INC020', 'P1 - Critical', 'Resolved', '01/07/2025 09:00', '01/07/2025 14:00'],
+    ]);
+    XLSX.utils.book_append_sheet(wb, sheet, 'S');
+    const { rows } = parseWorkbook(wb);
+
+    const pausing = { ...DEFAULT_POLICY, pauseStates: ['On Hold', 'Awaiting Caller'] };
+    const [paused] = processRows(rows, { policy: pausing }).data.map(textRow);
+    expect(paused.State).toBe('Resolved');
+    expect(paused['State 1']).toBe('On Hold');
+    // 09:30-13:30 was spent On Hold: 4h gross, nothing counted
+    expect(paused['Gross 2']).toBe('0d 4h 0m 0s');
+    expect(paused['Interval 2']).toBe('0d 0h 0m 0s');
+    expect(paused['Made SLA 2']).toBe('Y');
+    expect(paused['Made SLA']).toBe('Y');
+
+    // the default policy pauses in no state
+    const { headers, data } = processRows(rows);
+    expect(headers).not.toContain('Gross 1');
+    expect(textRow(data[0])['Interval 2']).toBe('0d 4h 0m 0s');
+    expect(data[0]['Made SLA']).toBe(false);
+  });
+
+  test('computes intervals and SLA verdicts from the default policy', () => {
+    const rows = byNumber(processFixture().data);
+    expect(rows.INC001['Interval 1']).toBe('0d 0h 30m 0s');
+    expect(rows.INC001['Interval 2']).toBe('0d 0h 30m 0s');
+    expect(rows.INC001['Made SLA']).toBe('Y');
+
+    expect(rows.INC002['Made SLA 1']).toBe('Y');
+    expect(rows.INC002['Interval 2']).toBe('0d 4h 0m 0s');
+    expect(rows.INC002['Made SLA 2']).toBe('N');
+    expect(rows.INC002['Made SLA']).toBe('N');
+
+    expect(rows.INC003['Made SLA']).toBe('N');
+    expect(rows.INC004['Made SLA']).toBe('');
+  });
+
+  test('keeps dates, intervals and verdicts as typed values', () => {
+    const rows = Object.fromEntries(processFixture().data.map((r) => [r.Number, r]));
+    // wall-clock time of the display zone in the UTC fields
+    expect(rows.INC001['Opened Date']).toEqual(new Date(Date.UTC(2025, 6, 1, 9, 0, 0)));
+    expect(rows.INC001['1st Updated']).toEqual(new Date(Date.UTC(2025, 6, 1, 9, 30, 0)));
+    expect(rows.INC001['Interval 1']).toBe(30 * 60 * 1000);
+    expect(rows.INC001['Made SLA 1']).toBe(true);
+    expect(rows.INC002['Interval 2']).toBe(4 * 3600 * 1000);
+    expect(rows.INC002['Made SLA 2']).toBe(false);
+    expect(rows.INC002['Made SLA']).toBe(false);
+    // nothing measured
+    expect(rows.INC004['Made SLA']).toBeNull();
+    expect(rows.INC004['Interval 1']).toBeNull();
+  });
+
+  test('uses thresholds from the given policy', () => {
+    const lenient = {
+      name: 'Lenient',
+      rules: [{ label: 'P2', pattern: '^P2', thresholdHours: 5 }],
+      defaultHours: 100,
+    };
+    const rows = byNumber(processFixture(lenient).data);
+    expect(rows.INC002['Made SLA']).toBe('Y');
+    expect(rows.INC003['Made SLA']).toBe('Y');
+  });
+
+  test('counts business time when the calendar is enabled', () => {
+    const { headers, data } = processFixture(DEFAULT_POLICY, { ...DEFAULT_CALENDAR, enabled: true });
+    const rows = byNumber(data);
+    expect(headers).toContain('Elapsed 1');
+    // Fri 16:00 -> Mon 10:00 is 2 business hours (Fri 16-17, Mon 9-10)
+    expect(rows.INC003['Interval 1']).toBe('0d 2h 0m 0s');
+    expect(rows.INC003['Elapsed 1']).toBe('2d 18h 0m 0s');
+    expect(rows.INC003['Made SLA']).toBe('Y');
+  });
+
+  test('reads fields from mapped columns', () => {
+    const renamed = [
+      ['Incident ID', 'Priority', 'State', 'Reopened', 'Created', 'Updated by', 'Last change'],
+      ['INC9', 'P1 - Critical', 'New', '', '01/07/2025 09:00', 'bob', '01/07/2025 11:00'],
+    ];
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(renamed), 'Export');
+    const { rows } = parseWorkbook(wb);
+    const data = processRows(rows, { mapping: { Updated: 'Last change' } }).data.map(textRow);
+    expect(data[0].Number).toBe('INC9');
+    expect(data[0]['Opened Date']).toBe('2025-07-01 09:00:00');
+    expect(data[0]['Interval 1']).toBe('0d 2h 0m 0s');
+    expect(data[0]['Made SLA']).toBe('N');
+  });
+
+  test('carries extra columns from the latest update that has a value', () => {
+    const sheet = [
+      ['Number', 'Priority', 'Opened', 'Updated', 'Assignment group', 'State 1'],
+      ['INC1', 'P2 - High', '01/07/2025 09:00', '01/07/2025 12:00', 'Network Ops', 'x'],
+      ['INC1', 'P2 - High', '01/07/2025 09:00', '01/07/2025 10:00', 'Service Desk', 'x'],
+      ['INC1', 'P2 - High', '01/07/2025 09:00', '01/07/2025 13:00', '', 'x'],
+      ['INC2', 'P4 - Low', '02/07/2025 09:00', '', '', 'x'],
+    ];
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(sheet), 'Export');
+    const { rows } = parseWorkbook(wb);
+    const { headers, data } = processRows(rows, {
+      extraColumns: ['Assignment group', 'Assignment group', 'Priority', 'State 1', 'Missing'],
+    });
+    expect(headers.slice(0, 5)).toEqual([
+      'Number',
+      'Priority',
+      'State',
+      'Opened Date',
+      'Assignment group',
+    ]);
+    expect(headers).not.toContain('Missing');
+    expect(data.map((r) => r['Assignment group'])).toEqual(['Network Ops', '']);
+  });
+
+  test('shows date-formatted extra columns as dates in the display time zone', async () => {
+    const book = new ExcelJS.Workbook();
+    const ws = book.addWorksheet('Export');
+    ws.addRow(['Number', 'Priority', 'Opened', 'Updated', 'Resolved', 'Reopen count']);
+    ws.addRow([
+      'INC1',
+      'P2 - High',
+      '01/07/2025 09:00',
+      '01/07/2025 10:00',
+      new Date(Date.UTC(2025, 6, 1, 11, 0)),
+      2,
+    ]);
+    ws.getColumn(5).numFmt = 'dd/mm/yyyy hh:mm';
+    const wb = readWorkbook(await book.xlsx.writeBuffer(), { type: 'buffer' });
+    const { rows, dateColumns } = parseWorkbook(wb);
+    expect(dateColumns).toEqual(['Resolved']);
+
+    const { data } = processRows(rows, {
+      dateProfile: { dateOrder: 'dmy', sourceTimeZone: 'UTC', displayTimeZone: 'America/New_York' },
+      extraColumns: ['Resolved', 'Reopen count'],
+      dateColumns,
+    });
+    expect(data[0].Resolved).toBe('2025-07-01 07:00:00');
+    expect(data[0]['Reopen count']).toBe('2');
+  });
+
+  test('reports progress', () => {
+    const { rows } = parseWorkbook(fixtureWorkbook());
+    const seen = [];
+    processRows(rows, { onProgress: (p) => seen.push(p) });
+    expect(seen).toContainEqual({ phase: 'grouping', done: rows.length, total: rows.length });
+    expect(seen).toContainEqual({ phase: 'building', done: 4, total: 4 });
+  });
+});
+
+describe('date profile', () => {
+  const US_SHEET = [
+    ['Number', 'Priority', 'State', 'Opened', 'Updated'],
+    ['INC100', 'P1 - Critical', 'New', '03/08/2025 09:00', '03/08/2025 09:30'],
+    ['INC101', 'P2 - High', 'New', '03/09/2025 01:00', '03/13/2025 01:00'],
+  ];
+  const rowsOf = (aoa) => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), 'S');
+    return parseWorkbook(wb).rows;
+  };
+
+  test('detects month-first exports and converts between zones', () => {
+    const profile = {
+      dateOrder: 'auto',
+      sourceTimeZone: 'America/New_York',
+      displayTimeZone: 'UTC',
+    };
+    const { data, dateOrder, issues } = processRows(rowsOf(US_SHEET), { dateProfile: profile });
+    expect(dateOrder).toBe('mdy');
+    expect(issues).toEqual([]);
+    const rows = byNumber(data);
+    expect(rows.INC100['Opened Date']).toBe('2025-03-08 14:00:00');
+    // DST starts on 9 March in New York, so the 4 days are one hour short
+    expect(rows.INC101['Opened Date']).toBe('2025-03-09 06:00:00');
+    expect(rows.INC101['Interval 1']).toBe('3d 23h 0m 0s');
+    expect(describeDateProfile(profile, dateOrder)).toBe(
+      'Dates: month-first (detected); times in America/New_York, shown in UTC'
+    );
+  });
+
+  test('reads every update of comma-separated cells when detecting the order', () => {
+    const sheet = [
+      ['Number', 'Priority', 'State', 'Opened', 'Updated'],
+      ['INC200', 'P3 - Medium', 'New', '03/04/2025 09:00', '03/04/2025 10:00, 03/14/2025 09:00'],
+    ];
+    const { dateOrder, issues } = processRows(rowsOf(sheet), {
+      dateProfile: { ...DEFAULT_DATE_PROFILE, dateOrder: 'auto' },
+    });
+    expect(dateOrder).toBe('mdy');
+    expect(issues).toEqual([]);
+  });
+
+  test('a fixed day-first order reports month-first values as issues', () => {
+    const { issues } = processRows(rowsOf(US_SHEET), {
+      dateProfile: { dateOrder: 'dmy', sourceTimeZone: '', displayTimeZone: '' },
+    });
+    expect(issues.map((i) => [i.row, i.kind, i.value])).toEqual([[3, 'bad-updated', '03/13/2025 01:00']]);
+  });
+});
+
+describe('mergeSources', () => {
+  const sheetRows = (aoa) => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), 'S');
+    return parseWorkbook(wb).rows;
+  };
+
+  test('listSheets returns every sheet with its headers', () => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(INCIDENT_SHEET), 'EMEA');
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([]), 'Notes');
+    expect(listSheets(wb)).toEqual([
+      { name: 'EMEA', headers: INCIDENT_SHEET[0] },
+      { name: 'Notes', headers: [] },
+    ]);
+  });
+
+  test('drops repeated rows, renames columns and records the source', () => {
+    const week1 = sheetRows(INCIDENT_SHEET.slice(0, 4));
+    const week2 = sheetRows([
+      ['Incident', 'Priority', 'State', 'Created', 'Last updated'],
+      // repeat of a week 1 row
+      ['INC002', 'P2 - High', 'In Progress', '02/07/2025 08:00', '02/07/2025 10:00; 02/07/2025 14:00'],
+      // new update for INC001
+      ['INC001', 'P1 - Critical', 'Closed', '01/07/2025 09:00', '01/07/2025 12:00'],
+    ]);
+    const { rows, origins, duplicates } = mergeSources([
+      { label: 'week1.xlsx › S', rows: week1 },
+      { label: 'week2.xlsx › S', rows: week2 },
+    ]);
+    expect(duplicates).toBe(1);
+    expect(rows).toHaveLength(4);
+    expect(rows[3].Opened).toBe('01/07/2025 09:00');
+
+    const { headers, data } = processRows(rows, { origins });
+    expect(headers[headers.length - 1]).toBe('Source');
+    const merged = byNumber(data);
+    expect(merged.INC001['3rd Updated']).toBe('2025-07-01 12:00:00');
+    expect(merged.INC001['Made SLA 3']).toBe('N');
+    expect(merged.INC001.Source).toBe('week1.xlsx › S; week2.xlsx › S');
+    expect(merged.INC002.Source).toBe('week1.xlsx › S');
+  });
+});
+
+describe('data issues', () => {
+  const sheetRows = (aoa) => {
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(aoa), 'S');
+    return parseWorkbook(wb).rows;
+  };
+
+  test('the fixture only reports its blank-number row', () => {
+    expect(processFixture().issues).toEqual([
+      { kind: 'missing-number', source: null, row: 7, number: '', column: 'Number', value: '' },
+    ]);
+  });
+
+  test('keeps the indices of the source rows grouped into each incident', () => {
+    const { rows } = parseWorkbook(fixtureWorkbook());
+    const { groupedRows } = processRows(rows);
+    expect(Object.keys(groupedRows)).toEqual(['INC001', 'INC002', 'INC003', 'INC004']);
+    expect(groupedRows.INC001).toEqual([0, 1]);
+    const inc001 = sourceRowsAt(rows, groupedRows.INC001);
+    expect(inc001.map((g) => g.row)).toEqual([2, 3]);
+    expect(inc001[1]).toMatchObject({ source: null, values: { Number: 'INC001' } });
+    expect(sourceRowsAt(rows, groupedRows.INC002)[0].values.Updated).toBe(
+      '02/07/2025 10:00; 02/07/2025 14:00'
+    );
+  });
+
+  test('reports unreadable dates, unknown priorities and updates before the open time', () => {
+    const rows = sheetRows([
+      ['Number', 'Priority', 'State', 'Opened', 'Updated'],
+      ['INC010', 'P1 - Critical', 'New', 'yesterday', '01/07/2025 09:30'],
+      ['INC010', 'P1 - Critical', 'New', '01/07/2025 09:00', '01/07/2025 08:00; soon'],
+      [],
+      ['INC011', 'Urgent', 'New', '', '01/07/2025 10:00'],
+    ]);
+    const { data, issues } = processRows(rows);
+    expect(issues.map((i) => [i.row, i.kind, i.number, i.value])).toEqual([
+      [2, 'bad-opened', 'INC010', 'yesterday'],
+      [3, 'update-before-open', 'INC010', '2025-07-01 08:00:00'],
+      [3, 'bad-updated', 'INC010', 'soon'],
+      [5, 'no-opened', 'INC011', ''],
+      [5, 'unknown-priority', 'INC011', 'Urgent'],
+    ]);
+    // the unreadable update is still listed, without an interval
+    expect(byNumber(data).INC010['3rd Updated']).toBe('soon');
+    expect(summarizeIssues(issues).map((s) => [s.kind, s.count])).toEqual([
+      ['bad-opened', 1],
+      ['no-opened', 1],
+      ['bad-updated', 1],
+      ['update-before-open', 1],
+      ['unknown-priority', 1],
+    ]);
+  });
+
+  test('merged sources keep their own row numbers', () => {
+    const first = sheetRows(INCIDENT_SHEET.slice(0, 2));
+    const second = sheetRows([INCIDENT_SHEET[0], [], ['', 'P1', 'New', 'x', 'y']]);
+    const { rows, origins, rowNumbers } = mergeSources([
+      { label: 'a.csv', rows: first },
+      { label: 'b.csv', rows: second },
+    ]);
+    const { issues } = processRows(rows, { origins, rowNumbers });
+    expect(issues).toEqual([
+      { kind: 'missing-number', source: 'b.csv', row: 3, number: '', column: 'Number', value: '' },
+    ]);
+  });
+});
+
+describe('buildWorkbookExcelJS', () => {
+  test('writes Incident Intervals and SUI SLA sheets', async () => {
+    const { headers, data, issues } = processFixture();
+    const wb = await buildWorkbookExcelJS(headers, data, DEFAULT_POLICY, DEFAULT_CALENDAR, {
+      issues,
+    });
+
+    const reloaded = new ExcelJS.Workbook();
+    await reloaded.xlsx.load(await wb.xlsx.writeBuffer());
+
+    const intervals = reloaded.getWorksheet('Incident Intervals');
+    expect(intervals.getRow(1).values.slice(1)).toEqual(headers);
+    expect(intervals.rowCount).toBe(data.length + 1);
+    // dates and durations are Excel values, not text
+    const cellOf = (h) => intervals.getRow(2).getCell(headers.indexOf(h) + 1);
+    expect(cellOf('Opened Date').value).toEqual(new Date(Date.UTC(2025, 6, 1, 9, 0, 0)));
+    expect(cellOf('Opened Date').numFmt).toBe('yyyy-mm-dd hh:mm:ss');
+    // a time value: ExcelJS reads it back as a time of Excel's day 0
+    expect(cellOf('Interval 1').value).toEqual(new Date(Date.UTC(1899, 11, 30, 0, 30, 0)));
+    expect(cellOf('Interval 1').numFmt).toBe('[h]:mm:ss');
+    expect(cellOf('Made SLA').value).toBe('Y');
+
+    const sui = reloaded.getWorksheet('SUI SLA');
+    expect(sui.getRow(1).getCell(1).value).toBe('SUI SLA — 2025-07-01 to 2025-07-05');
+    const p2 = sui.getRow(4).values.slice(1);
+    expect(p2.slice(0, 3)).toEqual(['P2 - High', 1, 0]);
+    expect(p2[6]).toBe('N');
+
+    // P2 breached: 0.50% of the Standard contract's base amount
+    expect(p2.slice(7)).toEqual(['0.50%', '$ 592.45']);
+    expect(sui.getRow(7).values[9]).toBe('$ 592.45');
+    expect(sui.getRow(2).getCell(9).value).toBe('Credit $');
+    const euro = await buildWorkbookExcelJS(headers, data, DEFAULT_POLICY, DEFAULT_CALENDAR, {
+      contract: { ...DEFAULT_CONTRACT, currency: '€' },
+    });
+    const euroSui = euro.getWorksheet('SUI SLA');
+    expect(euroSui.getRow(2).getCell(9).value).toBe('Credit €');
+    expect(euroSui.getRow(4).getCell(9).value).toBe('€ 592.45');
+
+    const footer = [];
+    sui.eachRow((row) => footer.push(String(row.getCell(1).value)));
+    expect(footer).toContain('SLA policy: Standard');
+    expect(footer.some((f) => f.startsWith('Contract: Standard — base $ 118490.00'))).toBe(true);
+
+    const dataIssues = reloaded.getWorksheet('Data Issues');
+    expect(dataIssues.getRow(1).values.slice(1, 4)).toEqual(['Row', 'Number', 'Problem']);
+    expect(dataIssues.getRow(2).values.slice(1, 4)).toEqual([
+      7,
+      '',
+      'Row skipped — Number is blank',
+    ]);
+  });
+
+  test('applies overrides and lists them on the Overrides sheet', async () => {
+    const { headers, data } = processFixture();
+    const overrides = [
+      {
+        number: 'INC002',
+        interval: 2,
+        action: 'exclude',
+        reason: 'vendor-hold',
+        comment: 'Carrier outage',
+        by: 'sam',
+        at: '2025-07-03T10:00:00Z',
+      },
+    ];
+    const overrideLog = [{ ...overrides[0], change: 'set' }];
+    const wb = await buildWorkbookExcelJS(headers, data, DEFAULT_POLICY, DEFAULT_CALENDAR, {
+      overrides,
+      overrideLog,
+      dateProfile: { ...DEFAULT_DATE_PROFILE, displayTimeZone: 'UTC' },
+    });
+
+    const intervals = wb.getWorksheet('Incident Intervals');
+    const header = intervals.getRow(1).values.slice(1);
+    const inc2 = intervals.getRow(3).values.slice(1);
+    expect(inc2[header.indexOf('Made SLA')]).toBe('Y');
+    expect(inc2[header.indexOf('Override')]).toBe('Interval 2 excluded (Vendor hold)');
+
+    // P2 is compliant again, so no credit
+    expect(wb.getWorksheet('SUI SLA').getRow(4).values.slice(7)).toEqual(['Y', '0.0%', '$ 0.00']);
+
+    const sheet = wb.getWorksheet('Overrides');
+    expect(sheet.getRow(2).values.slice(1)).toEqual([
+      'INC002',
+      'Interval 2',
+      'Excluded',
+      'Vendor hold',
+      'Carrier outage',
+      'sam',
+      '2025-07-03 10:00:00',
+      'N',
+      'Y',
+    ]);
+    expect(sheet.getRow(4).getCell(1).value).toBe('Change history');
+    expect(sheet.getRow(6).values.slice(1, 4)).toEqual(['2025-07-03 10:00:00', 'sam', 'Set']);
+  });
+
+  test('writes an SLA Trend sheet per opened day, week or month', async () => {
+    const { headers, data } = processFixture();
+    const wb = await buildWorkbookExcelJS(headers, data, DEFAULT_POLICY, DEFAULT_CALENDAR, {
+      trendPeriod: 'day',
+    });
+    const reloaded = new ExcelJS.Workbook();
+    await reloaded.xlsx.load(await wb.xlsx.writeBuffer());
+
+    const trend = reloaded.getWorksheet('SLA Trend');
+    expect(trend.getRow(1).getCell(1).value).toBe('SLA Trend by day — 2025-07-01 to 2025-07-05');
+    const header = trend.getRow(2).values.slice(1);
+    expect(header.slice(0, 5)).toEqual(['Day', 'P1 Total', 'P1 Within SLA', 'P1 Breach', 'P1 Compliance %']);
+    expect(header.slice(-4)).toEqual(['All Total', 'All Within SLA', 'All Breach', 'All Compliance %']);
+
+    const periods = [3, 4, 5, 6].map((r) => trend.getRow(r).getCell(1).value);
+    expect(periods).toEqual(['2025-07-01', '2025-07-02', '2025-07-04', '2025-07-05']);
+    // 2 July: the P2 incident breached
+    expect(trend.getRow(4).values.slice(6, 10)).toEqual([1, 0, 1, 0]);
+    expect(trend.getRow(3).getCell(5).value).toBe(1);
+    expect(trend.getRow(3).getCell(5).numFmt).toBe('0.0%');
+
+    const monthly = await buildWorkbookExcelJS(headers, data);
+    const byMonth = monthly.getWorksheet('SLA Trend');
+    expect(byMonth.getRow(2).getCell(1).value).toBe('Month');
+    expect(byMonth.getRow(3).getCell(1).value).toBe('2025-07');
+    expect(byMonth.getRow(3).getCell(18).value).toBe(4);
+  });
+
+  test('writes native charts of the SLA Trend table', async () => {
+    const { headers, data } = processFixture();
+    const wb = await buildWorkbookExcelJS(headers, data, DEFAULT_POLICY, DEFAULT_CALENDAR, {
+      trendPeriod: 'day',
+    });
+    const buffer = await writeWorkbookBuffer(wb);
+    const zip = await JSZip.loadAsync(buffer);
+    const line = await zip.file('xl/charts/chart1.xml').async('string');
+    expect(line).toContain('<c:lineChart>');
+    expect(line).toContain("<c:f>'SLA Trend'!$E$3:$E$6</c:f>");
+    expect(line).toContain("<c:f>'SLA Trend'!$A$3:$A$6</c:f>");
+    expect(await zip.file('xl/charts/chart2.xml').async('string')).toContain('<c:barChart>');
+
+    // both readers open the file and see the same cells as in ExcelJS's own output
+    const plain = await wb.xlsx.writeBuffer();
+    const exceljsCells = async (bytes) => {
+      const book = new ExcelJS.Workbook();
+      await book.xlsx.load(bytes);
+      return book.worksheets.map((ws) => [ws.name, ws.getSheetValues()]);
+    };
+    expect(await exceljsCells(buffer)).toEqual(await exceljsCells(plain));
+    const sheetjsCells = (bytes) => {
+      const book = XLSX.read(bytes, { type: 'array' });
+      return book.SheetNames.map((name) => [
+        name,
+        XLSX.utils.sheet_to_json(book.Sheets[name], { header: 1 }),
+      ]);
+    };
+    expect(sheetjsCells(buffer)).toEqual(sheetjsCells(new Uint8Array(plain)));
+    expect(sheetjsCells(buffer).map(([name]) => name)).toContain('SLA Trend');
+  });
+
+  test('refuses charts on a sheet with relationships of its own', async () => {
+    const { headers, data } = processFixture();
+    const wb = await buildWorkbookExcelJS(headers, data, DEFAULT_POLICY, DEFAULT_CALENDAR);
+    wb.getWorksheet('SLA Trend').getCell('A1').value = {
+      text: 'Help',
+      hyperlink: 'https://example.com',
+    };
+    await expect(writeWorkbookBuffer(wb)).rejects.toThrow('cannot take charts');
+  });
+
+  test('adds a Comparison sheet against an earlier run', async () => {
+    const { headers, data } = processFixture();
+    const earlier = data
+      .filter((r) => r.Number !== 'INC001')
+      .map((r) => (r.Number === 'INC002' ? { ...r, 'Made SLA': true } : r));
+    const comparison = compareRuns(
+      { label: 'June', headers, rows: earlier, contract: DEFAULT_CONTRACT },
+      { label: 'July', headers, rows: data, contract: DEFAULT_CONTRACT }
+    );
+    const plain = await buildWorkbookExcelJS(headers, data);
+    expect(plain.getWorksheet('Comparison')).toBeUndefined();
+
+    const wb = await buildWorkbookExcelJS(headers, data, DEFAULT_POLICY, DEFAULT_CALENDAR, {
+      comparison,
+    });
+    const sheet = wb.getWorksheet('Comparison');
+    expect(sheet.getRow(1).getCell(1).value).toBe('Comparison: June → July');
+    expect(sheet.getRow(2).values.slice(1, 4)).toEqual(['Priority/SLA', 'Before Total', 'Before Within SLA %']);
+    // P2: INC002 breached this time
+    const p2 = sheet.getRow(4).values.slice(1);
+    expect(p2[0]).toBe('P2 - High');
+    expect(p2[2]).toBe(1);
+    expect(p2[6]).toBe(0);
+    expect(p2[10]).toBe(-100);
+    expect(sheet.getColumn(11).numFmt).toBe('+0.0" pp";-0.0" pp";"no change"');
+
+    // row number of each section title
+    const titles = {};
+    sheet.eachRow((row, n) => (titles[String(row.getCell(1).value)] = n));
+    const firstItem = (title) => sheet.getRow(titles[title] + 2).values.slice(1, 5);
+    expect(firstItem('Changed SLA outcome (1)')).toEqual(['INC002', 'P2 - High', 'Within SLA', 'Breached']);
+    expect(firstItem('New incidents (1)')[0]).toBe('INC001');
+    expect(firstItem('Gone incidents (0)')).toEqual(['None']);
+  });
+
+  test('adds a SUI SLA sheet per value of a dimension column', async () => {
+    const { headers, data } = processFixture();
+    const teams = { INC001: 'Network Ops', INC002: 'Network Ops', INC003: 'Service Desk' };
+    const rows = data.map((r) => ({ ...r, Team: teams[r.Number] || '' }));
+    const wb = await buildWorkbookExcelJS(
+      [...headers, 'Team'],
+      rows,
+      DEFAULT_POLICY,
+      DEFAULT_CALENDAR,
+      { slaDimension: 'Team' }
+    );
+    const reloaded = new ExcelJS.Workbook();
+    await reloaded.xlsx.load(await wb.xlsx.writeBuffer());
+    const sheet = reloaded.getWorksheet('SUI SLA by Team');
+    expect(sheet.getRow(2).values.slice(1, 7)).toEqual([
+      'Team',
+      'Total Incident',
+      'Within SLA',
+      '% for Within SLA',
+      'Breach',
+      'Share of breaches',
+    ]);
+    // INC002 and INC003 breach: one each, so the teams are in name order
+    expect(sheet.getRow(3).values.slice(1, 8)).toEqual(
+      ['Network Ops', 2, 1, '50.0%', 1, '50.0%', 'N']
+    );
+    expect(sheet.getRow(5).getCell(1).value).toBe('(blank)');
+    expect(sheet.getRow(7).getCell(1).value).toBe('Team: Network Ops');
+
+    const without = await buildWorkbookExcelJS(headers, data, DEFAULT_POLICY, DEFAULT_CALENDAR, {
+      slaDimension: 'Team',
+    });
+    expect(without.worksheets.some((ws) => ws.name.startsWith('SUI SLA by'))).toBe(false);
+  });
+
+  test('adds a Pivot sheet for the group keys', async () => {
+    const { headers, data } = processFixture();
+    expect((await buildWorkbookExcelJS(headers, data)).getWorksheet('Pivot')).toBeUndefined();
+
+    const wb = await buildWorkbookExcelJS(headers, data, DEFAULT_POLICY, DEFAULT_CALENDAR, {
+      pivotKeys: ['Opened week', 'Priority'],
+    });
+    const reloaded = new ExcelJS.Workbook();
+    await reloaded.xlsx.load(await wb.xlsx.writeBuffer());
+    const sheet = reloaded.getWorksheet('Pivot');
+    expect(sheet.getRow(1).getCell(1).value).toBe('Pivot by Opened week › Priority — 2025-07-01 to 2025-07-05');
+    expect(sheet.getRow(2).values.slice(1, 5)).toEqual(['Opened week', 'Priority', 'Incidents', 'Within SLA']);
+    // the week, then its priorities
+    expect(sheet.getRow(3).values.slice(1, 7)).toEqual(['2025-06-30', undefined, 4, 1, 0.25, 2]);
+    expect(sheet.getRow(3).font).toEqual({ bold: true });
+    expect(sheet.getRow(5).values.slice(1, 7)).toEqual([undefined, 'P2 - High', 1, 0, 0, 1]);
+    expect(sheet.getRow(5).getCell(5).numFmt).toBe('0.0%');
+    // longest P2 interval: 10:00 -> 14:00
+    expect(sheet.getRow(5).getCell(9).numFmt).toBe('[h]:mm:ss');
+    expect(sheet.getRow(5).getCell(9).value).toEqual(new Date(Date.UTC(1899, 11, 30, 4)));
+    expect(sheet.getRow(8).getCell(1).value).toBe('Total');
+  });
+});
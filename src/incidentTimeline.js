@@ -0,0 +1,58 @@
+// src/incidentTimeline.js
+import { matchPriorityRule, isPauseState, DEFAULT_POLICY } from './slaPolicy';
+import { formatCell } from './columnModel';
+
+/*
+  Timeline of one processed incident row (drill-down panel)
+  - Reads back the "Nth Updated / Interval N / Made SLA N" cells of a processRows row, as the
+    text the preview shows (see columnModel.js)
+  - Names the SLA rule and threshold the gaps were judged against, and the first gap that breached
+  - With pause states, each step carries its State and gross gap; a gap that starts in a pause
+    state is marked paused (its net Interval is 0)
+*/
+
+const UPDATED_RE = /^(\d+)(st|nd|rd|th) Updated$/;
+
+/**
+ * Returns { number, priority, state, opened, madeSla, threshold: { rule, hours }, steps, breachAt }.
+ * steps: [{ n, updated, state, gross, interval, elapsed, made, paused }] for the updates the
+ * incident has; state / gross are '' without pause states, interval, elapsed and made are ''
+ * when the gap could not be measured. breachAt is the n of the first step with Made SLA 'N',
+ * or null.
+ */
+export function buildTimeline(row, headers, policy = DEFAULT_POLICY) {
+  const rule = matchPriorityRule(row.Priority, policy);
+  const steps = [];
+  const text = (h) => formatCell(h, row[h]);
+  for (const h of headers) {
+    const m = UPDATED_RE.exec(h);
+    if (!m || !text(h)) continue;
+    const n = Number(m[1]);
+    const prev = steps[steps.length - 1];
+    const gross = text(`Gross ${n}`);
+    steps.push({
+      n,
+      updated: text(h),
+      state: text(`State ${n}`),
+      gross,
+      paused: !!(prev && gross && isPauseState(prev.state, policy)),
+      interval: text(`Interval ${n}`),
+      elapsed: text(`Elapsed ${n}`),
+      made: text(`Made SLA ${n}`),
+    });
+  }
+  const breach = steps.find((s) => s.made === 'N');
+  return {
+    number: row.Number,
+    priority: row.Priority,
+    state: row.State,
+    opened: text('Opened Date'),
+    madeSla: text('Made SLA'),
+    threshold: {
+      rule: rule ? rule.label || rule.pattern : null,
+      hours: Number(rule ? rule.thresholdHours : policy.defaultHours),
+    },
+    steps,
+    breachAt: breach ? breach.n : null,
+  };
+}
@@ -0,0 +1,87 @@
+import { buildTimeline } from './incidentTimeline';
+import { DEFAULT_POLICY } from './slaPolicy';
+import { typedRows } from './columnModel';
+
+// rows written as the preview shows them, typed as processRows stores them
+const typed = (row) => typedRows([row])[0];
+
+const headers = [
+  'Number',
+  'Priority',
+  'State',
+  'Opened Date',
+  '1st Updated',
+  'Interval 1',
+  'Made SLA 1',
+  '2nd Updated',
+  'Interval 2',
+  'Made SLA 2',
+  '3rd Updated',
+  'Interval 3',
+  'Made SLA 3',
+  'Made SLA',
+];
+
+test('buildTimeline lists the updates, threshold and the breaching gap', () => {
+  const row = {
+    Number: 'INC002',
+    Priority: 'P2 - High',
+    State: 'In Progress',
+    'Opened Date': '2025-07-02 08:00:00',
+    '1st Updated': '2025-07-02 10:00:00',
+    'Interval 1': '0d 2h 0m 0s',
+    'Made SLA 1': 'Y',
+    '2nd Updated': '2025-07-02 14:00:00',
+    'Interval 2': '0d 4h 0m 0s',
+    'Made SLA 2': 'N',
+    '3rd Updated': '',
+    'Interval 3': '',
+    'Made SLA 3': '',
+    'Made SLA': 'N',
+  };
+  const t = buildTimeline(typed(row), headers, DEFAULT_POLICY);
+  expect(t.threshold).toEqual({ rule: 'P2', hours: 3 });
+  expect(t.opened).toBe('2025-07-02 08:00:00');
+  expect(t.steps.map((s) => [s.n, s.interval, s.made])).toEqual([
+    [1, '0d 2h 0m 0s', 'Y'],
+    [2, '0d 4h 0m 0s', 'N'],
+  ]);
+  expect(t.breachAt).toBe(2);
+});
+
+test('buildTimeline marks gaps that started in a pause state', () => {
+  const row = {
+    Number: 'INC020',
+    Priority: 'P1 - Critical',
+    '1st Updated': '2025-07-01 09:30:00',
+    'State 1': 'On Hold',
+    'Gross 1': '0d 0h 30m 0s',
+    'Interval 1': '0d 0h 30m 0s',
+    'Made SLA 1': 'Y',
+    '2nd Updated': '2025-07-01 13:30:00',
+    'State 2': 'In Progress',
+    'Gross 2': '0d 4h 0m 0s',
+    'Interval 2': '0d 0h 0m 0s',
+    'Made SLA 2': 'Y',
+  };
+  const withPauses = ['1st Updated', 'State 1', 'Gross 1', 'Interval 1', 'Made SLA 1'];
+  const cols = [...withPauses, ...withPauses.map((h) => h.replace('1st', '2nd').replace('1', '2'))];
+  const t = buildTimeline(typed(row), cols, { ...DEFAULT_POLICY, pauseStates: ['On Hold'] });
+  expect(t.steps.map((s) => [s.state, s.gross, s.paused])).toEqual([
+    ['On Hold', '0d 0h 30m 0s', false],
+    ['In Progress', '0d 4h 0m 0s', true],
+  ]);
+});
+
+test('buildTimeline falls back to the policy default threshold', () => {
+  const t = buildTimeline(
+    typed({ Number: 'INC9', Priority: 'Urgent', 'Opened Date': '', '1st Updated': 'soon', 'Made SLA': '' }),
+    headers,
+    DEFAULT_POLICY
+  );
+  expect(t.threshold).toEqual({ rule: null, hours: DEFAULT_POLICY.defaultHours });
+  expect(t.steps).toEqual([
+    { n: 1, updated: 'soon', state: '', gross: '', paused: false, interval: '', elapsed: '', made: '' },
+  ]);
+  expect(t.breachAt).toBeNull();
+});
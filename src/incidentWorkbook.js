@@ -0,0 +1,715 @@
+// src/incidentWorkbook.js
+import ExcelJS from 'exceljs';
+import { describePolicy, describePauseStates, DEFAULT_POLICY } from './slaPolicy';
+import { describeCalendar, DEFAULT_CALENDAR } from './workingCalendar';
+import { ISSUE_KINDS, issueValueText } from './dataIssues';
+import { describeDateProfile, DEFAULT_DATE_PROFILE } from './dateProfile';
+import {
+  DEFAULT_CONTRACT,
+  formatCreditPct,
+  formatMoney,
+  creditAmountHeader,
+  describeContract,
+} from './contractTerms';
+import {
+  summarizeSla,
+  summarizeByDimension,
+  priorityTrend,
+  openedRange,
+  TREND_PERIODS,
+} from './slaSummary';
+import { applyOverrides, overrideScope, OVERRIDE_ACTIONS, REASON_CODES } from './slaOverrides';
+import { formatIso } from './dateHelpers';
+import { outcomeLabel } from './runComparison';
+import { columnType, slaText } from './columnModel';
+import { buildPivot } from './pivotModel';
+import { addChart } from './workbookCharts';
+
+/*
+  Output workbook (ExcelJS)
+  - Incident Intervals: processed rows from processRows; dates and durations are Excel date /
+    time values with number formats, SLA verdicts Y / N
+  - SUI SLA: per-priority totals, compliance and credit under the contract terms, plus the
+    contract, SLA policy and calendar used
+  - SUI SLA by <dimension> (only with options.slaDimension, e.g. Assignment group): breaches and
+    share of all breaches per value, then the SUI SLA table of each value (no credit, which the
+    contract sets for all incidents together)
+  - SLA Trend: the same counts per opened day / week / month with compliance % per priority,
+    and native charts of them: compliance % per priority (line) and within SLA / breaches (column).
+    ExcelJS writes no charts, so they are added to the package by writeWorkbookBuffer
+    (workbookCharts.js); save the workbook with it rather than wb.xlsx.writeBuffer
+  - Data Issues: skipped rows and unusable values from processRows, with source row numbers
+  - Overrides: manual exclusions / verdicts applied to the rows (who, what, why, before / after)
+    and their change history; the other sheets already reflect them
+  - Comparison (only with options.comparison): SUI SLA figures against an earlier run, incidents
+    whose SLA outcome changed, and new / gone incident Numbers (see runComparison.js)
+  - Pivot (only with options.pivotKeys): the rows grouped by those keys with counts, % within
+    SLA, breaches and average / longest interval per group, sub-groups under their group
+    (see pivotModel.js)
+  Both summary sheets title the Opened Date range they cover.
+  The 'exceljs' import resolves to the browser bundle under webpack and the Node build in the CLI/tests.
+*/
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number format and width of the typed Incident Intervals columns; durations can exceed a day
+const CELL_FORMATS = {
+  date: { numFmt: 'yyyy-mm-dd hh:mm:ss', width: 20 },
+  duration: { numFmt: '[h]:mm:ss', width: 12 },
+};
+
+// Incident Intervals cell: wall-clock Dates as they are (ExcelJS writes their UTC fields),
+// milliseconds as a fraction of a day, verdicts as Y / N
+function excelCell(header, value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'boolean') return slaText(value);
+  if (typeof value === 'number' && columnType(header) === 'duration')
+    return Math.abs(value) / DAY_MS;
+  return value;
+}
+
+/**
+ * Build workbook for download.
+ * options:
+ *   issues      - data issues from processRows (Data Issues sheet)
+ *   dateProfile - date profile used, with dateOrder the order processRows read dates in
+ *   contract    - contract terms for compliance and credit (see contractTerms.js)
+ *   trendPeriod - 'day' | 'week' | 'month' buckets of the SLA Trend sheet (default month)
+ *   overrides   - manual overrides to apply to the rows (see slaOverrides.js)
+ *   overrideLog - change history of the overrides, listed on the Overrides sheet
+ *   comparison  - compareRuns result against an earlier run (Comparison sheet)
+ *   pivotKeys   - group keys of the preview's group-by mode (Pivot sheet)
+ *   slaDimension - column to compute the SUI SLA table per value of (SUI SLA by ... sheet)
+ */
+export async function buildWorkbookExcelJS(
+  processedHeaders,
+  processedRows,
+  policy = DEFAULT_POLICY,
+  calendar = DEFAULT_CALENDAR,
+  options = {}
+) {
+  const {
+    issues = [],
+    dateProfile = DEFAULT_DATE_PROFILE,
+    dateOrder = dateProfile.dateOrder,
+    contract = DEFAULT_CONTRACT,
+    trendPeriod = 'month',
+    overrides = [],
+    overrideLog = [],
+    comparison = null,
+    pivotKeys = [],
+    slaDimension = '',
+  } = options;
+  const { headers, rows, applied, unmatched } = applyOverrides(
+    processedHeaders,
+    processedRows,
+    overrides
+  );
+  const range = openedRange(rows);
+  const rangeText = range ? ` — ${range.from.slice(0, 10)} to ${range.to.slice(0, 10)}` : '';
+  const wb = new ExcelJS.Workbook();
+  wb.creator = 'ERPA';
+  wb.created = new Date();
+  wb.subject = `SLA policy: ${policy.name}`;
+
+  /* =========================
+     SHEET 1 – Incident Intervals
+  ========================== */
+  const sheet1 = wb.addWorksheet('Incident Intervals');
+  sheet1.addRow(headers);
+
+  for (const r of rows) {
+    sheet1.addRow(headers.map(h => excelCell(h, r[h])));
+  }
+  headers.forEach((h, i) => {
+    const format = CELL_FORMATS[columnType(h)];
+    if (format) Object.assign(sheet1.getColumn(i + 1), format);
+  });
+
+  sheet1.getRow(1).font = { bold: true };
+  sheet1.views = [{ state: 'frozen', ySplit: 1 }];
+
+  /* =========================
+     SHEET 2 – SUI SLA
+  ========================== */
+  const sheet2 = wb.addWorksheet('SUI SLA');
+
+  /* ---- TITLE ---- */
+  sheet2.addRow([`SUI SLA${rangeText}`]);
+  sheet2.mergeCells(1, 1, 1, 9);
+  sheet2.getRow(1).font = { bold: true };
+  sheet2.getRow(1).alignment = { horizontal: 'center' };
+
+  /* ---- HEADERS ---- */
+  const headerRow = sheet2.addRow([
+    'Priority/SLA',
+    'Total Incident',
+    'Within SLA',
+    '% for Within SLA',
+    'Breach',
+    'Breach %',
+    'Compliance',
+    'Credit',
+    creditAmountHeader(contract),
+  ]);
+
+  headerRow.font = { bold: true };
+
+  // Header alignment FIX
+  [2, 3, 4, 5, 6, 8, 9].forEach(c => {
+    headerRow.getCell(c).alignment = { horizontal: 'left', vertical: 'middle' };
+  });
+  headerRow.getCell(8).alignment = { horizontal: 'left', vertical: 'middle' };
+  headerRow.getCell(7).alignment = { horizontal: 'center', vertical: 'middle' };
+
+  sheet2.views = [{ state: 'frozen', ySplit: 2 }];
+
+  /* ---- COUNT DATA (see slaSummary.js) ---- */
+  const summary = summarizeSla(rows, contract);
+  const grandTotal = summary.total;
+
+  /* ---- DATA ROWS ---- */
+  summary.priorities.forEach(p => {
+    if (p.total === 0) {
+      const row = sheet2.addRow([
+        p.label,
+        'N/A',
+        'N/A',
+        'N/A',
+        'N/A',
+        'N/A',
+        'Y',
+        '0.0%',
+        'N/A'
+      ]);
+      styleRow(row, true);
+      return;
+    }
+
+    const credit = formatCreditPct(p.creditPct);
+    const row = sheet2.addRow([
+      p.label,
+      p.total,
+      p.Y,
+      p.withinPct.toFixed(1) + '%',
+      p.N,
+      p.breachPct.toFixed(1) + '%',
+      p.compliant ? 'Y' : 'N',
+      credit,
+      formatMoney(contract, p.creditAmount),
+    ]);
+
+    styleRow(row, credit === '0.0%');
+  });
+
+  /* ---- TOTAL ROW ---- */
+  const totalY = summary.Y;
+  const totalN = summary.N;
+  const credits = summary.credit;
+
+  const totalRow = sheet2.addRow([
+    'Total',
+    grandTotal,
+    totalY,
+    ((totalY / grandTotal) * 100).toFixed(1) + '%',
+    totalN,
+    '100%',
+    '',
+    '',
+    formatMoney(contract, credits.total) + (credits.capped ? ' (capped)' : ''),
+  ]);
+  styleRow(totalRow, true);
+
+  /* ---- CONTRACT, SLA POLICY USED ---- */
+  sheet2.addRow([]);
+  sheet2.addRow([`Contract: ${contract.name} — ${describeContract(contract)}`]).font = {
+    italic: true,
+  };
+  const policyRow = sheet2.addRow([`SLA policy: ${policy.name}`]);
+  policyRow.font = { italic: true };
+  sheet2.addRow([`Thresholds: ${describePolicy(policy)}`]).font = { italic: true };
+  sheet2.addRow([`Clock paused while State is: ${describePauseStates(policy)}`]).font = {
+    italic: true,
+  };
+  sheet2.addRow([`Intervals measured in: ${describeCalendar(calendar)}`]).font = { italic: true };
+  sheet2.addRow([describeDateProfile(dateProfile, dateOrder)]).font = { italic: true };
+  if (applied.length > 0) {
+    sheet2.addRow([
+      `Overrides: ${applied.length} applied — excluded incidents are not counted (see the Overrides sheet)`,
+    ]).font = { italic: true };
+  }
+
+  /* ---- COLUMN WIDTHS ---- */
+  sheet2.columns.forEach(col => (col.width = 18));
+
+  /* =========================
+     SHEET 2b – SUI SLA by dimension (optional)
+  ========================== */
+  if (slaDimension && headers.includes(slaDimension)) {
+    const byValue = summarizeByDimension(rows, slaDimension, contract);
+    addDimensionSheet(wb, byValue, slaDimension, rangeText);
+  }
+
+  /* =========================
+     SHEET 3 – SLA Trend
+  ========================== */
+  const trendSheet = wb.addWorksheet('SLA Trend');
+  const periodLabel = TREND_PERIODS[trendPeriod] || TREND_PERIODS.month;
+  const groups = [...summary.priorities.map(p => p.label), 'All priorities'];
+  const trendCols = 1 + groups.length * 4;
+
+  trendSheet.addRow([`SLA Trend by ${periodLabel.toLowerCase()}${rangeText}`]);
+  trendSheet.mergeCells(1, 1, 1, trendCols);
+  trendSheet.getRow(1).font = { bold: true };
+  trendSheet.getRow(1).alignment = { horizontal: 'center' };
+
+  const trendHeader = [trendPeriod === 'week' ? 'Week of' : periodLabel];
+  for (const g of groups) {
+    const short = g === 'All priorities' ? 'All' : g.split(' ')[0];
+    trendHeader.push(`${short} Total`, `${short} Within SLA`, `${short} Breach`, `${short} Compliance %`);
+  }
+  trendSheet.addRow(trendHeader).font = { bold: true };
+  trendSheet.views = [{ state: 'frozen', xSplit: 1, ySplit: 2 }];
+
+  const buckets = priorityTrend(rows, trendPeriod);
+  for (const b of buckets) {
+    const cells = [b.period];
+    for (const c of [...b.priorities, b]) {
+      // compliance over measured incidents, as the contract scores it; blank when none measured
+      const measured = c.Y + c.N;
+      cells.push(c.total, c.Y, c.N, measured > 0 ? c.Y / measured : null);
+    }
+    trendSheet.addRow(cells);
+  }
+  if (buckets.length === 0) trendSheet.addRow(['No Opened dates to group']).font = { italic: true };
+
+  groups.forEach((g, i) => {
+    const col = 2 + i * 4 + 3;
+    trendSheet.getColumn(col).numFmt = '0.0%';
+    // below the contract target in red
+    const terms = contract.priorities.find(p => p.key === g.split(' ')[0]);
+    if (buckets.length === 0 || !terms || terms.target == null) return;
+    const letter = trendSheet.getColumn(col).letter;
+    trendSheet.addConditionalFormatting({
+      ref: `${letter}3:${letter}${buckets.length + 2}`,
+      rules: [
+        {
+          type: 'cellIs',
+          operator: 'lessThan',
+          formulae: [Number(terms.target) / 100],
+          style: { font: { color: { argb: 'FFC00000' } } },
+        },
+      ],
+    });
+  });
+
+  trendSheet.addRow([]);
+  trendSheet.addRow([
+    `Compliance % = Within SLA / (Within SLA + Breach); blank when nothing in the ${periodLabel.toLowerCase()} was measured.` +
+      (trendPeriod === 'week' ? ' Weeks start on Monday.' : ''),
+  ]).font = { italic: true };
+
+  // charts under the notes, pointing at the table so they follow edits to it
+  if (buckets.length > 0) {
+    const categories = { col: 1, from: 3, to: buckets.length + 2 };
+    const row = trendSheet.rowCount + 1;
+    const allCol = 2 + summary.priorities.length * 4;
+    addChart(wb, {
+      sheet: 'SLA Trend',
+      type: 'line',
+      title: `Compliance % by ${periodLabel.toLowerCase()}`,
+      categories,
+      series: groups.map((_, i) => ({ col: 2 + i * 4 + 3, nameRow: 2 })),
+      anchor: { col: 0, row, width: 9, height: 18 },
+      percent: true,
+    });
+    addChart(wb, {
+      sheet: 'SLA Trend',
+      type: 'column',
+      title: `Within SLA and breaches by ${periodLabel.toLowerCase()}`,
+      categories,
+      series: [
+        { col: allCol + 1, nameRow: 2, color: '63BE7B' },
+        { col: allCol + 2, nameRow: 2, color: 'C00000' },
+      ],
+      anchor: { col: 10, row, width: 9, height: 18 },
+    });
+  }
+
+  trendSheet.getColumn(1).width = 14;
+  for (let c = 2; c <= trendCols; c++) trendSheet.getColumn(c).width = 14;
+
+  /* =========================
+     SHEET 4 – Data Issues
+  ========================== */
+  const sheet3 = wb.addWorksheet('Data Issues');
+  const withSource = issues.some(i => i.source);
+  const issueHeaders = ['Row', 'Number', 'Problem', 'Column', 'Value', 'Effect'];
+  if (withSource) issueHeaders.unshift('Source');
+  sheet3.addRow(issueHeaders).font = { bold: true };
+  sheet3.views = [{ state: 'frozen', ySplit: 1 }];
+
+  for (const issue of issues) {
+    const kind = ISSUE_KINDS[issue.kind] || { label: issue.kind, effect: '' };
+    const cells = [
+      issue.row,
+      issue.number,
+      kind.label,
+      issue.column,
+      issueValueText(issue.value),
+      kind.effect,
+    ];
+    if (withSource) cells.unshift(issue.source);
+    sheet3.addRow(cells);
+  }
+  if (issues.length === 0) sheet3.addRow(['No data issues found']).font = { italic: true };
+
+  issueHeaders.forEach((h, i) => {
+    sheet3.getColumn(i + 1).width = { Row: 8, Problem: 40, Effect: 60, Source: 30 }[h] || 20;
+  });
+
+  /* =========================
+     SHEET 5 – Overrides
+  ========================== */
+  const sheet5 = wb.addWorksheet('Overrides');
+  const zone = dateProfile.displayTimeZone;
+  const when = at => (at ? formatIso(new Date(at), zone) : '');
+  const overrideCells = o => [
+    o.number,
+    overrideScope(o),
+    OVERRIDE_ACTIONS[o.action] || o.action,
+    REASON_CODES[o.reason] || o.reason,
+    o.comment || '',
+    o.by || '',
+    when(o.at),
+  ];
+
+  sheet5.addRow([
+    'Number',
+    'Scope',
+    'Override',
+    'Reason',
+    'Comment',
+    'Set by',
+    'Set at',
+    'Made SLA before',
+    'Made SLA after',
+  ]).font = { bold: true };
+  sheet5.views = [{ state: 'frozen', ySplit: 1 }];
+  for (const a of applied)
+    sheet5.addRow([...overrideCells(a.override), slaText(a.before), slaText(a.after)]);
+  for (const o of unmatched)
+    sheet5.addRow([...overrideCells(o), '', 'Not applied — not in this data']);
+  if (overrides.length === 0) sheet5.addRow(['No overrides']).font = { italic: true };
+
+  if (overrideLog.length > 0) {
+    sheet5.addRow([]);
+    sheet5.addRow(['Change history']).font = { bold: true };
+    sheet5.addRow(['When', 'Who', 'Change', 'Number', 'Scope', 'Override', 'Reason', 'Comment']).font = {
+      bold: true,
+    };
+    for (const e of overrideLog) {
+      sheet5.addRow([
+        when(e.at),
+        e.by || '',
+        e.change === 'removed' ? 'Removed' : 'Set',
+        e.number,
+        overrideScope(e),
+        OVERRIDE_ACTIONS[e.action] || e.action,
+        REASON_CODES[e.reason] || e.reason,
+        e.comment || '',
+      ]);
+    }
+  }
+  [14, 14, 22, 30, 40, 16, 20, 16, 30].forEach((w, i) => (sheet5.getColumn(i + 1).width = w));
+
+  /* =========================
+     SHEET 6 – Comparison (optional)
+  ========================== */
+  if (comparison) addComparisonSheet(wb, comparison);
+
+  /* =========================
+     SHEET 7 – Pivot (optional)
+  ========================== */
+  if (pivotKeys.length > 0) addPivotSheet(wb, buildPivot(rows, headers, pivotKeys), rangeText);
+
+  return wb;
+
+  /* =========================
+     CELL STYLING HELPERS
+  ========================== */
+  function styleRow(row, greenCredit) {
+    // RIGHT aligned numeric / percentage columns
+    [2, 3, 4, 5, 6, 8].forEach(c => {
+      row.getCell(c).alignment = { horizontal: 'right', vertical: 'middle' };
+    });
+
+    row.getCell(9).alignment = { horizontal: 'left', vertical: 'middle' };
+
+    // CENTER aligned Compliance column (Y / N)
+    row.getCell(7).alignment = { horizontal: 'center', vertical: 'middle' };
+    row.getCell(8).alignment = { horizontal: 'left', vertical: 'middle' };
+
+    // Credit color
+    row.getCell(8).fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: greenCredit ? 'FF92D050' : 'FFFF0000' },
+    };
+  }
+}
+
+// Comparison sheet: before / after SUI SLA figures per priority, then the incident lists
+function addComparisonSheet(wb, comparison) {
+  const { before, after, priorities, total, changed, added, removed } = comparison;
+  const sheet = wb.addWorksheet('Comparison');
+  const sameCurrency = total.creditChange != null;
+  const money = (contract) => (contract.currency ? ` (${contract.currency})` : '');
+
+  sheet.addRow([`Comparison: ${before.label} → ${after.label}`]);
+  sheet.mergeCells(1, 1, 1, 12);
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).alignment = { horizontal: 'center' };
+
+  sheet.addRow([
+    'Priority/SLA',
+    'Before Total',
+    'Before Within SLA %',
+    'Before Breach',
+    `Before Credit${money(before.contract)}`,
+    'After Total',
+    'After Within SLA %',
+    'After Breach',
+    `After Credit${money(after.contract)}`,
+    'Total change',
+    'Within SLA change',
+    'Credit change',
+  ]).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 2 }];
+
+  const pct = (v) => (v == null ? null : v / 100);
+  for (const p of priorities) {
+    sheet.addRow([
+      p.label,
+      p.before.total,
+      pct(p.before.withinPct),
+      p.before.N,
+      p.before.creditAmount,
+      p.after.total,
+      pct(p.after.withinPct),
+      p.after.N,
+      p.after.creditAmount,
+      p.totalChange,
+      p.withinChange,
+      p.creditChange,
+    ]);
+  }
+  const totalRow = sheet.addRow([
+    'Total',
+    before.summary.total,
+    pct(before.withinPct),
+    before.summary.N,
+    before.summary.credit.total,
+    after.summary.total,
+    pct(after.withinPct),
+    after.summary.N,
+    after.summary.credit.total,
+    total.totalChange,
+    total.withinChange,
+    total.creditChange,
+  ]);
+  totalRow.font = { bold: true };
+
+  [3, 7].forEach(c => (sheet.getColumn(c).numFmt = '0.0%'));
+  [5, 9, 12].forEach(c => (sheet.getColumn(c).numFmt = '#,##0.00'));
+  sheet.getColumn(10).numFmt = '+0;-0;0';
+  sheet.getColumn(11).numFmt = '+0.0" pp";-0.0" pp";"no change"';
+
+  // worse within SLA % in red, better in green
+  const font = argb => ({ font: { color: { argb } } });
+  sheet.addConditionalFormatting({
+    ref: `K3:K${priorities.length + 3}`,
+    rules: [
+      { type: 'cellIs', operator: 'lessThan', formulae: [0], style: font('FFC00000') },
+      { type: 'cellIs', operator: 'greaterThan', formulae: [0], style: font('FF008000') },
+    ],
+  });
+
+  sheet.addRow([]);
+  sheet.addRow([
+    'Within SLA % = Within SLA / incidents of the priority (total row: of all incidents); changes in percentage points, blank when a side had no incidents.',
+  ]).font = { italic: true };
+  sheet.addRow([
+    `Before: ${before.incidents} incidents, contract ${before.contract.name}. After: ${after.incidents} incidents, contract ${after.contract.name}.` +
+      (sameCurrency ? '' : ' The contracts use different currencies, so credit changes are left blank.'),
+  ]).font = { italic: true };
+
+  function section(title, headers, items, cells) {
+    sheet.addRow([]);
+    sheet.addRow([`${title} (${items.length})`]).font = { bold: true };
+    sheet.addRow(headers).font = { bold: true };
+    for (const item of items) sheet.addRow(cells(item));
+    if (items.length === 0) sheet.addRow(['None']).font = { italic: true };
+  }
+
+  section(
+    'Changed SLA outcome',
+    ['Number', 'Priority', 'Made SLA before', 'Made SLA after', 'Priority before'],
+    changed,
+    c => [
+      c.number,
+      c.priority,
+      outcomeLabel(c.before),
+      outcomeLabel(c.after),
+      c.beforePriority !== c.priority ? c.beforePriority : '',
+    ]
+  );
+  const incidentCells = i => [i.number, i.priority, i.opened, outcomeLabel(i.outcome)];
+  section('New incidents', ['Number', 'Priority', 'Opened Date', 'Made SLA'], added, incidentCells);
+  section('Gone incidents', ['Number', 'Priority', 'Opened Date', 'Made SLA'], removed, incidentCells);
+
+  sheet.getColumn(1).width = 18;
+  for (let c = 2; c <= 12; c++) sheet.getColumn(c).width = 16;
+}
+
+// Pivot sheet: one line per group, key values in their own columns, sub-groups under their group
+function addPivotSheet(wb, pivot, rangeText) {
+  const { keys, groups, total } = pivot;
+  const sheet = wb.addWorksheet('Pivot');
+  const width = keys.length + 7;
+
+  sheet.addRow([`Pivot by ${keys.join(' › ')}${rangeText}`]);
+  sheet.mergeCells(1, 1, 1, width);
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).alignment = { horizontal: 'center' };
+
+  sheet.addRow([
+    ...keys,
+    'Incidents',
+    'Within SLA',
+    '% Within SLA',
+    'Breached',
+    'Excluded',
+    'Avg interval',
+    'Max interval',
+  ]).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 2, xSplit: keys.length }];
+
+  const duration = ms => (ms == null ? null : ms / DAY_MS);
+  const statCells = s => [
+    s.count,
+    s.Y,
+    s.withinPct == null ? null : s.withinPct / 100,
+    s.N,
+    s.excluded,
+    duration(s.avgInterval),
+    duration(s.maxInterval),
+  ];
+  const addGroups = list => {
+    for (const g of list) {
+      const keyCells = keys.map((_, i) => (i === g.depth ? g.value ?? '(blank)' : null));
+      const row = sheet.addRow([...keyCells, ...statCells(g.stats)]);
+      // groups that have sub-groups read as subtotals
+      if (g.children.length > 0) row.font = { bold: true };
+      addGroups(g.children);
+    }
+  };
+  addGroups(groups);
+  const totalRow = sheet.addRow(['Total', ...keys.slice(1).map(() => null), ...statCells(total)]);
+  totalRow.font = { bold: true };
+
+  sheet.addRow([]);
+  sheet.addRow([
+    '% Within SLA = Within SLA / incidents not excluded; intervals are over every Interval N of the group\'s incidents.',
+  ]).font = { italic: true };
+
+  keys.forEach((_, i) => (sheet.getColumn(i + 1).width = 18));
+  for (let c = keys.length + 1; c <= width; c++) sheet.getColumn(c).width = 14;
+  sheet.getColumn(keys.length + 3).numFmt = '0.0%';
+  [keys.length + 6, keys.length + 7].forEach(c => (sheet.getColumn(c).numFmt = '[h]:mm:ss'));
+}
+
+// Worksheet names are at most 31 characters, without : \\ / ? * [ ]
+function sheetName(name) {
+  return name.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31);
+}
+
+// SUI SLA by <dimension>: an overview of breaches per value, then one SUI SLA table per value
+function addDimensionSheet(wb, byValue, dimension, rangeText) {
+  const sheet = wb.addWorksheet(sheetName(`SUI SLA by ${dimension}`));
+  const label = value => value || '(blank)';
+  const pct = (n, total) => (total > 0 ? ((n / total) * 100).toFixed(1) + '%' : 'N/A');
+
+  sheet.addRow([`SUI SLA by ${dimension}${rangeText}`]);
+  sheet.mergeCells(1, 1, 1, 7);
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).alignment = { horizontal: 'center' };
+
+  sheet.addRow([
+    dimension,
+    'Total Incident',
+    'Within SLA',
+    '% for Within SLA',
+    'Breach',
+    'Share of breaches',
+    'Compliance',
+  ]).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 2 }];
+  for (const { value, summary, breachShare } of byValue) {
+    const measured = summary.priorities.filter(p => p.total > 0);
+    sheet.addRow([
+      label(value),
+      summary.total,
+      summary.Y,
+      pct(summary.Y, summary.total),
+      summary.N,
+      breachShare == null ? 'N/A' : breachShare.toFixed(1) + '%',
+      measured.every(p => p.compliant) ? 'Y' : 'N',
+    ]);
+  }
+
+  for (const { value, summary } of byValue) {
+    sheet.addRow([]);
+    sheet.addRow([`${dimension}: ${label(value)}`]).font = { bold: true };
+    sheet.addRow([
+      'Priority/SLA',
+      'Total Incident',
+      'Within SLA',
+      '% for Within SLA',
+      'Breach',
+      'Breach %',
+      'Compliance',
+    ]).font = { bold: true };
+    for (const p of summary.priorities) {
+      sheet.addRow(
+        p.total === 0
+          ? [p.label, 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'Y']
+          : [
+              p.label,
+              p.total,
+              p.Y,
+              p.withinPct.toFixed(1) + '%',
+              p.N,
+              p.breachPct.toFixed(1) + '%',
+              p.compliant ? 'Y' : 'N',
+            ]
+      );
+    }
+    sheet.addRow([
+      'Total',
+      summary.total,
+      summary.Y,
+      pct(summary.Y, summary.total),
+      summary.N,
+      pct(summary.N, summary.total),
+      '',
+    ]).font = { bold: true };
+  }
+
+  sheet.addRow([]);
+  sheet.addRow([
+    `Compliance: every priority of the ${dimension.toLowerCase()} meets its contract target. Breach % is of the ${dimension.toLowerCase()}'s incidents.`,
+  ]).font = { italic: true };
+  sheet.getColumn(1).width = 28;
+  for (let c = 2; c <= 7; c++) sheet.getColumn(c).width = 18;
+}
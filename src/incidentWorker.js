@@ -0,0 +1,143 @@
+// src/incidentWorker.js
+/* eslint-disable no-restricted-globals */
+import {
+  listSheets,
+  parseWorkbook,
+  mergeSources,
+  processRows,
+  sourceRowsAt,
+} from './incidentPipeline';
+import { buildWorkbookExcelJS } from './incidentWorkbook';
+import { writeWorkbookBuffer } from './workbookCharts';
+import { readInputFile } from './inputFormats';
+
+/*
+  Web Worker running the processing pipeline off the main thread
+  - { type: 'headers', files } -> { type: 'done', result: [{ name, format, csv, sheets: [{ name, headers }], error }] }
+  - { type: 'process', sources: [{ file, sheets }], policy, calendar, dateProfile, mapping, extraColumns }
+      -> { type: 'done', result: { headers, data, issues, dateOrder, groupedRows, merge: { sources, sourceRows, duplicates } } }
+  - { type: 'source-rows', sources, mapping, indices } (the sources and mapping of a process job,
+      indices from its groupedRows) -> { type: 'done', result: [{ source, row, values }] }
+  - { type: 'build', headers, data, issues, dateOrder, policy, calendar, dateProfile, contract, trendPeriod,
+      overrides, overrideLog, comparison, pivotKeys, slaDimension }
+      -> { type: 'done', result: ArrayBuffer } (comparison: a compareRuns result for the Comparison sheet;
+      pivotKeys: group keys for the Pivot sheet; slaDimension: column of the SUI SLA by ... sheet)
+  - progress is posted as { type: 'progress', phase, done, total }; failures as { type: 'error', message }
+*/
+
+function postProgress(phase, done = 0, total = 0) {
+  self.postMessage({ type: 'progress', phase, done, total });
+}
+
+function errorMessage(err) {
+  return err && err.message ? err.message : String(err);
+}
+
+async function handleHeaders({ files }) {
+  const result = [];
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    postProgress('reading', i, files.length);
+    try {
+      const buffer = await file.arrayBuffer();
+      const { workbook, format, csv } = readInputFile(buffer, file.name, { sheetRows: 2 });
+      result.push({ name: file.name, format, csv, sheets: listSheets(workbook), error: null });
+    } catch (err) {
+      result.push({ name: file.name, format: null, csv: null, sheets: [], error: errorMessage(err) });
+    }
+  }
+  self.postMessage({ type: 'done', result });
+}
+
+// Reads, parses and merges the sources the same way for every job that needs their rows
+async function readSources(sources, mapping) {
+  const parsed = [];
+  const dateColumns = new Set();
+  for (let i = 0; i < sources.length; i++) {
+    const { file, sheets } = sources[i];
+    postProgress('reading', i, sources.length);
+    const buffer = await file.arrayBuffer();
+    postProgress('parsing', i, sources.length);
+    const { workbook, format } = readInputFile(buffer, file.name);
+    for (const sheet of sheets) {
+      const { rows, dateColumns: dates } = parseWorkbook(workbook, sheet);
+      dates.forEach((c) => dateColumns.add(c));
+      // a CSV has a single unnamed sheet, so the file name is enough
+      parsed.push({ label: format === 'csv' ? file.name : `${file.name} › ${sheet}`, rows });
+    }
+  }
+  const { rows, origins, rowNumbers, duplicates } = mergeSources(parsed, mapping);
+  return {
+    parsed,
+    dateColumns: [...dateColumns],
+    rows,
+    origins: parsed.length > 1 ? origins : null,
+    rowNumbers,
+    duplicates,
+  };
+}
+
+async function handleProcess({ sources, policy, calendar, dateProfile, mapping, extraColumns }) {
+  const { parsed, dateColumns, rows, origins, rowNumbers, duplicates } = await readSources(
+    sources,
+    mapping
+  );
+  const result = processRows(rows, {
+    policy,
+    calendar,
+    dateProfile,
+    mapping,
+    extraColumns,
+    dateColumns,
+    origins,
+    rowNumbers,
+    onProgress: (p) => postProgress(p.phase, p.done, p.total),
+  });
+  result.merge = {
+    sources: parsed.length,
+    sourceRows: parsed.reduce((n, p) => n + p.rows.length, 0),
+    duplicates,
+  };
+  self.postMessage({ type: 'done', result });
+}
+
+// Only the rows asked for go back, so the preview never holds the whole source
+async function handleSourceRows({ sources, mapping, indices }) {
+  const { rows, origins, rowNumbers } = await readSources(sources, mapping);
+  self.postMessage({ type: 'done', result: sourceRowsAt(rows, indices, { origins, rowNumbers }) });
+}
+
+async function handleBuild(msg) {
+  const { headers, data, issues, dateOrder, policy, calendar, dateProfile, contract } = msg;
+  const { trendPeriod, overrides, overrideLog, comparison, pivotKeys, slaDimension } = msg;
+  postProgress('writing');
+  const wb = await buildWorkbookExcelJS(headers, data, policy, calendar, {
+    issues,
+    dateProfile,
+    dateOrder,
+    contract,
+    trendPeriod,
+    overrides,
+    overrideLog,
+    comparison,
+    pivotKeys,
+    slaDimension,
+  });
+  const buf = await writeWorkbookBuffer(wb);
+  // writeBuffer may return a view over a larger buffer
+  const out = buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+  self.postMessage({ type: 'done', result: out }, [out]);
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data || {};
+  try {
+    if (msg.type === 'headers') await handleHeaders(msg);
+    else if (msg.type === 'process') await handleProcess(msg);
+    else if (msg.type === 'source-rows') await handleSourceRows(msg);
+    else if (msg.type === 'build') await handleBuild(msg);
+    else throw new Error(`Unknown job type: ${msg.type}`);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: errorMessage(err) });
+  }
+};
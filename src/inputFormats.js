@@ -0,0 +1,166 @@
+// src/inputFormats.js
+import * as XLSX from 'xlsx';
+
+/*
+  Input formats accepted by the pipeline: .xlsx/.xlsm, .xls, .ods and .csv
+  - validateInputFile: quick extension/size check before anything is read
+  - readInputFile: bytes -> SheetJS workbook, with format-specific error messages
+  - CSV text is decoded (BOM / UTF-8 / Windows-1252) and its delimiter detected before parsing;
+    values are kept as text so dates go through parseToDate like the other formats
+*/
+
+export const INPUT_FORMATS = {
+  xlsx: { label: 'Excel workbook (.xlsx)', extensions: ['.xlsx', '.xlsm'] },
+  xls: { label: 'Excel 97-2003 workbook (.xls)', extensions: ['.xls'] },
+  ods: { label: 'OpenDocument spreadsheet (.ods)', extensions: ['.ods'] },
+  csv: { label: 'CSV file (.csv)', extensions: ['.csv'] },
+};
+
+export const ACCEPTED_EXTENSIONS = Object.values(INPUT_FORMATS)
+  .flatMap((f) => f.extensions)
+  .join(',');
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+export function detectFormat(fileName) {
+  const fn = String(fileName || '').toLowerCase();
+  for (const [key, f] of Object.entries(INPUT_FORMATS))
+    if (f.extensions.some((ext) => fn.endsWith(ext))) return key;
+  return null;
+}
+
+// { ok, format, error } from the file name and size alone
+export function validateInputFile(file) {
+  if (!file) return { ok: false, format: null, error: 'No file selected' };
+  const format = detectFormat(file.name);
+  if (!format) {
+    return {
+      ok: false,
+      format: null,
+      error: 'Unsupported file type. Choose an .xlsx, .xls, .ods or .csv file.',
+    };
+  }
+  if (file.size === 0) return { ok: false, format, error: `${file.name} is empty.` };
+  return { ok: true, format, error: null };
+}
+
+// --- Content checks ---
+
+function startsWith(bytes, sig) {
+  return sig.every((b, i) => bytes[i] === b);
+}
+
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04]; // xlsx, ods
+const OLE_MAGIC = [0xd0, 0xcf, 0x11, 0xe0]; // xls (and encrypted xlsx)
+
+function contentError(bytes, format, name) {
+  const isZip = startsWith(bytes, ZIP_MAGIC);
+  const isOle = startsWith(bytes, OLE_MAGIC);
+  if (format === 'csv' && (isZip || isOle))
+    return `${name} is a spreadsheet, not CSV text. Rename it with the right extension (.xlsx, .xls or .ods).`;
+  if (format === 'xlsx' && !isZip) {
+    if (isOle)
+      return `${name} is password-protected or an old .xls workbook saved as .xlsx. Remove the password or rename it to .xls.`;
+    return `${name} is not a valid .xlsx workbook (it may be damaged, or a CSV/HTML export renamed to .xlsx).`;
+  }
+  if (format === 'ods' && !isZip)
+    return `${name} is not a valid .ods spreadsheet (it may be damaged or renamed).`;
+  return null;
+}
+
+// --- CSV ---
+
+// { text, encoding } from raw bytes
+export function decodeText(bytes) {
+  if (startsWith(bytes, [0xef, 0xbb, 0xbf]))
+    return { text: new TextDecoder('utf-8').decode(bytes.subarray(3)), encoding: 'UTF-8 (BOM)' };
+  if (startsWith(bytes, [0xff, 0xfe]))
+    return { text: new TextDecoder('utf-16le').decode(bytes.subarray(2)), encoding: 'UTF-16 LE' };
+  if (startsWith(bytes, [0xfe, 0xff]))
+    return { text: new TextDecoder('utf-16be').decode(bytes.subarray(2)), encoding: 'UTF-16 BE' };
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'UTF-8' };
+  } catch (e) {
+    // not valid UTF-8: Excel on Windows writes CSV in the ANSI code page
+    return { text: new TextDecoder('windows-1252').decode(bytes), encoding: 'Windows-1252' };
+  }
+}
+
+// Delimiter counts per line, ignoring anything inside double quotes
+function countDelimiters(line, delim) {
+  let n = 0;
+  let quoted = false;
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && ch === delim) n++;
+  }
+  return n;
+}
+
+// Delimiter that splits the first lines most consistently (defaults to ',')
+export function detectDelimiter(text) {
+  const lines = text.split(/\r\n|\n|\r/).filter((l) => l.trim() !== '').slice(0, 20);
+  let best = ',';
+  let bestScore = 0;
+  for (const d of CSV_DELIMITERS) {
+    const counts = lines.map((l) => countDelimiters(l, d));
+    const min = Math.min(...counts);
+    if (!(counts[0] > 0)) continue;
+    // every line should split the same way; fall back to the header's count
+    const consistent = counts.filter((c) => c === counts[0]).length / counts.length;
+    const score = consistent * 10 + Math.min(min, counts[0]);
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+export function describeDelimiter(d) {
+  return { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' }[d] || JSON.stringify(d);
+}
+
+/**
+ * Read input bytes (ArrayBuffer, Uint8Array or Node Buffer) as a workbook.
+ * Returns { workbook, format, csv } where csv is { encoding, delimiter } for CSV input.
+ * Throws an Error with a user-facing message when the file cannot be used.
+ */
+export function readInputFile(data, fileName, { sheetRows } = {}) {
+  const name = fileName || 'The file';
+  const format = detectFormat(fileName);
+  if (!format) throw new Error(`${name}: unsupported file type.`);
+
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (bytes.length === 0) throw new Error(`${name} is empty.`);
+
+  const problem = contentError(bytes, format, name);
+  if (problem) throw new Error(problem);
+
+  // dates stay Excel serials; parseToDate reads them in the profile's source time zone
+  // (cellNF keeps their number formats, so parseWorkbook can tell date columns apart)
+  const opts = {};
+  if (sheetRows) opts.sheetRows = sheetRows;
+
+  let workbook;
+  let csv = null;
+  try {
+    if (format === 'csv') {
+      const { text, encoding } = decodeText(bytes);
+      const delimiter = detectDelimiter(text);
+      csv = { encoding, delimiter };
+      workbook = XLSX.read(text, { ...opts, type: 'string', FS: delimiter, raw: true });
+    } else {
+      workbook = XLSX.read(bytes, { ...opts, type: 'array', cellNF: true });
+    }
+  } catch (err) {
+    const msg = err && err.message ? err.message : String(err);
+    if (/password|encrypt/i.test(msg))
+      throw new Error(`${name} is password-protected. Remove the password and try again.`);
+    throw new Error(`Could not read ${name} as ${INPUT_FORMATS[format].label}: ${msg}`);
+  }
+
+  if (!workbook.SheetNames || workbook.SheetNames.length === 0)
+    throw new Error(`${name} does not contain any sheets.`);
+  return { workbook, format, csv };
+}
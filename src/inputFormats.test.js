@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+import * as XLSX from 'xlsx';
+import {
+  detectFormat,
+  validateInputFile,
+  detectDelimiter,
+  decodeText,
+  readInputFile,
+} from './inputFormats';
+import { parseWorkbook, processRows } from './incidentPipeline';
+import { slaText } from './columnModel';
+import { INCIDENT_SHEET } from './__fixtures__/incidents';
+
+function fixtureBytes(bookType) {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(INCIDENT_SHEET), 'Export');
+  return XLSX.write(wb, { type: 'buffer', bookType });
+}
+
+function fixtureCsv(delim) {
+  return INCIDENT_SHEET.map((r) =>
+    r.map((v) => (String(v).includes(delim) ? `"${v}"` : v)).join(delim)
+  ).join('\r\n');
+}
+
+const numbers = (workbook) =>
+  processRows(parseWorkbook(workbook).rows).data.map((r) => `${r.Number}:${slaText(r['Made SLA'])}`);
+
+const EXPECTED = ['INC001:Y', 'INC002:N', 'INC003:N', 'INC004:'];
+
+test('detectFormat and validateInputFile', () => {
+  expect(detectFormat('Export.XLSX')).toBe('xlsx');
+  expect(detectFormat('legacy.xls')).toBe('xls');
+  expect(detectFormat('data.ods')).toBe('ods');
+  expect(detectFormat('data.csv')).toBe('csv');
+  expect(detectFormat('notes.txt')).toBeNull();
+  expect(validateInputFile({ name: 'notes.txt', size: 10 }).error).toMatch(/Unsupported/);
+  expect(validateInputFile({ name: 'a.csv', size: 0 }).error).toMatch(/empty/);
+  expect(validateInputFile({ name: 'a.csv', size: 5 }).ok).toBe(true);
+});
+
+test.each(['xlsx', 'xls', 'ods'])('reads %s workbooks', (fmt) => {
+  const bookType = fmt === 'xls' ? 'biff8' : fmt;
+  const { workbook, format, csv } = readInputFile(fixtureBytes(bookType), `export.${fmt}`);
+  expect(format).toBe(fmt);
+  expect(csv).toBeNull();
+  expect(numbers(workbook)).toEqual(EXPECTED);
+});
+
+test.each([',', ';', '\t', '|'])('reads CSV delimited by %p', (delim) => {
+  const { workbook, csv } = readInputFile(Buffer.from(fixtureCsv(delim), 'utf8'), 'export.csv');
+  expect(csv).toEqual({ encoding: 'UTF-8', delimiter: delim });
+  expect(numbers(workbook)).toEqual(EXPECTED);
+});
+
+test('detectDelimiter ignores delimiters inside quotes', () => {
+  expect(detectDelimiter('a;b;c\n"x, y, z";2;3\n')).toBe(';');
+});
+
+test('decodeText handles BOMs and Windows-1252', () => {
+  expect(decodeText(new Uint8Array([0xef, 0xbb, 0xbf, 0x41]))).toEqual({
+    text: 'A',
+    encoding: 'UTF-8 (BOM)',
+  });
+  expect(decodeText(new Uint8Array([0xff, 0xfe, 0x41, 0x00])).text).toBe('A');
+  // "Café" in Windows-1252
+  expect(decodeText(new Uint8Array([0x43, 0x61, 0x66, 0xe9]))).toEqual({
+    text: 'Café',
+    encoding: 'Windows-1252',
+  });
+});
+
+test('format-specific errors', () => {
+  expect(() => readInputFile(fixtureBytes('xlsx'), 'export.csv')).toThrow(/not CSV text/);
+  expect(() => readInputFile(Buffer.from('a,b\n1,2'), 'export.xlsx')).toThrow(
+    /not a valid \.xlsx/
+  );
+  expect(() => readInputFile(Buffer.from('a,b\n1,2'), 'export.ods')).toThrow(/not a valid \.ods/);
+  expect(() => readInputFile(Buffer.alloc(0), 'export.xls')).toThrow(/empty/);
+});
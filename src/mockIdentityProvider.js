@@ -0,0 +1,221 @@
+// src/mockIdentityProvider.js
+import { base64UrlEncode, pkceChallenge, randomToken } from './pkce';
+
+/*
+  Local mock OpenID Connect identity provider, for development and tests
+  - Answers discovery, token (authorization code + PKCE S256 only), userinfo and revocation
+    requests through a fetch-compatible function, so auth.js talks to it as to a real provider
+  - The authorization endpoint is the /mock-idp/authorize page (MockIdpLoginPage), which checks
+    a test account's password and redirects back to the app with a one-time code
+  - Codes and issued tokens are kept in localStorage so the flow survives the redirect; tokens
+    stop working when they expire or are revoked
+  - ID tokens are unsigned (alg "none"): never use this provider for a real deployment
+*/
+
+const STORE_KEY = 'erp_mock_idp';
+const CODE_LIFETIME_MS = 60 * 1000;
+
+// One test account per role (see roles.js)
+export const MOCK_USERS = [
+  {
+    username: 'admin',
+    password: 'admin',
+    name: 'Admin (mock)',
+    email: 'admin@example.com',
+    roles: ['contract-admin'],
+  },
+  {
+    username: 'analyst',
+    password: 'analyst',
+    name: 'Analyst (mock)',
+    email: 'analyst@example.com',
+    roles: ['analyst'],
+  },
+  {
+    username: 'viewer',
+    password: 'viewer',
+    name: 'Viewer (mock)',
+    email: 'viewer@example.com',
+    roles: ['viewer'],
+  },
+];
+
+function readStore() {
+  try {
+    const raw = localStorage.getItem(STORE_KEY);
+    const store = raw ? JSON.parse(raw) : null;
+    if (store && typeof store === 'object') return { codes: {}, tokens: {}, ...store };
+  } catch (e) {
+    /* ignore corrupt storage */
+  }
+  return { codes: {}, tokens: {} };
+}
+
+function writeStore(store) {
+  try {
+    localStorage.setItem(STORE_KEY, JSON.stringify(store));
+  } catch (e) {
+    /* ignore */
+  }
+}
+
+function respond(status, body) {
+  return { ok: status >= 200 && status < 300, status, json: async () => body };
+}
+
+function unsignedJwt(claims) {
+  const part = (obj) => base64UrlEncode(new TextEncoder().encode(JSON.stringify(obj)));
+  return `${part({ alg: 'none', typ: 'JWT' })}.${part(claims)}.`;
+}
+
+/**
+ * Mock provider for one client. Options: { issuer, clientId, redirectUri, users, tokenLifetime
+ * (seconds), now }. Returns { metadata, authorize, fetch, isTokenActive }.
+ */
+export function createMockIdentityProvider({
+  issuer,
+  clientId,
+  redirectUri,
+  users = MOCK_USERS,
+  tokenLifetime = 3600,
+  now = () => Date.now(),
+}) {
+  const metadata = {
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    revocation_endpoint: `${issuer}/revoke`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    code_challenge_methods_supported: ['S256'],
+    id_token_signing_alg_values_supported: ['none'],
+  };
+
+  function claimsFor(user) {
+    return {
+      sub: user.username,
+      preferred_username: user.username,
+      name: user.name,
+      email: user.email,
+      roles: user.roles || [],
+    };
+  }
+
+  // Drops expired codes and tokens so the store does not grow forever
+  function prunedStore() {
+    const store = readStore();
+    const t = now();
+    for (const [k, c] of Object.entries(store.codes)) if (c.expiresAt <= t) delete store.codes[k];
+    for (const [k, tok] of Object.entries(store.tokens)) if (tok.expiresAt <= t) delete store.tokens[k];
+    return store;
+  }
+
+  /**
+   * Handle a sign-in on the authorization page. params are the authorization request's query
+   * parameters. Returns the URL to redirect back to; throws for a bad request, or with
+   * err.code 'invalid_credentials' for a wrong user name or password.
+   */
+  function authorize(params, username, password) {
+    const get = (k) => (params instanceof URLSearchParams ? params.get(k) : params[k]) || '';
+    if (get('client_id') !== clientId) throw new Error(`Unknown client "${get('client_id')}".`);
+    if (get('redirect_uri') !== redirectUri)
+      throw new Error(`The redirect URI "${get('redirect_uri')}" is not registered for this client.`);
+    if (get('response_type') !== 'code') throw new Error('Only the authorization code flow is supported.');
+    if (!get('code_challenge') || get('code_challenge_method') !== 'S256')
+      throw new Error('A PKCE code challenge (S256) is required.');
+
+    const user = users.find((u) => u.username === username && u.password === password);
+    if (!user) {
+      const err = new Error('Invalid credentials');
+      err.code = 'invalid_credentials';
+      throw err;
+    }
+
+    const store = prunedStore();
+    const code = randomToken();
+    store.codes[code] = {
+      username: user.username,
+      challenge: get('code_challenge'),
+      nonce: get('nonce'),
+      expiresAt: now() + CODE_LIFETIME_MS,
+    };
+    writeStore(store);
+    const back = new URL(redirectUri);
+    back.search = new URLSearchParams({ code, state: get('state') }).toString();
+    return back.toString();
+  }
+
+  async function token(form) {
+    if (form.get('grant_type') !== 'authorization_code')
+      return respond(400, { error: 'unsupported_grant_type' });
+    if (form.get('client_id') !== clientId || form.get('redirect_uri') !== redirectUri)
+      return respond(400, { error: 'invalid_client' });
+
+    const store = prunedStore();
+    const entry = store.codes[form.get('code')];
+    // a code is good for one exchange, whatever the outcome
+    delete store.codes[form.get('code')];
+    writeStore(store);
+    if (!entry)
+      return respond(400, { error: 'invalid_grant', error_description: 'The sign-in code is invalid or expired.' });
+    if ((await pkceChallenge(form.get('code_verifier') || '')) !== entry.challenge)
+      return respond(400, { error: 'invalid_grant', error_description: 'PKCE verification failed.' });
+
+    const user = users.find((u) => u.username === entry.username);
+    const issuedAt = Math.floor(now() / 1000);
+    const accessToken = randomToken();
+    store.tokens[accessToken] = {
+      username: user.username,
+      expiresAt: now() + tokenLifetime * 1000,
+    };
+    writeStore(store);
+    return respond(200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: tokenLifetime,
+      id_token: unsignedJwt({
+        iss: issuer,
+        aud: clientId,
+        iat: issuedAt,
+        exp: issuedAt + tokenLifetime,
+        nonce: entry.nonce,
+        ...claimsFor(user),
+      }),
+    });
+  }
+
+  function isTokenActive(accessToken) {
+    const entry = prunedStore().tokens[accessToken];
+    return !!entry && !entry.revoked;
+  }
+
+  function userinfo(headers) {
+    const auth = (headers && (headers.Authorization || headers.authorization)) || '';
+    const accessToken = auth.replace(/^Bearer\s+/i, '');
+    if (!isTokenActive(accessToken)) return respond(401, { error: 'invalid_token' });
+    const entry = readStore().tokens[accessToken];
+    return respond(200, claimsFor(users.find((u) => u.username === entry.username)));
+  }
+
+  // RFC 7009: the answer is 200 whether or not the token was known
+  function revoke(form) {
+    const store = prunedStore();
+    const entry = store.tokens[form.get('token')];
+    if (entry) entry.revoked = true;
+    writeStore(store);
+    return respond(200, {});
+  }
+
+  async function mockFetch(url, init = {}) {
+    const path = String(url).startsWith(issuer) ? String(url).slice(issuer.length).split('?')[0] : null;
+    const form = new URLSearchParams(init.body || '');
+    if (path === '/.well-known/openid-configuration') return respond(200, metadata);
+    if (path === '/token' && init.method === 'POST') return token(form);
+    if (path === '/userinfo') return userinfo(init.headers);
+    if (path === '/revoke' && init.method === 'POST') return revoke(form);
+    return respond(404, { error: 'not_found' });
+  }
+
+  return { metadata, authorize, fetch: mockFetch, isTokenActive };
+}
@@ -0,0 +1,62 @@
+// src/pipelineClient.js
+/*
+  Main-thread side of the processing worker
+  - Each job gets its own worker, so cancelling is just terminate()
+  - runPipelineJob returns { promise, cancel }; a cancelled job rejects with err.cancelled = true
+*/
+
+export const PROGRESS_LABELS = {
+  reading: 'Reading file',
+  parsing: 'Parsing workbook',
+  grouping: 'Grouping rows',
+  building: 'Computing SLA intervals',
+  writing: 'Writing workbook',
+};
+
+// what progress.done / progress.total count in each phase
+export const PROGRESS_UNITS = {
+  reading: 'files',
+  parsing: 'files',
+};
+
+export function runPipelineJob(type, payload, onProgress) {
+  const worker = new Worker(new URL('./incidentWorker.js', import.meta.url));
+  let settled = false;
+  let rejectJob;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectJob = reject;
+
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        if (!settled && onProgress) onProgress(msg);
+        return;
+      }
+      settled = true;
+      worker.terminate();
+      if (msg.type === 'error') reject(new Error(msg.message));
+      else resolve(msg.result);
+    };
+
+    worker.onerror = (e) => {
+      if (settled) return;
+      settled = true;
+      worker.terminate();
+      reject(new Error(e.message || 'Processing worker failed'));
+    };
+
+    worker.postMessage({ type, ...payload });
+  });
+
+  function cancel() {
+    if (settled) return;
+    settled = true;
+    worker.terminate();
+    const err = new Error('Processing cancelled');
+    err.cancelled = true;
+    rejectJob(err);
+  }
+
+  return { promise, cancel };
+}
@@ -0,0 +1,170 @@
+// src/pivotModel.js
+import { columnType, formatCell } from './columnModel';
+import { EXCLUDED } from './slaOverrides';
+import { periodKey } from './slaSummary';
+
+/*
+  Group-by (pivot) mode of the preview and the workbook's Pivot sheet
+  - Rows are grouped under one or more keys: a text or verdict column (Priority, State, Source,
+    Made SLA, ...), the opened day, week (from Monday) or month, or the number of updates.
+    Each further key splits the groups of the one before
+  - Every group has its incident count, within SLA and breached incidents, % within SLA and the
+    average and longest interval (over every Interval N of its incidents). Like the SUI SLA
+    table, incidents excluded by an override are not counted as within or breached
+  - pivotLines flattens the expanded groups, with their incidents, for the preview table
+*/
+
+export const PERIOD_KEYS = {
+  'Opened day': 'day',
+  'Opened week': 'week',
+  'Opened month': 'month',
+};
+export const UPDATES_KEY = 'Updates';
+
+// Label of a group whose key has no value
+export const BLANK_LABEL = '(blank)';
+
+const UPDATED_RE = /^\d+(st|nd|rd|th) Updated$/;
+const INTERVAL_RE = /^Interval \d+$/;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+// Keys rows can be grouped by: text and verdict columns (not Number), then the derived keys
+export function groupKeyOptions(headers) {
+  const columns = headers.filter(
+    (h) => h !== 'Number' && ['text', 'sla'].includes(columnType(h))
+  );
+  const derived = headers.includes('Opened Date') ? Object.keys(PERIOD_KEYS) : [];
+  if (headers.some((h) => UPDATED_RE.test(h))) derived.push(UPDATES_KEY);
+  return [...columns, ...derived];
+}
+
+// Value of a group key for a row: text, a number of updates, or null when it has none
+function keyValue(row, key, updatedColumns) {
+  if (PERIOD_KEYS[key]) return periodKey(row['Opened Date'], PERIOD_KEYS[key]);
+  if (key === UPDATES_KEY) return updatedColumns.filter((h) => row[h] != null).length;
+  return formatCell(key, row[key]) || null;
+}
+
+function compareValues(a, b) {
+  if (a === null || b === null) return (a === null) - (b === null);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return collator.compare(String(a), String(b));
+}
+
+/**
+ * Figures for a set of rows: { count, Y, N, excluded, withinPct, avgInterval, maxInterval }.
+ * withinPct is within SLA as a share of the incidents not excluded (null when all are);
+ * intervals are milliseconds, null when no interval was measured.
+ */
+export function groupStats(rows, intervalColumns) {
+  let Y = 0;
+  let N = 0;
+  let excluded = 0;
+  let intervals = 0;
+  let intervalTotal = 0;
+  let maxInterval = null;
+  for (const row of rows) {
+    const made = row['Made SLA'];
+    if (made === EXCLUDED) excluded++;
+    else if (made === true) Y++;
+    else if (made === false) N++;
+    for (const col of intervalColumns) {
+      const ms = row[col];
+      if (typeof ms !== 'number') continue;
+      intervals++;
+      intervalTotal += ms;
+      if (maxInterval === null || ms > maxInterval) maxInterval = ms;
+    }
+  }
+  const counted = rows.length - excluded;
+  return {
+    count: rows.length,
+    Y,
+    N,
+    excluded,
+    withinPct: counted > 0 ? (Y / counted) * 100 : null,
+    avgInterval: intervals > 0 ? intervalTotal / intervals : null,
+    maxInterval,
+  };
+}
+
+function groupLevel(rows, keys, level, columns, parentId) {
+  const key = keys[level];
+  const buckets = new Map();
+  for (const row of rows) {
+    const value = keyValue(row, key, columns.updated);
+    if (!buckets.has(value)) buckets.set(value, []);
+    buckets.get(value).push(row);
+  }
+  return [...buckets.entries()]
+    .sort((a, b) => compareValues(a[0], b[0]))
+    .map(([value, groupRows]) => {
+      const label = value === null ? BLANK_LABEL : String(value);
+      const id = parentId === null ? label : `${parentId}\u0000${label}`;
+      return {
+        id,
+        key,
+        value,
+        label,
+        depth: level,
+        rows: groupRows,
+        stats: groupStats(groupRows, columns.intervals),
+        children:
+          level + 1 < keys.length ? groupLevel(groupRows, keys, level + 1, columns, id) : [],
+      };
+    });
+}
+
+/**
+ * Rows grouped by keys (see groupKeyOptions): { keys, total, groups }. A group is
+ * { id, key, value, label, depth, rows, stats, children }; groups are in key value order,
+ * blanks last, and id is unique across levels.
+ */
+export function buildPivot(rows, headers, keys) {
+  const columns = {
+    updated: headers.filter((h) => UPDATED_RE.test(h)),
+    intervals: headers.filter((h) => INTERVAL_RE.test(h)),
+  };
+  return {
+    keys,
+    total: groupStats(rows, columns.intervals),
+    groups: keys.length > 0 ? groupLevel(rows, keys, 0, columns, null) : [],
+  };
+}
+
+/**
+ * Lines of the pivot table: { type: 'group', group } for every group whose parents are expanded,
+ * then under an expanded innermost group its incidents ({ type: 'row', row, depth }), at most
+ * rowLimit of them followed by { type: 'more', count, depth }.
+ */
+export function pivotLines(pivot, expanded, rowLimit = 200) {
+  const lines = [];
+  const walk = (groups) => {
+    for (const group of groups) {
+      lines.push({ type: 'group', group });
+      if (!expanded.has(group.id)) continue;
+      if (group.children.length > 0) walk(group.children);
+      else {
+        const depth = group.depth + 1;
+        group.rows.slice(0, rowLimit).forEach((row) => lines.push({ type: 'row', row, depth }));
+        if (group.rows.length > rowLimit)
+          lines.push({ type: 'more', count: group.rows.length - rowLimit, depth });
+      }
+    }
+  };
+  walk(pivot.groups);
+  return lines;
+}
+
+// Ids of every group, for "Expand all"
+export function allGroupIds(pivot) {
+  const ids = [];
+  const walk = (groups) =>
+    groups.forEach((g) => {
+      ids.push(g.id);
+      walk(g.children);
+    });
+  walk(pivot.groups);
+  return ids;
+}
@@ -0,0 +1,116 @@
+import { buildPivot, pivotLines, allGroupIds, groupKeyOptions, BLANK_LABEL } from './pivotModel';
+import { typedRows } from './columnModel';
+
+const headers = [
+  'Number',
+  'Priority',
+  'State',
+  'Opened Date',
+  '1st Updated',
+  '2nd Updated',
+  'Interval 1',
+  'Interval 2',
+  'Made SLA 1',
+  'Made SLA 2',
+  'Made SLA',
+];
+const rows = typedRows([
+  {
+    Number: 'INC1',
+    Priority: 'P1 - Critical',
+    State: 'Resolved',
+    'Opened Date': '2025-07-01 09:00:00',
+    '1st Updated': '2025-07-01 09:30:00',
+    '2nd Updated': '2025-07-01 13:30:00',
+    'Interval 1': '0d 0h 30m 0s',
+    'Interval 2': '0d 4h 0m 0s',
+    'Made SLA 1': 'Y',
+    'Made SLA 2': 'N',
+    'Made SLA': 'N',
+  },
+  {
+    Number: 'INC2',
+    Priority: 'P1 - Critical',
+    State: 'New',
+    'Opened Date': '2025-07-08 08:00:00',
+    '1st Updated': '2025-07-08 09:00:00',
+    'Interval 1': '0d 1h 0m 0s',
+    'Made SLA 1': 'Y',
+    'Made SLA': 'Y',
+  },
+  {
+    Number: 'INC3',
+    Priority: 'P3 - Medium',
+    State: '',
+    'Opened Date': '2025-07-09 08:00:00',
+    'Made SLA': 'Excluded',
+  },
+]);
+
+test('groupKeyOptions offers text and verdict columns and the derived keys', () => {
+  expect(groupKeyOptions(headers)).toEqual([
+    'Priority',
+    'State',
+    'Made SLA 1',
+    'Made SLA 2',
+    'Made SLA',
+    'Opened day',
+    'Opened week',
+    'Opened month',
+    'Updates',
+  ]);
+  expect(groupKeyOptions(['Number', 'Priority'])).toEqual(['Priority']);
+});
+
+test('buildPivot counts, SLA share and intervals per group', () => {
+  const pivot = buildPivot(rows, headers, ['Priority']);
+  expect(pivot.groups.map((g) => [g.label, g.stats.count])).toEqual([
+    ['P1 - Critical', 2],
+    ['P3 - Medium', 1],
+  ]);
+  expect(pivot.groups[0].stats).toEqual({
+    count: 2,
+    Y: 1,
+    N: 1,
+    excluded: 0,
+    withinPct: 50,
+    avgInterval: (30 + 240 + 60) * 60000 / 3,
+    maxInterval: 240 * 60000,
+  });
+  // the excluded incident is neither within nor breached
+  expect(pivot.groups[1].stats).toMatchObject({ excluded: 1, withinPct: null, avgInterval: null });
+  expect(pivot.total).toMatchObject({ count: 3, Y: 1, N: 1, withinPct: 50 });
+});
+
+test('nested keys, derived keys and blanks', () => {
+  const byWeek = buildPivot(rows, headers, ['Opened week', 'State']);
+  expect(byWeek.groups.map((g) => g.label)).toEqual(['2025-06-30', '2025-07-07']);
+  expect(byWeek.groups[1].children.map((g) => g.label)).toEqual(['New', BLANK_LABEL]);
+  expect(byWeek.groups[1].children[1].id).toBe(`2025-07-07\u0000${BLANK_LABEL}`);
+
+  const byUpdates = buildPivot(rows, headers, ['Updates']);
+  expect(byUpdates.groups.map((g) => [g.value, g.stats.count])).toEqual([
+    [0, 1],
+    [1, 1],
+    [2, 1],
+  ]);
+});
+
+test('pivotLines lists expanded groups with at most rowLimit incidents', () => {
+  const pivot = buildPivot(rows, headers, ['Opened month', 'Priority']);
+  expect(pivotLines(pivot, new Set()).map((l) => l.type)).toEqual(['group']);
+
+  const expanded = new Set(allGroupIds(pivot));
+  const lines = pivotLines(pivot, expanded, 1);
+  const text = (l) =>
+    l.type === 'group' ? l.group.label : l.type === 'row' ? l.row.Number : `+${l.count}`;
+  expect(lines.map(text)).toEqual([
+    '2025-07',
+    'P1 - Critical',
+    'INC1',
+    '+1',
+    'P3 - Medium',
+    'INC3',
+  ]);
+  expect(lines[2].depth).toBe(2);
+});
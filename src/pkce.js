@@ -0,0 +1,42 @@
+// src/pkce.js
+/*
+  PKCE and token encoding helpers (RFC 7636) shared by the auth client and the mock provider
+  - Uses the browser's Web Crypto API for random values and SHA-256
+  - decodeJwt only reads the claims; it does not check the token's signature
+*/
+
+export function base64UrlEncode(bytes) {
+  let text = '';
+  for (const b of bytes) text += String.fromCharCode(b);
+  return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(text) {
+  const b64 = String(text).replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+// URL-safe random string of byteLength random bytes (43 characters for the default 32)
+export function randomToken(byteLength = 32) {
+  const bytes = new Uint8Array(byteLength);
+  window.crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+}
+
+// S256 code challenge for a code verifier
+export async function pkceChallenge(verifier) {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+// Claims of a JWT
+export function decodeJwt(token) {
+  const payload = String(token || '').split('.')[1];
+  if (!payload) throw new Error('The sign-in provider did not return a valid ID token.');
+  try {
+    return JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+  } catch (e) {
+    throw new Error('The sign-in provider did not return a valid ID token.');
+  }
+}
@@ -0,0 +1,365 @@
+// src/reportExport.js
+import { applyOverrides } from './slaOverrides';
+import {
+  summarizeSla,
+  summarizeByDimension,
+  breachTrend,
+  openedRange,
+  TREND_PERIODS,
+} from './slaSummary';
+import { describePolicy, describePauseStates, DEFAULT_POLICY } from './slaPolicy';
+import { describeCalendar, DEFAULT_CALENDAR } from './workingCalendar';
+import { describeDateProfile, DEFAULT_DATE_PROFILE } from './dateProfile';
+import {
+  DEFAULT_CONTRACT,
+  formatCreditPct,
+  formatMoney,
+  creditAmountHeader,
+  describeContract,
+} from './contractTerms';
+import { formatCell } from './columnModel';
+
+/*
+  Exports besides the .xlsx workbook (incidentWorkbook.js)
+  - CSV: the Incident Intervals rows, for BI tools
+  - JSON: the rows plus the SUI SLA summary (also per dimension with slaDimension), trend and the
+    settings used
+  - HTML: a self-contained SLA report (SUI SLA table, compliance and breach trend charts as
+    inline SVG, contract / policy / calendar used) that prints on A4; the PDF export prints
+    this report through the browser's print dialog ("Save as PDF"), so no PDF library is bundled
+  All of them apply the manual overrides the same way the workbook does, and write cells as the
+  preview shows them (columnModel.js formatCell). filteredExport narrows an export to the rows the
+  preview's filters leave.
+*/
+
+export const EXPORT_FORMATS = {
+  xlsx: { label: 'Excel workbook (.xlsx)', extension: 'xlsx' },
+  csv: { label: 'CSV — Incident Intervals rows', extension: 'csv', type: 'text/csv;charset=utf-8' },
+  json: { label: 'JSON — rows and SLA summary', extension: 'json', type: 'application/json' },
+  html: { label: 'HTML SLA report', extension: 'html', type: 'text/html;charset=utf-8' },
+  pdf: { label: 'PDF SLA report (print dialog)', extension: 'pdf' },
+};
+
+// <first file>-processed[-filtered].<ext>, or merged-incidents-... for several files
+export function exportFileName(fileNames, format, filtered = false) {
+  const baseName = fileNames.length === 1 ? fileNames[0] : 'merged-incidents.xlsx';
+  const stem = baseName.replace(/\.(xlsx|xlsm|xls|ods|csv)$/i, '');
+  return `${stem}-processed${filtered ? '-filtered' : ''}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * The processed rows behind the filtered (and sorted) preview rows, in the preview's order, and
+ * the overrides that concern them. Preview rows already carry their overrides, so exports start
+ * again from the processed rows and apply them like the full export does.
+ */
+export function filteredExport(allRows, filteredRows, overrides) {
+  const byNumber = new Map(allRows.map((r) => [r.Number, r]));
+  const rows = filteredRows.map((r) => byNumber.get(r.Number)).filter(Boolean);
+  const numbers = new Set(rows.map((r) => r.Number));
+  return { rows, overrides: overrides.filter((o) => numbers.has(o.number)) };
+}
+
+function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Incident Intervals rows as CSV (RFC 4180: comma separated, CRLF line ends, quoted when needed),
+ * with the overrides applied and an Override column when any matched.
+ */
+export function rowsToCsv(processedHeaders, processedRows, overrides = []) {
+  const { headers, rows } = applyOverrides(processedHeaders, processedRows, overrides);
+  const lines = [headers.map(csvCell).join(',')];
+  for (const r of rows) lines.push(headers.map((h) => csvCell(formatCell(h, r[h]))).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * JSON export: { generatedAt, files, filtered, settings: { policy, calendar, contract,
+ * dateProfile, dateOrder, trendPeriod, slaDimension }, openedRange, summary (summarizeSla),
+ * byDimension (summarizeByDimension, only with slaDimension), trend (breachTrend), overrides,
+ * headers, rows } - rows are objects keyed by header, with the overrides applied; cells are text
+ * as the preview shows them, null when blank.
+ */
+export function buildJsonExport({
+  headers: processedHeaders,
+  rows: processedRows,
+  overrides = [],
+  policy = DEFAULT_POLICY,
+  calendar = DEFAULT_CALENDAR,
+  contract = DEFAULT_CONTRACT,
+  dateProfile = DEFAULT_DATE_PROFILE,
+  dateOrder = dateProfile.dateOrder,
+  trendPeriod = 'month',
+  slaDimension = '',
+  fileNames = [],
+  filtered = false,
+  generatedAt = new Date().toISOString(),
+}) {
+  const { headers, rows } = applyOverrides(processedHeaders, processedRows, overrides);
+  const dimension = headers.includes(slaDimension) ? slaDimension : '';
+  return {
+    generatedAt,
+    files: fileNames,
+    filtered,
+    settings: {
+      policy,
+      calendar,
+      contract,
+      dateProfile,
+      dateOrder,
+      trendPeriod,
+      slaDimension: dimension,
+    },
+    openedRange: openedRange(rows),
+    summary: summarizeSla(rows, contract),
+    ...(dimension && { byDimension: summarizeByDimension(rows, dimension, contract) }),
+    trend: breachTrend(rows, trendPeriod),
+    overrides,
+    headers,
+    rows: rows.map((r) =>
+      Object.fromEntries(headers.map((h) => [h, formatCell(h, r[h]) || null]))
+    ),
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const GREEN = '#22c55e';
+const RED = '#ef4444';
+const GREY = '#cbd5e1';
+
+// Within SLA % per priority (of measured incidents) with the contract target marked
+function complianceChart(summary, contract) {
+  const rowH = 26;
+  const height = summary.priorities.length * rowH + 8;
+  const bars = summary.priorities.map((p, i) => {
+    const y = 4 + i * rowH;
+    const measured = p.Y + p.N;
+    const within = measured > 0 ? (p.Y / measured) * 100 : null;
+    const terms = contract.priorities.find((t) => t.key === p.label.split(' ')[0]);
+    const target = terms && terms.target != null ? Number(terms.target) : null;
+    return [
+      `<text x="0" y="${y + 14}" font-size="11" fill="#0f172a">${escapeHtml(p.label)}</text>`,
+      `<rect x="110" y="${y + 3}" width="300" height="14" rx="2" fill="${measured > 0 ? RED : GREY}"/>`,
+      within != null
+        ? `<rect x="110" y="${y + 3}" width="${within * 3}" height="14" rx="2" fill="${GREEN}"/>`
+        : '',
+      target != null
+        ? `<line x1="${110 + target * 3}" x2="${110 + target * 3}" y1="${y}" y2="${y + 20}" stroke="#0f172a" stroke-width="2"/>`
+        : '',
+      `<text x="420" y="${y + 14}" font-size="11" fill="#0f172a">${
+        within == null ? 'N/A' : `${within.toFixed(1)}%`
+      }</text>`,
+    ].join('');
+  });
+  const open = `<svg viewBox="0 0 480 ${height}" width="480" height="${height}" role="img">`;
+  return `${open}${bars.join('')}</svg>`;
+}
+
+// Made / missed SLA per opened period as stacked bars
+function trendChart(trend) {
+  const width = 640;
+  const height = 200;
+  const pad = { top: 10, right: 8, bottom: 38, left: 40 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const max = Math.max(1, ...trend.map((b) => b.Y + b.N));
+  const slot = plotW / Math.max(1, trend.length);
+  const barW = Math.max(2, Math.min(48, slot * 0.7));
+  const labelEvery = Math.max(1, Math.ceil(trend.length / 12));
+  const parts = [0, 0.5, 1].map((f) => {
+    const y = pad.top + plotH * (1 - f);
+    return (
+      `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y}" y2="${y}" stroke="#eef2f7"/>` +
+      `<text x="${pad.left - 6}" y="${y + 4}" font-size="10" text-anchor="end" fill="#64748b">${Math.round(max * f)}</text>`
+    );
+  });
+  trend.forEach((b, i) => {
+    const x = pad.left + slot * i + (slot - barW) / 2;
+    const hY = (b.Y / max) * plotH;
+    const hN = (b.N / max) * plotH;
+    const base = pad.top + plotH;
+    parts.push(
+      `<rect x="${x}" y="${base - hY}" width="${barW}" height="${hY}" fill="${GREEN}"/>` +
+        `<rect x="${x}" y="${base - hY - hN}" width="${barW}" height="${hN}" fill="${RED}"/>`
+    );
+    if (i % labelEvery === 0) {
+      parts.push(
+        `<text x="${x + barW / 2}" y="${height - pad.bottom + 14}" font-size="10" ` +
+          `text-anchor="middle" fill="#475569">${escapeHtml(b.period)}</text>`
+      );
+    }
+  });
+  const open = `<svg viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">`;
+  return `${open}${parts.join('')}</svg>`;
+}
+
+/**
+ * Self-contained HTML SLA report (same options as buildJsonExport plus title). Shows the SUI SLA
+ * table, within SLA per priority against the contract target, made / missed SLA per opened
+ * period, and the contract, policy, calendar and date settings used.
+ */
+export function buildHtmlReport(options) {
+  const {
+    title = 'SUI SLA report',
+    policy = DEFAULT_POLICY,
+    calendar = DEFAULT_CALENDAR,
+    dateProfile = DEFAULT_DATE_PROFILE,
+  } = options;
+  const json = buildJsonExport(options);
+  const { summary, trend } = json;
+  const { contract } = json.settings;
+  const range = json.openedRange;
+  const periodLabel = (TREND_PERIODS[json.settings.trendPeriod] || TREND_PERIODS.month).toLowerCase();
+
+  const rowsHtml = summary.priorities
+    .map((p) => {
+      const cells =
+        p.total === 0
+          ? [p.label, 'N/A', 'N/A', 'N/A', 'N/A', 'N/A', 'Y', '0.0%', 'N/A']
+          : [
+              p.label,
+              p.total,
+              p.Y,
+              `${p.withinPct.toFixed(1)}%`,
+              p.N,
+              `${p.breachPct.toFixed(1)}%`,
+              p.compliant ? 'Y' : 'N',
+              formatCreditPct(p.creditPct),
+              formatMoney(contract, p.creditAmount),
+            ];
+      const credited = p.total > 0 && p.creditPct > 0;
+      return `<tr>${cells
+        .map((c, i) => `<td${i === 7 ? ` class="${credited ? 'credit' : 'nocredit'}"` : ''}>${escapeHtml(c)}</td>`)
+        .join('')}</tr>`;
+    })
+    .join('\n');
+  const totalCells = [
+    'Total',
+    summary.total,
+    summary.Y,
+    summary.total > 0 ? `${((summary.Y / summary.total) * 100).toFixed(1)}%` : 'N/A',
+    summary.N,
+    '100%',
+    '',
+    '',
+    formatMoney(contract, summary.credit.total) + (summary.credit.capped ? ' (capped)' : ''),
+  ];
+
+  const notes = [
+    `Contract: ${contract.name} — ${describeContract(contract)}`,
+    `SLA policy: ${policy.name} — ${describePolicy(policy)}`,
+    `Clock paused while State is: ${describePauseStates(policy)}`,
+    `Intervals measured in: ${describeCalendar(calendar)}`,
+    describeDateProfile(dateProfile, json.settings.dateOrder),
+  ];
+  if (json.overrides.length > 0)
+    notes.push(`Overrides: ${json.overrides.length} — excluded incidents are not counted`);
+  if (json.filtered) notes.push(`Only the ${json.rows.length} incidents left by the preview filters`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  @page { size: A4; margin: 14mm; }
+  body { font-family: Inter, system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif; color: #0f172a; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; }
+  .meta { color: #475569; font-size: 12px; }
+  table { border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #e2e8f0; padding: 5px 8px; text-align: right; }
+  th { background: #f8fafc; text-align: left; }
+  td:first-child { text-align: left; }
+  tr.total td { font-weight: 600; }
+  td.credit { background: #ff0000; color: white; }
+  td.nocredit { background: #92d050; }
+  .legend { font-size: 11px; color: #475569; }
+  .legend span { display: inline-block; width: 10px; height: 10px; margin: 0 4px 0 10px; vertical-align: middle; }
+  ul { font-size: 12px; color: #334155; padding-left: 18px; }
+  svg { max-width: 100%; height: auto; }
+  section { break-inside: avoid; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">${escapeHtml(
+    [
+      json.files.length > 0 ? json.files.join(', ') : null,
+      range ? `Opened ${range.from.slice(0, 10)} to ${range.to.slice(0, 10)}` : null,
+      `${json.rows.length} incidents`,
+      `generated ${json.generatedAt.slice(0, 16).replace('T', ' ')} UTC`,
+    ]
+      .filter(Boolean)
+      .join(' · ')
+  )}</div>
+
+<section>
+<h2>SUI SLA</h2>
+<table>
+<thead><tr>${[
+    'Priority/SLA',
+    'Total Incident',
+    'Within SLA',
+    '% for Within SLA',
+    'Breach',
+    'Breach %',
+    'Compliance',
+    'Credit',
+    creditAmountHeader(contract),
+  ]
+    .map((h) => `<th>${escapeHtml(h)}</th>`)
+    .join('')}</tr></thead>
+<tbody>
+${rowsHtml}
+<tr class="total">${totalCells.map((c) => `<td>${escapeHtml(c)}</td>`).join('')}</tr>
+</tbody>
+</table>
+</section>
+
+<section>
+<h2>Within SLA per priority</h2>
+${complianceChart(summary, contract)}
+<div class="legend">Share of measured incidents;<span style="background:#0f172a;width:2px"></span>contract target</div>
+</section>
+
+<section>
+<h2>Breach trend by opened ${periodLabel}</h2>
+${trend.length > 0 ? trendChart(trend) : '<p class="meta">No Opened dates to group</p>'}
+<div class="legend"><span style="background:${GREEN}"></span>Made SLA<span style="background:${RED}"></span>Missed SLA</div>
+</section>
+
+<section>
+<h2>Settings</h2>
+<ul>
+${notes.map((n) => `<li>${escapeHtml(n)}</li>`).join('\n')}
+</ul>
+</section>
+</body>
+</html>
+`;
+}
+
+// Print an HTML report from a hidden frame, so the browser's dialog can save it as PDF
+export function printHtmlReport(html) {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0';
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // the print dialog blocks until closed in most browsers; keep the frame a little longer
+    setTimeout(() => frame.remove(), 60 * 1000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
@@ -0,0 +1,112 @@
+import {
+  exportFileName,
+  filteredExport,
+  rowsToCsv,
+  buildJsonExport,
+  buildHtmlReport,
+} from './reportExport';
+import { DEFAULT_CONTRACT } from './contractTerms';
+import { typedRows } from './columnModel';
+
+const headers = ['Number', 'Priority', 'Opened Date', 'Interval 1', 'Made SLA 1', 'Made SLA'];
+const rows = typedRows([
+  {
+    Number: 'INC1',
+    Priority: 'P1 - Critical',
+    'Opened Date': '2025-07-01 09:00:00',
+    'Interval 1': '0d 0h 30m 0s',
+    'Made SLA 1': 'Y',
+    'Made SLA': 'Y',
+  },
+  {
+    Number: 'INC2',
+    Priority: 'P2 - High',
+    'Opened Date': '2025-07-02 08:00:00',
+    'Interval 1': '0d 4h 0m 0s',
+    'Made SLA 1': 'N',
+    'Made SLA': 'N',
+  },
+  { Number: 'INC3, "x"', Priority: 'P3 - Medium', 'Opened Date': '', 'Made SLA': '' },
+]);
+const exclude = { number: 'INC2', interval: null, action: 'exclude', reason: 'vendor-hold' };
+
+test('exportFileName follows the workbook download naming', () => {
+  expect(exportFileName(['july.xlsx'], 'csv')).toBe('july-processed.csv');
+  expect(exportFileName(['a.csv', 'b.csv'], 'json', true)).toBe('merged-incidents-processed-filtered.json');
+  expect(exportFileName(['july.ods'], 'html')).toBe('july-processed.html');
+});
+
+test('rowsToCsv quotes where needed and applies overrides', () => {
+  const csv = rowsToCsv(headers, rows, [exclude]);
+  const lines = csv.split('\r\n');
+  expect(lines[0]).toBe('Number,Priority,Opened Date,Interval 1,Made SLA 1,Made SLA,Override');
+  expect(lines[1]).toBe('INC1,P1 - Critical,2025-07-01 09:00:00,0d 0h 30m 0s,Y,Y,');
+  expect(lines[2]).toBe('INC2,P2 - High,2025-07-02 08:00:00,0d 4h 0m 0s,N,Excluded,Incident excluded (Vendor hold)');
+  expect(lines[3]).toBe('"INC3, ""x""",P3 - Medium,,,,,');
+  expect(lines[4]).toBe('');
+});
+
+test('filteredExport keeps the preview order and the overrides of the remaining rows', () => {
+  const previewRows = [{ ...rows[1], 'Made SLA': 'Excluded' }, rows[0]];
+  const { rows: out, overrides } = filteredExport(rows, previewRows, [
+    exclude,
+    { ...exclude, number: 'INC3, "x"' },
+  ]);
+  // the processed rows, not the preview's overridden copies
+  expect(out).toEqual([rows[1], rows[0]]);
+  expect(overrides).toEqual([exclude]);
+});
+
+test('buildJsonExport has the rows, settings and SLA summary', () => {
+  const json = buildJsonExport({
+    headers,
+    rows,
+    overrides: [exclude],
+    fileNames: ['july.xlsx'],
+    filtered: true,
+    generatedAt: '2025-08-01T00:00:00.000Z',
+  });
+  expect(json).toMatchObject({
+    generatedAt: '2025-08-01T00:00:00.000Z',
+    files: ['july.xlsx'],
+    filtered: true,
+    openedRange: { from: '2025-07-01 09:00:00', to: '2025-07-02 08:00:00' },
+    summary: { total: 2, Y: 1, N: 0 },
+  });
+  expect(json.settings.contract).toBe(DEFAULT_CONTRACT);
+  expect(json.trend).toEqual([{ period: '2025-07', total: 1, Y: 1, N: 0, breachPct: 0 }]);
+  expect(json.headers).toContain('Override');
+  expect(json.rows[0]).toMatchObject({ 'Opened Date': '2025-07-01 09:00:00', 'Interval 1': '0d 0h 30m 0s', 'Made SLA': 'Y' });
+  expect(json.rows[2]).toEqual({
+    Number: 'INC3, "x"',
+    Priority: 'P3 - Medium',
+    'Opened Date': null,
+    'Interval 1': null,
+    'Made SLA 1': null,
+    'Made SLA': null,
+    Override: null,
+  });
+  // plain data, so it survives a JSON round trip
+  expect(JSON.parse(JSON.stringify(json))).toEqual(json);
+});
+
+test('buildHtmlReport has the SUI SLA table, charts and settings', () => {
+  const html = buildHtmlReport({
+    headers,
+    rows,
+    title: 'July <SLA>',
+    fileNames: ['july.xlsx'],
+    trendPeriod: 'day',
+  });
+  expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+  expect(html).toContain('<title>July &lt;SLA&gt;</title>');
+  expect(html).toContain(
+    '<tr><td>P2 - High</td><td>1</td><td>0</td><td>0.0%</td><td>1</td><td>33.3%</td><td>N</td>'
+  );
+  expect(html).toContain('$ 592.45');
+  expect(html).toContain('<th>Credit $</th>');
+  expect(html.match(/<svg /g)).toHaveLength(2);
+  expect(html).toContain('Breach trend by opened day');
+  expect(html).toContain('SLA policy: Standard');
+  expect(html).toContain('Opened 2025-07-01 to 2025-07-02');
+});
@@ -0,0 +1,66 @@
+// src/roles.js
+/*
+  Roles and what each may do
+  - viewer: SLA dashboards only
+  - analyst: also load and process files, see the incident table, drill-down and data issues,
+    set SLA overrides and download reports
+  - contract-admin: also change SLA thresholds, business hours and contract terms
+  - Roles come from the sign-in provider's "roles" claim (see auth.js); a user without a known
+    role is a viewer
+*/
+
+export const ROLES = {
+  viewer: 'Viewer',
+  analyst: 'Analyst',
+  'contract-admin': 'Contract admin',
+};
+
+// permission -> what it allows, as used in "cannot ..." messages
+export const PERMISSIONS = {
+  'view-dashboard': 'see SLA dashboards',
+  'load-files': 'load and process incident files',
+  'view-data': 'see incident rows and source data',
+  export: 'download reports',
+  override: 'set SLA overrides',
+  'edit-sla-settings': 'change SLA thresholds, business hours or contract terms',
+};
+
+const ANALYST = ['view-dashboard', 'load-files', 'view-data', 'export', 'override'];
+
+const GRANTS = {
+  viewer: ['view-dashboard'],
+  analyst: ANALYST,
+  'contract-admin': [...ANALYST, 'edit-sla-settings'],
+};
+
+// Known roles in a claim value (a list, or a space / comma separated string); viewer when none
+export function rolesFromClaim(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  const roles = Object.keys(ROLES).filter((r) => list.includes(r));
+  return roles.length > 0 ? roles : ['viewer'];
+}
+
+function rolesOf(user) {
+  return user && Array.isArray(user.roles) && user.roles.length > 0 ? user.roles : ['viewer'];
+}
+
+export function can(user, permission) {
+  return rolesOf(user).some((r) => (GRANTS[r] || []).includes(permission));
+}
+
+// Label of the user's most capable role
+export function roleLabel(user) {
+  const roles = rolesOf(user);
+  const top = Object.keys(ROLES)
+    .filter((r) => roles.includes(r))
+    .pop();
+  return ROLES[top || 'viewer'];
+}
+
+// "Your role (Viewer) cannot download reports. Ask an administrator for the Analyst role."
+export function deniedMessage(user, permission) {
+  const needed = Object.keys(ROLES).find((r) => GRANTS[r].includes(permission));
+  return `Your role (${roleLabel(user)}) cannot ${PERMISSIONS[permission] || permission}.${
+    needed ? ` Ask an administrator for the ${ROLES[needed]} role.` : ''
+  }`;
+}
@@ -0,0 +1,30 @@
+import { can, deniedMessage, roleLabel, rolesFromClaim } from './roles';
+
+test('rolesFromClaim keeps known roles and falls back to viewer', () => {
+  expect(rolesFromClaim(['analyst', 'auditor'])).toEqual(['analyst']);
+  expect(rolesFromClaim('viewer contract-admin')).toEqual(['viewer', 'contract-admin']);
+  expect(rolesFromClaim(undefined)).toEqual(['viewer']);
+});
+
+test('each role adds to the one below it', () => {
+  const viewer = { roles: ['viewer'] };
+  const analyst = { roles: ['analyst'] };
+  const admin = { roles: ['contract-admin'] };
+  expect(can(viewer, 'view-dashboard')).toBe(true);
+  expect(can(viewer, 'view-data')).toBe(false);
+  expect(can(analyst, 'export')).toBe(true);
+  expect(can(analyst, 'edit-sla-settings')).toBe(false);
+  expect(can(admin, 'edit-sla-settings')).toBe(true);
+  expect(can(admin, 'load-files')).toBe(true);
+  // no user or no roles: viewer
+  expect(can(null, 'view-dashboard')).toBe(true);
+  expect(can({ roles: [] }, 'export')).toBe(false);
+  expect(roleLabel({ roles: ['viewer', 'analyst'] })).toBe('Analyst');
+});
+
+test('deniedMessage names the role that is needed', () => {
+  expect(deniedMessage({ roles: ['viewer'] }, 'export')).toBe(
+    'Your role (Viewer) cannot download reports. Ask an administrator for the Analyst role.'
+  );
+  expect(deniedMessage({ roles: ['analyst'] }, 'edit-sla-settings')).toMatch(/Contract admin role/);
+});
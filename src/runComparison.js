@@ -0,0 +1,146 @@
+// src/runComparison.js
+import { applyOverrides, EXCLUDED } from './slaOverrides';
+import { summarizeSla } from './slaSummary';
+import { formatCell, slaText } from './columnModel';
+
+/*
+  Comparison of two processed runs, e.g. last month's and this month's incidents
+  - SUI SLA figures per priority side by side, with the change in incidents, within SLA % and credit
+  - Incidents (by Number) in both runs whose overall Made SLA changed
+  - Numbers only in the later run (new) or only in the earlier one (gone)
+  A run is { label, headers, rows, overrides, contract }; overrides are applied first, so an
+  excluded incident shows as "Excluded" and is left out of the SLA figures as in each run's report.
+  Used by the comparison panel (RunComparisonPanel.jsx) and the Comparison sheet (incidentWorkbook.js).
+*/
+
+// by the Made SLA text (columnModel.js slaText)
+export const OUTCOME_LABELS = {
+  Y: 'Within SLA',
+  N: 'Breached',
+  [EXCLUDED]: 'Excluded',
+  '': 'Not measured',
+};
+
+export function outcomeLabel(madeSla) {
+  const text = slaText(madeSla);
+  return OUTCOME_LABELS[text] || text;
+}
+
+// null when either side is null
+function change(before, after) {
+  return before == null || after == null ? null : Number((after - before).toFixed(1));
+}
+
+// Overall within SLA % as the SUI SLA total row shows it: Y / all counted incidents
+function overallWithinPct(summary) {
+  return summary.total > 0 ? Number(((summary.Y / summary.total) * 100).toFixed(1)) : null;
+}
+
+function side(run) {
+  const { rows } = applyOverrides(run.headers, run.rows, run.overrides || []);
+  const byNumber = new Map();
+  for (const r of rows) if (r.Number) byNumber.set(String(r.Number), r);
+  const summary = summarizeSla(rows, run.contract);
+  return { label: run.label, contract: run.contract, byNumber, summary };
+}
+
+function incident(number, row) {
+  return {
+    number,
+    priority: row.Priority || '',
+    opened: formatCell('Opened Date', row['Opened Date']),
+    outcome: row['Made SLA'] ?? null,
+  };
+}
+
+function sideResult(s) {
+  return {
+    label: s.label,
+    contract: s.contract,
+    summary: s.summary,
+    withinPct: overallWithinPct(s.summary),
+    incidents: s.byNumber.size,
+  };
+}
+
+const byNumberText = (a, b) => a.number.localeCompare(b.number, undefined, { numeric: true });
+
+/**
+ * Compare an earlier run (before) with a later one (after).
+ * Returns {
+ *   before / after: { label, contract, summary, withinPct (overall), incidents (Numbers) },
+ *   priorities: [{ label, before, after, totalChange, withinChange, creditChange }] (summarizeSla
+ *     priorities, changes in incidents, percentage points and money), total: { the same, overall },
+ *   changed: [{ number, priority, beforePriority, before, after }] (Made SLA values),
+ *   added / removed: [{ number, priority, opened (text), outcome (Made SLA value) }]
+ * } - lists sorted by Number. creditChange is null when the contracts use different currencies.
+ */
+export function compareRuns(beforeRun, afterRun) {
+  const before = side(beforeRun);
+  const after = side(afterRun);
+  const sameCurrency = (before.contract.currency || '') === (after.contract.currency || '');
+  const credit = (b, a) => (sameCurrency ? Number((a - b).toFixed(2)) : null);
+
+  const priorities = after.summary.priorities.map((a, i) => {
+    const b = before.summary.priorities[i];
+    return {
+      label: a.label,
+      before: b,
+      after: a,
+      totalChange: a.total - b.total,
+      withinChange: change(b.withinPct, a.withinPct),
+      creditChange: credit(b.creditAmount, a.creditAmount),
+    };
+  });
+
+  const changed = [];
+  const added = [];
+  const removed = [];
+  for (const [number, a] of after.byNumber) {
+    const b = before.byNumber.get(number);
+    if (!b) {
+      added.push(incident(number, a));
+      continue;
+    }
+    const was = b['Made SLA'] ?? null;
+    const now = a['Made SLA'] ?? null;
+    if (was !== now) {
+      changed.push({
+        number,
+        priority: a.Priority || '',
+        beforePriority: b.Priority || '',
+        before: was,
+        after: now,
+      });
+    }
+  }
+  for (const [number, b] of before.byNumber) {
+    if (!after.byNumber.has(number)) removed.push(incident(number, b));
+  }
+
+  return {
+    before: sideResult(before),
+    after: sideResult(after),
+    priorities,
+    total: {
+      totalChange: after.summary.total - before.summary.total,
+      withinChange: change(overallWithinPct(before.summary), overallWithinPct(after.summary)),
+      creditChange: credit(before.summary.credit.total, after.summary.credit.total),
+    },
+    changed: changed.sort(byNumberText),
+    added: added.sort(byNumberText),
+    removed: removed.sort(byNumberText),
+  };
+}
+
+// "+2.5 pp" / "-1.0 pp" / "no change"; '—' when either side had nothing to measure
+export function formatPointChange(points) {
+  if (points == null) return '—';
+  if (points === 0) return 'no change';
+  return `${points > 0 ? '+' : ''}${points.toFixed(1)} pp`;
+}
+
+// "+3" / "-1" / "0"
+export function formatCountChange(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
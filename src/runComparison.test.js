@@ -0,0 +1,97 @@
+import { compareRuns, formatPointChange, formatCountChange, outcomeLabel } from './runComparison';
+import { DEFAULT_CONTRACT } from './contractTerms';
+import { typedRows } from './columnModel';
+
+const headers = ['Number', 'Priority', 'Opened Date', 'Made SLA'];
+const row = (Number, Priority, made, opened = '2025-05-10 09:00:00') =>
+  typedRows([{ Number, Priority, 'Opened Date': opened, 'Made SLA': made }])[0];
+
+const may = {
+  label: 'May',
+  headers,
+  rows: [
+    row('INC1', 'P1 - Critical', 'Y'),
+    row('INC2', 'P2 - High', 'Y'),
+    row('INC3', 'P2 - High', 'N'),
+    row('INC4', 'P3 - Medium', ''),
+  ],
+  overrides: [],
+  contract: DEFAULT_CONTRACT,
+};
+
+const june = {
+  label: 'June',
+  headers,
+  rows: [
+    row('INC2', 'P2 - High', 'N'),
+    row('INC3', 'P2 - High', 'N'),
+    row('INC4', 'P3 - Medium', 'Y'),
+    row('INC10', 'P1 - Critical', 'Y', '2025-06-02 08:00:00'),
+    row('INC9', 'P1 - Critical', 'N', '2025-06-01 08:00:00'),
+  ],
+  overrides: [{ number: 'INC3', interval: null, action: 'exclude', reason: 'data-error' }],
+  contract: DEFAULT_CONTRACT,
+};
+
+test('compareRuns diffs the SUI SLA figures per priority and overall', () => {
+  const c = compareRuns(may, june);
+  expect(c.before).toMatchObject({ label: 'May', incidents: 4, withinPct: 50 });
+  // INC3 is excluded in June, so 4 incidents count there
+  expect(c.after).toMatchObject({ label: 'June', incidents: 5, withinPct: 50 });
+
+  const [p1, p2, p3, p4] = c.priorities;
+  expect(p1).toMatchObject({ label: 'P1 - Critical', totalChange: 1, withinChange: -50 });
+  expect(p1.before.withinPct).toBe(100);
+  expect(p1.after.withinPct).toBe(50);
+  // P2 was 1 of 2 within SLA, now 0 of 1
+  expect(p2).toMatchObject({ totalChange: -1, withinChange: -50 });
+  expect(p3).toMatchObject({ totalChange: 0, withinChange: 100 });
+  expect(p4.withinChange).toBeNull();
+
+  expect(c.total).toMatchObject({ totalChange: 0, withinChange: 0 });
+  expect(c.total.creditChange).toBeCloseTo(
+    c.after.summary.credit.total - c.before.summary.credit.total
+  );
+});
+
+test('compareRuns lists changed outcomes and new / gone Numbers', () => {
+  const c = compareRuns(may, june);
+  expect(c.changed).toEqual([
+    { number: 'INC2', priority: 'P2 - High', beforePriority: 'P2 - High', before: true, after: false },
+    { number: 'INC3', priority: 'P2 - High', beforePriority: 'P2 - High', before: false, after: 'Excluded' },
+    { number: 'INC4', priority: 'P3 - Medium', beforePriority: 'P3 - Medium', before: null, after: true },
+  ]);
+  // numeric order: INC9 before INC10
+  expect(c.added.map((i) => i.number)).toEqual(['INC9', 'INC10']);
+  expect(c.added[0]).toEqual({
+    number: 'INC9',
+    priority: 'P1 - Critical',
+    opened: '2025-06-01 08:00:00',
+    outcome: false,
+  });
+  expect(c.removed.map((i) => i.number)).toEqual(['INC1']);
+
+  // swapped, new and gone trade places
+  const back = compareRuns(june, may);
+  expect(back.removed.map((i) => i.number)).toEqual(['INC9', 'INC10']);
+  expect(back.added.map((i) => i.number)).toEqual(['INC1']);
+});
+
+test('credit changes are left out across currencies', () => {
+  const euro = { ...june, contract: { ...DEFAULT_CONTRACT, currency: '€' } };
+  const c = compareRuns(may, euro);
+  expect(c.total.creditChange).toBeNull();
+  expect(c.priorities.every((p) => p.creditChange === null)).toBe(true);
+});
+
+test('change and outcome formatting', () => {
+  expect(formatPointChange(2.5)).toBe('+2.5 pp');
+  expect(formatPointChange(-1)).toBe('-1.0 pp');
+  expect(formatPointChange(0)).toBe('no change');
+  expect(formatPointChange(null)).toBe('—');
+  expect(formatCountChange(3)).toBe('+3');
+  expect(formatCountChange(-2)).toBe('-2');
+  expect(outcomeLabel(false)).toBe('Breached');
+  expect(outcomeLabel(null)).toBe('Not measured');
+  expect(outcomeLabel('Excluded')).toBe('Excluded');
+});
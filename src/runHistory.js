@@ -0,0 +1,173 @@
+// src/runHistory.js
+import { applyOverrides } from './slaOverrides';
+import { summarizeSla, openedRange } from './slaSummary';
+
+/*
+  Processing history kept in the browser (IndexedDB database "erpa-history")
+  - Every preview is saved as a run: file names, time, user, the settings it was processed with
+    (SLA policy, working calendar, date profile, contract, trend period), the SUI SLA summary,
+    and the processed rows with their data issues and overrides (not the source rows: the
+    drill-down reads those from the files, which a run opened from the history does not have)
+  - The "runs" store holds what the History panel lists; "runData" holds the rows, so listing
+    does not read every run's data
+  - A run can be re-opened in the preview, or its workbook rebuilt, without the original files
+  - Only the newest MAX_RUNS runs are kept; without IndexedDB (some private windows) the
+    functions reject and nothing is kept
+*/
+
+const DB_NAME = 'erpa-history';
+const DB_VERSION = 1;
+
+export const MAX_RUNS = 25;
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('This browser cannot keep a processing history (no IndexedDB).'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('runs'))
+        db.createObjectStore('runs', { keyPath: 'id', autoIncrement: true });
+      if (!db.objectStoreNames.contains('runData')) db.createObjectStore('runData', { keyPath: 'id' });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs fn(runs, runData) in one transaction and resolves with its result once committed
+async function transact(mode, fn) {
+  const db = await openDb();
+  try {
+    const tx = db.transaction(['runs', 'runData'], mode);
+    const committed = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('The history update was cancelled.'));
+    });
+    let result;
+    try {
+      result = await fn(tx.objectStore('runs'), tx.objectStore('runData'));
+    } catch (e) {
+      committed.catch(() => {}); // the abort below rejects it; e is the error to report
+      tx.abort();
+      throw e;
+    }
+    await committed;
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+// SUI SLA figures of processed rows with their overrides applied
+export function runSummary(headers, rows, overrides, contract) {
+  return summarizeSla(applyOverrides(headers, rows, overrides).rows, contract);
+}
+
+/**
+ * History record of a processed preview. Returns { meta, data }: meta is what the History panel
+ * lists ({ at, by, fileNames, settings, dateOrder, rowCount, issueCount, openedRange, summary }),
+ * data is { headers, rows, issues, overrides: { key, overrides, log } }. The source rows behind the
+ * drill-down are not kept: they are read from the files again while those are loaded.
+ */
+export function buildRunRecord({
+  fileNames,
+  by,
+  at = new Date().toISOString(),
+  settings,
+  dateOrder,
+  headers,
+  rows,
+  issues,
+  overrideState,
+}) {
+  return {
+    meta: {
+      at,
+      by: by || 'unknown',
+      fileNames,
+      settings,
+      dateOrder,
+      rowCount: rows.length,
+      issueCount: issues.length,
+      openedRange: openedRange(rows),
+      summary: runSummary(headers, rows, overrideState.overrides, settings.contract),
+    },
+    data: { headers, rows, issues, overrides: overrideState },
+  };
+}
+
+// "may.xlsx (2025-05-01 to 2025-05-31)" - names a run in comparisons
+export function runLabel(meta) {
+  const files = meta.fileNames.length > 0 ? meta.fileNames.join(', ') : `Run ${meta.id}`;
+  const range = meta.openedRange;
+  return range ? `${files} (${range.from.slice(0, 10)} to ${range.to.slice(0, 10)})` : files;
+}
+
+// Saves a buildRunRecord result and drops the oldest runs past MAX_RUNS; resolves with the run id
+export function saveRun({ meta, data }) {
+  return transact('readwrite', async (runs, runData) => {
+    const id = await promisify(runs.add(meta));
+    await promisify(runData.put({ ...data, id }));
+    const ids = await promisify(runs.getAllKeys());
+    for (const old of ids.slice(0, Math.max(0, ids.length - MAX_RUNS))) {
+      runs.delete(old);
+      runData.delete(old);
+    }
+    return id;
+  });
+}
+
+// Listed runs (meta only), newest first
+export function listRuns() {
+  return transact('readonly', async (runs) => {
+    const all = await promisify(runs.getAll());
+    return all.sort((a, b) => b.id - a.id);
+  });
+}
+
+// A run's meta and data together; rejects when the run is gone
+export function loadRun(id) {
+  return transact('readonly', async (runs, runData) => {
+    const meta = await promisify(runs.get(id));
+    const data = await promisify(runData.get(id));
+    if (!meta || !data) throw new Error('This run is no longer in the history.');
+    return { ...meta, ...data };
+  });
+}
+
+// Store a run's changed overrides and the summary they give
+export function updateRunOverrides(id, overrideState, summary) {
+  return transact('readwrite', async (runs, runData) => {
+    const meta = await promisify(runs.get(id));
+    const data = await promisify(runData.get(id));
+    if (!meta || !data) return;
+    runs.put({ ...meta, summary });
+    runData.put({ ...data, overrides: overrideState });
+  });
+}
+
+export function deleteRun(id) {
+  return transact('readwrite', async (runs, runData) => {
+    runs.delete(id);
+    runData.delete(id);
+  });
+}
+
+export function clearHistory() {
+  return transact('readwrite', async (runs, runData) => {
+    runs.clear();
+    runData.clear();
+  });
+}
@@ -0,0 +1,69 @@
+import { buildRunRecord, listRuns, runLabel } from './runHistory';
+import { DEFAULT_CONTRACT } from './contractTerms';
+import { DEFAULT_POLICY } from './slaPolicy';
+import { typedRows } from './columnModel';
+
+const headers = ['Number', 'Priority', 'Opened Date', 'Interval 1', 'Made SLA 1', 'Made SLA'];
+const rows = typedRows([
+  {
+    Number: 'INC1',
+    Priority: 'P1 - Critical',
+    'Opened Date': '2025-05-02 09:00:00',
+    'Interval 1': '0d 0h 10m 0s',
+    'Made SLA 1': 'Y',
+    'Made SLA': 'Y',
+  },
+  {
+    Number: 'INC2',
+    Priority: 'P1 - Critical',
+    'Opened Date': '2025-05-20 09:00:00',
+    'Interval 1': '0d 3h 0m 0s',
+    'Made SLA 1': 'N',
+    'Made SLA': 'N',
+  },
+]);
+
+test('buildRunRecord keeps settings and rows, and summarizes with overrides applied', () => {
+  const exclude = { number: 'INC2', interval: null, action: 'exclude', reason: 'data-error' };
+  const overrideState = { key: 'may.xlsx', overrides: [exclude], log: [{ ...exclude, change: 'set' }] };
+  const settings = { policy: DEFAULT_POLICY, contract: DEFAULT_CONTRACT, trendPeriod: 'week' };
+  const { meta, data } = buildRunRecord({
+    fileNames: ['may.xlsx'],
+    by: 'analyst',
+    at: '2025-06-01T08:00:00.000Z',
+    settings,
+    dateOrder: 'dmy',
+    headers,
+    rows,
+    issues: [{ kind: 'x' }],
+    overrideState,
+  });
+
+  expect(meta).toMatchObject({
+    at: '2025-06-01T08:00:00.000Z',
+    by: 'analyst',
+    fileNames: ['may.xlsx'],
+    settings,
+    dateOrder: 'dmy',
+    rowCount: 2,
+    issueCount: 1,
+    openedRange: { from: '2025-05-02 09:00:00', to: '2025-05-20 09:00:00' },
+  });
+  // the excluded incident is not counted
+  expect(meta.summary).toMatchObject({ total: 1, Y: 1, N: 0 });
+  expect(data.rows).toBe(rows);
+  expect(data.rows[1]['Made SLA']).toBe(false);
+  expect(data.overrides).toBe(overrideState);
+});
+
+test('history calls reject clearly without IndexedDB', async () => {
+  await expect(listRuns()).rejects.toThrow(/cannot keep a processing history/);
+});
+
+test('runLabel names a run by its files and opened dates', () => {
+  const range = { from: '2025-05-02 09:00:00', to: '2025-05-20 09:00:00' };
+  expect(runLabel({ id: 3, fileNames: ['may.xlsx'], openedRange: range })).toBe(
+    'may.xlsx (2025-05-02 to 2025-05-20)'
+  );
+  expect(runLabel({ id: 3, fileNames: [], openedRange: null })).toBe('Run 3');
+});
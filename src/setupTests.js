@@ -3,3 +3,13 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom (Jest 27) lacks TextEncoder/TextDecoder, which react-router needs
+import { TextEncoder, TextDecoder } from 'util';
+// ... and Web Crypto, which the sign-in (PKCE) needs
+import { webcrypto } from 'crypto';
+
+if (typeof global.TextEncoder === 'undefined') global.TextEncoder = TextEncoder;
+if (typeof global.TextDecoder === 'undefined') global.TextDecoder = TextDecoder;
+if (!global.crypto || !global.crypto.subtle)
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
@@ -0,0 +1,166 @@
+// src/slaOverrides.js
+/*
+  Manual SLA overrides - exclusions and forced verdicts with a reason and audit trail
+  - An override is { number, interval, action, reason, comment, by, at }:
+      interval - null for the whole incident, else the N of "Made SLA N"
+      action   - 'exclude' (not counted), 'made' (counts as Y) or 'breached' (counts as N)
+      reason   - a REASON_CODES key; comment is free text; by / at record who set it and when
+  - applyOverrides rewrites the Made SLA cells of processed rows (true / false, see
+    columnModel.js) and adds an Override column; excluded incidents show Made SLA "Excluded" and
+    are left out of the SUI SLA counts
+  - Overrides and their change log are kept in localStorage per set of input files, so they are
+    re-applied when the same files are processed again
+*/
+
+const OVERRIDES_KEY = 'erp_sla_overrides';
+
+export const EXCLUDED = 'Excluded';
+
+export const OVERRIDE_ACTIONS = {
+  exclude: 'Excluded',
+  made: 'Counted as made',
+  breached: 'Counted as breached',
+};
+
+export const REASON_CODES = {
+  'customer-wait': 'Waiting on customer',
+  'vendor-hold': 'Vendor hold',
+  'planned-work': 'Planned maintenance / change',
+  'wrong-priority': 'Priority set incorrectly',
+  'data-error': 'Wrong timestamps in the export',
+  other: 'Other',
+};
+
+const VERDICT = { exclude: EXCLUDED, made: true, breached: false };
+
+// Returns a list of problems; empty when the override can be applied
+export function validateOverride(o) {
+  const errors = [];
+  if (!o || !String(o.number || '').trim()) return ['Incident Number is required.'];
+  const label = `${o.number}${o.interval != null ? ` interval ${o.interval}` : ''}`;
+  if (o.interval != null && !(Number.isInteger(o.interval) && o.interval >= 1))
+    errors.push(`${label}: interval must be a whole number from 1.`);
+  if (!OVERRIDE_ACTIONS[o.action])
+    errors.push(`${label}: action must be one of ${Object.keys(OVERRIDE_ACTIONS).join(', ')}.`);
+  if (!REASON_CODES[o.reason])
+    errors.push(`${label}: reason must be one of ${Object.keys(REASON_CODES).join(', ')}.`);
+  if (o.reason === 'other' && !String(o.comment || '').trim())
+    errors.push(`${label}: a comment is required when the reason is Other.`);
+  return errors;
+}
+
+// "Incident" or "Interval 2"
+export function overrideScope(o) {
+  return o.interval == null ? 'Incident' : `Interval ${o.interval}`;
+}
+
+export function describeOverride(o) {
+  return `${overrideScope(o)} ${OVERRIDE_ACTIONS[o.action].toLowerCase()} (${
+    REASON_CODES[o.reason] || o.reason
+  })`;
+}
+
+// Same target: one override per incident or per interval
+export function sameTarget(a, b) {
+  return a.number === b.number && (a.interval ?? null) === (b.interval ?? null);
+}
+
+// Overall Made SLA from the per-interval verdicts, as processRows decides it
+function overallVerdict(row, headers) {
+  const values = headers
+    .filter((h) => /^Made SLA \d+$/.test(h))
+    .map((h) => row[h])
+    .filter((v) => typeof v === 'boolean');
+  if (values.length === 0) return null;
+  return !values.includes(false);
+}
+
+/**
+ * Apply overrides to processed rows.
+ * Returns { headers, rows, applied: [{ override, before, after }], unmatched } - headers gain an
+ * Override column after Made SLA when any override matched; before / after are the incident's
+ * Made SLA without and with its overrides; unmatched lists overrides whose incident or interval
+ * is not in rows.
+ */
+export function applyOverrides(headers, rows, overrides) {
+  if (!overrides || overrides.length === 0) return { headers, rows, applied: [], unmatched: [] };
+
+  const byNumber = new Map();
+  for (const o of overrides) {
+    if (!byNumber.has(o.number)) byNumber.set(o.number, []);
+    byNumber.get(o.number).push(o);
+  }
+
+  const applied = [];
+  const outRows = rows.map((r) => {
+    const list = byNumber.get(r.Number);
+    if (!list) return r;
+    const row = { ...r };
+    const intervals = list.filter((o) => o.interval != null).sort((a, b) => a.interval - b.interval);
+    const incident = list.find((o) => o.interval == null);
+    const used = [];
+    for (const o of intervals) {
+      // only measured gaps have a verdict; anything else is left unmatched
+      if (row[`Interval ${o.interval}`] == null) continue;
+      row[`Made SLA ${o.interval}`] = VERDICT[o.action];
+      used.push(o);
+    }
+    if (used.length > 0) row['Made SLA'] = overallVerdict(row, headers);
+    if (incident) {
+      row['Made SLA'] = VERDICT[incident.action];
+      used.push(incident);
+    }
+    row.Override = used.map(describeOverride).join('; ');
+    for (const o of used) applied.push({ override: o, before: r['Made SLA'], after: row['Made SLA'] });
+    return row;
+  });
+
+  const appliedSet = new Set(applied.map((a) => a.override));
+  let outHeaders = headers;
+  if (applied.length > 0 && !headers.includes('Override')) {
+    const at = headers.indexOf('Made SLA') + 1;
+    outHeaders = [...headers.slice(0, at), 'Override', ...headers.slice(at)];
+  }
+  return {
+    headers: outHeaders,
+    rows: outRows,
+    applied,
+    unmatched: overrides.filter((o) => !appliedSet.has(o)),
+  };
+}
+
+// Storage key for a set of input files: their names, in a stable order
+export function overrideSetKey(fileNames) {
+  return [...fileNames].sort().join('|');
+}
+
+function readStore() {
+  try {
+    const raw = localStorage.getItem(OVERRIDES_KEY);
+    const store = raw ? JSON.parse(raw) : null;
+    if (store && typeof store === 'object') return store;
+  } catch (e) {
+    /* ignore corrupt storage */
+  }
+  return {};
+}
+
+// { overrides, log } saved for the set of files; log entries are overrides plus change: 'set' | 'removed'
+export function loadOverrides(setKey) {
+  const entry = readStore()[setKey];
+  return {
+    overrides: Array.isArray(entry?.overrides) ? entry.overrides : [],
+    log: Array.isArray(entry?.log) ? entry.log : [],
+  };
+}
+
+export function saveOverrides(setKey, { overrides, log }) {
+  try {
+    const store = readStore();
+    if (overrides.length === 0 && log.length === 0) delete store[setKey];
+    else store[setKey] = { overrides, log };
+    localStorage.setItem(OVERRIDES_KEY, JSON.stringify(store));
+  } catch (e) {
+    /* ignore */
+  }
+}
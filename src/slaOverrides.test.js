@@ -0,0 +1,86 @@
+import {
+  applyOverrides,
+  validateOverride,
+  loadOverrides,
+  saveOverrides,
+  overrideSetKey,
+  EXCLUDED,
+} from './slaOverrides';
+import { summarizeSla } from './slaSummary';
+import { typedRows } from './columnModel';
+
+const headers = ['Number', 'Priority', 'Interval 1', 'Made SLA 1', 'Interval 2', 'Made SLA 2', 'Made SLA'];
+const rows = typedRows([
+  {
+    Number: 'INC1',
+    Priority: 'P1 - Critical',
+    'Interval 1': '0d 0h 30m 0s',
+    'Made SLA 1': 'Y',
+    'Interval 2': '0d 5h 0m 0s',
+    'Made SLA 2': 'N',
+    'Made SLA': 'N',
+  },
+  {
+    Number: 'INC2',
+    Priority: 'P2 - High',
+    'Interval 1': '0d 4h 0m 0s',
+    'Made SLA 1': 'N',
+    'Interval 2': '',
+    'Made SLA 2': '',
+    'Made SLA': 'N',
+  },
+]);
+
+const override = (fields) => ({ reason: 'vendor-hold', comment: '', by: 'sam', at: '', ...fields });
+
+test('excluding an interval recomputes the incident verdict', () => {
+  const out = applyOverrides(headers, rows, [override({ number: 'INC1', interval: 2, action: 'exclude' })]);
+  expect(out.headers).toEqual([...headers, 'Override']);
+  expect(out.rows[0]).toMatchObject({ 'Made SLA 2': EXCLUDED, 'Made SLA': true });
+  expect(out.rows[0].Override).toBe('Interval 2 excluded (Vendor hold)');
+  expect(out.rows[1]).toBe(rows[1]);
+  expect(out.applied.map((a) => [a.before, a.after])).toEqual([[false, true]]);
+  // the source rows are left alone
+  expect(rows[0]['Made SLA 2']).toBe(false);
+
+  // a gap paused to 0 is still measured
+  const paused = applyOverrides(headers, [{ ...rows[0], 'Interval 2': 0 }], [
+    override({ number: 'INC1', interval: 2, action: 'breached' }),
+  ]);
+  expect(paused.unmatched).toEqual([]);
+});
+
+test('incident overrides win and unmeasured or unknown targets are unmatched', () => {
+  const overrides = [
+    override({ number: 'INC2', interval: null, action: 'exclude', reason: 'customer-wait' }),
+    override({ number: 'INC2', interval: 2, action: 'made' }),
+    override({ number: 'INC9', interval: null, action: 'breached' }),
+  ];
+  const out = applyOverrides(headers, rows, overrides);
+  expect(out.rows[1]['Made SLA']).toBe(EXCLUDED);
+  expect(out.unmatched).toEqual([overrides[1], overrides[2]]);
+
+  // excluded incidents drop out of the SUI SLA counts
+  const sla = summarizeSla(out.rows);
+  expect(sla.total).toBe(1);
+  expect(sla.priorities[1].total).toBe(0);
+});
+
+test('validateOverride checks the action, reason and comment', () => {
+  expect(validateOverride(override({ number: 'INC1', interval: null, action: 'made' }))).toEqual([]);
+  expect(validateOverride({ number: '' })).toEqual(['Incident Number is required.']);
+  expect(
+    validateOverride({ number: 'INC1', interval: 0, action: 'skip', reason: 'other', comment: ' ' })
+  ).toHaveLength(3);
+});
+
+test('overrides are saved per set of input files', () => {
+  const key = overrideSetKey(['b.csv', 'a.xlsx']);
+  expect(key).toBe('a.xlsx|b.csv');
+  const saved = { overrides: [override({ number: 'INC1', interval: null, action: 'made' })], log: [] };
+  saveOverrides(key, saved);
+  expect(loadOverrides(key)).toEqual(saved);
+  expect(loadOverrides('other.csv')).toEqual({ overrides: [], log: [] });
+  saveOverrides(key, { overrides: [], log: [] });
+  expect(localStorage.getItem('erp_sla_overrides')).toBe('{}');
+});
@@ -0,0 +1,161 @@
+// src/slaPolicy.js
+/*
+  SLA policies - named sets of priority thresholds
+  - A policy has a list of rules (label, pattern, thresholdHours) and a defaultHours
+  - pattern is a case-insensitive regular expression tested against the trimmed Priority cell
+  - pauseStates: State values (case-insensitive) that stop the SLA clock, e.g. "On Hold";
+    none by default, so pausing is opt-in
+  - Policies and the active policy name are kept in localStorage
+*/
+
+const POLICIES_KEY = 'erp_sla_policies';
+const ACTIVE_POLICY_KEY = 'erp_sla_active_policy';
+
+const HOUR_MS = 3600 * 1000;
+
+export const DEFAULT_POLICY = {
+  name: 'Standard',
+  rules: [
+    { label: 'P1', pattern: '^P1', thresholdHours: 1 },
+    { label: 'P2', pattern: '^P2', thresholdHours: 3 },
+    { label: 'P3', pattern: '^P3', thresholdHours: 4 },
+    { label: 'P4', pattern: '^P4', thresholdHours: 8 },
+  ],
+  defaultHours: 8,
+  pauseStates: [],
+};
+
+export function clonePolicy(policy) {
+  return {
+    name: policy.name,
+    rules: (policy.rules || []).map((r) => ({ ...r })),
+    defaultHours: policy.defaultHours,
+    pauseStates: [...(policy.pauseStates || [])],
+  };
+}
+
+function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (e) {
+    return null;
+  }
+}
+
+// Compiled rule patterns per policy, so matching a row does not build a RegExp per rule
+const compiledRules = new WeakMap();
+
+function policyMatchers(policy) {
+  const rules = policy.rules || [];
+  const cached = compiledRules.get(policy);
+  if (cached && cached.rules === rules) return cached.matchers;
+  const matchers = rules.map((rule) => ({ rule, re: compilePattern(rule.pattern) }));
+  compiledRules.set(policy, { rules, matchers });
+  return matchers;
+}
+
+// Returns a list of problems; empty when the policy can be saved
+export function validatePolicy(policy, others = []) {
+  const errors = [];
+  const name = (policy.name || '').trim();
+  if (!name) errors.push('Policy name is required.');
+  else if (others.some((o) => o.name.trim().toLowerCase() === name.toLowerCase()))
+    errors.push(`A policy named "${name}" already exists.`);
+
+  if (!(Number(policy.defaultHours) > 0)) errors.push('Default threshold must be greater than 0.');
+
+  (policy.rules || []).forEach((r, i) => {
+    const label = r.label || `Rule ${i + 1}`;
+    if (!r.pattern) errors.push(`${label}: pattern is required.`);
+    else if (!compilePattern(r.pattern)) errors.push(`${label}: pattern is not a valid expression.`);
+    if (!(Number(r.thresholdHours) > 0)) errors.push(`${label}: threshold must be greater than 0.`);
+  });
+
+  return errors;
+}
+
+// First rule whose pattern matches the priority, or null
+export function matchPriorityRule(priorityString, policy) {
+  if (!policy || priorityString == null) return null;
+  const p = String(priorityString).trim();
+  if (!p) return null;
+  for (const { rule, re } of policyMatchers(policy)) {
+    if (re && re.test(p)) return rule;
+  }
+  return null;
+}
+
+// SLA threshold (ms) for a priority under the given policy
+export function priorityThresholdMs(priorityString, policy = DEFAULT_POLICY) {
+  const rule = matchPriorityRule(priorityString, policy);
+  const hours = rule ? Number(rule.thresholdHours) : Number(policy.defaultHours);
+  return hours * HOUR_MS;
+}
+
+// "On Hold, Awaiting Caller" -> ['On Hold', 'Awaiting Caller']
+export function parsePauseStates(text) {
+  return String(text || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// True when the clock is paused while an incident is in this State
+export function isPauseState(state, policy) {
+  const s = String(state ?? '').trim().toLowerCase();
+  if (!s) return false;
+  return (policy.pauseStates || []).some((p) => p.trim().toLowerCase() === s);
+}
+
+// e.g. "On Hold, Awaiting Caller", or "none"
+export function describePauseStates(policy) {
+  const states = policy.pauseStates || [];
+  return states.length > 0 ? states.join(', ') : 'none';
+}
+
+// One-line summary, e.g. "P1 1h, P2 3h, P3 4h, P4 8h, other 8h"
+export function describePolicy(policy) {
+  const parts = (policy.rules || []).map((r) => `${r.label || r.pattern} ${r.thresholdHours}h`);
+  parts.push(`other ${policy.defaultHours}h`);
+  return parts.join(', ');
+}
+
+export function loadSlaPolicies() {
+  try {
+    const raw = localStorage.getItem(POLICIES_KEY);
+    const list = raw ? JSON.parse(raw) : null;
+    if (Array.isArray(list) && list.length > 0) return list;
+  } catch (e) {
+    /* ignore corrupt storage */
+  }
+  return [clonePolicy(DEFAULT_POLICY)];
+}
+
+export function saveSlaPolicies(policies) {
+  try {
+    localStorage.setItem(POLICIES_KEY, JSON.stringify(policies));
+  } catch (e) {
+    /* ignore */
+  }
+}
+
+export function loadActivePolicyName() {
+  try {
+    return localStorage.getItem(ACTIVE_POLICY_KEY);
+  } catch (e) {
+    return null;
+  }
+}
+
+export function saveActivePolicyName(name) {
+  try {
+    localStorage.setItem(ACTIVE_POLICY_KEY, name);
+  } catch (e) {
+    /* ignore */
+  }
+}
+
+// Active policy from a list, falling back to the first entry
+export function resolveActivePolicy(policies, name) {
+  return policies.find((p) => p.name === name) || policies[0] || DEFAULT_POLICY;
+}
@@ -0,0 +1,67 @@
+import {
+  DEFAULT_POLICY,
+  priorityThresholdMs,
+  matchPriorityRule,
+  validatePolicy,
+  describePolicy,
+  isPauseState,
+  parsePauseStates,
+  describePauseStates,
+} from './slaPolicy';
+
+const HOUR = 3600 * 1000;
+
+test('default policy keeps the P1-P4 thresholds', () => {
+  expect(priorityThresholdMs('P1 - Critical')).toBe(1 * HOUR);
+  expect(priorityThresholdMs(' p2 - high')).toBe(3 * HOUR);
+  expect(priorityThresholdMs('P3 - Medium')).toBe(4 * HOUR);
+  expect(priorityThresholdMs('P4 - Low')).toBe(8 * HOUR);
+  expect(priorityThresholdMs('Unknown')).toBe(8 * HOUR);
+  expect(priorityThresholdMs('')).toBe(8 * HOUR);
+});
+
+test('first matching rule wins and the default covers the rest', () => {
+  const policy = {
+    name: 'Gold',
+    rules: [
+      { label: 'Critical', pattern: 'critical', thresholdHours: 0.5 },
+      { label: 'P1', pattern: '^P1', thresholdHours: 2 },
+    ],
+    defaultHours: 12,
+  };
+  expect(matchPriorityRule('P1 - Critical', policy).label).toBe('Critical');
+  expect(priorityThresholdMs('P1 - Critical', policy)).toBe(0.5 * HOUR);
+  expect(priorityThresholdMs('P1 - Major', policy)).toBe(2 * HOUR);
+  expect(priorityThresholdMs('P3', policy)).toBe(12 * HOUR);
+});
+
+test('validatePolicy reports bad input', () => {
+  expect(validatePolicy(DEFAULT_POLICY)).toEqual([]);
+  const errors = validatePolicy(
+    { name: 'standard', rules: [{ label: 'X', pattern: '([', thresholdHours: 0 }], defaultHours: 0 },
+    [DEFAULT_POLICY]
+  );
+  expect(errors).toHaveLength(4);
+});
+
+test('describePolicy', () => {
+  expect(describePolicy(DEFAULT_POLICY)).toBe('P1 1h, P2 3h, P3 4h, P4 8h, other 8h');
+});
+
+test('pause states match the State case-insensitively and are off by default', () => {
+  const pausing = { ...DEFAULT_POLICY, pauseStates: ['On Hold', 'Awaiting Caller'] };
+  expect(isPauseState(' on hold ', pausing)).toBe(true);
+  expect(isPauseState('In Progress', pausing)).toBe(false);
+  expect(isPauseState('On Hold', DEFAULT_POLICY)).toBe(false);
+  expect(parsePauseStates('On Hold, , Awaiting Vendor ')).toEqual(['On Hold', 'Awaiting Vendor']);
+  expect(describePauseStates(pausing)).toBe('On Hold, Awaiting Caller');
+  expect(describePauseStates(DEFAULT_POLICY)).toBe('none');
+});
+
+test('rule patterns are compiled once per policy', () => {
+  const policy = { name: 'Gold', rules: [{ label: 'P1', pattern: '^P1', thresholdHours: 2 }] };
+  const spy = jest.spyOn(global, 'RegExp');
+  for (let i = 0; i < 5; i++) matchPriorityRule('P1 - Critical', policy);
+  expect(spy).toHaveBeenCalledTimes(1);
+  spy.mockRestore();
+});
@@ -0,0 +1,230 @@
+// src/slaSummary.js
+import { DEFAULT_CONTRACT, evaluatePriority, totalCredit } from './contractTerms';
+import { EXCLUDED } from './slaOverrides';
+import { formatWallClock } from './dateHelpers';
+
+/*
+  SLA figures computed from processed rows (the Incident Intervals data)
+  - summarizeSla: the SUI SLA table - totals, within SLA, breach %, compliance, credit per priority
+  - summarizeByDimension: the same table per value of a dimension column (e.g. Assignment group)
+  - breachTrend: made / missed SLA per opened day, week or month
+  - priorityTrend: the same periods split by SUI priority (SLA Trend sheet)
+  - intervalDistribution: how long the measured intervals were, in fixed buckets
+  Rows hold the typed values of columnModel.js: Made SLA true / false, wall-clock Opened Dates and
+  interval milliseconds. Incidents excluded by an override (Made SLA "Excluded", see
+  slaOverrides.js) are not counted.
+  Used by the workbook (incidentWorkbook.js) and the in-app dashboard (SlaDashboard.jsx).
+*/
+
+export const SUI_PRIORITIES = ['P1 - Critical', 'P2 - High', 'P3 - Medium', 'P4 - Low'];
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * SUI SLA table for the rows.
+ * Returns { priorities: [{ label, total, Y, N, withinPct, breachPct, compliant, creditPct,
+ * creditAmount }], total, Y, N, credit: { total, capped } }. Percentages are numbers rounded
+ * to one decimal like the sheet shows them; withinPct/breachPct are null for an empty priority.
+ * Breach % is the priority's breaches as a share of all incidents.
+ */
+export function summarizeSla(rows, contract = DEFAULT_CONTRACT) {
+  const stats = {};
+  SUI_PRIORITIES.forEach((p) => (stats[p] = { total: 0, Y: 0, N: 0 }));
+
+  for (const r of rows) {
+    if (r['Made SLA'] === EXCLUDED) continue;
+    const pr = r.Priority || '';
+    const key = SUI_PRIORITIES.find((p) => pr.startsWith(p.split(' ')[0]));
+    if (!key) continue;
+    stats[key].total++;
+    if (r['Made SLA'] === true) stats[key].Y++;
+    if (r['Made SLA'] === false) stats[key].N++;
+  }
+
+  const grandTotal = Object.values(stats).reduce((s, x) => s + x.total, 0);
+  const round1 = (n) => Number(n.toFixed(1));
+
+  const priorities = SUI_PRIORITIES.map((label) => {
+    const { total, Y, N } = stats[label];
+    if (total === 0) {
+      return {
+        label,
+        total,
+        Y,
+        N,
+        withinPct: null,
+        breachPct: null,
+        compliant: true,
+        creditPct: 0,
+        creditAmount: 0,
+      };
+    }
+    const withinPct = round1((Y / total) * 100);
+    const breachPct = grandTotal > 0 ? round1((N / grandTotal) * 100) : 0;
+    const terms = evaluatePriority(contract, label.split(' ')[0], { Y, N }, breachPct);
+    return {
+      label,
+      total,
+      Y,
+      N,
+      withinPct,
+      breachPct,
+      compliant: terms.compliant,
+      creditPct: terms.creditPct,
+      creditAmount: terms.creditAmount,
+    };
+  });
+
+  return {
+    priorities,
+    total: grandTotal,
+    Y: priorities.reduce((s, p) => s + p.Y, 0),
+    N: priorities.reduce((s, p) => s + p.N, 0),
+    credit: totalCredit(
+      contract,
+      priorities.map((p) => p.creditAmount)
+    ),
+  };
+}
+
+/**
+ * SUI SLA table per value of a dimension column, e.g. one per assignment group.
+ * Returns [{ value, summary (summarizeSla), breachShare }], the values with most breaches first;
+ * value is '' for incidents without one. breachShare is the value's share of all breaches in %,
+ * null when nothing breached.
+ */
+export function summarizeByDimension(rows, dimension, contract = DEFAULT_CONTRACT) {
+  const groups = new Map();
+  for (const r of rows) {
+    const value = String(r[dimension] ?? '').trim();
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(r);
+  }
+  const out = [...groups].map(([value, groupRows]) => ({
+    value,
+    summary: summarizeSla(groupRows, contract),
+  }));
+  const breaches = out.reduce((n, d) => n + d.summary.N, 0);
+  return out
+    .map((d) => ({ ...d, breachShare: breaches > 0 ? (d.summary.N / breaches) * 100 : null }))
+    .sort(
+      (a, b) =>
+        b.summary.N - a.summary.N ||
+        (a.value === '') - (b.value === '') ||
+        a.value.localeCompare(b.value)
+    );
+}
+
+export const TREND_PERIODS = { day: 'Day', week: 'Week', month: 'Month' };
+
+// 'YYYY-MM-DD' for a day or the Monday starting the week, 'YYYY-MM' for a month; null without
+// an Opened Date
+export function periodKey(opened, period) {
+  if (!(opened instanceof Date) || isNaN(opened)) return null;
+  if (period === 'month') return opened.toISOString().slice(0, 7);
+  if (period === 'day') return opened.toISOString().slice(0, 10);
+  const d = new Date(Date.UTC(opened.getUTCFullYear(), opened.getUTCMonth(), opened.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Made / missed SLA per opened period ('day', 'week' starting on Monday, or 'month'), oldest first.
+ * Returns [{ period, total, Y, N, breachPct }] - breachPct is N / (Y + N), null when nothing
+ * in the period was measured.
+ */
+export function breachTrend(rows, period = 'week') {
+  const buckets = new Map();
+  for (const r of rows) {
+    const key = periodKey(r['Opened Date'], period);
+    if (!key || r['Made SLA'] === EXCLUDED) continue;
+    if (!buckets.has(key)) buckets.set(key, { period: key, total: 0, Y: 0, N: 0 });
+    const b = buckets.get(key);
+    b.total++;
+    if (r['Made SLA'] === true) b.Y++;
+    if (r['Made SLA'] === false) b.N++;
+  }
+  return [...buckets.values()]
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map((b) => ({ ...b, breachPct: b.Y + b.N > 0 ? (b.N / (b.Y + b.N)) * 100 : null }));
+}
+
+/**
+ * Per-period SUI priority counts, oldest first.
+ * Returns [{ period, total, Y, N, priorities: [{ label, total, Y, N }] }] with priorities in
+ * SUI_PRIORITIES order; rows of other priorities only count towards the period totals.
+ */
+export function priorityTrend(rows, period = 'month') {
+  const buckets = new Map();
+  for (const r of rows) {
+    const key = periodKey(r['Opened Date'], period);
+    if (!key || r['Made SLA'] === EXCLUDED) continue;
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        period: key,
+        total: 0,
+        Y: 0,
+        N: 0,
+        priorities: SUI_PRIORITIES.map((label) => ({ label, total: 0, Y: 0, N: 0 })),
+      });
+    }
+    const b = buckets.get(key);
+    const pr = r.Priority || '';
+    const p = b.priorities.find((x) => pr.startsWith(x.label.split(' ')[0]));
+    for (const c of p ? [b, p] : [b]) {
+      c.total++;
+      if (r['Made SLA'] === true) c.Y++;
+      if (r['Made SLA'] === false) c.N++;
+    }
+  }
+  return [...buckets.values()].sort((a, b) => a.period.localeCompare(b.period));
+}
+
+// Earliest and latest Opened Date as "YYYY-MM-DD HH:mm:ss" text: { from, to }, or null when
+// no row has one
+export function openedRange(rows) {
+  let from = null;
+  let to = null;
+  for (const r of rows) {
+    const v = r['Opened Date'];
+    if (!(v instanceof Date) || isNaN(v)) continue;
+    if (from === null || v < from) from = v;
+    if (to === null || v > to) to = v;
+  }
+  return from === null ? null : { from: formatWallClock(from), to: formatWallClock(to) };
+}
+
+export const INTERVAL_BUCKETS = [
+  { label: '< 15m', max: 15 * MINUTE_MS },
+  { label: '15–30m', max: 30 * MINUTE_MS },
+  { label: '30m–1h', max: HOUR_MS },
+  { label: '1–2h', max: 2 * HOUR_MS },
+  { label: '2–4h', max: 4 * HOUR_MS },
+  { label: '4–8h', max: 8 * HOUR_MS },
+  { label: '8–24h', max: DAY_MS },
+  { label: '1–3d', max: 3 * DAY_MS },
+  { label: '> 3d', max: Infinity },
+];
+
+/**
+ * Count of every "Interval N" value per INTERVAL_BUCKETS entry, split by its Made SLA N.
+ * Returns [{ label, count, Y, N }].
+ */
+export function intervalDistribution(rows, headers) {
+  const cols = headers.filter((h) => /^Interval \d+$/.test(h));
+  const out = INTERVAL_BUCKETS.map((b) => ({ label: b.label, count: 0, Y: 0, N: 0 }));
+  for (const r of rows) {
+    for (const col of cols) {
+      const ms = r[col];
+      if (typeof ms !== 'number') continue;
+      const b = out[INTERVAL_BUCKETS.findIndex((x) => ms < x.max)];
+      b.count++;
+      const made = r[`Made SLA ${col.slice('Interval '.length)}`];
+      if (made === true) b.Y++;
+      if (made === false) b.N++;
+    }
+  }
+  return out;
+}
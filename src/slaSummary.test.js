@@ -0,0 +1,103 @@
+import {
+  summarizeSla,
+  summarizeByDimension,
+  breachTrend,
+  priorityTrend,
+  openedRange,
+  intervalDistribution,
+} from './slaSummary';
+import { parseIntervalText } from './dateHelpers';
+import { typedRows } from './columnModel';
+import { DEFAULT_CONTRACT } from './contractTerms';
+
+// written as the preview shows them, typed as processRows stores them
+const rows = typedRows([
+  {
+    Priority: 'P1 - Critical',
+    'Opened Date': '2025-03-03 09:00:00',
+    'Interval 1': '0d 0h 10m 0s',
+    'Made SLA 1': 'Y',
+    'Made SLA': 'Y',
+  },
+  {
+    Priority: 'P2 - High',
+    'Opened Date': '2025-03-09 23:00:00',
+    'Interval 1': '0d 5h 0m 0s',
+    'Made SLA 1': 'N',
+    'Interval 2': '2d 0h 0m 0s',
+    'Made SLA 2': 'Y',
+    'Made SLA': 'N',
+  },
+  { Priority: 'P2 - High', 'Opened Date': '2025-03-10 08:00:00', 'Made SLA': 'Y' },
+  { Priority: 'P4 - Low', 'Opened Date': '2025-04-01 08:00:00', 'Made SLA': '' },
+]);
+
+test('summarizeSla matches the SUI SLA sheet figures', () => {
+  const s = summarizeSla(rows, DEFAULT_CONTRACT);
+  expect(s.total).toBe(4);
+  expect(s.Y).toBe(2);
+  expect(s.N).toBe(1);
+  const [p1, p2, p3, p4] = s.priorities;
+  expect(p1).toMatchObject({ total: 1, withinPct: 100, compliant: true, creditAmount: 0 });
+  expect(p2).toMatchObject({ total: 2, Y: 1, N: 1, withinPct: 50, breachPct: 25, compliant: false });
+  expect(p2.creditAmount).toBeCloseTo(592.45);
+  expect(p3).toMatchObject({ total: 0, withinPct: null, breachPct: null, compliant: true });
+  expect(p4.total).toBe(1);
+  expect(s.credit).toEqual({ total: p2.creditAmount, capped: false });
+});
+
+test('breachTrend groups by Monday-start week or by month', () => {
+  const weeks = breachTrend(rows, 'week');
+  expect(weeks.map((w) => w.period)).toEqual(['2025-03-03', '2025-03-10', '2025-03-31']);
+  expect(weeks[0]).toMatchObject({ total: 2, Y: 1, N: 1, breachPct: 50 });
+  expect(weeks[2].breachPct).toBeNull();
+
+  const months = breachTrend(rows, 'month');
+  expect(months.map((m) => [m.period, m.total])).toEqual([
+    ['2025-03', 3],
+    ['2025-04', 1],
+  ]);
+});
+
+test('priorityTrend splits each period by SUI priority', () => {
+  const days = priorityTrend(rows, 'day');
+  expect(days.map((d) => d.period)).toEqual(['2025-03-03', '2025-03-09', '2025-03-10', '2025-04-01']);
+
+  const [march, april] = priorityTrend(rows, 'month');
+  expect(march).toMatchObject({ period: '2025-03', total: 3, Y: 2, N: 1 });
+  expect(march.priorities.map((p) => [p.label.slice(0, 2), p.total, p.Y, p.N])).toEqual([
+    ['P1', 1, 1, 0],
+    ['P2', 2, 1, 1],
+    ['P3', 0, 0, 0],
+    ['P4', 0, 0, 0],
+  ]);
+  expect(april.priorities[3].total).toBe(1);
+
+  expect(openedRange(rows)).toEqual({ from: '2025-03-03 09:00:00', to: '2025-04-01 08:00:00' });
+  expect(openedRange([{ 'Opened Date': null }])).toBeNull();
+});
+
+test('intervalDistribution buckets every interval with its own Made SLA', () => {
+  expect(parseIntervalText('1d 2h 3m 4s')).toBe(((26 * 60 + 3) * 60 + 4) * 1000);
+  expect(parseIntervalText('')).toBeNull();
+
+  const headers = ['Priority', 'Interval 1', 'Interval 2', 'Made SLA 1', 'Made SLA 2'];
+  const dist = intervalDistribution(rows, headers);
+  const byLabel = Object.fromEntries(dist.map((b) => [b.label, b]));
+  expect(byLabel['< 15m']).toMatchObject({ count: 1, Y: 1, N: 0 });
+  expect(byLabel['4–8h']).toMatchObject({ count: 1, Y: 0, N: 1 });
+  expect(byLabel['1–3d']).toMatchObject({ count: 1, Y: 1, N: 0 });
+  expect(dist.reduce((s, b) => s + b.count, 0)).toBe(3);
+});
+
+test('summarizeByDimension lists the values with the most breaches first', () => {
+  const teams = ['Service Desk', 'Network Ops', 'Service Desk', undefined];
+  const byTeam = summarizeByDimension(
+    rows.map((r, i) => ({ ...r, Team: teams[i] })),
+    'Team',
+    DEFAULT_CONTRACT
+  );
+  expect(byTeam.map((d) => d.value)).toEqual(['Network Ops', 'Service Desk', '']);
+  expect(byTeam[0]).toMatchObject({ breachShare: 100, summary: { total: 1, N: 1 } });
+  expect(byTeam[1]).toMatchObject({ breachShare: 0, summary: { total: 2, Y: 2 } });
+});
@@ -0,0 +1,209 @@
+// src/workbookCharts.js
+import JSZip from 'jszip';
+
+/*
+  Native Excel charts for ExcelJS workbooks
+  - ExcelJS reads and writes no chart parts, so charts are recorded on the workbook with addChart
+    and writeWorkbookBuffer adds them to ExcelJS's output: a chart part (DrawingML) per chart, one
+    drawing per sheet that anchors them, and the relationships / content types that tie them in
+  - A chart is { sheet, type: 'line' | 'column', title, categories, series, anchor, percent }:
+    categories { col, from, to } and each series { col, nameRow, color } point at cells of the
+    sheet (1-based), so the chart follows the data when it is edited in Excel; color is a column
+    fill such as 'C00000'. anchor { col, row, width, height } places the chart in cells (0-based
+    top left); percent formats the value axis 0-100%
+  - Parts ExcelJS wrote are not parsed: sheet parts are named sheet<id>.xml, and a sheet that
+    already has relationships of its own (images, comments, hyperlinks, tables) is refused
+*/
+
+const NS = {
+  c: 'http://schemas.openxmlformats.org/drawingml/2006/chart',
+  a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  xdr: 'http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing',
+  rels: 'http://schemas.openxmlformats.org/package/2006/relationships',
+};
+const CONTENT_TYPES = {
+  chart: 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml',
+  drawing: 'application/vnd.openxmlformats-officedocument.drawing+xml',
+};
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const recorded = new WeakMap();
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnLetter(col) {
+  let s = '';
+  for (let n = col; n > 0; n = Math.floor((n - 1) / 26))
+    s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+// 'SLA Trend'!$B$3:$B$9
+function cellRange(sheet, col, from, to = from) {
+  const letter = columnLetter(col);
+  const range = from === to ? `$${letter}$${from}` : `$${letter}$${from}:$${letter}$${to}`;
+  return `'${sheet.replace(/'/g, "''")}'!${range}`;
+}
+
+/** Records a chart to write with writeWorkbookBuffer (see the module comment for its shape). */
+export function addChart(wb, chart) {
+  if (!recorded.has(wb)) recorded.set(wb, []);
+  recorded.get(wb).push(chart);
+}
+
+function seriesXml(chart, s, i) {
+  const { sheet, categories, type } = chart;
+  const spPr = s.color
+    ? `<c:spPr><a:solidFill><a:srgbClr val="${s.color}"/></a:solidFill></c:spPr>`
+    : '';
+  return (
+    `<c:ser><c:idx val="${i}"/><c:order val="${i}"/>` +
+    `<c:tx><c:strRef><c:f>${escapeXml(
+      cellRange(sheet, s.col, s.nameRow)
+    )}</c:f></c:strRef></c:tx>` +
+    spPr +
+    (type === 'line' ? '<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>' : '') +
+    (type === 'column' ? '<c:invertIfNegative val="0"/>' : '') +
+    `<c:cat><c:strRef><c:f>${escapeXml(
+      cellRange(sheet, categories.col, categories.from, categories.to)
+    )}</c:f></c:strRef></c:cat>` +
+    `<c:val><c:numRef><c:f>${escapeXml(
+      cellRange(sheet, s.col, categories.from, categories.to)
+    )}</c:f></c:numRef></c:val>` +
+    (type === 'line' ? '<c:smooth val="0"/>' : '') +
+    '</c:ser>'
+  );
+}
+
+function chartXml(chart) {
+  const series = chart.series.map((s, i) => seriesXml(chart, s, i)).join('');
+  const axes = '<c:axId val="500000001"/><c:axId val="500000002"/>';
+  const plot =
+    chart.type === 'line'
+      ? `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${series}` +
+        `<c:marker val="1"/>${axes}</c:lineChart>`
+      : `<c:barChart><c:barDir val="col"/><c:grouping val="clustered"/><c:varyColors val="0"/>` +
+        `${series}<c:gapWidth val="150"/>${axes}</c:barChart>`;
+  const scaling = chart.percent
+    ? '<c:scaling><c:orientation val="minMax"/><c:max val="1"/><c:min val="0"/></c:scaling>'
+    : '<c:scaling><c:orientation val="minMax"/></c:scaling>';
+  return (
+    XML_HEAD +
+    `<c:chartSpace xmlns:c="${NS.c}" xmlns:a="${NS.a}" xmlns:r="${NS.r}">` +
+    '<c:roundedCorners val="0"/><c:chart>' +
+    `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(chart.title)}</a:t></a:r>` +
+    '</a:p></c:rich></c:tx><c:overlay val="0"/></c:title><c:autoTitleDeleted val="0"/>' +
+    `<c:plotArea><c:layout/>${plot}` +
+    '<c:catAx><c:axId val="500000001"/><c:scaling><c:orientation val="minMax"/></c:scaling>' +
+    '<c:delete val="0"/><c:axPos val="b"/><c:numFmt formatCode="General" sourceLinked="1"/>' +
+    '<c:tickLblPos val="low"/><c:crossAx val="500000002"/><c:crosses val="autoZero"/>' +
+    '<c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/>' +
+    `</c:catAx><c:valAx><c:axId val="500000002"/>${scaling}<c:delete val="0"/>` +
+    '<c:axPos val="l"/><c:majorGridlines/>' +
+    `<c:numFmt formatCode="${chart.percent ? '0%' : 'General'}" sourceLinked="0"/>` +
+    '<c:tickLblPos val="nextTo"/><c:crossAx val="500000001"/><c:crosses val="autoZero"/>' +
+    '<c:crossBetween val="between"/></c:valAx></c:plotArea>' +
+    '<c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend>' +
+    '<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart></c:chartSpace>'
+  );
+}
+
+function anchorXml({ anchor }, i) {
+  const marker = (tag, col, row) =>
+    `<xdr:${tag}><xdr:col>${col}</xdr:col><xdr:colOff>0</xdr:colOff>` +
+    `<xdr:row>${row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:${tag}>`;
+  return (
+    '<xdr:twoCellAnchor editAs="oneCell">' +
+    marker('from', anchor.col, anchor.row) +
+    marker('to', anchor.col + anchor.width, anchor.row + anchor.height) +
+    `<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr><xdr:cNvPr id="${i + 2}" name="Chart ${
+      i + 1
+    }"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>` +
+    '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>' +
+    `<a:graphic><a:graphicData uri="${NS.c}"><c:chart xmlns:c="${NS.c}" xmlns:r="${NS.r}" ` +
+    `r:id="rId${i + 1}"/></a:graphicData></a:graphic></xdr:graphicFrame>` +
+    '<xdr:clientData/></xdr:twoCellAnchor>'
+  );
+}
+
+// rels: [[id, 'chart' | 'drawing', target]]
+function relsXml(rels) {
+  return (
+    XML_HEAD +
+    `<Relationships xmlns="${NS.rels}">` +
+    rels
+      .map(
+        ([id, type, target]) =>
+          `<Relationship Id="${id}" Type="${NS.r}/${type}" Target="${target}"/>`
+      )
+      .join('') +
+    '</Relationships>'
+  );
+}
+
+/**
+ * The workbook as .xlsx bytes (Uint8Array) with the charts recorded by addChart written in.
+ * Without charts this is ExcelJS's own writeBuffer output.
+ */
+export async function writeWorkbookBuffer(wb) {
+  const buffer = await wb.xlsx.writeBuffer();
+  const charts = recorded.get(wb) || [];
+  if (charts.length === 0) return new Uint8Array(buffer);
+
+  const zip = await JSZip.loadAsync(buffer);
+  if (zip.file(/^xl\/(drawings|charts)\//).length > 0)
+    throw new Error('Charts cannot be added to a workbook that has images');
+  const types = [];
+  const sheets = [...new Set(charts.map((c) => c.sheet))];
+  for (const [d, sheet] of sheets.entries()) {
+    const ws = wb.getWorksheet(sheet);
+    if (!ws) throw new Error(`No sheet named "${sheet}" for a chart`);
+    const sheetPath = `xl/worksheets/sheet${ws.id}.xml`;
+    const relsPath = `xl/worksheets/_rels/sheet${ws.id}.xml.rels`;
+    if (!zip.file(sheetPath)) throw new Error(`Sheet "${sheet}" was not written as ${sheetPath}`);
+    if (zip.file(relsPath))
+      throw new Error(`Sheet "${sheet}" has images, comments or links, so it cannot take charts`);
+
+    const own = charts.filter((c) => c.sheet === sheet);
+    const drawing = `drawing${d + 1}.xml`;
+    const drawingRels = own.map((chart, i) => {
+      const chartNo = charts.indexOf(chart) + 1;
+      zip.file(`xl/charts/chart${chartNo}.xml`, chartXml(chart));
+      types.push([`/xl/charts/chart${chartNo}.xml`, CONTENT_TYPES.chart]);
+      return [`rId${i + 1}`, 'chart', `../charts/chart${chartNo}.xml`];
+    });
+    zip.file(
+      `xl/drawings/${drawing}`,
+      XML_HEAD +
+        `<xdr:wsDr xmlns:xdr="${NS.xdr}" xmlns:a="${NS.a}">` +
+        own.map(anchorXml).join('') +
+        '</xdr:wsDr>'
+    );
+    zip.file(`xl/drawings/_rels/${drawing}.rels`, relsXml(drawingRels));
+    types.push([`/xl/drawings/${drawing}`, CONTENT_TYPES.drawing]);
+
+    // <drawing> goes before <extLst>, the only later child a sheet without relationships has
+    zip.file(relsPath, relsXml([['rId1', 'drawing', `../drawings/${drawing}`]]));
+    const xml = await zip.file(sheetPath).async('string');
+    const at = xml.search(/<extLst\b|<\/worksheet>/);
+    zip.file(sheetPath, `${xml.slice(0, at)}<drawing r:id="rId1"/>${xml.slice(at)}`);
+  }
+
+  const contentTypes = await zip.file('[Content_Types].xml').async('string');
+  zip.file(
+    '[Content_Types].xml',
+    contentTypes.replace(
+      '</Types>',
+      types.map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join('') +
+        '</Types>'
+    )
+  );
+  return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
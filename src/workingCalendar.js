@@ -0,0 +1,252 @@
+// src/workingCalendar.js
+/*
+  Working calendar - business hours per weekday, a time zone and a holiday list
+  - When enabled, SLA intervals count only time inside business hours
+  - timeZone is an IANA name (e.g. 'Europe/London'); empty means the browser's local zone
+  - hours[weekday] is { start: 'HH:MM', end: 'HH:MM' } or null for a non-working day (0 = Sunday)
+  - holidays are { date: 'YYYY-MM-DD', name } in the calendar's time zone
+*/
+
+const CALENDAR_KEY = 'erp_working_calendar';
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const DEFAULT_CALENDAR = {
+  enabled: false,
+  timeZone: '',
+  hours: [
+    null,
+    { start: '09:00', end: '17:00' },
+    { start: '09:00', end: '17:00' },
+    { start: '09:00', end: '17:00' },
+    { start: '09:00', end: '17:00' },
+    { start: '09:00', end: '17:00' },
+    null,
+  ],
+  holidays: [],
+};
+
+export function cloneCalendar(cal) {
+  return {
+    enabled: !!cal.enabled,
+    timeZone: cal.timeZone || '',
+    hours: (cal.hours || []).map((h) => (h ? { ...h } : null)),
+    holidays: (cal.holidays || []).map((h) => ({ ...h })),
+  };
+}
+
+export function isValidTimeZone(tz) {
+  if (!tz) return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function parseHHMM(s) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(s || '').trim());
+  if (!m) return null;
+  const h = Number(m[1]);
+  const min = Number(m[2]);
+  if (h > 24 || min > 59 || (h === 24 && min > 0)) return null;
+  return h * 60 + min;
+}
+
+export function validateCalendar(cal) {
+  const errors = [];
+  if (!isValidTimeZone(cal.timeZone)) errors.push(`Unknown time zone "${cal.timeZone}".`);
+  cal.hours.forEach((h, i) => {
+    if (!h) return;
+    const s = parseHHMM(h.start);
+    const e = parseHHMM(h.end);
+    if (s == null || e == null) errors.push(`${WEEKDAY_NAMES[i]}: enter times as HH:MM.`);
+    else if (e <= s) errors.push(`${WEEKDAY_NAMES[i]}: end must be after start.`);
+  });
+  if (cal.enabled && cal.hours.every((h) => !h))
+    errors.push('At least one working day is required.');
+  return errors;
+}
+
+// --- Time zone helpers ---
+
+const partsFormatters = {};
+
+function getPartsFormatter(tz) {
+  if (!partsFormatters[tz]) {
+    partsFormatters[tz] = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+  }
+  return partsFormatters[tz];
+}
+
+// Wall-clock fields of an instant in the given zone (month is 0-based, weekday 0 = Sunday)
+export function zonedParts(date, tz) {
+  if (!tz) {
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth(),
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+      weekday: date.getDay(),
+    };
+  }
+  const out = {};
+  for (const p of getPartsFormatter(tz).formatToParts(date)) {
+    if (p.type !== 'literal') out[p.type] = Number(p.value);
+  }
+  const parts = {
+    year: out.year,
+    month: out.month - 1,
+    day: out.day,
+    hour: out.hour === 24 ? 0 : out.hour,
+    minute: out.minute,
+    second: out.second,
+  };
+  parts.weekday = new Date(Date.UTC(parts.year, parts.month, parts.day)).getUTCDay();
+  return parts;
+}
+
+// Instant for a wall-clock time in the given zone
+export function zonedToDate(year, month, day, hour = 0, minute = 0, second = 0, tz = '') {
+  if (!tz) return new Date(year, month, day, hour, minute, second);
+  const asUtc = Date.UTC(year, month, day, hour, minute, second);
+  let guess = asUtc;
+  // two passes settle the offset across DST changes
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(guess), tz);
+    const seen = Date.UTC(p.year, p.month, p.day, p.hour, p.minute, p.second);
+    guess = guess - (seen - asUtc);
+  }
+  return new Date(guess);
+}
+
+function dayKey(year, month, day) {
+  return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// --- Business time ---
+
+// Milliseconds between two instants that fall inside business hours (negative if end < start)
+export function businessMs(start, end, cal) {
+  if (!start || !end) return null;
+  if (end < start) return -businessMs(end, start, cal);
+
+  const tz = cal.timeZone || '';
+  const holidays = new Set((cal.holidays || []).map((h) => h.date));
+  const s = zonedParts(start, tz);
+  const e = zonedParts(end, tz);
+  const lastKey = dayKey(e.year, e.month, e.day);
+
+  let total = 0;
+  let cursor = Date.UTC(s.year, s.month, s.day);
+  for (;;) {
+    const d = new Date(cursor);
+    const y = d.getUTCFullYear();
+    const m = d.getUTCMonth();
+    const dd = d.getUTCDate();
+    const key = dayKey(y, m, dd);
+    const hours = cal.hours[d.getUTCDay()];
+
+    if (hours && !holidays.has(key)) {
+      const openMin = parseHHMM(hours.start);
+      const closeMin = parseHHMM(hours.end);
+      if (openMin != null && closeMin != null && closeMin > openMin) {
+        const open = zonedToDate(y, m, dd, Math.floor(openMin / 60), openMin % 60, 0, tz);
+        const close = zonedToDate(y, m, dd, Math.floor(closeMin / 60), closeMin % 60, 0, tz);
+        const from = Math.max(open.getTime(), start.getTime());
+        const to = Math.min(close.getTime(), end.getTime());
+        if (to > from) total += to - from;
+      }
+    }
+
+    if (key === lastKey) break;
+    cursor += 86400 * 1000;
+  }
+  return total;
+}
+
+// One-line summary for the workbook footer
+export function describeCalendar(cal) {
+  if (!cal.enabled) return 'Elapsed time (24x7)';
+  const days = cal.hours
+    .map((h, i) => (h ? `${WEEKDAY_NAMES[i].slice(0, 3)} ${h.start}-${h.end}` : null))
+    .filter(Boolean)
+    .join(', ');
+  const tz = cal.timeZone || 'local time';
+  const hol = cal.holidays.length;
+  return `Business hours (${tz}): ${days}; ${hol} holiday${hol === 1 ? '' : 's'}`;
+}
+
+// --- Holiday import ---
+
+function toHolidayDate(val) {
+  if (val == null || val === '') return null;
+  if (val instanceof Date && !isNaN(val))
+    return dayKey(val.getFullYear(), val.getMonth(), val.getDate());
+  if (typeof val === 'number') {
+    // Excel serial date
+    const d = new Date(Math.round((val - 25569) * 86400 * 1000));
+    return dayKey(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  }
+  const s = String(val).trim();
+  let m = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/.exec(s);
+  if (m) return dayKey(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  m = /^(\d{1,2})[-/](\d{1,2})[-/](\d{2,4})$/.exec(s);
+  if (m) {
+    let year = Number(m[3]);
+    if (year < 100) year += 2000;
+    return dayKey(year, Number(m[2]) - 1, Number(m[1]));
+  }
+  return null;
+}
+
+/**
+ * Holidays from sheet rows (arrays, first column date, second column name).
+ * A header row and rows without a recognisable date are skipped.
+ * Returns { holidays, skipped }.
+ */
+export function parseHolidayRows(rows) {
+  const byDate = new Map();
+  let skipped = 0;
+  for (const r of rows || []) {
+    if (!Array.isArray(r) || r.length === 0) continue;
+    const date = toHolidayDate(r[0]);
+    if (!date) {
+      skipped++;
+      continue;
+    }
+    byDate.set(date, { date, name: r[1] != null ? String(r[1]).trim() : '' });
+  }
+  const holidays = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  return { holidays, skipped };
+}
+
+export function loadWorkingCalendar() {
+  try {
+    const raw = localStorage.getItem(CALENDAR_KEY);
+    if (raw) return cloneCalendar({ ...DEFAULT_CALENDAR, ...JSON.parse(raw) });
+  } catch (e) {
+    /* ignore corrupt storage */
+  }
+  return cloneCalendar(DEFAULT_CALENDAR);
+}
+
+export function saveWorkingCalendar(cal) {
+  try {
+    localStorage.setItem(CALENDAR_KEY, JSON.stringify(cal));
+  } catch (e) {
+    /* ignore */
+  }
+}
@@ -0,0 +1,48 @@
+import {
+  DEFAULT_CALENDAR,
+  businessMs,
+  zonedToDate,
+  parseHolidayRows,
+  validateCalendar,
+} from './workingCalendar';
+
+const HOUR = 3600 * 1000;
+const NY = 'America/New_York';
+const calendar = { ...DEFAULT_CALENDAR, enabled: true, timeZone: NY };
+const ny = (m, d, h, min = 0) => zonedToDate(2025, m, d, h, min, 0, NY);
+
+test('zonedToDate honours the zone offset across DST', () => {
+  expect(ny(0, 3, 16).toISOString()).toBe('2025-01-03T21:00:00.000Z');
+  expect(ny(6, 3, 16).toISOString()).toBe('2025-07-03T20:00:00.000Z');
+});
+
+test('businessMs skips nights and weekends', () => {
+  // Fri 16:00 -> Mon 10:00
+  expect(businessMs(ny(0, 3, 16), ny(0, 6, 10), calendar)).toBe(2 * HOUR);
+  // same day, partly before opening
+  expect(businessMs(ny(0, 6, 7), ny(0, 6, 9, 30), calendar)).toBe(0.5 * HOUR);
+  // reversed order gives a negative value
+  expect(businessMs(ny(0, 6, 10), ny(0, 3, 16), calendar)).toBe(-2 * HOUR);
+});
+
+test('businessMs skips holidays', () => {
+  const withHoliday = { ...calendar, holidays: [{ date: '2025-01-06', name: 'Closed' }] };
+  expect(businessMs(ny(0, 3, 16), ny(0, 7, 10), withHoliday)).toBe(2 * HOUR);
+});
+
+test('parseHolidayRows accepts ISO, day-first and serial dates', () => {
+  const { holidays, skipped } = parseHolidayRows([
+    ['Date', 'Name'],
+    ['25/12/2025', 'Christmas'],
+    [45658, 'New Year'],
+    ['2025-05-05', 'Bank holiday'],
+  ]);
+  expect(skipped).toBe(1);
+  expect(holidays.map((h) => h.date)).toEqual(['2025-01-01', '2025-05-05', '2025-12-25']);
+});
+
+test('validateCalendar', () => {
+  expect(validateCalendar(calendar)).toEqual([]);
+  const bad = { ...calendar, timeZone: 'Mars/Base', hours: calendar.hours.map(() => null) };
+  expect(validateCalendar(bad)).toHaveLength(2);
+});